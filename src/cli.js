@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+
+const { setLogger } = require('./core/logger');
+
+// stdout is reserved for the extracted content, so the core modules' progress goes to stderr, and only with --verbose
+setLogger({ log: process.argv.includes('--verbose') ? console.error : () => {}, warn: console.warn, error: console.error });
+
+const { extractPaths, extractWithDependencies, describeTokenBudget } = require('./core/extraction');
+const { removeCommentsFromPaths } = require('./core/commentRemoval');
+const { getEffectiveIgnorePatterns, getEffectiveIncludePatterns, getGitignoreSettings, parsePatternList } = require('./core/ignoreHelper');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } = require('./core/formatters');
+const { describeSecretFindings } = require('./core/secrets');
+const { PRESERVATION_PRESETS, getPreservationRules } = require('./core/commentPreservation');
+const { getLanguageRegistry } = require('./core/languages');
+const { DEFAULT_LIMITS, getExtractionLimits, describeLimitedFiles } = require('./core/limits');
+const { splitIntoParts } = require('./core/chunking');
+const { TREE_STYLES, TREE_METADATA, getTreeOptions } = require('./core/folderStructure');
+const {
+    BUILT_IN_TEMPLATES,
+    mergePromptTemplates,
+    getUsedVariables,
+    getExtractionVariables,
+    renderPromptTemplate,
+    assemblePrompt
+} = require('./core/promptTemplates');
+const { getBranchOfPath } = require('./core/gitHelper');
+const { TOKENIZERS, getEncoder, freeEncoders, encodeText, getTokenizerSettings } = require('./core/tokenizer');
+
+const DEFAULT_CONFIG_FILE = '.syntax-extractor.json';
+const SETTINGS_PREFIX = 'syntaxExtractor.';
+
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    txt: 'plain',
+    text: 'plain'
+};
+
+const USAGE = `Usage:
+  syntax-extractor extract <paths...> [options]
+  syntax-extractor remove-comments <paths...> [options]
+
+Extract options:
+  -f, --format <format>     Output format: ${OUTPUT_FORMATS.join(', ')} (md is accepted for markdown)
+  -o, --out <file>          Write the output to a file instead of stdout
+  -m, --mode <mode>         'full' or 'skeleton'
+  --structure-only          Output the folder structure without the file contents
+  --tree-style <style>      How the folder structure is drawn: ${Object.keys(TREE_STYLES).join(', ')}
+  --tree-depth <n>          Levels of folders to expand in the folder structure, 0 for all
+  --tree-metadata <kind>    Shown after each file and folder: ${TREE_METADATA.join(', ')}
+  --max-tokens <n>          Token budget for the whole output, 0 for no limit
+  --split <n>               Split output larger than n tokens into parts; with --out, each part is
+                            written to its own file (context.part-1.md, ...)
+  --prompt <text>           Text placed before the extracted content
+  --template <name>         Prompt template placed around the extracted content, built in
+                            (${BUILT_IN_TEMPLATES.map(template => template.name).join(', ')}) or from promptTemplates in the config file;
+                            --prompt replaces its text before the content
+  --follow-imports <depth>  Extract the given files plus the local files they import, up to depth
+                            imports away (0 for no limit); JavaScript, TypeScript and Python
+  --max-file-size <bytes>   Put a placeholder in place of larger files (default: ${DEFAULT_LIMITS.maxFileSize}, 0 for no limit)
+  --max-file-lines <n>      Keep only the first and last lines of longer files
+  --max-files <n>           Put placeholders in place of the files after the first n
+  --max-total-size <bytes>  Put placeholders in place of the files after this many bytes in total
+  --no-redact               Do not mask detected secrets
+  --fail-on-secrets         Exit with code 1 and write nothing if secrets are detected
+
+Remove-comments options:
+  --dry-run                 List the files that would change without writing them
+  --preserve <presets>      Comments to keep, comma-separated: ${Object.keys(PRESERVATION_PRESETS).join(', ')}
+                            or none (default: the preserveComments setting)
+  --preserve-pattern <re>   Also keep comments matching this regular expression; may be repeated
+
+Token options (both commands):
+  --tokenizer <name>        Encoding used to count tokens: ${Object.keys(TOKENIZERS).join(', ')}
+
+Ignore options (both commands):
+  --ignore <patterns>       Comma-separated patterns to ignore, added to the configured ones
+  --include <patterns>      Only process files in the given folders matching these comma-separated
+                            patterns, instead of the configured includePatterns
+  --no-default-ignores      Do not use the default ignore patterns
+  --no-gitignore            Do not honour .gitignore files
+  --no-git-info-exclude     Do not honour .git/info/exclude
+  --no-ignore               Disable all ignore processing
+
+General options:
+  -c, --config <file>       Settings file (default: ${DEFAULT_CONFIG_FILE} in the current directory, if present)
+  --verbose                 Log progress to stderr
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+The settings file is JSON with the same keys as the editor settings, with or without the
+"${SETTINGS_PREFIX}" prefix, e.g. { "ignorePatterns": "*.log,dist/", "outputFormat": "markdown" }.
+Command line options take precedence over the settings file.`;
+
+// Options that take a value, mapped to the key they are stored under
+const VALUE_OPTIONS = {
+    '-f': 'format',
+    '--format': 'format',
+    '-o': 'out',
+    '--out': 'out',
+    '-m': 'mode',
+    '--mode': 'mode',
+    '--max-tokens': 'maxTokens',
+    '--split': 'partTokens',
+    '--prompt': 'prompt',
+    '--template': 'template',
+    '--include': 'include',
+    '--follow-imports': 'dependencyDepth',
+    '--tree-style': 'treeStyle',
+    '--tree-depth': 'treeDepth',
+    '--tree-metadata': 'treeMetadata',
+    '--ignore': 'ignore',
+    '--preserve': 'preserve',
+    '--preserve-pattern': 'preservePattern',
+    '--tokenizer': 'tokenizer',
+    '--max-file-size': 'maxFileSize',
+    '--max-file-lines': 'maxFileLines',
+    '--max-files': 'maxFiles',
+    '--max-total-size': 'maxTotalSize',
+    '-c': 'config',
+    '--config': 'config'
+};
+
+// Flags mapped to the setting they switch off
+const NEGATED_FLAGS = {
+    '--no-default-ignores': 'useDefaultIgnorePatterns',
+    '--no-gitignore': 'useGitignore',
+    '--no-git-info-exclude': 'useGitInfoExclude',
+    '--no-ignore': 'enableIgnoreProcessing',
+    '--no-redact': 'redactSecrets'
+};
+
+/**
+ * Error caused by invalid command line usage, reported together with a hint to --help
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} argv Arguments after the script name
+ * @returns {Object} The command, paths, option values and disabled settings
+ */
+const parseArguments = (argv) => {
+    const parsed = { command: null, paths: [], options: { ignore: [], include: [], preservePattern: [] }, disabled: {}, flags: new Set() };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let inlineValue;
+        if (arg.startsWith('--') && arg.includes('=')) {
+            inlineValue = arg.slice(arg.indexOf('=') + 1);
+            arg = arg.slice(0, arg.indexOf('='));
+        }
+
+        if (VALUE_OPTIONS[arg]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) throw new UsageError(`Option ${arg} requires a value`);
+            const key = VALUE_OPTIONS[arg];
+            // Regular expressions may contain commas, so each --preserve-pattern holds a single one
+            if (key === 'preservePattern') parsed.options[key].push(value);
+            else if (Array.isArray(parsed.options[key])) parsed.options[key].push(...parsePatternList(value));
+            else parsed.options[key] = value;
+        } else if (NEGATED_FLAGS[arg]) {
+            parsed.disabled[NEGATED_FLAGS[arg]] = false;
+        } else if (['-h', '--help', '-v', '--version', '--verbose', '--fail-on-secrets', '--dry-run', '--structure-only'].includes(arg)) {
+            parsed.flags.add(arg.replace(/^-+/, '').replace(/^h$/, 'help').replace(/^v$/, 'version'));
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else if (parsed.command === null) {
+            parsed.command = arg;
+        } else {
+            parsed.paths.push(arg);
+        }
+    }
+
+    return parsed;
+};
+
+/**
+ * Reads the settings file, dropping the "syntaxExtractor." prefix from its keys
+ * @param {string|undefined} configPath Path given with --config
+ * @returns {Object} The settings, empty if no file was given and the default one does not exist
+ */
+const loadConfigFile = (configPath) => {
+    const filePath = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+    if (!configPath && !fs.existsSync(filePath)) return {};
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read settings file ${filePath}: ${error.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new UsageError(`Settings file ${filePath} must contain a JSON object`);
+    }
+
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key.startsWith(SETTINGS_PREFIX) ? key.slice(SETTINGS_PREFIX.length) : key,
+        value
+    ]));
+};
+
+/**
+ * Wraps plain settings in the get(key, defaultValue) interface of a workspace configuration
+ * @param {Object} values Setting values keyed by name
+ * @returns {{get: Function}} The settings
+ */
+const createSettings = (values) => ({
+    get: (key, defaultValue) => values[key] !== undefined ? values[key] : defaultValue
+});
+
+/**
+ * Combines the settings file with the command line options
+ * @param {Object} parsed Result of parseArguments
+ * @returns {{get: Function}} The effective settings
+ */
+const resolveSettings = (parsed) => {
+    const values = { ...loadConfigFile(parsed.options.config), ...parsed.disabled };
+    const { format, mode, maxTokens } = parsed.options;
+
+    if (format !== undefined) values.outputFormat = format;
+    if (mode !== undefined) values.extractionMode = mode;
+    if (maxTokens !== undefined) values.maxTokens = maxTokens;
+    if (parsed.options.tokenizer !== undefined) values.tokenizer = parsed.options.tokenizer;
+    ['partTokens', 'dependencyDepth', 'treeStyle', 'treeDepth', 'treeMetadata', ...Object.keys(DEFAULT_LIMITS)].forEach(key => {
+        if (parsed.options[key] !== undefined) values[key] = parsed.options[key];
+    });
+    if (values.redactSecrets === false) values.secretScanning = 'off';
+    if (parsed.options.preserve !== undefined) {
+        values.preserveComments = parsed.options.preserve === 'none' ? [] : parsePatternList(parsed.options.preserve);
+        const unknown = values.preserveComments.filter(preset => !PRESERVATION_PRESETS[preset]);
+        if (unknown.length > 0) {
+            throw new UsageError(`Unknown preservation preset "${unknown[0]}", expected one of ${Object.keys(PRESERVATION_PRESETS).join(', ')}`);
+        }
+    }
+    if (parsed.options.preservePattern.length > 0) {
+        values.preserveCommentPatterns = [].concat(values.preserveCommentPatterns || [], parsed.options.preservePattern);
+    }
+    if (parsed.options.ignore.length > 0) {
+        values.ignorePatterns = [...parsePatternList(values.ignorePatterns), ...parsed.options.ignore];
+    }
+
+    const outputFormat = String(values.outputFormat || DEFAULT_OUTPUT_FORMAT).toLowerCase();
+    values.outputFormat = FORMAT_ALIASES[outputFormat] || outputFormat;
+    if (!OUTPUT_FORMATS.includes(values.outputFormat)) {
+        throw new UsageError(`Unknown output format "${outputFormat}", expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (values.extractionMode !== undefined && !['full', 'skeleton'].includes(values.extractionMode)) {
+        throw new UsageError(`Unknown mode "${values.extractionMode}", expected full or skeleton`);
+    }
+    if (values.maxTokens !== undefined && !/^\d+$/.test(String(values.maxTokens))) {
+        throw new UsageError(`Invalid token budget "${values.maxTokens}", expected a whole number`);
+    }
+    ['partTokens', 'dependencyDepth', 'treeDepth', ...Object.keys(DEFAULT_LIMITS)].forEach(key => {
+        if (values[key] !== undefined && !/^\d+$/.test(String(values[key]))) {
+            throw new UsageError(`Invalid ${key} "${values[key]}", expected a whole number`);
+        }
+    });
+    if (values.treeStyle !== undefined && !TREE_STYLES[values.treeStyle]) {
+        throw new UsageError(`Unknown tree style "${values.treeStyle}", expected one of ${Object.keys(TREE_STYLES).join(', ')}`);
+    }
+    if (values.treeMetadata !== undefined && !TREE_METADATA.includes(values.treeMetadata)) {
+        throw new UsageError(`Unknown tree metadata "${values.treeMetadata}", expected one of ${TREE_METADATA.join(', ')}`);
+    }
+    if (values.tokenizer !== undefined && !TOKENIZERS[values.tokenizer]) {
+        throw new UsageError(`Unknown tokenizer "${values.tokenizer}", expected one of ${Object.keys(TOKENIZERS).join(', ')}`);
+    }
+
+    return createSettings(values);
+};
+
+/**
+ * Resolves the path arguments and checks that they exist
+ * @param {string[]} paths Paths given on the command line
+ * @returns {string[]} Absolute paths
+ */
+const resolvePaths = (paths) => {
+    if (paths.length === 0) throw new UsageError('No files or folders given');
+    return paths.map(item => {
+        const resolved = path.resolve(item);
+        if (!fs.existsSync(resolved)) throw new UsageError(`Path not found: ${item}`);
+        return resolved;
+    });
+};
+
+/**
+ * Finds the prompt template given with --template, with the text of --prompt before the content
+ * @param {Object} options Parsed command line options
+ * @param {{get: Function}} settings The effective settings
+ * @returns {{before: string, after: string}} The template
+ */
+const resolvePromptTemplate = (options, settings) => {
+    let template = { before: '', after: '' };
+    if (options.template !== undefined) {
+        const templates = mergePromptTemplates(BUILT_IN_TEMPLATES, settings.get('promptTemplates', []));
+        template = templates.find(item => item.name === options.template);
+        if (!template) {
+            throw new UsageError(`Unknown prompt template "${options.template}", expected one of ${templates.map(item => item.name).join(', ')}`);
+        }
+    }
+    return options.prompt !== undefined ? { ...template, before: options.prompt } : template;
+};
+
+/**
+ * Fills in the variables of a prompt template for an extraction; there is no editor selection on the command line
+ * @param {{before: string, after: string}} template The template
+ * @param {Object} extraction Extraction returned by extractPaths
+ * @param {{get: Function}} settings The effective settings
+ * @returns {Promise<{before: string, after: string}>} The text before and after the content
+ */
+const renderCliPrompt = async (template, extraction, settings) => {
+    const used = getUsedVariables(template);
+    const variables = { ...getExtractionVariables(extraction), selection: '' };
+    if (used.has('tokenCount')) {
+        variables.tokenCount = encodeText(getEncoder(getTokenizerSettings(settings).tokenizer), extraction.content).length;
+    }
+    if (used.has('gitBranch')) {
+        variables.gitBranch = await getBranchOfPath(extraction.basePath).catch(() => '');
+    }
+    return renderPromptTemplate(template, variables);
+};
+
+/**
+ * Runs the extract command
+ * @param {Object} parsed Result of parseArguments
+ * @param {{get: Function}} settings The effective settings
+ */
+const runExtract = async (parsed, settings) => {
+    const selectedPaths = resolvePaths(parsed.paths);
+    const template = resolvePromptTemplate(parsed.options, settings);
+    // Placeholders are only filled in once the files are known, so their names stand in for them in the budget
+    const promptText = `${template.before}\n\n${template.after}`.trim();
+    const maxTokens = parseInt(settings.get('maxTokens', 0), 10);
+    const partTokens = parseInt(settings.get('partTokens', 0), 10);
+    const encoder = maxTokens > 0 || partTokens > 0 ? getEncoder(getTokenizerSettings(settings).tokenizer) : null;
+
+    const followImports = parsed.options.dependencyDepth !== undefined;
+    if (followImports) {
+        const folder = selectedPaths.find(selectedPath => !fs.statSync(selectedPath).isFile());
+        if (folder) throw new UsageError(`--follow-imports starts from files, but ${path.relative(process.cwd(), folder) || '.'} is a folder`);
+    }
+
+    const extract = followImports ? extractWithDependencies : extractPaths;
+    const extraction = await extract(selectedPaths, getEffectiveIgnorePatterns(settings), {
+        maxDepth: parseInt(settings.get('dependencyDepth', 0), 10),
+        outputFormat: settings.get('outputFormat', DEFAULT_OUTPUT_FORMAT),
+        extractionMode: settings.get('extractionMode', 'full'),
+        structureOnly: parsed.flags.has('structure-only'),
+        tree: getTreeOptions(settings),
+        maxTokens,
+        encoder,
+        reservedTokens: encoder && promptText ? encodeText(encoder, promptText).length : 0,
+        gitignore: getGitignoreSettings(settings),
+        includePatterns: getEffectiveIncludePatterns(settings, parsed.options.include),
+        languages: getLanguageRegistry(settings),
+        limits: getExtractionLimits(settings),
+        redactSecrets: settings.get('secretScanning', 'redact') !== 'off' || parsed.flags.has('fail-on-secrets')
+    });
+
+    if (extraction.secrets.length > 0) {
+        describeSecretFindings(extraction.secrets).forEach(line => console.error(`Masked secret: ${line}`));
+        if (parsed.flags.has('fail-on-secrets')) {
+            throw new Error(`${extraction.secrets.length} possible secret(s) found, nothing was written`);
+        }
+    }
+    (extraction.unresolved || []).forEach(item => console.error(`Unresolved import: ${item.importer}: ${item.specifier}`));
+    describeLimitedFiles(extraction.result.fileEntries).forEach(line => console.error(line));
+    if (extraction.budget) {
+        describeTokenBudget(extraction.budget).forEach(line => console.error(line));
+    }
+
+    const prompt = await renderCliPrompt(template, extraction, settings);
+    if (partTokens > 0) {
+        const parts = splitIntoParts(extraction.result, extraction.basePath, extraction.outputFormat, {
+            maxTokens: partTokens,
+            encoder,
+            prompt: prompt.before,
+            promptAfter: prompt.after,
+            promptMode: settings.get('partPrompt', 'first'),
+            structureMode: settings.get('partStructure', 'every')
+        });
+        if (parts.length > 1) {
+            writeParts(parts, parsed.options.out);
+            return;
+        }
+    }
+
+    const output = assemblePrompt(prompt, extraction.content);
+    if (parsed.options.out) {
+        fs.writeFileSync(path.resolve(parsed.options.out), output.endsWith('\n') ? output : `${output}\n`, 'utf8');
+        console.error(`Extracted ${extraction.result.fileEntries.length} files to ${parsed.options.out}`);
+    } else {
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+};
+
+/**
+ * Writes the parts of a split extraction, each to its own file or one after another to stdout
+ * @param {Object[]} parts Parts returned by splitIntoParts
+ * @param {string|undefined} out Output file given with --out; part files are named after it
+ */
+const writeParts = (parts, out) => {
+    parts.forEach((part, index) => {
+        const content = part.content.endsWith('\n') ? part.content : `${part.content}\n`;
+        if (!out) {
+            process.stdout.write(index > 0 ? `\n${content}` : content);
+            return;
+        }
+        const extension = path.extname(out);
+        const partPath = `${out.slice(0, out.length - extension.length)}.part-${index + 1}${extension}`;
+        fs.writeFileSync(path.resolve(partPath), content, 'utf8');
+        console.error(`Part ${index + 1}/${parts.length}: ${part.tokens} tokens, ${part.files.length} files to ${partPath}`);
+    });
+    if (!out) {
+        parts.forEach((part, index) => console.error(`Part ${index + 1}/${parts.length}: ${part.tokens} tokens, ${part.files.length} files`));
+    }
+};
+
+/**
+ * Runs the remove-comments command
+ * @param {Object} parsed Result of parseArguments
+ * @param {{get: Function}} settings The effective settings
+ */
+const runRemoveComments = async (parsed, settings) => {
+    const selectedPaths = resolvePaths(parsed.paths);
+    const dryRun = parsed.flags.has('dry-run');
+    const totals = await removeCommentsFromPaths(selectedPaths, getEffectiveIgnorePatterns(settings), {
+        gitignore: getGitignoreSettings(settings),
+        includePatterns: getEffectiveIncludePatterns(settings, parsed.options.include),
+        preservation: getPreservationRules(settings),
+        languages: getLanguageRegistry(settings),
+        tokenizer: getTokenizerSettings(settings).tokenizer,
+        dryRun
+    });
+
+    if (dryRun) {
+        totals.changes.forEach(change => {
+            process.stdout.write(`${change.relativePath}: -${change.charactersRemoved} chars, -${change.tokensRemoved} tokens\n`);
+        });
+    }
+    if (totals.filesProcessed > 0) {
+        const verb = dryRun ? 'Would remove' : 'Removed';
+        console.error(`${verb} ${totals.charactersRemoved} chars (${totals.tokensRemoved} tokens) from ${totals.filesProcessed} files`);
+    } else {
+        console.error('No comments found to remove');
+    }
+};
+
+const COMMANDS = {
+    extract: runExtract,
+    'remove-comments': runRemoveComments
+};
+
+/**
+ * Entry point of the command line interface
+ * @param {string[]} argv Arguments after the script name
+ * @returns {Promise<number>} The exit code
+ */
+const main = async (argv) => {
+    try {
+        const parsed = parseArguments(argv);
+        if (parsed.flags.has('version')) {
+            process.stdout.write(`${require('../package.json').version}\n`);
+            return 0;
+        }
+        if (parsed.flags.has('help')) {
+            process.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+        if (parsed.command === null) {
+            console.error(USAGE);
+            return 2;
+        }
+
+        const command = COMMANDS[parsed.command];
+        if (!command) throw new UsageError(`Unknown command "${parsed.command}"`);
+
+        await command(parsed, resolveSettings(parsed));
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`syntax-extractor: ${error.message}\nRun "syntax-extractor --help" for usage.`);
+            return 2;
+        }
+        console.error(`syntax-extractor: ${error.message}`);
+        return 1;
+    } finally {
+        freeEncoders();
+    }
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
@@ -1,123 +1,203 @@
-const vscode = require('vscode');
 const path = require('path');
-const fs = require('fs').promises;
-const { traverseDirectory, getFileContent } = require('../core/fileTraversal');
-const { createHeader, findCommonBasePath } = require('../core/utils');
-const { writeToClipboard, showInfoMessage, showErrorMessage } = require('../services/vscodeServices');
-const { checkIsIgnored } = require('../core/ignoreHelper');
+const { formatOutput } = require('../core/formatters');
+const { renderFolderStructure } = require('../core/folderStructure');
+const { extractPaths, extractWithDependencies, describeTokenBudget } = require('../core/extraction');
+const { describeSecretFindings } = require('../core/secrets');
+const { getFileType } = require('../core/languages');
+const { formatSize, describeLimitedFiles } = require('../core/limits');
+const { CancelledError, describeProgress } = require('../core/concurrency');
+const { writeToClipboard, showInfoMessage, showWarningMessage, showErrorMessage, showReport, withProgress } = require('../services/vscodeServices');
 
 /**
  * Extracts code structure and content from selected files/folders
  * @param {vscode.Uri[]} uris Selected URIs
  * @param {string[]} ignorePatterns Patterns of files/folders to ignore
- * @returns {Promise<string>} The extracted content
+ * @param {Object} [options] Extraction options, see extractPaths
+ * @param {boolean} [options.followImports] Start from the selected files and add the local files they import,
+ * see extractWithDependencies
+ * @param {boolean} [options.confirmSecrets] Ask before copying content in which secrets were masked
+ * @param {Function} [options.onLimit] Decides what happens when a limit is hit; defaults to asking the user
+ * @returns {Promise<Object|null>} The extraction (content, result, basePath, outputFormat, secrets), or null on failure or cancellation
  */
-const extractCode = async (uris, ignorePatterns = []) => {
-    if (!Array.isArray(uris) || uris.length === 0) return '';
-
-    const selectedPaths = uris.map(uri => uri.fsPath);
-    const basePath = findCommonBasePath(selectedPaths);
-    console.log('True base path determined:', basePath);
-    console.log('Using ignore patterns:', ignorePatterns);
+const extractCode = async (uris, ignorePatterns = [], options = {}) => {
+    if (!Array.isArray(uris) || uris.length === 0) return null;
 
     try {
-        let combinedResult = {
-            fileTypes: new Set(),
-            files: new Set(),
-            folderStructure: '',
-            fileContents: ''
-        };
-
-        for (const uri of uris) {
-            const stats = await vscode.workspace.fs.stat(uri);
-            const relativePath = path.relative(basePath, uri.fsPath);
-            const fileName = path.basename(uri.fsPath);
-            
-            // Check if this URI should be ignored
-            if (relativePath && checkIsIgnored(
-                relativePath,
-                fileName,
-                stats.type === vscode.FileType.Directory,
-                ignorePatterns
-            )) {
-                console.log(`Ignoring selected item: ${relativePath}`);
-                continue;
-            }
-            
-            if (stats.type === vscode.FileType.Directory) {
-                const result = await traverseDirectory(uri.fsPath, 0, basePath, ignorePatterns);
-                mergeResults(combinedResult, result);
-            } else if (stats.type === vscode.FileType.File) {
-                const relativeFilePath = path.relative(basePath, uri.fsPath);
-                const fileContent = await getFileContent(uri.fsPath, basePath, ignorePatterns);
-                
-                // Skip if the file was ignored (indicated by special message)
-                if (fileContent.includes('[IGNORED BY PATTERN]')) {
-                    continue;
-                }
-                
-                combinedResult.files.add(relativeFilePath);
-
-                // Determine if the file is binary based on the content format
-                const isBinaryOrIgnored = fileContent.startsWith('\n---');
-                if (!isBinaryOrIgnored) {
-                    const ext = path.extname(uri.fsPath).slice(1).toLowerCase();
-                    combinedResult.fileTypes.add(ext);
-                }
-
-                combinedResult.fileContents += fileContent;
-                
-                // Add file to folder structure
-                const pathParts = relativeFilePath.split(path.sep);
-                let currentPath = '';
-                pathParts.forEach((part, index) => {
-                    const isLast = index === pathParts.length - 1;
-                    const indent = '  '.repeat(index);
-                    currentPath = path.join(currentPath, part);
-                    if (isLast) {
-                        combinedResult.folderStructure += `${indent}└── ${part}\n`;
-                    } else {
-                        combinedResult.folderStructure += `${indent}├── ${part}/\n`;
-                    }
-                });
-            }
+        const extract = options.followImports ? extractWithDependencies : extractPaths;
+        const { budget, unresolved, ...extraction } = await withProgress('Extracting code', (report, token) => (
+            extract(uris.map(uri => uri.fsPath), ignorePatterns, {
+                onLimit: confirmLimit,
+                onProgress: progress => report(describeProgress(progress)),
+                token,
+                ...options
+            })
+        ));
+        if (unresolved) {
+            reportUnresolvedImports(unresolved);
+        }
+        reportLimitedFiles(extraction.result.fileEntries);
+        if (budget) {
+            reportTokenBudget(budget, options.maxTokens);
+        }
+        if (!await confirmSecretFindings(extraction.secrets, options.confirmSecrets)) {
+            return null;
         }
 
-        const finalContent = formatFinalContent(combinedResult, basePath);
-
-        await writeToClipboard(finalContent);
-        showInfoMessage('Folder structure, file information, and contents copied to clipboard!');
+        await writeToClipboard(extraction.content);
+        showInfoMessage(extraction.result.structureOnly
+            ? 'Folder structure copied to clipboard!'
+            : 'Folder structure, file information, and contents copied to clipboard!');
 
-        return finalContent;
+        return extraction;
     } catch (error) {
+        if (error instanceof CancelledError) {
+            console.log(`Extraction stopped: ${error.message}`);
+            return null;
+        }
         console.error('Error in extractCode:', error);
         showErrorMessage(`An error occurred: ${error.message}`);
-        return '';
+        return null;
+    }
+};
+
+/**
+ * Removes a file, or every file below a folder, from a previous extraction and re-formats it.
+ * Works on the stored result, so nothing is traversed or read again.
+ * @param {Object} extraction Extraction returned by extractCode
+ * @param {string} relativePath Relative path of the file or folder to exclude
+ * @returns {Object} A new extraction without the excluded files
+ */
+const excludeFromExtraction = (extraction, relativePath) => {
+    const isExcluded = filePath => filePath === relativePath || filePath.startsWith(relativePath + path.sep);
+    const fileEntries = extraction.result.fileEntries.filter(entry => !isExcluded(entry.relativePath));
+    const files = new Set([...extraction.result.files].filter(file => !isExcluded(file)));
+    const fileTypes = new Set(fileEntries
+        .filter(entry => !entry.isBinary && !entry.error)
+        .map(entry => getFileType(entry.relativePath, entry.language))
+        .filter(fileType => fileType));
+
+    const folderStructure = renderFolderStructure(fileEntries, extraction.result.treeOptions);
+    const result = { ...extraction.result, fileEntries, files, fileTypes, folderStructure };
+    return {
+        ...extraction,
+        result,
+        content: formatFinalContent(result, extraction.basePath, extraction.outputFormat)
+    };
+};
+
+/**
+ * Tells the user which files were dropped or truncated to fit the token budget
+ * @param {Object} budget Result of applyTokenBudget
+ * @param {number} maxTokens The token budget
+ */
+const reportTokenBudget = async (budget, maxTokens) => {
+    if (budget.dropped.length === 0 && budget.truncated.length === 0) {
+        return;
+    }
+
+    const lines = describeTokenBudget(budget);
+    console.log('Token budget report:', lines);
+
+    const choice = await showWarningMessage(
+        `Token budget of ${maxTokens} reached: ${budget.truncated.length} file(s) truncated, ${budget.dropped.length} dropped.`,
+        'Show Details'
+    );
+    if (choice === 'Show Details') {
+        showReport(`Token budget of ${maxTokens} tokens`, lines);
+    }
+};
+
+/**
+ * Tells the user which local imports could not be followed because no file matches them
+ * @param {Object[]} unresolved Imports returned by extractWithDependencies ({ importer, specifier })
+ */
+const reportUnresolvedImports = async (unresolved) => {
+    if (unresolved.length === 0) {
+        return;
+    }
+
+    const lines = unresolved.map(item => `${item.importer}: ${item.specifier}`);
+    console.log('Unresolved imports:', lines);
+    const choice = await showWarningMessage(`${unresolved.length} local import(s) match no file and were not followed.`, 'Show Details');
+    if (choice === 'Show Details') {
+        showReport('Unresolved imports', lines);
     }
 };
 
 /**
- * Merges results from traversing directories
- * @param {Object} combinedResult The result object to merge into
- * @param {Object} result The result object to merge from
+ * Asks the user what to do the first time a file hits one of the extraction limits
+ * @param {Object} event The limit that was hit: limit, value, relativePath and size
+ * @returns {Promise<string>} 'continue', 'skip' or 'cancel'
  */
-const mergeResults = (combinedResult, result) => {
-    result.fileTypes.forEach(type => combinedResult.fileTypes.add(type));
-    result.files.forEach(file => combinedResult.files.add(file));
-    combinedResult.folderStructure += result.folderStructure;
-    combinedResult.fileContents += result.fileContents;
+const confirmLimit = async (event) => {
+    const messages = {
+        maxFileSize: `${event.relativePath} is ${formatSize(event.size)}, over the ${formatSize(event.value)} per-file limit.`,
+        maxFiles: `The extraction reached its limit of ${event.value} files.`,
+        maxTotalSize: `The extraction reached its ${formatSize(event.value)} total size limit.`
+    };
+    const choice = await showWarningMessage(messages[event.limit], {
+        modal: true,
+        detail: 'Continue reads all files over this limit in full. Skip puts a placeholder with their size in their place.'
+    }, 'Continue', 'Skip');
+    return choice ? choice.toLowerCase() : 'cancel';
+};
+
+/**
+ * Tells the user which files were skipped or shortened because of the extraction limits
+ * @param {Object[]} fileEntries Extracted file entries
+ */
+const reportLimitedFiles = async (fileEntries) => {
+    const lines = describeLimitedFiles(fileEntries);
+    if (lines.length === 0) {
+        return;
+    }
+
+    console.log('Extraction limits report:', lines);
+    const choice = await showWarningMessage(`${lines.length} file(s) skipped or shortened by the extraction limits.`, 'Show Details');
+    if (choice === 'Show Details') {
+        showReport('Extraction limits', lines);
+    }
+};
+
+/**
+ * Tells the user about secrets that were masked and, if requested, asks before the content is copied
+ * @param {Object[]} findings Findings returned by redactFileEntries
+ * @param {boolean} confirm Whether to block until the user agrees to copy
+ * @returns {Promise<boolean>} True if the content may be copied
+ */
+const confirmSecretFindings = async (findings, confirm) => {
+    if (!findings || findings.length === 0) {
+        return true;
+    }
+
+    const lines = describeSecretFindings(findings);
+    const fileCount = new Set(findings.map(finding => finding.relativePath)).size;
+    const message = `Masked ${findings.length} possible secret(s) in ${fileCount} file(s).`;
+    console.log('Secret scan report:', lines);
+
+    if (!confirm) {
+        showWarningMessage(message, 'Show Details').then(choice => {
+            if (choice === 'Show Details') showReport('Masked secrets', lines);
+        });
+        return true;
+    }
+
+    for (;;) {
+        const choice = await showWarningMessage(`${message} Copy the masked content anyway?`, { modal: true }, 'Copy', 'Show Details');
+        if (choice !== 'Show Details') return choice === 'Copy';
+        showReport('Masked secrets', lines);
+    }
 };
 
 /**
  * Formats the final content string
  * @param {Object} combinedResult The combined result object
  * @param {string} basePath The common base path
+ * @param {string} [outputFormat] One of 'plain', 'markdown', 'xml' or 'json'
  * @returns {string} The formatted content string
  */
-const formatFinalContent = (combinedResult, basePath) => {
-    const headerContent = createHeader(combinedResult.fileTypes);
-    const folderStructureOutput = `\n${basePath}\n${combinedResult.folderStructure}`;
-    return `${headerContent}\n\nFolder Structure:${folderStructureOutput}\n\nFile Contents:\n${combinedResult.fileContents}`;
+const formatFinalContent = (combinedResult, basePath, outputFormat) => {
+    return formatOutput(combinedResult, basePath, outputFormat);
 };
 
-module.exports = { extractCode };
+module.exports = { extractCode, excludeFromExtraction, confirmSecretFindings, confirmLimit, reportLimitedFiles, reportTokenBudget, formatFinalContent };
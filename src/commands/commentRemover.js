@@ -1,271 +1,208 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs').promises;
-const { showInfoMessage, showErrorMessage } = require('../services/vscodeServices');
-const tiktoken = require('tiktoken');
-const { checkIsIgnored } = require('../core/ignoreHelper');
-const { findCommonBasePath } = require('../core/utils');
+const { showInfoMessage, showErrorMessage, withProgress } = require('../services/vscodeServices');
+const { collectCommentRemovals, summarizeCommentRemovals, removeCommentsFromContent } = require('../core/commentRemoval');
+const { CancelledError, describeProgress } = require('../core/concurrency');
 
-/**
- * Removes comments from selected files/folders
- * @param {vscode.Uri[]} uris Selected URIs
- * @param {string[]} ignorePatterns Patterns of files/folders to ignore
- * @returns {Promise<void>}
- */
-const removeComments = async (uris, ignorePatterns = []) => {
-    if (!Array.isArray(uris) || uris.length === 0) return;
+const PREVIEW_SCHEME = 'syntax-extractor-preview';
+const EDIT_LABEL = 'Remove comments';
 
-    try {
-        let filesProcessed = 0;
-        let totalCharactersRemoved = 0;
-        let totalTokensRemoved = 0;
-        const encoder = tiktoken.get_encoding("cl100k_base");
-        
-        // Determine the common base path for relative path calculations
-        const selectedPaths = uris.map(uri => uri.fsPath);
-        const basePath = findCommonBasePath(selectedPaths);
-        console.log('Base path for ignore checks:', basePath);
-        console.log('Using ignore patterns:', ignorePatterns);
+// Cleaned contents served to the diff views, keyed by file path
+const previewContents = new Map();
 
-        for (const uri of uris) {
-            const stats = await vscode.workspace.fs.stat(uri);
-            const relativePath = path.relative(basePath, uri.fsPath);
-            const fileName = path.basename(uri.fsPath);
-            
-            // Check if this URI should be ignored
-            if (relativePath && checkIsIgnored(
-                relativePath,
-                fileName,
-                stats.type === vscode.FileType.Directory,
-                ignorePatterns
-            )) {
-                console.log(`Ignoring selected item: ${relativePath}`);
-                continue;
-            }
-            
-            if (stats.type === vscode.FileType.Directory) {
-                const result = await processDirectory(uri.fsPath, encoder, basePath, ignorePatterns);
-                filesProcessed += result.filesProcessed;
-                totalCharactersRemoved += result.charactersRemoved;
-                totalTokensRemoved += result.tokensRemoved;
-            } else if (stats.type === vscode.FileType.File) {
-                const result = await processFile(uri.fsPath, encoder, basePath, ignorePatterns);
-                if (result.processed) {
-                    filesProcessed++;
-                    totalCharactersRemoved += result.charactersRemoved;
-                    totalTokensRemoved += result.tokensRemoved;
-                }
-            }
-        }
+/**
+ * Registers the provider of the read-only documents shown on the right side of the preview diffs
+ * @returns {vscode.Disposable} The registration
+ */
+const registerCommentPreviewProvider = () => vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+    provideTextDocumentContent: (uri) => previewContents.get(uri.fsPath) || ''
+});
 
-        encoder.free();
-        
-        if (filesProcessed > 0) {
-            showInfoMessage(
-                `Removed ${totalCharactersRemoved} chars (${totalTokensRemoved} tokens) from ${filesProcessed} files`
-            );
-        } else {
-            showInfoMessage('No comments found to remove');
-        }
-    } catch (error) {
-        console.error('Error in removeComments:', error);
-        showErrorMessage(`An error occurred: ${error.message}`);
-    }
+/**
+ * Finds the open document of a file
+ * @param {string} filePath Absolute path of the file
+ * @returns {vscode.TextDocument|undefined} The document, if the file is open
+ */
+const findOpenDocument = (filePath) => {
+    return vscode.workspace.textDocuments.find(doc => doc.uri.scheme === 'file' && doc.uri.fsPath === filePath);
 };
 
 /**
- * Processes a directory for comment removal with ignore pattern support
- * @param {string} dirPath Path to the directory
- * @param {Object} encoder Tiktoken encoder instance
- * @param {string} basePath Base path for relative path calculations
- * @param {string[]} ignorePatterns Patterns of files/folders to ignore
- * @returns {Object} Processing results
+ * Reads a file the way the user currently sees it: from its open editor, including unsaved changes, or from disk
+ * @param {string} filePath Absolute path of the file
+ * @returns {Promise<string>} The file content
  */
-const processDirectory = async (dirPath, encoder, basePath, ignorePatterns = []) => {
-    try {
-        const entries = await fs.readdir(dirPath, { withFileTypes: true });
-        let filesProcessed = 0;
-        let charactersRemoved = 0;
-        let tokensRemoved = 0;
-
-        for (const entry of entries) {
-            const fullPath = path.join(dirPath, entry.name);
-            const relativePath = path.relative(basePath, fullPath);
-            
-            // Check if this entry should be ignored
-            if (checkIsIgnored(
-                relativePath,
-                entry.name,
-                entry.isDirectory(),
-                ignorePatterns
-            )) {
-                console.log(`Ignoring: ${relativePath}`);
-                continue;
-            }
-            
-            if (entry.isDirectory()) {
-                const result = await processDirectory(fullPath, encoder, basePath, ignorePatterns);
-                filesProcessed += result.filesProcessed;
-                charactersRemoved += result.charactersRemoved;
-                tokensRemoved += result.tokensRemoved;
-            } else if (entry.isFile()) {
-                const result = await processFile(fullPath, encoder, basePath, ignorePatterns);
-                if (result.processed) {
-                    filesProcessed++;
-                    charactersRemoved += result.charactersRemoved;
-                    tokensRemoved += result.tokensRemoved;
-                }
-            }
-        }
-
-        return { filesProcessed, charactersRemoved, tokensRemoved };
-    } catch (error) {
-        console.error(`Error processing directory ${dirPath}:`, error);
-        return { filesProcessed: 0, charactersRemoved: 0, tokensRemoved: 0 };
-    }
+const readCurrentContent = async (filePath) => {
+    const document = findOpenDocument(filePath);
+    return document ? document.getText() : fs.readFile(filePath, 'utf8');
 };
 
 /**
- * Processes a file for comment removal with ignore pattern support
- * @param {string} filePath Path to the file
- * @param {Object} encoder Tiktoken encoder instance
- * @param {string} basePath Base path for relative path calculations
- * @param {string[]} ignorePatterns Patterns of files to ignore
- * @returns {Object} Processing results
+ * Gets the language identifier of a file that is open in an editor
+ * @param {string} filePath Absolute path of the file
+ * @returns {string|undefined} The language identifier
  */
-const processFile = async (filePath, encoder, basePath, ignorePatterns = []) => {
-    try {
-        const ext = path.extname(filePath).toLowerCase();
-        const relativePath = path.relative(basePath, filePath);
-        const fileName = path.basename(filePath);
-        
-        console.log(`Processing file: ${relativePath} with extension: ${ext}`);
-        
-        // Check if this file should be ignored
-        if (checkIsIgnored(relativePath, fileName, false, ignorePatterns)) {
-            console.log(`Ignoring file: ${relativePath}`);
-            return { processed: false, charactersRemoved: 0, tokensRemoved: 0 };
-        }
-        
-        if (!isSupportedFileType(ext)) {
-            console.log(`File type ${ext} not supported`);
-            return { processed: false, charactersRemoved: 0, tokensRemoved: 0 };
-        }
-
-        const content = await fs.readFile(filePath, 'utf8');
-        const originalLength = content.length;
-        const originalTokens = encoder.encode(content).length;
-        
-        const cleanedContent = removeCommentsFromContent(content, ext);
-        const newLength = cleanedContent.length;
-        const newTokens = encoder.encode(cleanedContent).length;
-        
-        if (content !== cleanedContent) {
-            console.log(`Changes detected, saving file: ${relativePath}`);
-            await fs.writeFile(filePath, cleanedContent, 'utf8');
-            return {
-                processed: true,
-                charactersRemoved: originalLength - newLength,
-                tokensRemoved: originalTokens - newTokens
-            };
-        }
-        
-        console.log(`No changes needed for file: ${relativePath}`);
-        return { processed: false, charactersRemoved: 0, tokensRemoved: 0 };
-    } catch (error) {
-        console.error(`Error processing file ${filePath}:`, error);
-        return { processed: false, charactersRemoved: 0, tokensRemoved: 0 };
-    }
+const getOpenLanguageId = (filePath) => {
+    const document = findOpenDocument(filePath);
+    return document ? document.languageId : undefined;
 };
 
-const isSupportedFileType = (ext) => {
-    return Object.prototype.hasOwnProperty.call(COMMENT_PATTERNS, ext);
+/**
+ * Opens a diff of a file against its content without comments
+ * @param {Object} change Change returned by collectCommentRemovals
+ * @param {boolean} [preserveFocus] Keep the focus where it is, e.g. on the quick pick
+ * @returns {Thenable<unknown>}
+ */
+const showChangeDiff = (change, preserveFocus = false) => {
+    previewContents.set(change.path, change.cleaned);
+    const fileUri = vscode.Uri.file(change.path);
+    return vscode.commands.executeCommand(
+        'vscode.diff',
+        fileUri,
+        fileUri.with({ scheme: PREVIEW_SCHEME }),
+        `${path.basename(change.path)} (Comments Removed)`,
+        { preview: true, preserveFocus }
+    );
 };
 
-const COMMENT_PATTERNS = {
-    '.js': { single: '//', multi: ['/*', '*/'] },
-    '.jsx': { single: '//', multi: ['/*', '*/'] },
-    '.ts': { single: '//', multi: ['/*', '*/'] },
-    '.tsx': { single: '//', multi: ['/*', '*/'] },
-    '.py': { single: '#', multi: ['"""', '"""', "'''", "'''"] },
-    '.java': { single: '//', multi: ['/*', '*/'] },
-    '.c': { single: '//', multi: ['/*', '*/'] },
-    '.cpp': { single: '//', multi: ['/*', '*/'] },
-    '.h': { single: '//', multi: ['/*', '*/'] },
-    '.hpp': { single: '//', multi: ['/*', '*/'] },
-    '.cs': { single: '//', multi: ['/*', '*/'] },
-    '.go': { single: '//', multi: ['/*', '*/'] },
-    '.rb': { single: '#', multi: ['=begin', '=end'] },
-    '.php': { single: '//', multi: ['/*', '*/'] },
-    '.swift': { single: '//', multi: ['/*', '*/'] },
-    '.rs': { single: '//', multi: ['/*', '*/'] },
-    '.kt': { single: '//', multi: ['/*', '*/'] },
-    '.kts': { single: '//', multi: ['/*', '*/'] },
-    '.scala': { single: '//', multi: ['/*', '*/'] },
-    '.html': { multi: ['<!--', '-->'] },
-    '.htm': { multi: ['<!--', '-->'] },
-    '.xml': { multi: ['<!--', '-->'] },
-    '.svg': { multi: ['<!--', '-->'] },
-    '.vue': { single: '//', multi: ['<!--', '-->', '/*', '*/'] },
-    '.css': { multi: ['/*', '*/'] },
-    '.scss': { single: '//', multi: ['/*', '*/'] },
-    '.less': { single: '//', multi: ['/*', '*/'] }
-};
+/**
+ * Lets the user review the changes and choose the files to apply them to
+ * @param {Object[]} changes Changes returned by collectCommentRemovals
+ * @returns {Promise<Object[]|undefined>} The accepted changes, or undefined if cancelled
+ */
+const pickChanges = (changes) => new Promise(resolve => {
+    const quickPick = vscode.window.createQuickPick();
+    const diffButton = { iconPath: new vscode.ThemeIcon('diff'), tooltip: 'Show Diff' };
+    const totals = summarizeCommentRemovals(changes);
+
+    quickPick.title = `Remove Comments: -${totals.charactersRemoved} chars, -${totals.tokensRemoved} tokens in ${totals.filesProcessed} files`;
+    quickPick.placeholder = 'Select the files to remove comments from, moving through the list shows their diffs';
+    quickPick.canSelectMany = true;
+    quickPick.ignoreFocusOut = true;
+    quickPick.matchOnDescription = true;
+    quickPick.items = changes.map(change => ({
+        label: change.relativePath,
+        description: `-${change.charactersRemoved} chars, -${change.tokensRemoved} tokens`,
+        buttons: [diffButton],
+        change
+    }));
+    quickPick.selectedItems = quickPick.items;
+
+    let accepted;
+    quickPick.onDidTriggerItemButton(event => showChangeDiff(event.item.change));
+    quickPick.onDidChangeActive(items => {
+        if (items.length > 0) showChangeDiff(items[0].change, true);
+    });
+    quickPick.onDidAccept(() => {
+        accepted = quickPick.selectedItems.map(item => item.change);
+        quickPick.hide();
+    });
+    quickPick.onDidHide(() => {
+        quickPick.dispose();
+        resolve(accepted);
+    });
+    quickPick.show();
+});
 
-const removeCommentsFromContent = (content, ext) => {
-    const patterns = COMMENT_PATTERNS[ext];
-    if (!patterns) return content;
+/**
+ * Applies the changes as a single workspace edit, so they can be undone in the editor, and saves the
+ * files that had no unsaved changes before
+ * @param {Object[]} changes Accepted changes
+ * @param {Object} options Removal options with the preservation rules and language registry
+ * @returns {Promise<Object[]>} The changes that were applied
+ */
+const applyChanges = async (changes, options) => {
+    const edit = new vscode.WorkspaceEdit();
+    const applied = [];
+    const documentsToSave = [];
+
+    for (const change of changes) {
+        const document = await vscode.workspace.openTextDocument(vscode.Uri.file(change.path));
+        const content = document.getText();
+
+        // The file may have been edited while the preview was open
+        const cleaned = content === change.original
+            ? change.cleaned
+            : removeCommentsFromContent(content, change.path, {
+                preservation: options.preservation,
+                languages: options.languages,
+                languageId: document.languageId
+            });
+        if (cleaned === content) continue;
+
+        edit.replace(
+            document.uri,
+            new vscode.Range(document.positionAt(0), document.positionAt(content.length)),
+            cleaned,
+            { label: EDIT_LABEL, needsConfirmation: false }
+        );
+        applied.push(change);
+        if (!document.isDirty) documentsToSave.push(document);
+    }
 
-    let result = content;
+    if (applied.length === 0) return [];
+    if (!await vscode.workspace.applyEdit(edit)) {
+        throw new Error('The editor rejected the changes');
+    }
+    for (const document of documentsToSave) {
+        await document.save();
+    }
+    return applied;
+};
 
-    // Special handling for HTML files which may contain JS and CSS
-    if (ext === '.html' || ext === '.htm') {
-        // Process different sections separately
-        result = result.replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (match, openTag, content, closeTag) => {
-            // Remove JS-style comments from script tags
-            let cleaned = content.replace(/\/\/.*$/gm, '')  // Single-line JS comments
-                                .replace(/\/\*[\s\S]*?\*\//g, ''); // Multi-line JS comments
-            return openTag + cleaned + closeTag;
-        });
+/**
+ * Removes comments from selected files/folders after the user has reviewed the changes
+ * @param {vscode.Uri[]} uris Selected URIs
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Removal options
+ * @param {Object} [options.gitignore] Git ignore sources to honour ({ useGitignore, useGitInfoExclude })
+ * @param {Object} [options.preservation] Comments to keep, from getPreservationRules
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @returns {Promise<void>}
+ */
+const removeComments = async (uris, ignorePatterns = [], options = {}) => {
+    if (!Array.isArray(uris) || uris.length === 0) return;
 
-        result = result.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, (match, openTag, content, closeTag) => {
-            // Remove CSS-style comments from style tags
-            let cleaned = content.replace(/\/\*[\s\S]*?\*\//g, ''); // CSS comments
-            return openTag + cleaned + closeTag;
-        });
+    try {
+        const changes = await withProgress('Finding comments', (report, token) => (
+            collectCommentRemovals(uris.map(uri => uri.fsPath), ignorePatterns, {
+                ...options,
+                readContent: readCurrentContent,
+                getLanguageId: getOpenLanguageId,
+                onProgress: progress => report(describeProgress(progress)),
+                token
+            })
+        ));
+        if (changes.length === 0) {
+            showInfoMessage('No comments found to remove');
+            return;
+        }
 
-        // Remove HTML comments last
-        result = result.replace(/<!--[\s\S]*?-->/g, '');
-    } else {
-        // Normal processing for non-HTML files
-        // Remove single-line comments
-        if (patterns.single) {
-            const singleLineRegex = new RegExp(`${escapeRegExp(patterns.single)}.*$`, 'gm');
-            result = result.replace(singleLineRegex, '');
+        const accepted = await pickChanges(changes);
+        if (!accepted || accepted.length === 0) {
+            console.log('Comment removal cancelled by user');
+            return;
         }
 
-        // Remove multi-line comments
-        if (patterns.multi) {
-            for (let i = 0; i < patterns.multi.length; i += 2) {
-                const start = escapeRegExp(patterns.multi[i]);
-                const end = escapeRegExp(patterns.multi[i + 1]);
-                const multiLineRegex = new RegExp(`${start}[\\s\\S]*?${end}`, 'g');
-                result = result.replace(multiLineRegex, '');
-            }
+        const totals = summarizeCommentRemovals(await applyChanges(accepted, options));
+        if (totals.filesProcessed > 0) {
+            showInfoMessage(
+                `Removed ${totals.charactersRemoved} chars (${totals.tokensRemoved} tokens) from ${totals.filesProcessed} files. Use Undo in an editor to restore them.`
+            );
+        } else {
+            showInfoMessage('No comments found to remove');
         }
+    } catch (error) {
+        if (error instanceof CancelledError) {
+            console.log('Comment removal cancelled by user');
+            return;
+        }
+        console.error('Error in removeComments:', error);
+        showErrorMessage(`An error occurred: ${error.message}`);
+    } finally {
+        previewContents.clear();
     }
-
-    // Clean up whitespace
-    result = result.replace(/^\s*[\r\n]/gm, '')         // Remove empty lines
-                  .replace(/\s+$/gm, '')                // Remove trailing whitespace
-                  .replace(/[\r\n]{3,}/g, '\n\n')      // Reduce multiple blank lines to max two
-                  .replace(/[ \t]+$/gm, '');           // Remove trailing spaces/tabs
-
-    return result;
-};
-
-const escapeRegExp = (string) => {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
-module.exports = { removeComments }; 
\ No newline at end of file
+module.exports = { removeComments, registerCommentPreviewProvider };
@@ -0,0 +1,217 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { extractDocuments } = require('../core/extraction');
+const { CancelledError } = require('../core/concurrency');
+const { writeToClipboard, showInfoMessage, showWarningMessage, showErrorMessage } = require('../services/vscodeServices');
+const { confirmSecretFindings, confirmLimit, reportLimitedFiles, reportTokenBudget } = require('./codeExtractor');
+
+// Sources of an extraction besides files and folders selected in the explorer
+const EDITOR_SOURCES = {
+    openEditors: { label: 'Open Editors', description: 'all open editors' },
+    tabGroup: { label: 'Current Tab Group', description: 'the editors of the current tab group' },
+    selection: { label: 'Selection', description: 'the selected lines of the active editor' },
+    searchResults: { label: 'Search Results', description: 'the files in the search results' }
+};
+
+// Separator VS Code puts between the folder name and the path in multi-root workspaces
+const ROOT_SEPARATOR = ' • ';
+
+/**
+ * Reads a file the way the user currently sees it, if it is open in an editor with unsaved changes
+ * @param {string} filePath Absolute path of the file
+ * @returns {string|undefined} The editor text, or undefined to read the file from disk
+ */
+const readUnsavedContent = (filePath) => {
+    const document = vscode.workspace.textDocuments.find(doc => doc.uri.scheme === 'file' && doc.uri.fsPath === filePath);
+    return document && document.isDirty ? document.getText() : undefined;
+};
+
+/**
+ * Gets the files shown in editor tabs; diff tabs count with their modified side
+ * @param {readonly vscode.Tab[]} tabs The tabs
+ * @returns {vscode.Uri[]} File URIs in tab order, without duplicates
+ */
+const getTabUris = (tabs) => {
+    const uris = tabs
+        .map(tab => {
+            if (tab.input instanceof vscode.TabInputText) return tab.input.uri;
+            if (tab.input instanceof vscode.TabInputTextDiff) return tab.input.modified;
+            return undefined;
+        })
+        .filter(uri => uri && uri.scheme === 'file');
+    return uris.filter((uri, index) => uris.findIndex(other => other.fsPath === uri.fsPath) === index);
+};
+
+/**
+ * Gets the files listed in the Search view. There is no API for search results, so they are copied
+ * with the view's Copy All command and read back from the clipboard, which is restored afterwards.
+ * @returns {Promise<vscode.Uri[]>} File URIs in result order
+ */
+const getSearchResultUris = async () => {
+    const previousClipboard = await vscode.env.clipboard.readText();
+    let results;
+    try {
+        await vscode.env.clipboard.writeText('');
+        await vscode.commands.executeCommand('search.action.copyAll');
+        results = await vscode.env.clipboard.readText();
+    } finally {
+        await vscode.env.clipboard.writeText(previousClipboard);
+    }
+
+    // Files are listed unindented, each followed by its indented matches
+    const folders = vscode.workspace.workspaceFolders || [];
+    return results.split(/\r?\n/)
+        .filter(line => line.trim() && !/^\s/.test(line))
+        .map(label => {
+            if (path.isAbsolute(label)) return label;
+            const separator = label.indexOf(ROOT_SEPARATOR);
+            const namedFolder = separator > 0 ? folders.find(folder => folder.name === label.slice(0, separator)) : undefined;
+            if (namedFolder) return path.join(namedFolder.uri.fsPath, label.slice(separator + ROOT_SEPARATOR.length));
+            return folders.map(folder => path.join(folder.uri.fsPath, label)).find(candidate => fs.existsSync(candidate));
+        })
+        .filter(filePath => filePath && fs.existsSync(filePath))
+        .map(filePath => vscode.Uri.file(filePath));
+};
+
+/**
+ * Reads the documents of some files, including unsaved changes
+ * @param {vscode.Uri[]} uris The files
+ * @returns {Promise<Object[]>} Documents for extractDocuments; files that cannot be opened as text are left out
+ */
+const readDocuments = async (uris) => {
+    const documents = [];
+    for (const uri of uris) {
+        try {
+            const document = await vscode.workspace.openTextDocument(uri);
+            documents.push({ path: uri.fsPath, content: document.getText(), languageId: document.languageId });
+        } catch (error) {
+            console.log(`Leaving out ${uri.fsPath}: ${error.message}`);
+        }
+    }
+    return documents;
+};
+
+/**
+ * Gets the selected lines of an editor, one document per selection, whole lines from the first to the last selected line
+ * @param {vscode.TextEditor} editor The editor
+ * @returns {Object[]} Documents for extractDocuments, with their line ranges
+ */
+const getSelectionDocuments = (editor) => {
+    const { document } = editor;
+    return editor.selections
+        .filter(selection => !selection.isEmpty)
+        .sort((a, b) => a.start.line - b.start.line)
+        .map(selection => {
+            // A selection that ends at the start of a line does not include that line
+            const endLine = selection.end.character === 0 && selection.end.line > selection.start.line
+                ? selection.end.line - 1
+                : selection.end.line;
+            const range = new vscode.Range(selection.start.line, 0, endLine, document.lineAt(endLine).range.end.character);
+            return {
+                path: document.uri.fsPath,
+                content: document.getText(range),
+                languageId: document.languageId,
+                lineRange: { start: selection.start.line + 1, end: endLine + 1, total: document.lineCount }
+            };
+        });
+};
+
+/**
+ * Collects the documents of an editor source
+ * @param {string} source One of EDITOR_SOURCES
+ * @returns {Promise<Object[]|null>} The documents, or null after telling the user why there are none
+ */
+const collectDocuments = async (source) => {
+    switch (source) {
+        case 'openEditors':
+        case 'tabGroup': {
+            const tabs = source === 'openEditors'
+                ? vscode.window.tabGroups.all.flatMap(group => group.tabs)
+                : vscode.window.tabGroups.activeTabGroup.tabs;
+            const uris = getTabUris(tabs);
+            if (uris.length === 0) {
+                showWarningMessage(`No files are open in ${source === 'openEditors' ? 'the editor' : 'the current tab group'}.`);
+                return null;
+            }
+            return readDocuments(uris);
+        }
+        case 'selection': {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.document.uri.scheme !== 'file') {
+                showWarningMessage('Open a file and select the lines to extract.');
+                return null;
+            }
+            const documents = getSelectionDocuments(editor);
+            if (documents.length === 0) {
+                showWarningMessage('Select the lines to extract in the editor first.');
+                return null;
+            }
+            return documents;
+        }
+        case 'searchResults': {
+            const uris = await getSearchResultUris();
+            if (uris.length === 0) {
+                showWarningMessage('No search results to extract. Run a search in the Search view first.');
+                return null;
+            }
+            return readDocuments(uris);
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Extracts open editors, the current tab group, the selection or the search results, with unsaved changes
+ * @param {string} source One of EDITOR_SOURCES
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Extraction options, see extractDocuments
+ * @param {boolean} [options.confirmSecrets] Ask before copying content in which secrets were masked
+ * @returns {Promise<Object|null>} The extraction (content, result, basePath, outputFormat, secrets, description), or null on failure or cancellation
+ */
+const extractEditors = async (source, ignorePatterns = [], options = {}) => {
+    try {
+        const documents = await collectDocuments(source);
+        if (!documents) return null;
+
+        const { budget, ...extraction } = await extractDocuments(documents, ignorePatterns, { onLimit: confirmLimit, ...options });
+        if (extraction.result.fileEntries.length === 0) {
+            showInfoMessage(`All files of ${EDITOR_SOURCES[source].description} are ignored.`);
+            return null;
+        }
+        reportLimitedFiles(extraction.result.fileEntries);
+        if (budget) {
+            reportTokenBudget(budget, options.maxTokens);
+        }
+        if (!await confirmSecretFindings(extraction.secrets, options.confirmSecrets)) {
+            return null;
+        }
+
+        await writeToClipboard(extraction.content);
+        return { ...extraction, description: EDITOR_SOURCES[source].description };
+    } catch (error) {
+        if (error instanceof CancelledError) {
+            console.log(`Extraction stopped: ${error.message}`);
+            return null;
+        }
+        console.error('Error in extractEditors:', error);
+        showErrorMessage(`An error occurred: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Asks what to extract when an extraction command is run without an explorer selection, e.g. from the command palette
+ * @returns {Promise<string|undefined>} One of EDITOR_SOURCES, 'workspace' for the workspace folders, or undefined if cancelled
+ */
+const pickExtractionSource = async () => {
+    const items = Object.entries(EDITOR_SOURCES).map(([source, item]) => ({ label: item.label, description: item.description, source }));
+    if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+        items.push({ label: 'Workspace', description: 'all workspace folders', source: 'workspace' });
+    }
+    const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Nothing is selected in the explorer. What should be extracted?' });
+    return picked ? picked.source : undefined;
+};
+
+module.exports = { EDITOR_SOURCES, readUnsavedContent, extractEditors, pickExtractionSource };
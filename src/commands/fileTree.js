@@ -0,0 +1,356 @@
+const vscode = require('vscode');
+const fs = require('fs').promises;
+const path = require('path');
+const { scanFileTree, formatTokenEstimate, createExclusionCheck, replaceFolder } = require('../core/fileTree');
+const { getEffectiveIgnorePatterns, getEffectiveIncludePatterns, getGitignoreSettings } = require('../core/ignoreHelper');
+const { CancelledError } = require('../core/concurrency');
+
+const VIEW_ID = 'syntaxExtractorFiles';
+// Checked paths are kept per workspace, so they survive restarts
+const CHECKED_PATHS_KEY = 'fileTree.checkedPaths';
+// Created and deleted files are collected for this long before the folders holding them are scanned again
+const REFRESH_DELAY_MS = 1000;
+
+/**
+ * Checks if a path is a folder's path or lies below it
+ * @param {string} itemPath The path
+ * @param {string} folderPath The folder's path
+ * @returns {boolean} True if the path is the folder or inside it
+ */
+const isWithin = (itemPath, folderPath) => itemPath === folderPath || itemPath.startsWith(folderPath + path.sep);
+
+/**
+ * Creates the file picker in the Syntax Extractor view: the workspace files an extraction would contain,
+ * with checkboxes and token estimates. Checking a folder checks everything in it, including files added later.
+ * @param {vscode.ExtensionContext} context The extension context
+ * @returns {Object} The tree: getCheckedUris(), clearChecked(), copyCheckedPaths() and refresh()
+ */
+const createFileTree = (context) => {
+    const changeEmitter = new vscode.EventEmitter();
+    let checkedPaths = new Set(context.workspaceState.get(CHECKED_PATHS_KEY, []));
+    let roots = [];
+    let scanning = null;
+    let refreshTimer = null;
+    let updateTimer = null;
+    let cancelScan = null;
+    // Paths created or deleted since the last update of the tree
+    let changedPaths = new Set();
+    let updating = Promise.resolve();
+    // A hidden view is only marked out of date, so file changes do not rescan the workspace in the background
+    let stale = true;
+
+    const saveChecked = () => context.workspaceState.update(CHECKED_PATHS_KEY, [...checkedPaths]);
+
+    /**
+     * Finds the checked path that covers a node: its own or that of a folder above it
+     */
+    const findCheckedAncestor = (nodePath) => [...checkedPaths].find(checkedPath => isWithin(nodePath, checkedPath));
+
+    /**
+     * Finds the chain of nodes from a root down to the node with the given path
+     */
+    const findChain = (nodePath) => {
+        for (const root of roots) {
+            const chain = [root];
+            while (chain[chain.length - 1].path !== nodePath) {
+                const next = (chain[chain.length - 1].children || []).find(child => isWithin(nodePath, child.path));
+                if (!next) break;
+                chain.push(next);
+            }
+            if (chain[chain.length - 1].path === nodePath) return chain;
+        }
+        return null;
+    };
+
+    /**
+     * Checks or unchecks a node. Unchecking something inside a checked folder replaces the folder's check
+     * with checks of everything else in it.
+     */
+    const setChecked = (node, checked) => {
+        if (checked) {
+            checkedPaths = new Set([...checkedPaths].filter(checkedPath => !isWithin(checkedPath, node.path)));
+            checkedPaths.add(node.path);
+            return;
+        }
+
+        const ancestor = findCheckedAncestor(node.path);
+        checkedPaths = new Set([...checkedPaths].filter(checkedPath => !isWithin(checkedPath, node.path)));
+        if (!ancestor || ancestor === node.path) return;
+
+        checkedPaths.delete(ancestor);
+        const chain = findChain(node.path) || [];
+        const start = chain.findIndex(item => item.path === ancestor);
+        for (let i = start; i >= 0 && i < chain.length - 1; i++) {
+            chain[i].children
+                .filter(child => child !== chain[i + 1])
+                .forEach(child => checkedPaths.add(child.path));
+        }
+    };
+
+    const treeDataProvider = {
+        onDidChangeTreeData: changeEmitter.event,
+        getChildren: async (node) => {
+            if (node) return node.children || [];
+            if (scanning) await scanning;
+            // A single workspace folder is shown without its own node, like the explorer does
+            return roots.length === 1 ? roots[0].children : roots;
+        },
+        getParent: (node) => {
+            const chain = findChain(node.path);
+            return chain && chain.length > 1 && !(roots.length === 1 && chain.length === 2) ? chain[chain.length - 2] : undefined;
+        },
+        getTreeItem: (node) => {
+            const item = new vscode.TreeItem(
+                vscode.Uri.file(node.path),
+                node.isDirectory ? vscode.TreeItemCollapsibleState.Collapsed : vscode.TreeItemCollapsibleState.None
+            );
+            item.id = node.path;
+            item.label = node.name;
+            item.description = formatTokenEstimate(node.estimatedTokens);
+            item.tooltip = node.isDirectory
+                ? `${node.fileCount} file${node.fileCount === 1 ? '' : 's'}, ${formatTokenEstimate(node.estimatedTokens)}`
+                : formatTokenEstimate(node.estimatedTokens);
+            item.checkboxState = findCheckedAncestor(node.path)
+                ? vscode.TreeItemCheckboxState.Checked
+                : vscode.TreeItemCheckboxState.Unchecked;
+            item.contextValue = node.isDirectory ? 'folder' : 'file';
+            if (!node.isDirectory) {
+                item.command = { command: 'vscode.open', title: 'Open File', arguments: [vscode.Uri.file(node.path)] };
+            }
+            return item;
+        }
+    };
+
+    const treeView = vscode.window.createTreeView(VIEW_ID, {
+        treeDataProvider,
+        manageCheckboxStateManually: true,
+        canSelectMany: true
+    });
+
+    /**
+     * Shows how much is checked next to the view title
+     */
+    const updateSummary = () => {
+        const checkedNodes = [...checkedPaths].map(checkedPath => findChain(checkedPath)).filter(chain => chain).map(chain => chain[chain.length - 1]);
+        const fileCount = checkedNodes.reduce((sum, node) => sum + node.fileCount, 0);
+        const tokens = checkedNodes.reduce((sum, node) => sum + node.estimatedTokens, 0);
+        treeView.description = fileCount > 0 ? `${fileCount} file${fileCount === 1 ? '' : 's'}, ${formatTokenEstimate(tokens)}` : '';
+    };
+
+    /**
+     * Scans the workspace folders again and drops checks of paths that no longer appear in the tree
+     * @returns {Promise<void>}
+     */
+    const refresh = () => {
+        stale = false;
+        // The full scan covers the collected changes
+        clearTimeout(updateTimer);
+        changedPaths = new Set();
+        if (cancelScan) cancelScan.cancel();
+        const cancellation = new vscode.CancellationTokenSource();
+        cancelScan = cancellation;
+
+        const folders = vscode.workspace.workspaceFolders || [];
+        // Each workspace folder may have its own ignore settings
+        const scan = Promise.all(folders.map(folder => {
+            const config = vscode.workspace.getConfiguration('syntaxExtractor', folder.uri);
+            return scanFileTree(folder.uri.fsPath, getEffectiveIgnorePatterns(config), {
+                gitignore: getGitignoreSettings(config),
+                includePatterns: getEffectiveIncludePatterns(config),
+                token: cancellation.token
+            });
+        })).then(scanned => {
+            roots = scanned;
+            roots.forEach((root, index) => { root.name = folders[index].name; });
+            const before = checkedPaths.size;
+            checkedPaths = new Set([...checkedPaths].filter(checkedPath => findChain(checkedPath)));
+            if (checkedPaths.size !== before) saveChecked();
+        }).catch(error => {
+            if (!(error instanceof CancelledError)) {
+                console.error('Error scanning the workspace for the file tree:', error);
+                vscode.window.showErrorMessage(`Could not list the workspace files: ${error.message}`);
+            }
+        }).finally(() => {
+            if (cancelScan !== cancellation) return;
+            cancelScan = null;
+            scanning = null;
+            updateSummary();
+            changeEmitter.fire();
+        });
+        scanning = scan;
+        return vscode.window.withProgress({ location: { viewId: VIEW_ID } }, () => scan);
+    };
+
+    const isFolderNode = (nodePath) => {
+        const chain = findChain(nodePath);
+        return Boolean(chain && chain[chain.length - 1].isDirectory);
+    };
+
+    const exists = (itemPath) => fs.access(itemPath).then(() => true, () => false);
+
+    /**
+     * Scans again only the folders holding the collected changes, leaving out changes under ignored paths
+     * @returns {Promise<void>}
+     */
+    const updateChangedFolders = async () => {
+        const changed = [...changedPaths];
+        changedPaths = new Set();
+        // A full scan under way may have read the folders before they changed
+        if (scanning) await scanning;
+        const cancellation = new vscode.CancellationTokenSource();
+        cancelScan = cancellation;
+
+        try {
+            const folders = vscode.workspace.workspaceFolders || [];
+            const checks = new Map();
+            // The nearest folder in the tree above each change, with its workspace folder
+            const targets = new Map();
+            for (const changedPath of changed) {
+                const folder = folders.find(item => isWithin(changedPath, item.uri.fsPath));
+                if (!folder || changedPath === folder.uri.fsPath || !roots.some(root => root.path === folder.uri.fsPath)) continue;
+                const config = vscode.workspace.getConfiguration('syntaxExtractor', folder.uri);
+                if (!checks.has(folder)) {
+                    checks.set(folder, createExclusionCheck(folder.uri.fsPath, getEffectiveIgnorePatterns(config), getGitignoreSettings(config)));
+                }
+                if (await checks.get(folder)(changedPath)) continue;
+
+                let folderPath = path.dirname(changedPath);
+                while (folderPath !== folder.uri.fsPath && !(isFolderNode(folderPath) && await exists(folderPath))) {
+                    folderPath = path.dirname(folderPath);
+                }
+                targets.set(folderPath, folder);
+            }
+
+            const outermost = [...targets].filter(([folderPath]) => ![...targets.keys()].some(other => other !== folderPath && isWithin(folderPath, other)));
+            for (const [folderPath, folder] of outermost) {
+                const config = vscode.workspace.getConfiguration('syntaxExtractor', folder.uri);
+                const scanned = await scanFileTree(folderPath, getEffectiveIgnorePatterns(config), {
+                    gitignore: getGitignoreSettings(config),
+                    includePatterns: getEffectiveIncludePatterns(config),
+                    token: cancellation.token,
+                    basePath: folder.uri.fsPath
+                });
+                const index = roots.findIndex(root => root.path === folder.uri.fsPath);
+                if (index === -1) continue;
+                if (folderPath === folder.uri.fsPath) {
+                    scanned.name = folder.name;
+                    roots[index] = scanned;
+                } else {
+                    replaceFolder(roots[index], scanned);
+                }
+            }
+            if (outermost.length === 0) return;
+
+            const before = checkedPaths.size;
+            checkedPaths = new Set([...checkedPaths].filter(checkedPath => findChain(checkedPath)));
+            if (checkedPaths.size !== before) saveChecked();
+            updateSummary();
+            changeEmitter.fire();
+        } catch (error) {
+            if (!(error instanceof CancelledError)) console.error('Error updating the file tree:', error);
+        } finally {
+            if (cancelScan === cancellation) cancelScan = null;
+        }
+    };
+
+    /**
+     * Collects a created or deleted path and updates the tree once changes stop coming in
+     * @param {vscode.Uri} uri The changed path
+     */
+    const onFileCreatedOrDeleted = (uri) => {
+        if (uri.scheme !== 'file') return;
+        if (!treeView.visible) {
+            stale = true;
+            return;
+        }
+        changedPaths.add(uri.fsPath);
+        clearTimeout(updateTimer);
+        updateTimer = setTimeout(() => {
+            updating = updating.then(updateChangedFolders);
+        }, REFRESH_DELAY_MS);
+    };
+
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        if (!treeView.visible) {
+            stale = true;
+            return;
+        }
+        refreshTimer = setTimeout(refresh, REFRESH_DELAY_MS);
+    };
+
+    // Edits of files do not change the tree, only their size, so only creations and deletions are watched;
+    // edits of .gitignore files change what the tree holds
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*', false, true, false);
+    const gitignoreWatcher = vscode.workspace.createFileSystemWatcher('**/.gitignore', true, false, true);
+    context.subscriptions.push(
+        treeView,
+        changeEmitter,
+        watcher,
+        gitignoreWatcher,
+        watcher.onDidCreate(onFileCreatedOrDeleted),
+        watcher.onDidDelete(onFileCreatedOrDeleted),
+        gitignoreWatcher.onDidChange(scheduleRefresh),
+        vscode.workspace.onDidChangeWorkspaceFolders(scheduleRefresh),
+        treeView.onDidChangeVisibility(event => {
+            if (event.visible && stale) refresh();
+        }),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            const keys = ['enableIgnoreProcessing', 'ignorePatterns', 'useDefaultIgnorePatterns', 'useGitignore', 'useGitInfoExclude', 'includePatterns'];
+            if (keys.some(key => event.affectsConfiguration(`syntaxExtractor.${key}`))) scheduleRefresh();
+        }),
+        treeView.onDidChangeCheckboxState(event => {
+            event.items.forEach(([node, state]) => setChecked(node, state === vscode.TreeItemCheckboxState.Checked));
+            saveChecked();
+            updateSummary();
+            changeEmitter.fire();
+        }),
+        {
+            dispose: () => {
+                clearTimeout(refreshTimer);
+                clearTimeout(updateTimer);
+            }
+        }
+    );
+    if (treeView.visible) refresh();
+
+    /**
+     * Gets the checked files and folders, for an extraction
+     * @returns {vscode.Uri[]} The checked paths, in tree order
+     */
+    const getCheckedUris = () => {
+        // Before the first scan the tree order is unknown
+        if (roots.length === 0) return [...checkedPaths].map(checkedPath => vscode.Uri.file(checkedPath));
+        const order = [];
+        const walk = (node) => {
+            if (checkedPaths.has(node.path)) order.push(node.path);
+            else (node.children || []).forEach(walk);
+        };
+        roots.forEach(walk);
+        return order.map(checkedPath => vscode.Uri.file(checkedPath));
+    };
+
+    /**
+     * Unchecks everything
+     */
+    const clearChecked = () => {
+        checkedPaths = new Set();
+        saveChecked();
+        updateSummary();
+        changeEmitter.fire();
+    };
+
+    /**
+     * Copies the workspace-relative paths of the checked files and folders, one per line
+     * @returns {Promise<number>} The number of paths copied
+     */
+    const copyCheckedPaths = async () => {
+        const paths = getCheckedUris().map(uri => vscode.workspace.asRelativePath(uri, (vscode.workspace.workspaceFolders || []).length > 1));
+        await vscode.env.clipboard.writeText(paths.join('\n'));
+        return paths.length;
+    };
+
+    return { getCheckedUris, clearChecked, copyCheckedPaths, refresh };
+};
+
+module.exports = { createFileTree };
@@ -0,0 +1,250 @@
+const vscode = require('vscode');
+const path = require('path');
+const { readFileEntries } = require('../core/fileTraversal');
+const { renderFolderStructure } = require('../core/folderStructure');
+const { getLanguageForFile, getFileType } = require('../core/languages');
+const { checkIsIgnored } = require('../core/ignoreHelper');
+const { getRepositoryRoot, listRefs, verifyRef, getChangedFiles, getFileDiffs } = require('../core/gitHelper');
+const { showInfoMessage, showErrorMessage, withProgress } = require('../services/vscodeServices');
+const { redactFileEntries } = require('../core/secrets');
+const { confirmSecretFindings, confirmLimit, reportLimitedFiles, reportTokenBudget, formatFinalContent } = require('./codeExtractor');
+const { enforceTokenBudget } = require('../core/extraction');
+const { createLimitTracker } = require('../core/limits');
+const { CancelledError, createProgressCounter, describeProgress } = require('../core/concurrency');
+
+const MODE_DESCRIPTIONS = {
+    working: 'working tree changes',
+    staged: 'staged changes',
+    ref: 'changes since'
+};
+
+/**
+ * Picks the workspace folder whose repository should be used: the active editor's folder,
+ * the only folder, or one chosen by the user
+ * @returns {Promise<vscode.WorkspaceFolder|undefined>} The folder, or undefined if none was chosen
+ */
+const pickWorkspaceFolder = async () => {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const activeEditor = vscode.window.activeTextEditor;
+    if (activeEditor) {
+        const activeFolder = vscode.workspace.getWorkspaceFolder(activeEditor.document.uri);
+        if (activeFolder) return activeFolder;
+    }
+    if (folders.length <= 1) return folders[0];
+    return vscode.window.showWorkspaceFolderPick({ placeHolder: 'Select the repository to extract changes from' });
+};
+
+/**
+ * Asks for the branch, tag or commit to compare HEAD against
+ * @param {string} root Repository root
+ * @returns {Promise<string|undefined>} The ref, or undefined if cancelled
+ */
+const pickRef = async (root) => {
+    const refs = await listRefs(root);
+    const customItem = { label: 'Enter a commit or ref...', custom: true };
+    const picked = await vscode.window.showQuickPick(
+        [...refs.map(ref => ({ label: ref })), customItem],
+        { placeHolder: 'Compare HEAD against branch, tag or commit' }
+    );
+    if (!picked) return undefined;
+    if (!picked.custom) return picked.label;
+
+    const input = await vscode.window.showInputBox({
+        prompt: 'Commit hash or ref to compare HEAD against',
+        validateInput: value => (value.trim()
+            ? verifyRef(root, value.trim()).then(() => undefined, error => error.message)
+            : undefined)
+    });
+    return input && input.trim() ? input.trim() : undefined;
+};
+
+/**
+ * Checks a changed file, and each folder it lives in, against the ignore patterns
+ * @param {string} relativePath Path relative to the repository root
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @returns {boolean} True if the file should be left out
+ */
+const isIgnoredChange = (relativePath, ignorePatterns) => {
+    const parts = relativePath.split(path.sep);
+    for (let i = 1; i < parts.length; i++) {
+        if (checkIsIgnored(parts.slice(0, i).join(path.sep), parts[i - 1], true, ignorePatterns)) {
+            return true;
+        }
+    }
+    return checkIsIgnored(relativePath, parts[parts.length - 1], false, ignorePatterns);
+};
+
+/**
+ * Checks whether a change is a file that is new to git
+ * @param {Object} change Change returned by getChangedFiles
+ * @returns {boolean} True for untracked and added files
+ */
+const isNewFile = (change) => change.status === 'untracked' || change.status === 'added';
+
+/**
+ * Checks whether the content of a changed file is left out. Deleted files have nothing on disk, and diff-only
+ * mode skips the content of changed files. New files are always included in full since their diff is the whole file anyway.
+ * @param {Object} change Change returned by getChangedFiles
+ * @param {string|undefined} diff Unified diff of the change
+ * @param {string} diffMode 'content', 'diff' or 'both'
+ * @returns {boolean} True if the file is not read
+ */
+const isContentOmitted = (change, diff, diffMode) => change.status === 'deleted' || (diffMode === 'diff' && !isNewFile(change) && !!diff);
+
+/**
+ * Builds the file entry for a single change
+ * @param {string} root Repository root
+ * @param {Object} change Change returned by getChangedFiles
+ * @param {string|undefined} diff Unified diff of the change
+ * @param {string} diffMode 'content', 'diff' or 'both'
+ * @param {Object|undefined} fileEntry The file as read by readFileEntries; undefined if its content is left out
+ * @param {Object} [languages] Language registry, from getLanguageRegistry
+ * @returns {Object} The file entry
+ */
+const createChangeEntry = (root, change, diff, diffMode, fileEntry, languages) => {
+    const relativePath = change.path.split('/').join(path.sep);
+    const entry = fileEntry || {
+        path: path.join(root, relativePath),
+        relativePath,
+        language: getLanguageForFile(relativePath, undefined, languages),
+        content: '',
+        contentOmitted: true,
+        isBinary: false,
+        error: null
+    };
+
+    entry.status = change.status;
+    if (diff && (diffMode === 'both' || (diffMode === 'diff' && !isNewFile(change)))) {
+        entry.diff = diff;
+    }
+    return entry;
+};
+
+/**
+ * Extracts the files changed in a git repository
+ * @param {string} mode 'working' (working tree vs HEAD), 'staged' (index vs HEAD) or 'ref' (HEAD vs a chosen ref)
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Extraction options
+ * @param {string} [options.outputFormat] One of 'plain', 'markdown', 'xml' or 'json'
+ * @param {string} [options.diffMode] 'content' for file contents, 'diff' for diff hunks only, 'both' for both
+ * @param {boolean} [options.redactSecrets] Mask detected secrets in contents and diffs
+ * @param {boolean} [options.confirmSecrets] Ask before using content in which secrets were masked
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @param {Object} [options.limits] Size, line and file count limits, from getExtractionLimits
+ * @param {Object} [options.tree] How the folder structure is rendered, from getTreeOptions
+ * @param {number} [options.maxTokens] Token budget for the whole extraction, 0 for no limit
+ * @param {Object} [options.encoder] Tiktoken encoder used to enforce the token budget
+ * @param {number} [options.reservedTokens] Tokens used outside the extraction, e.g. by the prompt
+ * @param {string} [options.folderPath] Folder inside the repository, e.g. when running a past extraction again; asked for if omitted
+ * @param {string} [options.ref] Ref to compare HEAD against in 'ref' mode; asked for if omitted
+ * @returns {Promise<Object|null>} The extraction (content, result, basePath, outputFormat, secrets, description, git), or null if nothing was extracted
+ */
+const extractGitChanges = async (mode, ignorePatterns = [], options = {}) => {
+    const folderPath = options.folderPath || (await pickWorkspaceFolder())?.uri.fsPath;
+    if (!folderPath) {
+        showErrorMessage('Open a folder inside a git repository to extract changes.');
+        return null;
+    }
+
+    try {
+        const root = await getRepositoryRoot(folderPath);
+        const ref = mode === 'ref' ? options.ref || await pickRef(root) : undefined;
+        if (mode === 'ref' && !ref) return null;
+
+        const diffMode = options.diffMode || 'content';
+        const description = mode === 'ref' ? `${MODE_DESCRIPTIONS.ref} ${ref}` : MODE_DESCRIPTIONS[mode];
+        const combinedResult = {
+            fileTypes: new Set(),
+            files: new Set(),
+            folderStructure: '',
+            fileEntries: []
+        };
+
+        const entries = await withProgress(`Extracting ${description}`, async (report, token) => {
+            const changes = await getChangedFiles(root, mode, ref);
+            const diffs = diffMode === 'content' ? new Map() : await getFileDiffs(root, mode, ref);
+            console.log(`Found ${changes.length} changed files in ${root}`);
+
+            const progress = createProgressCounter(item => report(describeProgress(item)));
+            const kept = changes.filter(change => {
+                const relativePath = change.path.split('/').join(path.sep);
+                if (isIgnoredChange(relativePath, ignorePatterns)) {
+                    console.log(`Ignoring changed file: ${relativePath}`);
+                    return false;
+                }
+                progress.scanned(relativePath);
+                return true;
+            });
+
+            // Files are read like those of a folder: concurrently, within the limits, and cancellable
+            const toRead = kept.filter(change => !isContentOmitted(change, diffs.get(change.path), diffMode));
+            const files = toRead.map(change => {
+                const relativePath = change.path.split('/').join(path.sep);
+                return { path: path.join(root, relativePath), relativePath };
+            });
+            const read = await readFileEntries(files, root, ignorePatterns, {
+                languages: options.languages,
+                limits: createLimitTracker(options.limits, confirmLimit),
+                progress,
+                token
+            });
+            const readEntries = new Map(toRead.map((change, index) => [change, read[index]]));
+            return kept.map(change => createChangeEntry(root, change, diffs.get(change.path), diffMode, readEntries.get(change), options.languages));
+        });
+
+        entries.filter(entry => !entry.ignored).forEach(entry => {
+            combinedResult.files.add(entry.relativePath);
+            combinedResult.fileEntries.push(entry);
+            const fileType = getFileType(entry.relativePath, entry.language);
+            if (fileType && !entry.isBinary) combinedResult.fileTypes.add(fileType);
+        });
+
+        if (combinedResult.fileEntries.length === 0) {
+            showInfoMessage(`No ${description} found.`);
+            return null;
+        }
+
+        reportLimitedFiles(combinedResult.fileEntries);
+        combinedResult.treeOptions = options.tree || {};
+        combinedResult.folderStructure = renderFolderStructure(combinedResult.fileEntries, combinedResult.treeOptions);
+
+        let secrets = [];
+        if (options.redactSecrets) {
+            const redaction = redactFileEntries(combinedResult.fileEntries);
+            combinedResult.fileEntries = redaction.fileEntries;
+            secrets = redaction.findings;
+        }
+        if (!await confirmSecretFindings(secrets, options.confirmSecrets)) {
+            return null;
+        }
+
+        // Secrets are masked before the budget is applied, so token counts match the output
+        if (options.maxTokens > 0 && options.encoder) {
+            const budget = enforceTokenBudget(combinedResult, root, options);
+            combinedResult.fileEntries = budget.fileEntries;
+            reportTokenBudget(budget, options.maxTokens);
+        }
+
+        const content = formatFinalContent(combinedResult, root, options.outputFormat);
+        showInfoMessage(`Extracted ${combinedResult.fileEntries.length} files with ${description}.`);
+        return {
+            content,
+            result: combinedResult,
+            basePath: root,
+            outputFormat: options.outputFormat,
+            secrets,
+            description,
+            git: { mode, ref, folderPath: root }
+        };
+    } catch (error) {
+        if (error instanceof CancelledError) {
+            console.log(`Git extraction stopped: ${error.message}`);
+            return null;
+        }
+        console.error('Error in extractGitChanges:', error);
+        showErrorMessage(`An error occurred: ${error.message}`);
+        return null;
+    }
+};
+
+module.exports = { extractGitChanges };
@@ -0,0 +1,112 @@
+const vscode = require('vscode');
+const path = require('path');
+const { DEFAULT_HISTORY_SIZE, createHistoryEntry, compareHistoryEntries, createHistoryStore } = require('../core/history');
+const { showErrorMessage } = require('../services/vscodeServices');
+
+const HISTORY_SCHEME = 'syntax-extractor-history';
+
+// File extensions of the diff documents, so the editor highlights them in the output format
+const FORMAT_EXTENSIONS = {
+    plain: 'txt',
+    markdown: 'md',
+    xml: 'xml',
+    json: 'json'
+};
+
+let store = null;
+
+/**
+ * Gets the history store, kept in the extension's global storage because extractions are too large for globalState
+ * @param {vscode.ExtensionContext} context The extension context
+ * @returns {Object} Store returned by createHistoryStore
+ */
+const getHistoryStore = (context) => {
+    if (!store) {
+        store = createHistoryStore(path.join(context.globalStorageUri.fsPath, 'history'));
+    }
+    return store;
+};
+
+/**
+ * Reads the number of extractions to keep
+ * @returns {number} The history size, 0 if the history is turned off
+ */
+const getHistorySize = () => {
+    const size = parseInt(vscode.workspace.getConfiguration('syntaxExtractor').get('historySize', DEFAULT_HISTORY_SIZE), 10);
+    return Number.isFinite(size) && size > 0 ? size : 0;
+};
+
+/**
+ * Adds an extraction to the history. Failures are reported but do not affect the extraction itself.
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} extraction Extraction returned by extractCode or extractGitChanges
+ * @param {Object} details Entry details, see createHistoryEntry
+ * @returns {Promise<Object|null>} The stored entry, or null if the history is off or could not be written
+ */
+const recordExtraction = async (context, extraction, details) => {
+    const size = getHistorySize();
+    if (size === 0) return null;
+
+    try {
+        return await getHistoryStore(context).add(createHistoryEntry(extraction, details), size);
+    } catch (error) {
+        console.error('Error saving extraction history:', error);
+        showErrorMessage(`Could not save the extraction to the history: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * Registers the provider of the read-only documents shown in history diffs
+ * @param {vscode.ExtensionContext} context The extension context
+ * @returns {vscode.Disposable} The registration
+ */
+const registerHistoryDiffProvider = (context) => vscode.workspace.registerTextDocumentContentProvider(HISTORY_SCHEME, {
+    provideTextDocumentContent: async (uri) => {
+        const entry = await getHistoryStore(context).get(uri.path.split('/')[1]);
+        return entry ? entry.content : '';
+    }
+});
+
+/**
+ * Gets the URI of the document showing a history entry
+ * @param {Object} entry The history entry
+ * @returns {vscode.Uri} The URI
+ */
+const toHistoryUri = (entry) => vscode.Uri.from({
+    scheme: HISTORY_SCHEME,
+    path: `/${entry.id}/extraction.${FORMAT_EXTENSIONS[entry.outputFormat] || 'txt'}`
+});
+
+/**
+ * Opens a diff of two history entries, the older one on the left
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string[]} ids Ids of the two entries
+ * @returns {Promise<Object|null>} The files added, removed and changed in between (see compareHistoryEntries),
+ * or null if an entry no longer exists
+ */
+const showHistoryDiff = async (context, ids) => {
+    const entries = await Promise.all(ids.map(id => getHistoryStore(context).get(id)));
+    if (entries.length !== 2 || entries.some(entry => !entry)) {
+        showErrorMessage('The selected extractions are no longer in the history.');
+        return null;
+    }
+
+    const [older, newer] = entries.sort((a, b) => a.timestamp - b.timestamp);
+    const time = (entry) => new Date(entry.timestamp).toLocaleString();
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        toHistoryUri(older),
+        toHistoryUri(newer),
+        `${older.label} (${time(older)}) ↔ ${newer.label} (${time(newer)})`,
+        { preview: true }
+    );
+    return compareHistoryEntries(older, newer);
+};
+
+module.exports = {
+    getHistoryStore,
+    recordExtraction,
+    registerHistoryDiffProvider,
+    showHistoryDiff
+};
@@ -0,0 +1,252 @@
+const vscode = require('vscode');
+const path = require('path');
+const { OUTPUT_FORMATS } = require('../core/formatters');
+const { parsePatternList } = require('../core/ignoreHelper');
+
+const PROFILES_KEY = 'extractionProfiles';
+
+/**
+ * Reads the saved profiles of the current workspace
+ * @param {vscode.ExtensionContext} context The extension context
+ * @returns {Object[]} Profiles sorted by name
+ */
+const getProfiles = (context) => {
+    return [...context.workspaceState.get(PROFILES_KEY, [])].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Stores the profiles of the current workspace
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object[]} profiles Profiles to store
+ * @returns {Thenable<void>}
+ */
+const saveProfiles = (context, profiles) => context.workspaceState.update(PROFILES_KEY, profiles);
+
+/**
+ * Converts a URI to the path stored in a profile: relative to its workspace folder when possible,
+ * prefixed with the folder name in multi-root workspaces, and absolute otherwise
+ * @param {vscode.Uri} uri The selected URI
+ * @returns {string} The profile path
+ */
+const toProfilePath = (uri) => {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const folder = vscode.workspace.getWorkspaceFolder(uri);
+    if (!folder) return uri.fsPath;
+
+    const relativePath = path.relative(folder.uri.fsPath, uri.fsPath).split(path.sep).join('/');
+    if (folders.length > 1) return relativePath ? `${folder.name}/${relativePath}` : folder.name;
+    return relativePath || '.';
+};
+
+/**
+ * Resolves a profile path back to a URI
+ * @param {string} profilePath Path as stored by toProfilePath
+ * @returns {vscode.Uri|null} The URI, or null if no workspace folder is open for a relative path
+ */
+const fromProfilePath = (profilePath) => {
+    if (path.isAbsolute(profilePath)) return vscode.Uri.file(profilePath);
+
+    const folders = vscode.workspace.workspaceFolders || [];
+    if (folders.length === 0) return null;
+
+    const [firstPart, ...rest] = profilePath.split('/');
+    const namedFolder = folders.length > 1 ? folders.find(folder => folder.name === firstPart) : undefined;
+    if (namedFolder) return vscode.Uri.joinPath(namedFolder.uri, ...rest);
+    return vscode.Uri.joinPath(folders[0].uri, ...profilePath.split('/').filter(part => part !== '.'));
+};
+
+/**
+ * Shows a quick pick of the saved profiles
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} placeHolder Quick pick placeholder text
+ * @returns {Promise<Object|undefined>} The chosen profile
+ */
+const pickProfile = async (context, placeHolder) => {
+    const profiles = getProfiles(context);
+    if (profiles.length === 0) {
+        vscode.window.showInformationMessage('No extraction profiles saved yet. Select files or folders and run "Save Selection as Extraction Profile" first.');
+        return undefined;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        profiles.map(profile => ({
+            label: profile.name,
+            description: profile.outputFormat || '',
+            detail: profile.paths.join(', '),
+            profile
+        })),
+        { placeHolder }
+    );
+    return picked ? picked.profile : undefined;
+};
+
+/**
+ * Saves the given selection as a new profile, or replaces a profile with the same name
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri[]} uris The selected URIs
+ * @param {string} prompt Prompt text to store with the profile
+ * @returns {Promise<Object|undefined>} The saved profile
+ */
+const saveProfile = async (context, uris, prompt) => {
+    if (!uris || uris.length === 0) {
+        vscode.window.showWarningMessage('Select files or folders in the explorer to save them as a profile.');
+        return undefined;
+    }
+
+    const name = await vscode.window.showInputBox({
+        prompt: 'Name of the extraction profile',
+        placeHolder: 'e.g. API and models',
+        validateInput: value => value.trim() ? null : 'Enter a name'
+    });
+    if (!name) return undefined;
+
+    const profiles = getProfiles(context);
+    const existing = profiles.find(profile => profile.name === name.trim());
+    if (existing) {
+        const overwrite = await vscode.window.showWarningMessage(
+            `A profile named "${existing.name}" already exists. Replace its paths?`,
+            { modal: true },
+            'Replace'
+        );
+        if (overwrite !== 'Replace') return undefined;
+    }
+
+    const profile = {
+        ignorePatterns: [],
+        includePatterns: [],
+        outputFormat: '',
+        prompt,
+        ...existing,
+        name: name.trim(),
+        paths: uris.map(toProfilePath)
+    };
+    await saveProfiles(context, [...profiles.filter(other => other !== existing), profile]);
+    vscode.window.showInformationMessage(`Saved extraction profile "${profile.name}" with ${profile.paths.length} path(s).`);
+    return profile;
+};
+
+/**
+ * Asks for a new value of a single profile field
+ * @param {Object} profile The profile being edited
+ * @param {string} field The field to edit
+ * @param {Object[]} profiles All profiles, used to keep names unique
+ * @returns {Promise<*>} The new value, or undefined if cancelled
+ */
+const promptForField = async (profile, field, profiles) => {
+    switch (field) {
+        case 'name':
+            return vscode.window.showInputBox({
+                prompt: 'Profile name',
+                value: profile.name,
+                validateInput: value => {
+                    if (!value.trim()) return 'Enter a name';
+                    return profiles.some(other => other !== profile && other.name === value.trim()) ? 'A profile with this name already exists' : null;
+                }
+            }).then(value => value && value.trim());
+        case 'paths':
+            return vscode.window.showInputBox({
+                prompt: 'Comma-separated paths, relative to the workspace folder',
+                value: profile.paths.join(', ')
+            }).then(value => value === undefined ? undefined : parsePatternList(value));
+        case 'ignorePatterns':
+        case 'includePatterns':
+            return vscode.window.showInputBox({
+                prompt: field === 'ignorePatterns'
+                    ? 'Comma-separated glob patterns to ignore in addition to your settings'
+                    : 'Comma-separated glob patterns; only matching files inside the selected folders are extracted',
+                value: profile[field].join(', ')
+            }).then(value => value === undefined ? undefined : parsePatternList(value));
+        case 'outputFormat': {
+            const picked = await vscode.window.showQuickPick(
+                [{ label: 'Use setting', format: '' }, ...OUTPUT_FORMATS.map(format => ({ label: format, format }))],
+                { placeHolder: 'Output format of this profile' }
+            );
+            return picked ? picked.format : undefined;
+        }
+        case 'prompt':
+            return vscode.window.showInputBox({
+                prompt: 'Prompt text placed before the extracted content',
+                value: profile.prompt
+            });
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * Lets the user change the fields of a saved profile
+ * @param {vscode.ExtensionContext} context The extension context
+ */
+const editProfile = async (context) => {
+    const profile = await pickProfile(context, 'Select the profile to edit');
+    if (!profile) return;
+
+    const fields = [
+        { label: 'Name', field: 'name' },
+        { label: 'Paths', field: 'paths' },
+        { label: 'Ignore patterns', field: 'ignorePatterns' },
+        { label: 'Include patterns', field: 'includePatterns' },
+        { label: 'Output format', field: 'outputFormat' },
+        { label: 'Prompt', field: 'prompt' }
+    ];
+
+    // Keep offering fields until the user dismisses the quick pick
+    for (;;) {
+        const picked = await vscode.window.showQuickPick(
+            fields.map(item => {
+                const value = profile[item.field];
+                return { ...item, description: Array.isArray(value) ? value.join(', ') : (value || '') };
+            }),
+            { placeHolder: `Edit profile "${profile.name}"` }
+        );
+        if (!picked) return;
+
+        const profiles = getProfiles(context);
+        const stored = profiles.find(other => other.name === profile.name);
+        const value = await promptForField(stored, picked.field, profiles);
+        if (value === undefined) continue;
+
+        profile[picked.field] = value;
+        await saveProfiles(context, profiles.map(other => other === stored ? { ...profile } : other));
+    }
+};
+
+/**
+ * Deletes a saved profile after confirmation
+ * @param {vscode.ExtensionContext} context The extension context
+ */
+const deleteProfile = async (context) => {
+    const profile = await pickProfile(context, 'Select the profile to delete');
+    if (!profile) return;
+
+    const confirmed = await vscode.window.showWarningMessage(
+        `Delete the extraction profile "${profile.name}"?`,
+        { modal: true },
+        'Delete'
+    );
+    if (confirmed !== 'Delete') return;
+
+    await saveProfiles(context, getProfiles(context).filter(other => other.name !== profile.name));
+    vscode.window.showInformationMessage(`Deleted extraction profile "${profile.name}".`);
+};
+
+/**
+ * Resolves the paths of a profile to URIs, warning about paths that cannot be resolved
+ * @param {Object} profile The profile
+ * @returns {vscode.Uri[]} The URIs of the profile paths
+ */
+const getProfileUris = (profile) => {
+    const uris = profile.paths.map(fromProfilePath).filter(uri => uri !== null);
+    if (uris.length < profile.paths.length) {
+        vscode.window.showWarningMessage(`Some paths of profile "${profile.name}" could not be resolved without an open workspace folder.`);
+    }
+    return uris;
+};
+
+module.exports = {
+    pickProfile,
+    saveProfile,
+    editProfile,
+    deleteProfile,
+    getProfileUris
+};
@@ -0,0 +1,190 @@
+const vscode = require('vscode');
+const {
+    BUILT_IN_TEMPLATES,
+    mergePromptTemplates,
+    getUsedVariables,
+    getExtractionVariables,
+    renderPromptTemplate
+} = require('../core/promptTemplates');
+const { getBranchOfPath } = require('../core/gitHelper');
+
+// The webview takes the focus away from the editor, so the selection is read from the last focused editor
+let lastTextEditor = undefined;
+
+/**
+ * Keeps track of the last focused text editor, whose selection fills the {{selection}} variable
+ * @returns {vscode.Disposable} The listener
+ */
+const registerSelectionTracker = () => {
+    lastTextEditor = vscode.window.activeTextEditor;
+    return vscode.window.onDidChangeActiveTextEditor(editor => {
+        if (editor) lastTextEditor = editor;
+    });
+};
+
+/**
+ * Reads the text selected in the active editor, or in the last focused one
+ * @returns {string} The selected text, empty without a selection
+ */
+const getEditorSelection = () => {
+    const editor = vscode.window.activeTextEditor || lastTextEditor;
+    if (!editor || editor.document.isClosed || editor.selection.isEmpty) return '';
+    return editor.document.getText(editor.selection);
+};
+
+/**
+ * Gets the checked-out branch of the extracted repository, or of the first workspace folder. An extraction
+ * spanning several workspace folders uses the first of them.
+ * @param {Object} [extraction] The extraction
+ * @returns {Promise<string>} The branch, empty outside a git repository
+ */
+const getGitBranch = async (extraction) => {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const extractedPath = extraction && (extraction.result.roots ? extraction.result.roots[0].path : extraction.basePath);
+    const directory = extraction ? extractedPath : folders.length > 0 ? folders[0].uri.fsPath : undefined;
+    if (!directory) return '';
+    try {
+        return await getBranchOfPath(directory);
+    } catch (error) {
+        console.log(`No git branch for the prompt: ${error.message}`);
+        return '';
+    }
+};
+
+/**
+ * Looks up the values of the variables a template uses
+ * @param {{before: string, after: string}} template The template
+ * @param {Object} [extraction] The extraction the prompt is for
+ * @param {Function} countTokens Counts the tokens of a text
+ * @returns {Promise<Object>} Values by variable name
+ */
+const getPromptVariables = async (template, extraction, countTokens) => {
+    const used = getUsedVariables(template);
+    return {
+        ...getExtractionVariables(extraction),
+        tokenCount: used.has('tokenCount') && extraction ? countTokens(extraction.content) : '',
+        gitBranch: used.has('gitBranch') ? await getGitBranch(extraction) : '',
+        selection: used.has('selection') ? getEditorSelection() : ''
+    };
+};
+
+/**
+ * Fills in a template for an extraction
+ * @param {{before: string, after: string}} template The template
+ * @param {Object} [extraction] The extraction the prompt is for
+ * @param {Function} countTokens Counts the tokens of a text
+ * @returns {Promise<{before: string, after: string}>} The text before and after the code
+ */
+const renderPrompt = async (template, extraction, countTokens) => (
+    renderPromptTemplate(template, await getPromptVariables(template, extraction, countTokens))
+);
+
+/**
+ * Reads the prompt templates: the built-in ones, then those in the user settings, then those in the
+ * workspace settings, each replacing templates of the same name
+ * @returns {Object[]} Templates ({ name, before, after, source }) sorted by name; source is 'built-in', 'user' or 'workspace'
+ */
+const getPromptTemplates = () => {
+    const inspected = vscode.workspace.getConfiguration('syntaxExtractor').inspect('promptTemplates') || {};
+    const withSource = (list, source) => (Array.isArray(list) ? list : []).map(template => ({ ...template, source }));
+    return mergePromptTemplates(
+        withSource(BUILT_IN_TEMPLATES, 'built-in'),
+        withSource(inspected.globalValue, 'user'),
+        withSource(inspected.workspaceValue, 'workspace')
+    ).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Writes the templates of one settings scope
+ * @param {string} source 'user' or 'workspace'
+ * @param {Function} change Called with the templates stored in that scope; returns the new list
+ * @returns {Thenable<void>}
+ */
+const updateTemplates = (source, change) => {
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const inspected = config.inspect('promptTemplates') || {};
+    const stored = source === 'workspace' ? inspected.workspaceValue : inspected.globalValue;
+    return config.update(
+        'promptTemplates',
+        change(Array.isArray(stored) ? stored : []),
+        source === 'workspace' ? vscode.ConfigurationTarget.Workspace : vscode.ConfigurationTarget.Global
+    );
+};
+
+/**
+ * Saves the text of a prompt as a named template in the user or workspace settings
+ * @param {{before: string, after: string}} prompt Template text before and after the code
+ * @param {string} [suggestedName] Name offered in the input box, e.g. the template the prompt was loaded from
+ * @returns {Promise<Object|undefined>} The saved template
+ */
+const savePromptTemplate = async (prompt, suggestedName = '') => {
+    const name = await vscode.window.showInputBox({
+        prompt: 'Name of the prompt template',
+        placeHolder: 'e.g. review',
+        value: suggestedName,
+        validateInput: value => value.trim() ? null : 'Enter a name'
+    });
+    if (!name) return undefined;
+
+    const scopes = [{ label: 'User settings', description: 'Available in every workspace', source: 'user' }];
+    if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+        scopes.push({ label: 'Workspace settings', description: 'Shared with everyone using this workspace', source: 'workspace' });
+    }
+    const scope = scopes.length === 1 ? scopes[0] : await vscode.window.showQuickPick(scopes, { placeHolder: 'Where should the template be saved?' });
+    if (!scope) return undefined;
+
+    const template = { name: name.trim(), before: prompt.before, after: prompt.after };
+    const existing = getPromptTemplates().find(other => other.name === template.name && other.source === scope.source);
+    if (existing) {
+        const overwrite = await vscode.window.showWarningMessage(
+            `A prompt template named "${template.name}" already exists in your ${scope.label.toLowerCase()}. Replace it?`,
+            { modal: true },
+            'Replace'
+        );
+        if (overwrite !== 'Replace') return undefined;
+    }
+
+    try {
+        await updateTemplates(scope.source, stored => [...stored.filter(other => !other || other.name !== template.name), template]);
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not save the prompt template: ${error.message}`);
+        return undefined;
+    }
+    vscode.window.showInformationMessage(`Saved prompt template "${template.name}" to your ${scope.label.toLowerCase()}.`);
+    return template;
+};
+
+/**
+ * Deletes a template from the settings after confirmation
+ * @param {string} name Name of the template
+ * @returns {Promise<void>}
+ */
+const deletePromptTemplate = async (name) => {
+    const template = getPromptTemplates().find(other => other.name === name);
+    if (!template) return;
+    if (template.source === 'built-in') {
+        vscode.window.showWarningMessage(`"${name}" is a built-in template; save a template with the same name to replace it.`);
+        return;
+    }
+
+    const confirmed = await vscode.window.showWarningMessage(
+        `Delete the prompt template "${name}" from your ${template.source} settings?`,
+        { modal: true },
+        'Delete'
+    );
+    if (confirmed !== 'Delete') return;
+
+    try {
+        await updateTemplates(template.source, stored => stored.filter(other => !other || other.name !== name));
+    } catch (error) {
+        vscode.window.showErrorMessage(`Could not delete the prompt template: ${error.message}`);
+    }
+};
+
+module.exports = {
+    registerSelectionTracker,
+    renderPrompt,
+    getPromptTemplates,
+    savePromptTemplate,
+    deletePromptTemplate
+};
@@ -0,0 +1,192 @@
+const { formatOutput, resolveOutputFormat } = require('./formatters');
+const { encodeText } = require('./tokenizer');
+const { assemblePrompt } = require('./promptTemplates');
+
+// Stands in for the folder structure in every part but the first when it is only shown once
+const STRUCTURE_REFERENCE = '(see part 1)\n';
+
+// Widest part numbers there can be, used to reserve their tokens before the number of parts is known
+const PART_PLACEHOLDER = { number: 9999, total: 9999 };
+
+// Formats that get a "Part i/N" line above each part; XML and JSON carry the part numbers inside the document
+const PART_HEADER_FORMATS = ['plain', 'markdown'];
+
+/**
+ * Splits a long text into pieces of at most maxTokens tokens, cutting at line boundaries.
+ * Lines longer than maxTokens are cut at token boundaries.
+ * @param {string} text The text
+ * @param {number} maxTokens Token limit per piece
+ * @param {Object} encoder Tiktoken encoder instance
+ * @returns {{text: string, start: number, end: number}[]} The pieces with their first and last line (1-based)
+ */
+const splitLines = (text, maxTokens, encoder) => {
+    const lines = text.split('\n');
+    const pieces = [];
+    let current = [];
+    let currentTokens = 0;
+    let start = 1;
+
+    const closePiece = (end) => {
+        if (current.length > 0) pieces.push({ text: current.join('\n'), start, end });
+        current = [];
+        currentTokens = 0;
+        start = end + 1;
+    };
+
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const tokens = encodeText(encoder, `${line}\n`);
+        if (current.length > 0 && currentTokens + tokens.length > maxTokens) {
+            closePiece(lineNumber - 1);
+        }
+        if (tokens.length <= maxTokens) {
+            current.push(line);
+            currentTokens += tokens.length;
+            return;
+        }
+
+        const decoder = new TextDecoder();
+        for (let offset = 0; offset < tokens.length; offset += maxTokens) {
+            pieces.push({ text: decoder.decode(encoder.decode(tokens.slice(offset, offset + maxTokens))).replace(/\n$/, ''), start: lineNumber, end: lineNumber });
+        }
+        start = lineNumber + 1;
+    });
+    closePiece(lines.length);
+
+    return pieces;
+};
+
+/**
+ * Splits an extraction into parts that each fit a model's context window. Files are kept whole where
+ * possible; files too large for a part are split at line boundaries over several parts.
+ * Each part carries its number, as a "Part i/N" line above plain text and Markdown or inside the XML or JSON
+ * document, and the folder structure, or a reference to it.
+ * @param {Object} result Combined extraction result with fileTypes, folderStructure and fileEntries
+ * @param {string} basePath The common base path
+ * @param {string} outputFormat One of OUTPUT_FORMATS
+ * @param {Object} options Split options
+ * @param {number} options.maxTokens Token limit per part, including the header and prompt
+ * @param {Object} options.encoder Tiktoken encoder instance
+ * @param {string} [options.prompt] Prompt placed before the content
+ * @param {string} [options.promptAfter] Prompt text placed after the content
+ * @param {string} [options.promptMode] 'first' to put the prompt before the first part and the text after it
+ * behind the last part only, 'every' for all parts
+ * @param {string} [options.structureMode] 'every' to repeat the folder structure in each part, 'first' to refer back to part 1
+ * @returns {Object[]} The parts ({ content, tokens, files }); a single part if the extraction fits as a whole
+ */
+const splitIntoParts = (result, basePath, outputFormat, options) => {
+    const { maxTokens, encoder, prompt = '', promptAfter = '', promptMode = 'first', structureMode = 'every' } = options;
+    const countTokens = text => encodeText(encoder, text).length;
+
+    const renderPart = (fileEntries, index, part, isLast) => {
+        const folderStructure = index === 0 || structureMode === 'every' ? result.folderStructure : STRUCTURE_REFERENCE;
+        const body = formatOutput({ ...result, fileEntries, folderStructure, part }, basePath, outputFormat);
+        const header = PART_HEADER_FORMATS.includes(resolveOutputFormat(outputFormat)) ? `Part ${part.number}/${part.total}\n\n` : '';
+        const partPrompt = prompt && (index === 0 || promptMode === 'every') ? `${prompt}\n\n` : '';
+        const partAfter = promptAfter && (isLast || promptMode === 'every') ? `\n\n${promptAfter}` : '';
+        return `${header}${partPrompt}${body}${partAfter}`;
+    };
+
+    // Tokens of a part without files, and of each file within a part. Any part may turn out to be the last,
+    // so the text after the content is reserved in all of them.
+    const emptyCosts = [0, 1].map(index => countTokens(renderPart([], index, PART_PLACEHOLDER, true)));
+    const bareOutputTokens = countTokens(formatOutput({ ...result, fileEntries: [], folderStructure: '', part: PART_PLACEHOLDER }, basePath, outputFormat));
+    const entryCosts = new Map();
+    const entryCost = entry => {
+        if (!entryCosts.has(entry)) {
+            entryCosts.set(entry, countTokens(formatOutput({ ...result, fileEntries: [entry], folderStructure: '', part: PART_PLACEHOLDER }, basePath, outputFormat)) - bareOutputTokens);
+        }
+        return entryCosts.get(entry);
+    };
+
+    if (emptyCosts[0] >= maxTokens) {
+        throw new Error(`The folder structure and prompt alone take ${emptyCosts[0]} tokens, more than the part limit of ${maxTokens}`);
+    }
+
+    // Token counts of the pieces do not add up exactly, so the parts are packed again with a lower limit if one overflows
+    const packEntries = (limit) => {
+        const parts = [];
+        let current = [];
+        let used = emptyCosts[0];
+        const closePart = () => {
+            parts.push(current);
+            current = [];
+            used = emptyCosts[1];
+        };
+
+        const addEntry = (entry, cost) => {
+            current.push(entry);
+            used += cost;
+        };
+
+        result.fileEntries.forEach(entry => {
+            const cost = entryCost(entry);
+            if (used + cost <= limit) {
+                addEntry(entry, cost);
+                return;
+            }
+            if (current.length > 0 && cost <= limit - emptyCosts[1]) {
+                closePart();
+                addEntry(entry, cost);
+                return;
+            }
+
+            // The file does not fit a part of its own, so its lines are spread over as many parts as needed
+            const overhead = entryCost({ ...entry, content: '', lineRange: { start: 99999, end: 99999, total: 99999 } });
+            // Escaping in the XML and JSON formats makes content cost more tokens than the raw lines
+            const inflation = Math.max(1, (cost - overhead) / Math.max(1, countTokens(entry.content)));
+            const pieceTokens = Math.floor((limit - Math.max(emptyCosts[0], emptyCosts[1]) - overhead) / inflation);
+            if (pieceTokens <= 0) {
+                throw new Error(`The part limit of ${maxTokens} tokens is too small to hold part of ${entry.relativePath}`);
+            }
+            const total = entry.content.split('\n').length;
+            // Pieces with more escaping than average are halved until they fit
+            const fitPiece = (piece) => {
+                const pieceEntry = { ...entry, content: piece.text, lineRange: { start: piece.start, end: piece.end, total } };
+                if (piece.end === piece.start || entryCost(pieceEntry) <= limit - Math.max(emptyCosts[0], emptyCosts[1])) {
+                    return [pieceEntry];
+                }
+                const lines = piece.text.split('\n');
+                const half = Math.ceil(lines.length / 2);
+                return [
+                    ...fitPiece({ text: lines.slice(0, half).join('\n'), start: piece.start, end: piece.start + half - 1 }),
+                    ...fitPiece({ text: lines.slice(half).join('\n'), start: piece.start + half, end: piece.end })
+                ];
+            };
+            splitLines(entry.content, pieceTokens, encoder).flatMap(fitPiece).forEach(pieceEntry => {
+                const pieceCost = entryCost(pieceEntry);
+                if (current.length > 0 && used + pieceCost > limit) closePart();
+                addEntry(pieceEntry, pieceCost);
+            });
+        });
+        if (current.length > 0 || parts.length === 0) {
+            parts.push(current);
+        }
+        return parts;
+    };
+
+    let limit = maxTokens;
+    let parts;
+    let rendered;
+    for (let attempt = 0; attempt < 3; attempt++) {
+        parts = packEntries(limit);
+        if (parts.length === 1) break;
+        rendered = parts.map((fileEntries, index) => renderPart(fileEntries, index, { number: index + 1, total: parts.length }, index === parts.length - 1));
+        const overflow = Math.max(...rendered.map(countTokens)) - maxTokens;
+        if (overflow <= 0) break;
+        limit -= overflow + 1;
+    }
+
+    if (parts.length === 1) {
+        const content = assemblePrompt({ before: prompt, after: promptAfter }, formatOutput(result, basePath, outputFormat));
+        return [{ content, tokens: countTokens(content), files: result.fileEntries.map(entry => entry.relativePath) }];
+    }
+
+    return parts.map((fileEntries, index) => ({
+        content: rendered[index],
+        tokens: countTokens(rendered[index]),
+        files: [...new Set(fileEntries.map(entry => entry.relativePath))]
+    }));
+};
+
+module.exports = { splitIntoParts };
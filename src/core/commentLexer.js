@@ -0,0 +1,1241 @@
+// Characters that can be part of an identifier; used to recognise string prefixes and word boundaries
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+
+// Keywords after which a slash starts a regular expression rather than a division
+const REGEX_PREFIX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await', 'if', 'unless', 'when', 'and', 'or', 'not'];
+
+// Script types whose content is JavaScript; other <script> blocks (templates, JSON) are left alone
+const SCRIPT_TYPES = ['', 'module', 'text/javascript', 'application/javascript', 'text/babel', 'text/jsx', 'text/typescript'];
+
+/**
+ * Creates a matcher for a quoted literal
+ * @param {Object} spec Literal description
+ * @param {RegExp} spec.start Sticky regex matching the opening delimiter, with the quote in the last group
+ * @param {Function} [spec.close] Returns the closing delimiter for a start match; defaults to the last group
+ * @param {boolean|string} [spec.escape] Whether a backslash escapes the next character, or the escape character itself
+ * @param {boolean|Function} [spec.multiline] Whether the literal may span lines, or a function of the start match
+ * @param {boolean} [spec.doubledQuotes] Whether a doubled closing quote stands for a literal quote (C# verbatim strings)
+ * @param {Object} [spec.interpolation] Delimiters ({ open, close }) of code embedded in the literal
+ * @param {RegExp} [spec.notAfter] Character that may not precede the literal, e.g. digits before C++ digit separators
+ * @returns {Function} Matcher returning the index after the literal, or -1
+ */
+const quoted = (spec) => (state, syntax, i, end) => {
+    const { text } = state;
+    const previous = text[i - 1] || '';
+    if (spec.notAfter && spec.notAfter.test(previous)) return -1;
+
+    spec.start.lastIndex = i;
+    const match = spec.start.exec(text);
+    if (!match) return -1;
+    // A prefix such as r"..." or @"..." only starts a literal at a word boundary
+    if (match[0][0] !== match[match.length - 1][0] && IDENTIFIER_CHAR.test(previous)) return -1;
+
+    const close = spec.close ? spec.close(match) : match[match.length - 1];
+    const multiline = typeof spec.multiline === 'function' ? spec.multiline(match) : !!spec.multiline;
+    const interpolation = spec.interpolation;
+    const escape = spec.escape === true ? '\\' : spec.escape;
+
+    let j = i + match[0].length;
+    while (j < end) {
+        if (interpolation && text.startsWith(interpolation.open, j)) {
+            // "{{" is an escaped brace in C# interpolated strings
+            if (interpolation.open === '{' && text[j + 1] === '{') {
+                j += 2;
+                continue;
+            }
+            j = scanCode(state, syntax, j + interpolation.open.length, end, interpolation.close);
+            continue;
+        }
+        if (escape && text[j] === escape) {
+            j += 2;
+            continue;
+        }
+        if (spec.doubledQuotes && text.startsWith(close + close, j)) {
+            j += close.length * 2;
+            continue;
+        }
+        if (text.startsWith(close, j)) return j + close.length;
+        // Unterminated single-line literals end at the line break, so a mistake cannot run away
+        if (!multiline && text[j] === '\n') return j;
+        j++;
+    }
+    return end;
+};
+
+/**
+ * Decides whether a slash at the given position starts a regular expression
+ * @param {string} text Source text
+ * @param {number} index Index of the slash
+ * @returns {boolean} True if the slash opens a regex literal
+ */
+const isRegexStart = (text, index) => {
+    let i = index - 1;
+    while (i >= 0 && (text[i] === ' ' || text[i] === '\t')) i--;
+    if (i < 0 || text[i] === '\n' || text[i] === '\r') return true;
+    if ('(,=:[!&|?{};+-*%<>~^'.includes(text[i])) return true;
+    const word = /([A-Za-z_$][\w$]*)$/.exec(text.slice(Math.max(0, i - 20), i + 1));
+    return !!word && REGEX_PREFIX_KEYWORDS.includes(word[1]);
+};
+
+/**
+ * Matches a regular expression literal, including character classes
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index after the literal, or -1
+ */
+const regexLiteral = (state, syntax, i, end) => {
+    const { text } = state;
+    if (text[i] !== '/' || text[i + 1] === '/' || text[i + 1] === '*' || !isRegexStart(text, i)) return -1;
+
+    let j = i + 1;
+    let inClass = false;
+    while (j < end && text[j] !== '\n') {
+        const char = text[j];
+        if (char === '\\') {
+            j += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '/' && !inClass) {
+            j++;
+            while (j < end && /[a-z]/i.test(text[j])) j++;
+            return j;
+        }
+        j++;
+    }
+    // Not terminated on this line, so it was a division after all
+    return -1;
+};
+
+/**
+ * Matches a Rust character literal, telling it apart from a lifetime such as 'a
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @returns {number} Index after the literal, or -1
+ */
+const rustCharLiteral = (state, syntax, i) => {
+    const regex = /b?'(?:[^\\'\n]|\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]{1,6}\}|.))'/uy;
+    if (state.text[i] === 'b' && IDENTIFIER_CHAR.test(state.text[i - 1] || '')) return -1;
+    regex.lastIndex = i;
+    const match = regex.exec(state.text);
+    if (match) return i + match[0].length;
+    // A lone quote starts a lifetime or label
+    return state.text[i] === "'" ? i + 1 : -1;
+};
+
+/**
+ * Creates a matcher for heredoc openers; the body is skipped when the scan reaches the next line
+ * @param {RegExp} start Sticky regex matching the opener, with the terminator identifier in the last matched group
+ * @returns {Function} Matcher returning the index after the opener, or -1
+ */
+const heredoc = (start) => (state, syntax, i) => {
+    start.lastIndex = i;
+    const match = start.exec(state.text);
+    if (!match) return -1;
+    state.heredocs.push(match.slice(1).filter(Boolean).pop());
+    return i + match[0].length;
+};
+
+/**
+ * Skips the bodies of heredocs opened on the line that just ended. A heredoc is either the identifier
+ * that terminates it, or { indent } for a block that lasts while lines are blank or indented deeper.
+ * @param {Object} state Lexer state
+ * @param {number} i Index of the first character of the next line
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index just after the last terminator identifier, or of the first line after an indented block
+ */
+const skipHeredocBodies = (state, i, end) => {
+    while (state.heredocs.length > 0 && i < end) {
+        if (typeof state.heredocs[0] === 'object') {
+            const blankOrIndent = /[ \t]*(\r?\n|$)?/y;
+            blankOrIndent.lastIndex = i;
+            const indentation = blankOrIndent.exec(state.text);
+            if (!indentation[1] && indentation[0].length <= state.heredocs[0].indent) {
+                state.heredocs.shift();
+                continue;
+            }
+            const lineEnd = state.text.indexOf('\n', i);
+            if (lineEnd === -1 || lineEnd >= end) return end;
+            i = lineEnd + 1;
+            continue;
+        }
+        const terminator = new RegExp(`^[ \\t]*${state.heredocs[0]}(?![A-Za-z0-9_])`);
+        const lineEnd = state.text.indexOf('\n', i);
+        const line = state.text.slice(i, lineEnd === -1 || lineEnd > end ? end : lineEnd);
+        const match = terminator.exec(line);
+        if (match) {
+            state.heredocs.shift();
+            if (state.heredocs.length === 0) return i + match[0].length;
+        }
+        if (lineEnd === -1 || lineEnd >= end) return end;
+        i = lineEnd + 1;
+    }
+    state.heredocs = [];
+    return i;
+};
+
+/**
+ * Checks whether a line comment may start at the given position
+ * @param {string} text Source text
+ * @param {number} index Index of the comment marker
+ * @param {string} [position] 'any' (default), 'word' to require the start of a word, as in shell scripts and
+ * YAML, or 'line' to require nothing but whitespace before it on the line, as in INI files and Dockerfiles
+ * @returns {boolean} True if a comment can start here
+ */
+const isCommentPosition = (text, index, position = 'any') => {
+    if (position === 'word') return index === 0 || /[\s;|&()]/.test(text[index - 1]);
+    if (position === 'line') return /^[ \t]*$/.test(text.slice(text.lastIndexOf('\n', index - 1) + 1, index));
+    return true;
+};
+
+/**
+ * Returns the end of a comment starting at index, or -1 if none starts there
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index just after the comment, or -1
+ */
+const matchComment = (state, syntax, i, end) => {
+    const { text } = state;
+
+    for (const matcher of syntax.customComments || []) {
+        const commentEnd = matcher(state, syntax, i, end);
+        if (commentEnd !== -1) return commentEnd;
+    }
+
+    for (const [open, close] of syntax.lineStartComments || []) {
+        if ((i === 0 || text[i - 1] === '\n') && text.startsWith(open, i)) {
+            const closeIndex = text.indexOf(`\n${close}`, i);
+            if (closeIndex === -1 || closeIndex >= end) return end;
+            const lineEnd = text.indexOf('\n', closeIndex + 1);
+            return lineEnd === -1 || lineEnd > end ? end : lineEnd;
+        }
+    }
+
+    for (const [open, close] of syntax.blockComments || []) {
+        if (!text.startsWith(open, i)) continue;
+        let depth = 1;
+        let j = i + open.length;
+        while (j < end) {
+            if (syntax.nestedComments && text.startsWith(open, j)) {
+                depth++;
+                j += open.length;
+            } else if (text.startsWith(close, j)) {
+                j += close.length;
+                if (--depth === 0) return j;
+            } else {
+                j++;
+            }
+        }
+        return end;
+    }
+
+    for (const marker of syntax.lineComments || []) {
+        if (!text.startsWith(marker, i)) continue;
+        if (!isCommentPosition(text, i, syntax.lineCommentPosition)) return -1;
+        if (syntax.notComments && syntax.notComments.some(prefix => text.startsWith(prefix, i))) return -1;
+        let j = text.indexOf('\n', i);
+        if (j === -1 || j > end) j = end;
+        (syntax.lineCommentTerminators || []).forEach(terminator => {
+            const terminatorIndex = text.indexOf(terminator, i);
+            if (terminatorIndex !== -1 && terminatorIndex < j) j = terminatorIndex;
+        });
+        // Keep the carriage return of CRLF line endings out of the comment
+        return text[j - 1] === '\r' ? j - 1 : j;
+    }
+
+    return -1;
+};
+
+/**
+ * Scans code, recording comments and skipping literals
+ * @param {Object} state Lexer state with the text and the comments found so far
+ * @param {Object} syntax Comment syntax
+ * @param {number} start Index to start at
+ * @param {number} end Index to stop at
+ * @param {string|null} closer Bracket that ends embedded code, e.g. the } of a ${...} interpolation
+ * @returns {number} Index after the closer, or end
+ */
+function scanCode(state, syntax, start, end, closer) {
+    const { text } = state;
+    const opener = closer === ')' ? '(' : '{';
+    let depth = 0;
+    let i = start;
+
+    while (i < end) {
+        const char = text[i];
+        if (char === '\n' && state.heredocs.length > 0) {
+            i = skipHeredocBodies(state, i + 1, end);
+            continue;
+        }
+        if (closer) {
+            if (char === opener) {
+                depth++;
+            } else if (char === closer) {
+                if (depth === 0) return i + 1;
+                depth--;
+            }
+        }
+
+        const commentEnd = matchComment(state, syntax, i, end);
+        if (commentEnd !== -1) {
+            state.comments.push({ start: i, end: commentEnd });
+            i = commentEnd;
+            continue;
+        }
+
+        let literalEnd = -1;
+        for (const literal of syntax.literals || []) {
+            literalEnd = literal(state, syntax, i, end);
+            if (literalEnd !== -1) break;
+        }
+        if (literalEnd !== -1) {
+            if (state.literals) state.literals.push({ start: i, end: literalEnd });
+            i = Math.max(literalEnd, i + 1);
+            continue;
+        }
+
+        // Skip the rest of an identifier so that prefixes like r" are only seen at word starts
+        if (IDENTIFIER_CHAR.test(char)) {
+            i++;
+            while (i < end && IDENTIFIER_CHAR.test(text[i]) && !startsLiteralPrefix(syntax, text[i])) i++;
+            continue;
+        }
+        i++;
+    }
+    return end;
+}
+
+/**
+ * Checks whether a character can begin a prefixed literal in the syntax (such as r in r"...")
+ * @param {Object} syntax Comment syntax
+ * @param {string} char The character
+ * @returns {boolean} True if a literal may start with this character
+ */
+const startsLiteralPrefix = (syntax, char) => !!syntax.prefixChars && syntax.prefixChars.includes(char);
+
+/**
+ * Finds the end of a markup tag, skipping quoted attribute values
+ * @param {string} text Source text
+ * @param {number} index Index of the opening <
+ * @returns {number} Index just after the closing >
+ */
+const skipTag = (text, index) => {
+    let i = index + 1;
+    while (i < text.length && text[i] !== '>') {
+        if (text[i] === '"' || text[i] === "'") {
+            const closing = text.indexOf(text[i], i + 1);
+            i = closing === -1 ? text.length : closing + 1;
+        } else {
+            i++;
+        }
+    }
+    return i + 1;
+};
+
+/**
+ * Picks the syntax for the content of a <script> or <style> element
+ * @param {string} tagName 'script' or 'style'
+ * @param {string} tag The opening tag with its attributes
+ * @returns {Object|null} The syntax, or null if the content is not code
+ */
+const getEmbeddedSyntax = (tagName, tag) => {
+    const attribute = name => {
+        const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+        return match ? (match[1] || match[2] || match[3] || '').toLowerCase() : '';
+    };
+    if (tagName === 'style') {
+        return ['scss', 'less', 'sass'].includes(attribute('lang')) ? SCSS_SYNTAX : CSS_SYNTAX;
+    }
+    return SCRIPT_TYPES.includes(attribute('type')) ? SCRIPT_SYNTAX : null;
+};
+
+/**
+ * Scans HTML-like markup: <!-- --> comments, plus the code inside <script> and <style> elements.
+ * When literals are collected, the markup around the code is recorded as literals, as it is not code either.
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Markup syntax; its frontmatter syntax is used for a leading --- block, as in Astro
+ */
+const scanMarkup = (state, syntax) => {
+    const { text } = state;
+    let i = 0;
+    let markupStart = 0;
+    const addMarkup = (end) => {
+        if (state.literals && end > markupStart) state.literals.push({ start: markupStart, end });
+    };
+    const frontmatter = syntax.frontmatter ? /^---[ \t]*\r?\n/.exec(text) : null;
+    if (frontmatter) {
+        const close = /\n---[ \t]*(?:\r?\n|$)/g;
+        close.lastIndex = frontmatter[0].length - 1;
+        const match = close.exec(text);
+        const contentEnd = match ? match.index + 1 : text.length;
+        scanCode(state, syntax.frontmatter, frontmatter[0].length, contentEnd, null);
+        i = contentEnd;
+        markupStart = contentEnd;
+    }
+    while (i < text.length) {
+        if (text.startsWith('<!--', i)) {
+            const close = text.indexOf('-->', i + 4);
+            const end = close === -1 ? text.length : close + 3;
+            state.comments.push({ start: i, end, markup: true });
+            i = end;
+            continue;
+        }
+        if (text.startsWith('<![CDATA[', i)) {
+            const close = text.indexOf(']]>', i);
+            i = close === -1 ? text.length : close + 3;
+            continue;
+        }
+        if (text[i] === '<' && /[A-Za-z!?/]/.test(text[i + 1] || '')) {
+            const tagEnd = skipTag(text, i);
+            const tagName = (/^<([A-Za-z][\w-]*)/.exec(text.slice(i, tagEnd)) || [])[1];
+            const name = tagName ? tagName.toLowerCase() : '';
+            if ((name === 'script' || name === 'style') && !text.slice(i, tagEnd).endsWith('/>')) {
+                const closeIndex = text.toLowerCase().indexOf(`</${name}`, tagEnd);
+                const contentEnd = closeIndex === -1 ? text.length : closeIndex;
+                const syntax = getEmbeddedSyntax(name, text.slice(i, tagEnd));
+                if (syntax) {
+                    addMarkup(tagEnd);
+                    scanCode(state, syntax, tagEnd, contentEnd, null);
+                    markupStart = contentEnd;
+                }
+                i = contentEnd;
+                continue;
+            }
+            i = tagEnd;
+            continue;
+        }
+        i++;
+    }
+    addMarkup(text.length);
+};
+
+// Name of a JSX element, including member expressions and namespaces such as <Menu.Item> or <svg:rect>
+const JSX_TAG_NAME = /[A-Za-z_$][\w$.:-]*/y;
+
+/**
+ * Scans a JSX tag: its name, then attributes with quoted values or {...} expressions, and comments between them
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax of the surrounding code
+ * @param {number} i Index of the opening <
+ * @param {number} end Index the scan stops at
+ * @returns {Object|null} The tag ({ end, name, closing, selfClosing }), or null if this is not a tag
+ */
+const scanJsxTag = (state, syntax, i, end) => {
+    const { text } = state;
+    let j = i + 1;
+    const closing = text[j] === '/';
+    if (closing) j++;
+    JSX_TAG_NAME.lastIndex = j;
+    const name = (JSX_TAG_NAME.exec(text) || [''])[0];
+    // Only fragments (<> and </>) have no name
+    if (!name && text[j] !== '>') return null;
+    j += name.length;
+
+    while (j < end) {
+        const char = text[j];
+        if (char === '>') return { end: j + 1, name, closing, selfClosing: false };
+        if (char === '/' && text[j + 1] === '>') return { end: j + 2, name, closing, selfClosing: true };
+        const commentEnd = matchComment(state, syntax, j, end);
+        if (commentEnd !== -1) {
+            state.comments.push({ start: j, end: commentEnd });
+            j = commentEnd;
+        } else if (char === '"' || char === "'") {
+            const close = text.indexOf(char, j + 1);
+            if (close === -1 || close >= end) return null;
+            j = close + 1;
+        } else if (char === '{') {
+            j = scanCode(state, syntax, j + 1, end, '}');
+        } else if (/[\w$.:\s=-]/.test(char)) {
+            j++;
+        } else {
+            // Such as the comma of a TypeScript type parameter list <T,>
+            return null;
+        }
+    }
+    return null;
+};
+
+/**
+ * Scans a JSX element and its children. Text between tags is not code, so // and /* in it are not comments;
+ * comments are only found in tags and {...} expressions.
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax of the surrounding code
+ * @param {number} i Index of the opening <
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index after the closing tag, or -1 if this is not a well-formed element
+ */
+const scanJsxElement = (state, syntax, i, end) => {
+    const { text } = state;
+    const open = scanJsxTag(state, syntax, i, end);
+    if (!open || open.closing) return -1;
+    if (open.selfClosing) return open.end;
+
+    let j = open.end;
+    while (j < end) {
+        if (text[j] === '{') {
+            j = scanCode(state, syntax, j + 1, end, '}');
+        } else if (text[j] === '<' && text[j + 1] === '/') {
+            const close = scanJsxTag(state, syntax, j, end);
+            return close && close.name === open.name ? close.end : -1;
+        } else if (text[j] === '<') {
+            j = scanJsxElement(state, syntax, j, end);
+            if (j === -1) return -1;
+        } else {
+            j++;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Matches a JSX element where an expression may start, as in return <div>...</div>. Anything that does not
+ * parse as an element closed before the end, such as a TypeScript type assertion <T>value, is not matched,
+ * and the comments found while trying are dropped again.
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index after the element, or -1
+ */
+const jsxElement = (state, syntax, i, end) => {
+    const { text } = state;
+    if (text[i] !== '<' || !/[A-Za-z_$>]/.test(text[i + 1] || '') || !isRegexStart(text, i)) return -1;
+
+    const commentCount = state.comments.length;
+    const literalCount = state.literals ? state.literals.length : 0;
+    const elementEnd = scanJsxElement(state, syntax, i, end);
+    if (elementEnd === -1) {
+        state.comments.length = commentCount;
+        if (state.literals) state.literals.length = literalCount;
+    }
+    return elementEnd;
+};
+
+const DOUBLE_QUOTED = quoted({ start: /(")/y, escape: true });
+const SINGLE_QUOTED = quoted({ start: /(')/y, escape: true });
+
+const SCRIPT_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        quoted({ start: /(`)/y, escape: true, multiline: true, interpolation: { open: '${', close: '}' } }),
+        regexLiteral,
+        jsxElement
+    ]
+};
+
+const C_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    prefixChars: 'uULR',
+    literals: [
+        // Raw strings: R"delimiter( ... )delimiter"
+        quoted({ start: /(?:u8|u|U|L)?R"([^()\\\s"]{0,16})\(/y, close: match => `)${match[1]}"`, multiline: true }),
+        quoted({ start: /(?:u8|u|U|L)?(")/y, escape: true }),
+        // A quote after a digit is a C++14 digit separator, as in 1'000'000
+        quoted({ start: /(?:u8|u|U|L)?(')/y, escape: true, notAfter: /[0-9A-Fa-f]/ })
+    ]
+};
+
+const JAVA_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        quoted({ start: /(""")/y, escape: true, multiline: true }),
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED
+    ]
+};
+
+const CSHARP_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    prefixChars: '@$',
+    literals: [
+        // Raw string literals: three or more quotes
+        quoted({ start: /\$*("{3,})/y, multiline: true }),
+        // Verbatim strings: no escapes, "" stands for a quote
+        quoted({ start: /(?:\$@|@\$|@)(")/y, multiline: true, doubledQuotes: true }),
+        quoted({ start: /\$(")/y, escape: true, interpolation: { open: '{', close: '}' } }),
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED
+    ]
+};
+
+const GO_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        DOUBLE_QUOTED,
+        SINGLE_QUOTED,
+        quoted({ start: /(`)/y, multiline: true })
+    ]
+};
+
+const RUST_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    nestedComments: true,
+    prefixChars: 'br',
+    literals: [
+        // Raw strings: r"...", r#"..."#, br##"..."##
+        quoted({ start: /b?r(#*)"/y, close: match => `"${match[1]}`, multiline: true }),
+        quoted({ start: /b?(")/y, escape: true, multiline: true }),
+        rustCharLiteral
+    ]
+};
+
+const SWIFT_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    nestedComments: true,
+    literals: [
+        // Raw strings: #"..."#, ##"""..."""##
+        quoted({ start: /(#+)("""|")/y, close: match => `${match[2]}${match[1]}`, multiline: match => match[2] === '"""' }),
+        quoted({ start: /(""")/y, escape: true, multiline: true, interpolation: { open: '\\(', close: ')' } }),
+        quoted({ start: /(")/y, escape: true, interpolation: { open: '\\(', close: ')' } })
+    ]
+};
+
+const KOTLIN_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    nestedComments: true,
+    literals: [
+        quoted({ start: /(""")/y, multiline: true, interpolation: { open: '${', close: '}' } }),
+        quoted({ start: /(")/y, escape: true, interpolation: { open: '${', close: '}' } }),
+        SINGLE_QUOTED
+    ]
+};
+
+const SCALA_SYNTAX = {
+    ...KOTLIN_SYNTAX
+};
+
+const PYTHON_SYNTAX = {
+    lineComments: ['#'],
+    docstrings: true,
+    prefixChars: 'rRbBuUfF',
+    literals: [
+        quoted({ start: /[rRbBuUfF]{0,2}("""|''')/y, escape: true, multiline: true }),
+        quoted({ start: /[rRbBuUfF]{0,2}("|')/y, escape: true })
+    ]
+};
+
+const RUBY_SYNTAX = {
+    lineComments: ['#'],
+    lineStartComments: [['=begin', '=end']],
+    literals: [
+        heredoc(/<<[~-]?(?:(["'`])([A-Za-z_]\w*)\1|([A-Z_][A-Za-z0-9_]*))/y),
+        quoted({ start: /(")/y, escape: true, multiline: true, interpolation: { open: '#{', close: '}' } }),
+        quoted({ start: /(')/y, escape: true, multiline: true }),
+        quoted({ start: /(`)/y, escape: true, multiline: true, interpolation: { open: '#{', close: '}' } }),
+        regexLiteral
+    ]
+};
+
+const PHP_SYNTAX = {
+    lineComments: ['//', '#'],
+    blockComments: [['/*', '*/']],
+    // PHP 8 attributes look like comments to a line-based scan
+    notComments: ['#['],
+    lineCommentTerminators: ['?>'],
+    literals: [
+        heredoc(/<<<[ \t]*(["']?)([A-Za-z_]\w*)\1/y),
+        quoted({ start: /(")/y, escape: true, multiline: true }),
+        quoted({ start: /(')/y, escape: true, multiline: true })
+    ]
+};
+
+/**
+ * Matches an unquoted CSS url(...), whose content may contain //
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index after the closing parenthesis, or -1
+ */
+const cssUrl = (state, syntax, i, end) => {
+    const match = /url\(\s*(?!["'\s])/iy;
+    match.lastIndex = i;
+    if (!match.exec(state.text)) return -1;
+    const close = state.text.indexOf(')', i);
+    return close === -1 || close > end ? end : close + 1;
+};
+
+const CSS_SYNTAX = {
+    blockComments: [['/*', '*/']],
+    literals: [DOUBLE_QUOTED, SINGLE_QUOTED, cssUrl]
+};
+
+const SCSS_SYNTAX = {
+    ...CSS_SYNTAX,
+    lineComments: ['//']
+};
+
+const MARKUP_SYNTAX = {
+    markup: true
+};
+
+// Astro components: markup with a --- frontmatter block of TypeScript
+const ASTRO_SYNTAX = {
+    ...MARKUP_SYNTAX,
+    frontmatter: SCRIPT_SYNTAX
+};
+
+const JSONC_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    literals: [DOUBLE_QUOTED]
+};
+
+const DART_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    nestedComments: true,
+    prefixChars: 'r',
+    literals: [
+        quoted({ start: /r("""|''')/y, multiline: true }),
+        quoted({ start: /r("|')/y }),
+        quoted({ start: /("""|''')/y, escape: true, multiline: true, interpolation: { open: '${', close: '}' } }),
+        quoted({ start: /("|')/y, escape: true, interpolation: { open: '${', close: '}' } })
+    ]
+};
+
+const GROOVY_SYNTAX = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        quoted({ start: /(""")/y, escape: true, multiline: true, interpolation: { open: '${', close: '}' } }),
+        quoted({ start: /(''')/y, escape: true, multiline: true }),
+        quoted({ start: /(")/y, escape: true, interpolation: { open: '${', close: '}' } }),
+        SINGLE_QUOTED,
+        regexLiteral
+    ]
+};
+
+/**
+ * Matches a backslash and the character it escapes, as in \# in shell scripts or \; in Clojure
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @returns {number} Index after the escaped character, or -1
+ */
+const escapedChar = (state, syntax, i) => state.text[i] === '\\' ? i + 2 : -1;
+
+// Shell heredocs: <<EOF, <<-EOF, <<'EOF' and <<"EOF"
+const SHELL_HEREDOC = heredoc(/<<-?[ \t]*(["']?)([A-Za-z_]\w*)\1/y);
+
+const SHELL_SYNTAX = {
+    lineComments: ['#'],
+    // $#, ${#var} and a#b are not comments
+    lineCommentPosition: 'word',
+    literals: [
+        escapedChar,
+        SHELL_HEREDOC,
+        quoted({ start: /\$(')/y, escape: true, multiline: true }),
+        quoted({ start: /(")/y, escape: true, multiline: true }),
+        quoted({ start: /(')/y, multiline: true })
+    ]
+};
+
+/**
+ * Matches the indicator of a YAML block scalar (| or >); the indented lines after it are skipped like a heredoc body
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @returns {number} Index after the indicator, or -1
+ */
+const yamlBlockScalar = (state, syntax, i) => {
+    const { text } = state;
+    if (text[i] !== '|' && text[i] !== '>') return -1;
+    const lineStart = text.lastIndexOf('\n', i - 1) + 1;
+    const before = text.slice(lineStart, i);
+    // The indicator follows a key, a list dash or the start of the line, possibly with an anchor or tag
+    if (!/(?:^|[:?-]\s)\s*(?:[&!]\S*\s+)*$/.test(before)) return -1;
+
+    const indicator = /[|>][-+0-9]*(?=[ \t]*(?:#|\r?\n|$))/y;
+    indicator.lastIndex = i;
+    const match = indicator.exec(text);
+    if (!match) return -1;
+    state.heredocs.push({ indent: /^[ \t]*/.exec(before)[0].length });
+    return i + match[0].length;
+};
+
+const YAML_SYNTAX = {
+    lineComments: ['#'],
+    lineCommentPosition: 'word',
+    literals: [
+        yamlBlockScalar,
+        // Quotes only start a string at the beginning of a scalar; in don't they are part of the text
+        quoted({ start: /(")/y, escape: true, multiline: true, notAfter: /[^\s[{,:-]/ }),
+        quoted({ start: /(')/y, multiline: true, doubledQuotes: true, notAfter: /[^\s[{,:-]/ })
+    ]
+};
+
+const TOML_SYNTAX = {
+    lineComments: ['#'],
+    literals: [
+        quoted({ start: /(""")/y, escape: true, multiline: true }),
+        quoted({ start: /(''')/y, multiline: true }),
+        DOUBLE_QUOTED,
+        quoted({ start: /(')/y })
+    ]
+};
+
+const INI_SYNTAX = {
+    lineComments: [';', '#'],
+    lineCommentPosition: 'line'
+};
+
+const PROPERTIES_SYNTAX = {
+    lineComments: ['#', '!'],
+    lineCommentPosition: 'line'
+};
+
+// Files whose comments are whole lines starting with #, such as .gitignore
+const HASH_LINE_SYNTAX = {
+    lineComments: ['#'],
+    lineCommentPosition: 'line'
+};
+
+const DOCKERFILE_SYNTAX = {
+    ...HASH_LINE_SYNTAX,
+    literals: [SHELL_HEREDOC]
+};
+
+// Makefiles pass recipe lines to the shell, so only whole-line comments are removed
+const MAKEFILE_SYNTAX = {
+    ...HASH_LINE_SYNTAX,
+    literals: [escapedChar]
+};
+
+const SQL_SYNTAX = {
+    lineComments: ['--'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        // PostgreSQL dollar quoting: $$ ... $$ or $tag$ ... $tag$
+        quoted({ start: /\$([A-Za-z_]\w*|)\$/y, close: match => `$${match[1]}$`, multiline: true }),
+        quoted({ start: /(')/y, escape: true, multiline: true, doubledQuotes: true }),
+        quoted({ start: /(")/y, multiline: true, doubledQuotes: true }),
+        quoted({ start: /(`)/y, multiline: true, doubledQuotes: true })
+    ]
+};
+
+/**
+ * Creates a matcher for Lua long brackets such as [[ ... ]] or [==[ ... ]==], optionally behind a prefix
+ * @param {string} prefix Text before the opening bracket, e.g. -- for long comments
+ * @returns {Function} Matcher returning the index after the closing bracket, or -1
+ */
+const longBracket = (prefix) => {
+    const open = new RegExp(`${prefix.replace(/[-[\]]/g, '\\$&')}\\[(=*)\\[`, 'y');
+    return (state, syntax, i, end) => {
+        open.lastIndex = i;
+        const match = open.exec(state.text);
+        if (!match) return -1;
+        const close = state.text.indexOf(`]${match[1]}]`, i + match[0].length);
+        return close === -1 || close >= end ? end : close + match[1].length + 2;
+    };
+};
+
+const LUA_SYNTAX = {
+    lineComments: ['--'],
+    customComments: [longBracket('--')],
+    literals: [longBracket(''), DOUBLE_QUOTED, SINGLE_QUOTED]
+};
+
+const HASKELL_SYNTAX = {
+    lineComments: ['--'],
+    blockComments: [['{-', '-}']],
+    nestedComments: true,
+    // --> is an operator
+    notComments: ['-->'],
+    literals: [DOUBLE_QUOTED, rustCharLiteral]
+};
+
+/**
+ * Matches an Elixir character literal such as ?# or ?\n
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @returns {number} Index after the literal, or -1
+ */
+const elixirCharLiteral = (state, syntax, i) => {
+    const { text } = state;
+    if (text[i] !== '?' || !text[i + 1] || /\s/.test(text[i + 1])) return -1;
+    return text[i + 1] === '\\' ? i + 3 : i + 2;
+};
+
+const ELIXIR_SYNTAX = {
+    lineComments: ['#'],
+    literals: [
+        quoted({ start: /("""|''')/y, escape: true, multiline: true, interpolation: { open: '#{', close: '}' } }),
+        // Sigils such as ~r/.../, ~s(...) and ~w[...]
+        quoted({
+            start: /~[A-Za-z][A-Z0-9]*([/|"'([{<])/y,
+            close: match => ({ '(': ')', '[': ']', '{': '}', '<': '>' })[match[1]] || match[1],
+            escape: true,
+            multiline: true
+        }),
+        quoted({ start: /(")/y, escape: true, multiline: true, interpolation: { open: '#{', close: '}' } }),
+        quoted({ start: /(')/y, escape: true, multiline: true }),
+        elixirCharLiteral
+    ]
+};
+
+const R_SYNTAX = {
+    lineComments: ['#'],
+    prefixChars: 'rR',
+    literals: [
+        // Raw strings: r"(...)", R"---[...]---"
+        quoted({
+            start: /[rR](["'])(-*)([([{])/y,
+            close: match => `${({ '(': ')', '[': ']', '{': '}' })[match[3]]}${match[2]}${match[1]}`,
+            multiline: true
+        }),
+        quoted({ start: /(")/y, escape: true, multiline: true }),
+        quoted({ start: /(')/y, escape: true, multiline: true }),
+        quoted({ start: /(`)/y, escape: true })
+    ]
+};
+
+const POWERSHELL_SYNTAX = {
+    lineComments: ['#'],
+    lineCommentPosition: 'word',
+    blockComments: [['<#', '#>']],
+    literals: [
+        // Here-strings end with "@ or '@ at the start of a line
+        quoted({ start: /@(")/y, close: () => '\n"@', multiline: true }),
+        quoted({ start: /@(')/y, close: () => "\n'@", multiline: true }),
+        quoted({ start: /(")/y, escape: '`', multiline: true, doubledQuotes: true }),
+        quoted({ start: /(')/y, multiline: true, doubledQuotes: true })
+    ]
+};
+
+const GRAPHQL_SYNTAX = {
+    lineComments: ['#'],
+    literals: [
+        quoted({ start: /(""")/y, escape: true, multiline: true }),
+        DOUBLE_QUOTED
+    ]
+};
+
+const HCL_SYNTAX = {
+    lineComments: ['#', '//'],
+    blockComments: [['/*', '*/']],
+    literals: [
+        heredoc(/<<-?([A-Za-z_]\w*)/y),
+        quoted({ start: /(")/y, escape: true, interpolation: { open: '${', close: '}' } })
+    ]
+};
+
+const CMAKE_SYNTAX = {
+    lineComments: ['#'],
+    blockComments: [['#[[', ']]']],
+    literals: [quoted({ start: /(")/y, escape: true, multiline: true })]
+};
+
+const CLOJURE_SYNTAX = {
+    lineComments: [';'],
+    literals: [quoted({ start: /(")/y, escape: true, multiline: true }), escapedChar]
+};
+
+const JULIA_SYNTAX = {
+    lineComments: ['#'],
+    blockComments: [['#=', '=#']],
+    nestedComments: true,
+    literals: [
+        quoted({ start: /(""")/y, escape: true, multiline: true, interpolation: { open: '$(', close: ')' } }),
+        quoted({ start: /(")/y, escape: true, multiline: true, interpolation: { open: '$(', close: ')' } }),
+        quoted({ start: /(`)/y, escape: true, multiline: true }),
+        rustCharLiteral
+    ]
+};
+
+/**
+ * Matches a fenced Markdown code block, whose content is never a comment
+ * @param {Object} state Lexer state
+ * @param {Object} syntax Comment syntax
+ * @param {number} i Current index
+ * @param {number} end Index the scan stops at
+ * @returns {number} Index after the closing fence, or -1
+ */
+const fencedCode = (state, syntax, i, end) => {
+    const { text } = state;
+    const fence = /`{3,}|~{3,}/y;
+    fence.lastIndex = i;
+    const match = fence.exec(text);
+    if (!match || !isCommentPosition(text, i, 'line')) return -1;
+    const close = new RegExp(`\\n[ \\t]*\\${match[0][0]}{${match[0].length},}`, 'g');
+    close.lastIndex = i + match[0].length;
+    const closeMatch = close.exec(text);
+    return closeMatch && closeMatch.index < end ? closeMatch.index + closeMatch[0].length : end;
+};
+
+// MDX: {/* */} expression comments; code in fences and backticks is left alone
+const MDX_SYNTAX = {
+    blockComments: [['{/*', '*/}']],
+    literals: [fencedCode, quoted({ start: /(`+)/y })]
+};
+
+// Comment syntaxes by name, referenced by the language registry and by custom language settings
+const COMMENT_SYNTAXES = {
+    script: SCRIPT_SYNTAX,
+    c: C_SYNTAX,
+    java: JAVA_SYNTAX,
+    csharp: CSHARP_SYNTAX,
+    go: GO_SYNTAX,
+    rust: RUST_SYNTAX,
+    swift: SWIFT_SYNTAX,
+    kotlin: KOTLIN_SYNTAX,
+    scala: SCALA_SYNTAX,
+    dart: DART_SYNTAX,
+    groovy: GROOVY_SYNTAX,
+    python: PYTHON_SYNTAX,
+    ruby: RUBY_SYNTAX,
+    php: PHP_SYNTAX,
+    css: CSS_SYNTAX,
+    scss: SCSS_SYNTAX,
+    markup: MARKUP_SYNTAX,
+    astro: ASTRO_SYNTAX,
+    mdx: MDX_SYNTAX,
+    jsonc: JSONC_SYNTAX,
+    shell: SHELL_SYNTAX,
+    powershell: POWERSHELL_SYNTAX,
+    yaml: YAML_SYNTAX,
+    toml: TOML_SYNTAX,
+    ini: INI_SYNTAX,
+    properties: PROPERTIES_SYNTAX,
+    hashLine: HASH_LINE_SYNTAX,
+    dockerfile: DOCKERFILE_SYNTAX,
+    makefile: MAKEFILE_SYNTAX,
+    cmake: CMAKE_SYNTAX,
+    sql: SQL_SYNTAX,
+    lua: LUA_SYNTAX,
+    haskell: HASKELL_SYNTAX,
+    elixir: ELIXIR_SYNTAX,
+    r: R_SYNTAX,
+    julia: JULIA_SYNTAX,
+    clojure: CLOJURE_SYNTAX,
+    graphql: GRAPHQL_SYNTAX,
+    hcl: HCL_SYNTAX
+};
+
+/**
+ * Builds a comment syntax from a plain description, as given in the settings
+ * @param {Object} definition Syntax description
+ * @param {string[]} [definition.lineComments] Markers of comments that run to the end of the line, e.g. ["#"]
+ * @param {string[][]} [definition.blockComments] Opening and closing markers, e.g. [["(*", "*)"]]
+ * @param {boolean} [definition.nestedComments] Whether block comments nest
+ * @param {string} [definition.lineCommentPosition] 'any', 'word' or 'line', see isCommentPosition
+ * @param {string[]} [definition.strings] Quotes that delimit strings, e.g. ["\"", "'"]; quotes of three or more
+ * characters may span lines
+ * @param {boolean|string} [definition.escape] Escape character inside strings; true (the default) for a backslash
+ * @returns {Object} The comment syntax
+ */
+const createCommentSyntax = (definition) => {
+    const asList = value => (Array.isArray(value) ? value : []);
+    const escape = definition.escape === undefined ? true : definition.escape;
+    return {
+        lineComments: asList(definition.lineComments).filter(marker => typeof marker === 'string' && marker),
+        blockComments: asList(definition.blockComments).filter(pair => Array.isArray(pair) && pair.length === 2 && pair[0] && pair[1]),
+        nestedComments: !!definition.nestedComments,
+        lineCommentPosition: definition.lineCommentPosition,
+        literals: asList(definition.strings)
+            .filter(quote => typeof quote === 'string' && quote)
+            .sort((a, b) => b.length - a.length)
+            .map(quote => quoted({
+                start: new RegExp(`(${quote.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')})`, 'y'),
+                escape,
+                multiline: quote.length >= 3
+            }))
+    };
+};
+
+/**
+ * Finds every comment in a source text
+ * @param {string} text Source text
+ * @param {Object} syntax Comment syntax, from getCommentSyntax
+ * @returns {Object[]} Comment ranges ({ start, end, kind: 'comment' }) in source order; <!-- --> comments in
+ * markup are flagged with markup: true
+ */
+const findComments = (text, syntax) => {
+    const state = { text, comments: [], heredocs: [] };
+    if (syntax.markup) {
+        scanMarkup(state, syntax);
+    } else {
+        scanCode(state, syntax, 0, text.length, null);
+    }
+    return state.comments
+        .map(comment => ({ ...comment, kind: 'comment' }))
+        .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Finds every literal in a source text: strings, regexes and the like, which may contain text that looks like code
+ * @param {string} text Source text
+ * @param {Object} syntax Comment syntax, from getCommentSyntax
+ * @returns {Object[]} Literal ranges ({ start, end }) in source order; literals inside interpolations are listed
+ * as well as the literal around them. In markup, everything outside embedded code is a literal.
+ */
+const findLiterals = (text, syntax) => {
+    const state = { text, comments: [], heredocs: [], literals: [] };
+    if (syntax.markup) {
+        scanMarkup(state, syntax);
+    } else {
+        scanCode(state, syntax, 0, text.length, null);
+    }
+    return state.literals.sort((a, b) => a.start - b.start);
+};
+
+// Statements whose body may start with a docstring
+const DOCSTRING_OWNER = /^(?:async\s+def|def|class)\b/;
+
+/**
+ * Finds the docstrings of a Python source text that can be removed without leaving a block empty:
+ * string statements that open the module, a class or a function and are followed by more code
+ * @param {string} text Source text
+ * @param {Object} syntax Comment syntax, from getCommentSyntax
+ * @returns {Object[]} Docstring ranges ({ start, end, kind: 'docstring' }) in source order
+ */
+const findDocstrings = (text, syntax) => {
+    if (!syntax.docstrings) return [];
+
+    const state = { text, comments: [], heredocs: [], literals: [] };
+    scanCode(state, syntax, 0, text.length, null);
+    const commentEnds = new Map(state.comments.map(comment => [comment.start, comment.end]));
+    const literals = state.literals.sort((a, b) => a.start - b.start);
+
+    // Index of the next character that is neither whitespace nor part of a comment
+    const skipBlank = (index) => {
+        while (index < text.length) {
+            if (commentEnds.has(index)) index = commentEnds.get(index);
+            else if (/\s/.test(text[index])) index++;
+            else break;
+        }
+        return index;
+    };
+    const indentOf = (index) => index - text.lastIndexOf('\n', index - 1) - 1;
+
+    const docstrings = [];
+    let depth = 0;
+    let lastCode = '';
+    let statementStart = 0;
+    let atStatementStart = true;
+    let next = 0;
+
+    for (let i = 0; i < text.length;) {
+        if (commentEnds.has(i)) {
+            i = commentEnds.get(i);
+            continue;
+        }
+        // Literals nested in f-string interpolations were skipped with their enclosing string
+        while (next < literals.length && literals[next].start < i) next++;
+        const literal = next < literals.length && literals[next].start === i ? literals[next] : null;
+
+        if (literal) {
+            const opensBody = lastCode === '' || (lastCode === ':' && DOCSTRING_OWNER.test(text.slice(statementStart)));
+            if (depth === 0 && atStatementStart && opensBody) {
+                const lineEnd = text.indexOf('\n', literal.end);
+                const following = skipBlank(literal.end);
+                const endsLine = following >= text.length || (lineEnd !== -1 && following > lineEnd);
+                // A block that only holds its docstring would be left empty
+                const keepsBody = lastCode === '' || (following < text.length && indentOf(following) >= indentOf(i));
+                if (endsLine && keepsBody) docstrings.push({ start: i, end: literal.end, kind: 'docstring' });
+            }
+            if (atStatementStart) statementStart = i;
+            atStatementStart = false;
+            lastCode = '"';
+            i = literal.end;
+            next++;
+            continue;
+        }
+
+        const char = text[i];
+        if (char === '\n' && depth === 0) atStatementStart = true;
+        if (!/\s/.test(char)) {
+            if ('([{'.includes(char)) depth++;
+            else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+            if (atStatementStart) statementStart = i;
+            atStatementStart = false;
+            lastCode = char;
+        }
+        i++;
+    }
+
+    return docstrings;
+};
+
+/**
+ * Removes comments from a source text. Everything outside the comments is kept byte for byte, except that
+ * lines left empty by a removed comment are dropped and whitespace left at the end of such a line is trimmed.
+ * @param {string} text Source text
+ * @param {Object} syntax Comment syntax, from getCommentSyntax
+ * @param {Object} [options] Strip options
+ * @param {boolean} [options.removeDocstrings] Also remove Python docstrings that are not a block's only statement
+ * @param {Function} [options.preserve] Called with a range ({ start, end, kind }) and all ranges found;
+ * returns true to keep it
+ * @returns {string} The text without comments
+ */
+const stripComments = (text, syntax, options = {}) => {
+    const found = options.removeDocstrings
+        ? [...findComments(text, syntax), ...findDocstrings(text, syntax)].sort((a, b) => a.start - b.start)
+        : findComments(text, syntax);
+    const comments = options.preserve ? found.filter(range => !options.preserve(range, found)) : found;
+    if (comments.length === 0) return text;
+
+    let output = '';
+    let position = 0;
+    let lineIndex = 0;
+    const touchedLines = new Set();
+    const append = (chunk) => {
+        output += chunk;
+        for (let i = chunk.indexOf('\n'); i !== -1; i = chunk.indexOf('\n', i + 1)) lineIndex++;
+    };
+
+    comments.forEach(comment => {
+        append(text.slice(position, comment.start));
+        touchedLines.add(lineIndex);
+
+        const before = output[output.length - 1] || '';
+        const after = text[comment.end] || '';
+        if (text.slice(comment.start, comment.end).includes('\n')) {
+            // A multi-line comment still separates the lines around it
+            append('\n');
+            touchedLines.add(lineIndex);
+        } else if (!comment.markup && /\S/.test(before) && /\S/.test(after)) {
+            // Keep tokens apart: a/**/b must not become ab. A markup comment renders as nothing, so it leaves no space.
+            append(' ');
+        }
+        position = comment.end;
+    });
+    append(text.slice(position));
+
+    return output.split('\n').reduce((lines, line, index) => {
+        if (!touchedLines.has(index)) {
+            lines.push(line);
+            return lines;
+        }
+        const lineEnding = line.endsWith('\r') ? '\r' : '';
+        const trimmed = line.slice(0, line.length - lineEnding.length).trimEnd();
+        if (trimmed) lines.push(trimmed + lineEnding);
+        return lines;
+    }, []).join('\n');
+};
+
+module.exports = {
+    findComments,
+    findLiterals,
+    findDocstrings,
+    stripComments,
+    createCommentSyntax,
+    COMMENT_SYNTAXES
+};
@@ -0,0 +1,135 @@
+// Built-in rules for comments that survive comment removal
+const PRESERVATION_PRESETS = {
+    license: 'License and copyright headers at the top of a file',
+    shebang: '#! interpreter lines',
+    encoding: 'Encoding declarations such as # -*- coding: utf-8 -*- in the first two lines',
+    directives: 'Tool directives such as eslint-disable, @ts-ignore, # type: ignore, # noqa, //go:build and Dockerfile parser directives',
+    preserved: '/*! ... */ comments that minifiers keep',
+    docComments: 'JSDoc, Javadoc and other /** ... */, /// and //! doc comments',
+    docstrings: 'Python docstrings'
+};
+
+const DEFAULT_PRESERVATION_PRESETS = ['license', 'shebang', 'encoding', 'directives', 'preserved', 'docstrings'];
+
+const LICENSE_WORDS = /\b(?:copyright|licen[cs]ed?|spdx-license-identifier|all rights reserved)\b|\(c\)|©/i;
+const ENCODING_DECLARATION = /\b(?:en)?coding[:=]\s*[-\w.]+/;
+const DIRECTIVE = new RegExp('^(?:' + [
+    'eslint(?:-disable(?:-next-line|-line)?|-enable|-env)?\\b', 'jshint\\b', 'jslint\\b',
+    '@ts-(?:ignore|expect-error|nocheck|check)\\b', '@flow\\b', '@jsx(?:ImportSource|Runtime|Frag)?\\b',
+    'prettier-ignore\\b', 'istanbul\\s+ignore\\b', 'c8\\s+ignore\\b', 'tslint:', 'biome-ignore\\b',
+    'deno-lint-ignore', 'webpack[A-Z]\\w*:', '[#@]__PURE__', 'type:\\s*ignore\\b', 'noqa\\b', 'pylint:',
+    'mypy:', 'pyright:', 'fmt:\\s*(?:off|on|skip)\\b', 'isort:', 'pragma\\b', 'rubocop:', 'frozen_string_literal:',
+    'nolint\\b', 'NOLINT', 'go:\\w+', '\\+build\\s', 'phpcs:', '@phpstan-', '@psalm-', 'swiftlint:',
+    'clang-format\\s+(?:off|on)\\b', '#?(?:end)?region\\b', '(?:syntax|escape|check)=\\S'
+].join('|') + ')');
+// ESLint only reads these from block comments; in line comments they are ordinary words
+const BLOCK_DIRECTIVE = /^(?:globals?|exported)\s/;
+
+/**
+ * Reads the comment preservation rules from the settings
+ * @param {{get: Function}} config Settings with get(key, defaultValue), such as the syntaxExtractor workspace configuration
+ * @returns {{presets: string[], patterns: RegExp[]}} Enabled presets and compiled user patterns
+ */
+const getPreservationRules = (config) => {
+    const presets = config.get('preserveComments', DEFAULT_PRESERVATION_PRESETS);
+    const patterns = config.get('preserveCommentPatterns', []);
+    return {
+        presets: (Array.isArray(presets) ? presets : []).filter(preset => PRESERVATION_PRESETS[preset]),
+        patterns: (Array.isArray(patterns) ? patterns : [patterns])
+            .filter(pattern => typeof pattern === 'string' && pattern.trim())
+            .map(pattern => {
+                try {
+                    return new RegExp(pattern);
+                } catch (error) {
+                    throw new Error(`Invalid comment preservation pattern "${pattern}": ${error.message}`);
+                }
+            })
+    };
+};
+
+const DEFAULT_PRESERVATION_RULES = { presets: DEFAULT_PRESERVATION_PRESETS, patterns: [] };
+
+/**
+ * Strips the comment markers around a comment's text
+ * @param {string} comment Comment text including its markers
+ * @returns {string} The comment body, trimmed
+ */
+const getCommentBody = (comment) => comment
+    .replace(/^(?:\/\/+!?|\/\*+!?|#+|<!--|--|=begin)/, '')
+    .replace(/(?:\*+\/|-->|=end)$/, '')
+    .trim();
+
+/**
+ * Finds the comments of the file header: the comments before any code, split into blocks of
+ * consecutive line comments, with each block comment on its own
+ * @param {string} text Source text
+ * @param {Object[]} ranges Comment ranges in source order
+ * @returns {Object[][]} The header blocks
+ */
+const getHeaderBlocks = (text, ranges) => {
+    const blocks = [];
+    let position = 0;
+
+    for (const range of ranges) {
+        if (range.kind !== 'comment') break;
+        const gap = text.slice(position, range.start);
+        // A shebang or an opening <?php / <?xml tag may come before the header
+        const allowedGap = position === 0 ? /^(?:#![^\n]*|<\?php|<\?xml[^>]*\?>)?\s*$/ : /^\s*$/;
+        if (!allowedGap.test(gap)) break;
+
+        const previous = blocks.length > 0 ? blocks[blocks.length - 1] : null;
+        const isLine = !text.slice(range.start, range.end).includes('\n');
+        const continues = previous && previous.isLine && isLine && (gap.match(/\n/g) || []).length <= 1;
+        if (continues) previous.ranges.push(range);
+        else blocks.push({ isLine, ranges: [range] });
+        position = range.end;
+    }
+
+    return blocks.map(block => block.ranges);
+};
+
+/**
+ * Creates the check that decides which comments of a source text are kept
+ * @param {string} text Source text
+ * @param {{presets: string[], patterns: RegExp[]}} [rules] Preservation rules, from getPreservationRules
+ * @returns {Function} Called with a range ({ start, end, kind }) and all ranges; returns true to keep it
+ */
+const createPreservationCheck = (text, rules = DEFAULT_PRESERVATION_RULES) => {
+    const presets = new Set(rules.presets);
+    const secondLineEnd = text.indexOf('\n', text.indexOf('\n') + 1);
+    let licenseRanges = null;
+
+    return (range, ranges) => {
+        const comment = text.slice(range.start, range.end);
+        if (rules.patterns.some(pattern => pattern.test(comment))) return true;
+        if (range.kind === 'docstring') return presets.has('docstrings');
+
+        const body = getCommentBody(comment);
+        if (presets.has('shebang') && range.start === 0 && comment.startsWith('#!')) return true;
+        if (presets.has('encoding') && (secondLineEnd === -1 || range.start < secondLineEnd) && ENCODING_DECLARATION.test(comment)) {
+            return true;
+        }
+        if (presets.has('directives') && (DIRECTIVE.test(body) || (comment.startsWith('/*') && BLOCK_DIRECTIVE.test(body)))) {
+            return true;
+        }
+        if (presets.has('preserved') && comment.startsWith('/*!')) return true;
+        if (presets.has('docComments') && /^(?:\/\*\*(?!\/)|\/\/\/(?!\/)|\/\/!)/.test(comment)) return true;
+
+        if (presets.has('license')) {
+            if (!licenseRanges) {
+                licenseRanges = new Set(getHeaderBlocks(text, ranges)
+                    .filter(block => block.some(item => LICENSE_WORDS.test(text.slice(item.start, item.end))))
+                    .flat());
+            }
+            if (licenseRanges.has(range)) return true;
+        }
+        return false;
+    };
+};
+
+module.exports = {
+    PRESERVATION_PRESETS,
+    DEFAULT_PRESERVATION_PRESETS,
+    getPreservationRules,
+    createPreservationCheck
+};
@@ -0,0 +1,221 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { checkIsIgnored } = require('./ignoreHelper');
+const { findCommonBasePath } = require('./utils');
+const { loadInheritedGitignoreRules } = require('./gitignore');
+const { scanDirectory } = require('./fileTraversal');
+const { FILE_CONCURRENCY, throwIfCancelled, mapConcurrent, createProgressCounter } = require('./concurrency');
+const { stripComments } = require('./commentLexer');
+const { findLanguage } = require('./languages');
+const { createPreservationCheck } = require('./commentPreservation');
+const { getEncoder, encodeText } = require('./tokenizer');
+const { logger } = require('./logger');
+
+/**
+ * Works out the comment removal for files and folders without changing anything
+ * @param {string[]} selectedPaths Absolute paths of the selected files and folders
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Removal options
+ * @param {Object} [options.gitignore] Git ignore sources to honour ({ useGitignore, useGitInfoExclude })
+ * @param {string[]} [options.includePatterns] If not empty, only files inside selected folders matching one of these are processed
+ * @param {Object} [options.preservation] Comments to keep, from getPreservationRules; defaults to the built-in presets
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @param {string} [options.tokenizer] Encoding used to count the removed tokens, one of TOKENIZERS
+ * @param {Function} [options.getLanguageId] Returns the language identifier of a file that is open in an editor
+ * @param {Function} [options.readContent] Reads the current text of a file, e.g. from an editor with unsaved changes;
+ * defaults to reading the file from disk
+ * @param {Function} [options.onProgress] Called with { scanned, read, path } as files are found and processed
+ * @param {Object} [options.token] Cancellation token, such as a vscode.CancellationToken; cancelling rejects with CancelledError
+ * @returns {Promise<Object[]>} One change per file that has comments: path, relativePath, original, cleaned,
+ * charactersRemoved and tokensRemoved
+ */
+const collectCommentRemovals = async (selectedPaths, ignorePatterns = [], options = {}) => {
+    const encoder = getEncoder(options.tokenizer);
+    const progress = createProgressCounter(options.onProgress);
+    const processOptions = { ...options, readContent: options.readContent || (filePath => fs.readFile(filePath, 'utf8')) };
+    const targets = [];
+
+    // Determine the common base path for relative path calculations
+    const basePath = findCommonBasePath(selectedPaths);
+    logger.log('Base path for ignore checks:', basePath);
+    logger.log('Using ignore patterns:', ignorePatterns);
+    const gitignoreSettings = options.gitignore || { useGitignore: false, useGitInfoExclude: false };
+
+    for (const selectedPath of selectedPaths) {
+        throwIfCancelled(options.token);
+        const stats = await fs.stat(selectedPath);
+        const relativePath = path.relative(basePath, selectedPath);
+        const fileName = path.basename(selectedPath);
+        const gitignoreRules = await loadInheritedGitignoreRules(selectedPath, gitignoreSettings);
+
+        // Check if this path should be ignored
+        if (relativePath && checkIsIgnored(
+            relativePath,
+            fileName,
+            stats.isDirectory(),
+            ignorePatterns,
+            { absolutePath: selectedPath, gitignoreRules }
+        )) {
+            logger.log(`Ignoring selected item: ${relativePath}`);
+            continue;
+        }
+
+        if (stats.isDirectory()) {
+            const scan = await scanDirectory(selectedPath, basePath, ignorePatterns, {
+                includePatterns: options.includePatterns || [],
+                useGitignore: gitignoreSettings.useGitignore,
+                gitignoreRules,
+                progress,
+                token: options.token
+            });
+            targets.push(...scan.files);
+        } else if (stats.isFile()) {
+            targets.push({ path: selectedPath, relativePath, gitignoreRules });
+            progress.scanned(relativePath || fileName);
+        }
+    }
+
+    const changes = await mapConcurrent(targets, FILE_CONCURRENCY, async (target) => {
+        const change = await processFile(target.path, encoder, basePath, ignorePatterns, { ...processOptions, gitignoreRules: target.gitignoreRules });
+        progress.read(target.relativePath || path.basename(target.path));
+        return change;
+    }, options.token);
+    return changes.filter(change => change);
+};
+
+/**
+ * Removes comments from files and folders, rewriting each file that changes
+ * @param {string[]} selectedPaths Absolute paths of the selected files and folders
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Removal options, see collectCommentRemovals
+ * @param {boolean} [options.dryRun] Only report what would change
+ * @returns {Promise<Object>} Totals (filesProcessed, charactersRemoved, tokensRemoved) and the changes
+ */
+const removeCommentsFromPaths = async (selectedPaths, ignorePatterns = [], options = {}) => {
+    const changes = await collectCommentRemovals(selectedPaths, ignorePatterns, options);
+    // Cancelling stops before the first write, never halfway through the files
+    throwIfCancelled(options.token);
+    if (!options.dryRun) {
+        for (const change of changes) {
+            logger.log(`Saving file: ${change.relativePath}`);
+            await fs.writeFile(change.path, change.cleaned, 'utf8');
+        }
+    }
+    return { ...summarizeCommentRemovals(changes), changes };
+};
+
+/**
+ * Adds up the characters and tokens removed by a set of changes
+ * @param {Object[]} changes Changes returned by collectCommentRemovals
+ * @returns {Object} Totals: filesProcessed, charactersRemoved and tokensRemoved
+ */
+const summarizeCommentRemovals = (changes) => ({
+    filesProcessed: changes.length,
+    charactersRemoved: changes.reduce((sum, change) => sum + change.charactersRemoved, 0),
+    tokensRemoved: changes.reduce((sum, change) => sum + change.tokensRemoved, 0)
+});
+
+/**
+ * Processes a file for comment removal with ignore pattern support
+ * @param {string} filePath Path to the file
+ * @param {Object} encoder Tiktoken encoder instance
+ * @param {string} basePath Base path for relative path calculations
+ * @param {string[]} ignorePatterns Patterns of files to ignore
+ * @param {Object} options Options with the gitignoreRules that apply to the file and readContent
+ * @returns {Promise<Object|null>} The change, or null if the file is ignored, unsupported or has no comments
+ */
+const processFile = async (filePath, encoder, basePath, ignorePatterns = [], options = {}) => {
+    try {
+        const relativePath = path.relative(basePath, filePath);
+        const fileName = path.basename(filePath);
+
+        logger.log(`Processing file: ${relativePath}`);
+
+        // Check if this file should be ignored
+        if (checkIsIgnored(relativePath, fileName, false, ignorePatterns, {
+            absolutePath: filePath,
+            gitignoreRules: options.gitignoreRules
+        })) {
+            logger.log(`Ignoring file: ${relativePath}`);
+            return null;
+        }
+
+        const languageOptions = {
+            languages: options.languages,
+            languageId: options.getLanguageId ? options.getLanguageId(filePath) : undefined
+        };
+        // Files without a known name or extension are only read to look for a #! line
+        let content = null;
+        if (!isSupportedFile(filePath, languageOptions)) {
+            if (path.extname(fileName)) {
+                logger.log(`File type of ${relativePath} not supported`);
+                return null;
+            }
+            content = await options.readContent(filePath);
+            if (!isSupportedFile(filePath, { ...languageOptions, content })) {
+                logger.log(`File type of ${relativePath} not supported`);
+                return null;
+            }
+        }
+
+        if (content === null) content = await options.readContent(filePath);
+        const cleanedContent = removeCommentsFromContent(content, filePath, { ...languageOptions, preservation: options.preservation });
+
+        if (content === cleanedContent) {
+            logger.log(`No changes needed for file: ${relativePath}`);
+            return null;
+        }
+
+        logger.log(`Changes detected in file: ${relativePath}`);
+        return {
+            path: filePath,
+            relativePath: relativePath || fileName,
+            original: content,
+            cleaned: cleanedContent,
+            charactersRemoved: content.length - cleanedContent.length,
+            tokensRemoved: encodeText(encoder, content).length - encodeText(encoder, cleanedContent).length
+        };
+    } catch (error) {
+        logger.error(`Error processing file ${filePath}:`, error);
+        return null;
+    }
+};
+
+/**
+ * Checks whether comments can be removed from a file
+ * @param {string} filePath Path of the file
+ * @param {Object} [options] Language lookup options: languages, languageId and content
+ * @returns {boolean} True if the file's language has a comment syntax
+ */
+const isSupportedFile = (filePath, options = {}) => {
+    const language = findLanguage(filePath, { ...options, registry: options.languages });
+    return !!(language && language.commentSyntax);
+};
+
+/**
+ * Removes the comments from file content, leaving strings, regex literals, all other code and the comments
+ * matched by the preservation rules untouched
+ * @param {string} content The file content
+ * @param {string} filePath Path or name of the file, used to pick the language
+ * @param {Object} [options] Removal options
+ * @param {Object} [options.preservation] Comments to keep, from getPreservationRules; defaults to the built-in presets
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @param {string} [options.languageId] Language identifier of the editor the content comes from
+ * @returns {string} The content without comments, or the content itself if the language is unknown
+ */
+const removeCommentsFromContent = (content, filePath, options = {}) => {
+    const language = findLanguage(filePath, { languageId: options.languageId, content, registry: options.languages });
+    if (!language || !language.commentSyntax) return content;
+    const { preservation } = options;
+    return stripComments(content, language.commentSyntax, {
+        removeDocstrings: !!preservation && !preservation.presets.includes('docstrings'),
+        preserve: createPreservationCheck(content, preservation)
+    });
+};
+
+module.exports = {
+    collectCommentRemovals,
+    removeCommentsFromPaths,
+    summarizeCommentRemovals,
+    removeCommentsFromContent
+};
@@ -0,0 +1,83 @@
+// Number of files read at the same time; enough to hide disk latency without exhausting file handles
+const FILE_CONCURRENCY = 16;
+
+/**
+ * Thrown when the user cancels a running extraction or comment removal
+ */
+class CancelledError extends Error {
+    constructor(message = 'Operation cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Stops the current operation if it was cancelled
+ * @param {{isCancellationRequested: boolean}} [token] Cancellation token, such as a vscode.CancellationToken
+ */
+const throwIfCancelled = (token) => {
+    if (token && token.isCancellationRequested) {
+        throw new CancelledError();
+    }
+};
+
+/**
+ * Maps items with an async function, running at most `limit` calls at a time.
+ * Results keep the order of the items, however the calls finish.
+ * @param {Array} items The items
+ * @param {number} limit Maximum number of concurrent calls
+ * @param {Function} mapper Called with (item, index); may return a promise
+ * @param {{isCancellationRequested: boolean}} [token] Cancellation token, checked before each call
+ * @returns {Promise<Array>} The results, in item order; rejects with the first error or CancelledError
+ */
+const mapConcurrent = async (items, limit, mapper, token) => {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    const worker = async () => {
+        while (next < items.length && !failed) {
+            const index = next++;
+            try {
+                throwIfCancelled(token);
+                results[index] = await mapper(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+/**
+ * Creates the counters behind progress reports
+ * @param {Function} [onProgress] Called with { scanned, read, path } whenever a file is found or read
+ * @returns {{scanned: Function, read: Function}} Functions to call with the relative path of each file found or read
+ */
+const createProgressCounter = (onProgress) => {
+    const counts = { scanned: 0, read: 0 };
+    const count = (key) => (relativePath) => {
+        counts[key]++;
+        if (onProgress) onProgress({ ...counts, path: relativePath });
+    };
+    return { scanned: count('scanned'), read: count('read') };
+};
+
+/**
+ * Describes a progress report for people
+ * @param {{scanned: number, read: number, path: string}} progress Report passed to onProgress
+ * @returns {string} e.g. "120 files found, 48 read: src/index.js"
+ */
+const describeProgress = (progress) => `${progress.scanned} files found, ${progress.read} read: ${progress.path}`;
+
+module.exports = {
+    FILE_CONCURRENCY,
+    CancelledError,
+    throwIfCancelled,
+    mapConcurrent,
+    createProgressCounter,
+    describeProgress
+};
@@ -0,0 +1,310 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { COMMENT_SYNTAXES, findComments, findLiterals, stripComments } = require('./commentLexer');
+
+const DEFAULT_DEPENDENCY_DEPTH = 3;
+
+// Languages whose imports are followed, by language tag
+const SCRIPT_LANGUAGES = ['javascript', 'jsx', 'typescript', 'tsx', 'vue', 'svelte', 'astro'];
+const PYTHON_LANGUAGES = ['python'];
+
+// Extensions tried, in order, for an import without one, and the index files tried for a folder
+const SCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json', '.vue', '.svelte'];
+// TypeScript sources import each other by the extension of the compiled file
+const COMPILED_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+const SCRIPT_IMPORTS = [
+    { statement: 'import', pattern: /\bimport\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s+)?(['"])([^'"\n]+)\1/g },
+    { statement: 'export', pattern: /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s+from\s+(['"])([^'"\n]+)\1/g },
+    { statement: 'require', pattern: /\brequire\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g },
+    { statement: 'import()', pattern: /\bimport\s*\(\s*(['"`])([^'"`\n$]+)\1\s*\)/g }
+];
+const PYTHON_FROM_IMPORT = /^[ \t]*from[ \t]+(\.*)([\w.]*)[ \t]+import[ \t]+(\([^)]*\)|[^\n]*)/gm;
+const PYTHON_IMPORT = /^[ \t]*import[ \t]+([^\n]+)/gm;
+
+/**
+ * Prepares source text for matching imports: comments are blanked out, keeping every other character in place,
+ * and the literals are found, so that import-like text in comments and strings is not taken for an import
+ * @param {string} content File content
+ * @param {Object} syntax Comment syntax of the file
+ * @returns {{code: string, isCode: Function}} The text without comments, and a check whether an index of it is
+ * outside every literal
+ */
+const prepareSource = (content, syntax) => {
+    let code = '';
+    let position = 0;
+    findComments(content, syntax).forEach(comment => {
+        code += content.slice(position, comment.start) + content.slice(comment.start, comment.end).replace(/[^\r\n]/g, ' ');
+        position = comment.end;
+    });
+    code += content.slice(position);
+    const literals = findLiterals(content, syntax);
+    return { code, isCode: index => !literals.some(literal => index >= literal.start && index < literal.end) };
+};
+
+/**
+ * Finds the imports of a source file. Imports in comments and strings, such as commented-out imports or code
+ * in a template, are not followed.
+ * @param {string} content File content
+ * @param {string} language Language tag of the file, e.g. javascript or python
+ * @returns {Object[]} Imports in file order: { specifier, statement }, where the specifier is the imported path for
+ * scripts and the import statement for Python, which also has level (number of leading dots), module and the imported names
+ */
+const findImports = (content, language) => {
+    if (SCRIPT_LANGUAGES.includes(language)) {
+        const { code, isCode } = prepareSource(content, COMMENT_SYNTAXES[['vue', 'svelte', 'astro'].includes(language) ? 'markup' : 'script']);
+        return SCRIPT_IMPORTS
+            .flatMap(({ statement, pattern }) => [...code.matchAll(pattern)]
+                .filter(match => isCode(match.index))
+                .map(match => ({ specifier: match[2], statement, index: match.index })))
+            .sort((a, b) => a.index - b.index)
+            .map(({ specifier, statement }) => ({ specifier, statement }));
+    }
+    if (PYTHON_LANGUAGES.includes(language)) {
+        const { code, isCode } = prepareSource(content, COMMENT_SYNTAXES.python);
+        // The patterns match from the start of the line, so the statement itself is checked
+        const statementIndex = match => match.index + match[0].search(/\S/);
+        const fromImports = [...code.matchAll(PYTHON_FROM_IMPORT)].filter(match => isCode(statementIndex(match))).map(match => {
+            const names = match[3].replace(/[()\\]/g, ' ').split(',')
+                .map(name => name.trim().split(/\s+/)[0])
+                .filter(name => name && name !== '*');
+            return {
+                specifier: `from ${match[1]}${match[2]} import ${names.join(', ') || '*'}`,
+                statement: 'from',
+                level: match[1].length,
+                module: match[2],
+                names,
+                index: match.index
+            };
+        });
+        const imports = [...code.matchAll(PYTHON_IMPORT)].filter(match => isCode(statementIndex(match))).flatMap(match => match[1].replace(/[\\;].*$/, '').split(',')
+            .map(name => name.trim().split(/\s+/)[0])
+            .filter(name => /^[\w.]+$/.test(name))
+            .map(module => ({ specifier: `import ${module}`, statement: 'import', level: 0, module, names: [], index: match.index })));
+        const found = [...fromImports, ...imports].sort((a, b) => a.index - b.index);
+        found.forEach(item => delete item.index);
+        return found;
+    }
+    return [];
+};
+
+/**
+ * Parses a tsconfig.json or jsconfig.json, which may contain comments and trailing commas
+ * @param {string} text Content of the file
+ * @returns {Object|null} The configuration, or null if it cannot be parsed
+ */
+const parseConfigFile = (text) => {
+    try {
+        return JSON.parse(stripComments(text, COMMENT_SYNTAXES.jsonc).replace(/,(\s*[}\]])/g, '$1'));
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Creates a resolver that maps imports to local files. File lookups and tsconfig/jsconfig files are cached,
+ * so a resolver should only be used for one extraction.
+ * @param {Object} [options] Resolver options
+ * @param {string[]} [options.roots] Folders Python package imports are looked up in, besides the folder above the
+ * importing file's top-level package and the importing file's own folder; e.g. the workspace folders
+ * @returns {{resolve: Function}} resolve(item, fromFile, language) resolves to the absolute paths of the imported
+ * files: empty for imports of installed packages, null for local imports that match no file
+ */
+const createDependencyResolver = (options = {}) => {
+    const statCache = new Map();
+    const configCache = new Map();
+
+    const isFile = (filePath) => {
+        if (!statCache.has(filePath)) {
+            statCache.set(filePath, fs.stat(filePath).then(stats => stats.isFile(), () => false));
+        }
+        return statCache.get(filePath);
+    };
+
+    const firstFile = async (candidates) => {
+        for (const candidate of candidates) {
+            if (await isFile(candidate)) return candidate;
+        }
+        return null;
+    };
+
+    /**
+     * Resolves a script import to a file: as written, with an extension, the TypeScript source of a compiled
+     * file name, or the index file of a folder
+     */
+    const resolveScriptFile = (target) => {
+        const ext = path.extname(target);
+        const sources = (COMPILED_EXTENSIONS[ext] || []).map(sourceExt => target.slice(0, -ext.length) + sourceExt);
+        return firstFile([
+            target,
+            ...SCRIPT_EXTENSIONS.map(extension => target + extension),
+            ...sources,
+            ...SCRIPT_EXTENSIONS.map(extension => path.join(target, `index${extension}`))
+        ]);
+    };
+
+    /**
+     * Reads the path aliases of a configuration file, following relative extends
+     * @returns {Promise<{baseUrl: string|null, paths: Object|null, pathsBase: string}|null>}
+     */
+    const loadAliases = async (configPath, seen = new Set()) => {
+        if (seen.has(configPath) || seen.size > 10) return null;
+        seen.add(configPath);
+        let config;
+        try {
+            config = parseConfigFile(await fs.readFile(configPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+        if (!config) return null;
+
+        const configDir = path.dirname(configPath);
+        const extended = typeof config.extends === 'string' && config.extends.startsWith('.')
+            ? await loadAliases(path.resolve(configDir, config.extends.endsWith('.json') ? config.extends : `${config.extends}.json`), seen)
+            : null;
+        const compilerOptions = config.compilerOptions || {};
+        const baseUrl = typeof compilerOptions.baseUrl === 'string'
+            ? path.resolve(configDir, compilerOptions.baseUrl)
+            : extended ? extended.baseUrl : null;
+        // Paths are relative to the baseUrl, or without one to the file that declares them
+        if (compilerOptions.paths && typeof compilerOptions.paths === 'object') {
+            return { baseUrl, paths: compilerOptions.paths, pathsBase: baseUrl || configDir };
+        }
+        return extended ? { ...extended, baseUrl, pathsBase: extended.paths ? extended.pathsBase : baseUrl } : { baseUrl, paths: null, pathsBase: baseUrl };
+    };
+
+    /**
+     * Finds the path aliases that apply to a folder, from the nearest tsconfig.json or jsconfig.json
+     */
+    const findAliases = (directory) => {
+        if (!configCache.has(directory)) {
+            configCache.set(directory, (async () => {
+                const configPath = await firstFile([path.join(directory, 'tsconfig.json'), path.join(directory, 'jsconfig.json')]);
+                if (configPath) return loadAliases(configPath);
+                const parent = path.dirname(directory);
+                return parent === directory ? null : findAliases(parent);
+            })());
+        }
+        return configCache.get(directory);
+    };
+
+    /**
+     * Resolves a non-relative script import through the path aliases and baseUrl, as TypeScript does:
+     * the pattern with the longest prefix before its * wins
+     */
+    const resolveAlias = async (specifier, fromFile) => {
+        const aliases = await findAliases(path.dirname(fromFile));
+        if (!aliases) return [];
+
+        const matches = Object.entries(aliases.paths || {})
+            .map(([pattern, targets]) => {
+                const star = pattern.indexOf('*');
+                const prefix = star === -1 ? pattern : pattern.slice(0, star);
+                const suffix = star === -1 ? '' : pattern.slice(star + 1);
+                const matched = star === -1
+                    ? specifier === pattern
+                    : specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length;
+                return matched ? { prefix, targets, wildcard: specifier.slice(prefix.length, specifier.length - suffix.length) } : null;
+            })
+            .filter(match => match && Array.isArray(match.targets))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+
+        if (matches.length > 0) {
+            for (const target of matches[0].targets.filter(item => typeof item === 'string')) {
+                const resolved = await resolveScriptFile(path.resolve(aliases.pathsBase, target.replace('*', matches[0].wildcard)));
+                if (resolved) return [resolved];
+            }
+            return null;
+        }
+        if (aliases.baseUrl) {
+            const resolved = await resolveScriptFile(path.resolve(aliases.baseUrl, specifier));
+            if (resolved) return [resolved];
+        }
+        return [];
+    };
+
+    const resolveScript = async (item, fromFile) => {
+        if (item.specifier.startsWith('.') || path.isAbsolute(item.specifier)) {
+            const resolved = await resolveScriptFile(path.resolve(path.dirname(fromFile), item.specifier));
+            return resolved ? [resolved] : null;
+        }
+        return resolveAlias(item.specifier, fromFile);
+    };
+
+    /**
+     * Finds the folder a Python file's absolute imports start from: the folder above its top-level package
+     */
+    const findPackageRoot = async (fromFile) => {
+        let directory = path.dirname(fromFile);
+        while (await isFile(path.join(directory, '__init__.py'))) {
+            const parent = path.dirname(directory);
+            if (parent === directory) break;
+            directory = parent;
+        }
+        return directory;
+    };
+
+    /**
+     * Resolves a Python module below a folder, as a module file or a package
+     */
+    const resolvePythonModule = (base, module) => {
+        const modulePath = path.join(base, ...module.split('.').filter(part => part));
+        return firstFile(module ? [`${modulePath}.py`, path.join(modulePath, '__init__.py')] : [path.join(modulePath, '__init__.py')]);
+    };
+
+    /**
+     * Resolves a Python import below a folder. Names imported from a package can be submodules,
+     * which are files of their own; other names come from the module itself.
+     */
+    const resolvePythonFrom = async (base, item) => {
+        const modulePath = path.join(base, ...item.module.split('.').filter(part => part));
+        const submodules = await Promise.all(item.names.map(name => firstFile([
+            path.join(modulePath, `${name}.py`),
+            path.join(modulePath, name, '__init__.py')
+        ])));
+        const found = submodules.filter(file => file);
+        // from . import x only needs the package itself when x is not a submodule
+        if (item.module || item.names.length === 0 || found.length < item.names.length) {
+            const moduleFile = await resolvePythonModule(base, item.module);
+            if (moduleFile) found.unshift(moduleFile);
+        }
+        return found.length > 0 ? found : null;
+    };
+
+    const resolvePython = async (item, fromFile) => {
+        if (item.level > 0) {
+            let base = path.dirname(fromFile);
+            for (let level = 1; level < item.level; level++) base = path.dirname(base);
+            return resolvePythonFrom(base, item);
+        }
+
+        const roots = [...new Set([await findPackageRoot(fromFile), path.dirname(fromFile), ...(options.roots || [])])];
+        for (const root of roots) {
+            const found = await resolvePythonFrom(root, item);
+            if (found) return found;
+        }
+        // Imports that match no local file are installed packages or the standard library
+        return [];
+    };
+
+    /**
+     * Resolves an import found by findImports
+     * @param {Object} item The import
+     * @param {string} fromFile Absolute path of the importing file
+     * @param {string} language Language tag of the importing file
+     * @returns {Promise<string[]|null>} Absolute paths of the imported files, empty for installed packages,
+     * null for local imports that match no file
+     */
+    const resolve = async (item, fromFile, language) => {
+        const resolved = PYTHON_LANGUAGES.includes(language) ? await resolvePython(item, fromFile) : await resolveScript(item, fromFile);
+        return resolved && resolved.filter(file => file !== fromFile);
+    };
+
+    return { resolve };
+};
+
+module.exports = {
+    DEFAULT_DEPENDENCY_DEPTH,
+    findImports,
+    createDependencyResolver
+};
@@ -0,0 +1,572 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { isBinary } = require('istextorbinary');
+const { traverseDirectory, scanDirectory, getFileContent, hasFileType } = require('./fileTraversal');
+const { findCommonBasePath } = require('./utils');
+const { formatOutput } = require('./formatters');
+const { applyTokenBudget } = require('./tokenBudget');
+const { encodeText } = require('./tokenizer');
+const { createSkeleton } = require('./skeleton');
+const { checkIsIgnored } = require('./ignoreHelper');
+const { loadInheritedGitignoreRules } = require('./gitignore');
+const { redactFileEntries } = require('./secrets');
+const { getFileType, getLanguageForFile, findLanguage } = require('./languages');
+const { createLimitTracker, truncateLines } = require('./limits');
+const { FILE_CONCURRENCY, throwIfCancelled, mapConcurrent, createProgressCounter } = require('./concurrency');
+const { DEFAULT_DEPENDENCY_DEPTH, findImports, createDependencyResolver } = require('./dependencies');
+const { estimateTokensFromSize } = require('./fileTree');
+const { renderFolderStructure } = require('./folderStructure');
+const { findWorkspaceFolder, groupByRoot, getRootRelativePath, describeRoots, getCombinedBasePath } = require('./workspaceRoots');
+const { logger } = require('./logger');
+
+/**
+ * Collects the structure and content of files and folders. Shared by the editor commands and the CLI,
+ * so it only depends on the file system.
+ * @param {string[]} selectedPaths Absolute paths of the selected files and folders
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Extraction options
+ * @param {string} [options.outputFormat] One of 'plain', 'markdown', 'xml' or 'json'
+ * @param {string} [options.extractionMode] 'full' for complete files or 'skeleton' for signatures only
+ * @param {boolean} [options.structureOnly] Output the folder structure without the file contents; files are then only
+ * listed, and read or stat'ed only for the line counts or sizes the tree shows, without the limits
+ * @param {Object} [options.tree] How the folder structure is rendered ({ style, maxDepth, metadata }), from getTreeOptions
+ * @param {number} [options.maxTokens] Token budget for the whole extraction, 0 for no limit
+ * @param {Object} [options.encoder] Tiktoken encoder used to enforce the token budget
+ * @param {number} [options.reservedTokens] Tokens used outside the extraction, e.g. by the prompt
+ * @param {Object} [options.gitignore] Git ignore sources to honour ({ useGitignore, useGitInfoExclude })
+ * @param {string[]} [options.includePatterns] If not empty, only files inside selected folders matching one of these are extracted
+ * @param {string[]} [options.fileTypes] If given, only files of these types (see getFileType) are extracted, selected files included
+ * @param {boolean} [options.redactSecrets] Mask detected secrets with [REDACTED:type] placeholders
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @param {Object} [options.limits] Size, line and file count limits, from getExtractionLimits
+ * @param {Function} [options.onLimit] Decides what happens when a limit is first hit, see createLimitTracker;
+ * without it, files over a limit get a placeholder
+ * @param {Function} [options.onProgress] Called with { scanned, read, path } as files are found and read
+ * @param {Function} [options.readContent] Called with the path of each file; may resolve to the text of an editor with
+ * unsaved changes, which is used instead of the file on disk
+ * @param {Object} [options.token] Cancellation token, such as a vscode.CancellationToken; cancelling rejects with CancelledError
+ * @param {Object[]} [options.workspaceFolders] Workspace folders ({ name, path }), each optionally with its own ignorePatterns,
+ * includePatterns and gitignore settings. A selection spanning several folders, or several drives, is extracted with
+ * paths relative to each folder, labelled with its name, and with the ignore settings of each folder.
+ * @returns {Promise<Object>} The extraction (content, result, basePath, outputFormat, secrets) and the budget report, if a budget was applied;
+ * the result lists the roots ({ name, path }) when there are several
+ */
+const extractPaths = async (selectedPaths, ignorePatterns = [], options = {}) => {
+    const { groups, stats: selectedStats } = await groupSelection(selectedPaths, options.workspaceFolders);
+    const basePath = getCombinedBasePath(groups);
+    logger.log('True base path determined:', basePath);
+    logger.log('Using ignore patterns:', ignorePatterns);
+
+    const combinedResult = {
+        fileTypes: new Set(),
+        files: new Set(),
+        folderStructure: '',
+        fileEntries: [],
+        roots: describeRoots(groups)
+    };
+
+    const limits = createLimitTracker(options.limits, options.onLimit);
+    const progress = createProgressCounter(options.onProgress);
+
+    for (const group of groups) {
+        const settings = getGroupSettings(group, ignorePatterns, options);
+        for (const selectedPath of group.paths) {
+            throwIfCancelled(options.token);
+            const stats = selectedStats.get(selectedPath);
+            const relativePath = path.relative(group.basePath, selectedPath);
+            const fileName = path.basename(selectedPath);
+            const traversalOptions = {
+                includePatterns: settings.includePatterns,
+                fileTypes: options.fileTypes,
+                languages: options.languages,
+                limits,
+                progress,
+                readContent: options.readContent,
+                token: options.token,
+                useGitignore: settings.gitignore.useGitignore,
+                gitignoreRules: await loadInheritedGitignoreRules(selectedPath, settings.gitignore)
+            };
+
+            // Check if this path should be ignored
+            if (relativePath && checkIsIgnored(
+                relativePath,
+                fileName,
+                stats.isDirectory(),
+                settings.ignorePatterns,
+                { absolutePath: selectedPath, gitignoreRules: traversalOptions.gitignoreRules }
+            )) {
+                logger.log(`Ignoring selected item: ${relativePath}`);
+                continue;
+            }
+
+            if (stats.isDirectory()) {
+                const result = options.structureOnly
+                    ? await scanStructure(selectedPath, group.basePath, settings.ignorePatterns, traversalOptions, options.tree)
+                    : await traverseDirectory(selectedPath, group.basePath, settings.ignorePatterns, traversalOptions);
+                // With several roots, files are labelled with their root, so equal paths in two roots stay apart
+                result.fileEntries.forEach(entry => {
+                    entry.relativePath = getRootRelativePath(group, entry.path);
+                });
+                result.files = new Set(result.fileEntries.map(entry => entry.relativePath));
+                mergeResults(combinedResult, result);
+            } else if (stats.isFile()) {
+                if (!hasFileType(fileName, options.fileTypes, options.languages)) {
+                    continue;
+                }
+                progress.scanned(relativePath || fileName);
+                const fileEntry = options.structureOnly
+                    ? (await createStructureEntries([{ path: selectedPath, relativePath }], traversalOptions, options.tree))[0]
+                    : await getFileContent(selectedPath, group.basePath, settings.ignorePatterns, traversalOptions);
+                progress.read(relativePath || fileName);
+
+                // Skip if the file was ignored
+                if (fileEntry.ignored) {
+                    continue;
+                }
+
+                // Explicitly selected files get priority when a token budget is applied
+                fileEntry.selected = true;
+                fileEntry.relativePath = getRootRelativePath(group, selectedPath);
+                combinedResult.files.add(fileEntry.relativePath);
+
+                const fileType = getFileType(selectedPath, fileEntry.language);
+                if (!fileEntry.isBinary && fileType) {
+                    combinedResult.fileTypes.add(fileType);
+                }
+
+                combinedResult.fileEntries.push(fileEntry);
+            }
+        }
+    }
+
+    return finishExtraction(combinedResult, basePath, options);
+};
+
+/**
+ * Lists the files of a folder for a structure-only extraction, as traverseDirectory would find them but without
+ * reading them
+ * @param {string} dir The directory to scan
+ * @param {string} basePath Base path to calculate relative paths from
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} options Traversal options, see traverseDirectory
+ * @param {Object} [tree] Tree options, whose metadata decides what is measured
+ * @returns {Promise<Object>} Object containing fileTypes, files, and fileEntries
+ */
+const scanStructure = async (dir, basePath, ignorePatterns, options, tree) => {
+    const scan = await scanDirectory(dir, basePath, ignorePatterns, options);
+    const fileEntries = await createStructureEntries(scan.files, options, tree);
+    const fileTypes = new Set();
+    fileEntries.forEach(entry => {
+        const fileType = getFileType(entry.path, entry.language);
+        if (fileType && !entry.isBinary) fileTypes.add(fileType);
+    });
+    return { fileTypes, files: new Set(scan.files.map(file => file.relativePath)), fileEntries };
+};
+
+/**
+ * Creates the entries of a structure-only extraction. Files are stat'ed only when the tree shows sizes or tokens
+ * and read only when it shows lines; binary files are told by their extension, or by their content once read.
+ * @param {Object[]} files Files ({ path, relativePath })
+ * @param {Object} options Traversal options with the languages, progress and token
+ * @param {Object} [tree] Tree options, whose metadata decides what is measured
+ * @returns {Promise<Object[]>} Entries without content (contentOmitted), with size or lines if measured
+ */
+const createStructureEntries = (files, options, tree = {}) => mapConcurrent(files, FILE_CONCURRENCY, async (file) => {
+    const entry = {
+        path: file.path,
+        relativePath: file.relativePath,
+        language: getLanguageForFile(file.path, undefined, options.languages),
+        content: '',
+        contentOmitted: true,
+        isBinary: isBinary(file.path) === true,
+        ignored: false,
+        error: null
+    };
+    // Binary files have no size or lines in the tree
+    const metadata = entry.isBinary ? 'none' : tree.metadata;
+    try {
+        if (metadata === 'size' || metadata === 'tokens') {
+            entry.size = (await fs.stat(file.path)).size;
+        } else if (metadata === 'lines') {
+            const buffer = await fs.readFile(file.path);
+            entry.isBinary = isBinary(file.path, buffer) === true;
+            if (!entry.isBinary) entry.lines = buffer.toString('utf8').trimEnd().split('\n').length;
+        }
+    } catch (error) {
+        logger.error(`Error reading file ${file.path}:`, error);
+        entry.error = error.message;
+    }
+    if (options.progress) options.progress.read(file.relativePath);
+    return entry;
+}, options.token);
+
+/**
+ * Reads the selected files and folders and groups them by root. A selected file counts from its folder, so a
+ * single selected file keeps its name as its relative path; a selected folder is its own base.
+ * @param {string[]} selectedPaths Absolute paths of the selected files and folders
+ * @param {Object[]} [workspaceFolders] Workspace folders, see extractPaths
+ * @returns {Promise<{groups: Object[], stats: Map}>} The groups from groupByRoot and the stats of each selected path
+ */
+const groupSelection = async (selectedPaths, workspaceFolders) => {
+    const stats = new Map();
+    for (const selectedPath of selectedPaths) {
+        stats.set(selectedPath, await fs.stat(selectedPath));
+    }
+    const baseOf = selectedPath => (stats.get(selectedPath).isDirectory() ? selectedPath : path.dirname(selectedPath));
+    return { groups: groupByRoot(selectedPaths, workspaceFolders, baseOf), stats };
+};
+
+/**
+ * Gets the ignore settings that apply to a group of paths: those of its workspace folder where the folder has
+ * its own, otherwise those of the extraction
+ * @param {Object} group Group from groupByRoot
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} options Extraction options, see extractPaths
+ * @returns {{ignorePatterns: string[], includePatterns: string[], gitignore: Object}} The settings
+ */
+const getGroupSettings = (group, ignorePatterns, options) => {
+    const folder = group.folder || {};
+    return {
+        ignorePatterns: folder.ignorePatterns || ignorePatterns,
+        includePatterns: folder.includePatterns || options.includePatterns || [],
+        gitignore: folder.gitignore || options.gitignore || { useGitignore: false, useGitInfoExclude: false }
+    };
+};
+
+/**
+ * Counts the files of each type below the selected files and folders without reading them, e.g. to choose
+ * the file types of an extraction. Ignore and include patterns apply as in extractPaths.
+ * @param {string[]} selectedPaths Absolute paths of the selected files and folders
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Options of extractPaths: gitignore, includePatterns, languages, onProgress, token and workspaceFolders
+ * @returns {Promise<Object[]>} One summary per file type ({ fileType, count, size, estimatedTokens }), largest first;
+ * fileType is empty for files of unknown type
+ */
+const summarizeFileTypes = async (selectedPaths, ignorePatterns = [], options = {}) => {
+    const progress = createProgressCounter(options.onProgress);
+    const files = [];
+    const { groups, stats: selectedStats } = await groupSelection(selectedPaths, options.workspaceFolders);
+
+    for (const group of groups) {
+        const settings = getGroupSettings(group, ignorePatterns, options);
+        for (const selectedPath of group.paths) {
+            throwIfCancelled(options.token);
+            const stats = selectedStats.get(selectedPath);
+            const relativePath = path.relative(group.basePath, selectedPath);
+            const gitignoreRules = await loadInheritedGitignoreRules(selectedPath, settings.gitignore);
+            if (relativePath && checkIsIgnored(relativePath, path.basename(selectedPath), stats.isDirectory(), settings.ignorePatterns, { absolutePath: selectedPath, gitignoreRules })) {
+                continue;
+            }
+
+            if (stats.isDirectory()) {
+                const scan = await scanDirectory(selectedPath, group.basePath, settings.ignorePatterns, {
+                    includePatterns: settings.includePatterns,
+                    progress,
+                    token: options.token,
+                    useGitignore: settings.gitignore.useGitignore,
+                    gitignoreRules
+                });
+                files.push(...scan.files);
+            } else if (stats.isFile()) {
+                files.push({ path: selectedPath, name: path.basename(selectedPath) });
+            }
+        }
+    }
+
+    const sizes = await mapConcurrent(files, FILE_CONCURRENCY, file => fs.stat(file.path).then(stats => stats.size, () => 0), options.token);
+    const summaries = new Map();
+    files.forEach((file, index) => {
+        const fileType = getFileType(file.name, getLanguageForFile(file.name, undefined, options.languages));
+        const summary = summaries.get(fileType) || { fileType, count: 0, size: 0 };
+        summary.count++;
+        summary.size += sizes[index];
+        summaries.set(fileType, summary);
+    });
+    return [...summaries.values()]
+        .map(summary => ({ ...summary, estimatedTokens: estimateTokensFromSize(summary.size) }))
+        .sort((a, b) => b.size - a.size || a.fileType.localeCompare(b.fileType));
+};
+
+/**
+ * Collects the content of documents that are already in memory, such as open editors with unsaved changes
+ * or selected lines. A file may appear more than once, e.g. with one entry per selected line range.
+ * @param {Object[]} documents The documents ({ path, content, languageId, lineRange }); lineRange ({ start, end, total })
+ * marks content that is only part of the file
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Extraction options, see extractPaths; the traversal and gitignore options do not apply, the
+ * ignore patterns of workspaceFolders do
+ * @returns {Promise<Object>} The extraction (content, result, basePath, outputFormat, secrets) and the budget report, if a budget was applied
+ */
+const extractDocuments = async (documents, ignorePatterns = [], options = {}) => {
+    // The folders are the base, so a single document keeps its file name
+    const groups = groupByRoot([...new Set(documents.map(document => document.path))], options.workspaceFolders, path.dirname);
+    const basePath = getCombinedBasePath(groups);
+    const combinedResult = {
+        fileTypes: new Set(),
+        files: new Set(),
+        folderStructure: '',
+        fileEntries: [],
+        roots: describeRoots(groups)
+    };
+    const limits = createLimitTracker(options.limits, options.onLimit);
+
+    for (const document of documents) {
+        throwIfCancelled(options.token);
+        const group = groups.find(item => item.paths.includes(document.path));
+        const settings = getGroupSettings(group, ignorePatterns, options);
+        if (checkIsIgnored(path.relative(group.basePath, document.path), path.basename(document.path), false, settings.ignorePatterns)) {
+            logger.log(`Ignoring document: ${document.path}`);
+            continue;
+        }
+        const relativePath = getRootRelativePath(group, document.path);
+
+        const language = findLanguage(document.path, { languageId: document.languageId, content: document.content, registry: options.languages });
+        const entry = {
+            path: document.path,
+            relativePath,
+            language: language ? language.tag : '',
+            content: document.content.trimEnd(),
+            modifiedTime: document.modifiedTime || 0,
+            isBinary: false,
+            ignored: false,
+            error: null,
+            selected: true
+        };
+        if (document.lineRange) entry.lineRange = document.lineRange;
+
+        const skipped = await limits.admit(relativePath, Buffer.byteLength(document.content));
+        if (skipped) {
+            entry.skipped = { limit: skipped.limit, value: skipped.value, size: skipped.size };
+            entry.content = skipped.placeholder;
+        } else if (limits.maxFileLines > 0) {
+            const shortened = truncateLines(entry.content, limits.maxFileLines);
+            entry.content = shortened.content;
+            if (shortened.omittedLines > 0) entry.omittedLines = shortened.omittedLines;
+        }
+
+        combinedResult.fileEntries.push(entry);
+        if (!combinedResult.files.has(relativePath)) {
+            combinedResult.files.add(relativePath);
+            const fileType = getFileType(document.path, entry.language);
+            if (fileType) combinedResult.fileTypes.add(fileType);
+        }
+    }
+
+    return finishExtraction(combinedResult, basePath, options);
+};
+
+/**
+ * Collects the selected files and the local files they import, transitively, up to a number of imports away.
+ * Imports of JavaScript/TypeScript (import, export from, require, import(), with tsconfig/jsconfig path aliases)
+ * and Python (relative and package imports) are followed. Every file goes through the same ignore checks and
+ * limits as a folder extraction; ignored files are neither included nor followed. Each dependency records the
+ * file that first imported it.
+ * @param {string[]} entryPaths Absolute paths of the selected files
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Extraction options, see extractPaths; includePatterns does not apply. Files in another
+ * workspace folder than the selection are matched against that folder's ignore settings.
+ * @param {number} [options.maxDepth] How many imports away from a selected file to follow, 0 for no limit
+ * @param {string[]} [options.roots] Extra folders Python package imports are looked up in
+ * @returns {Promise<Object>} The extraction (content, result, basePath, outputFormat, secrets, unresolved) and the
+ * budget report, if a budget was applied; unresolved lists the local imports that match no file ({ importer, specifier })
+ */
+const extractWithDependencies = async (entryPaths, ignorePatterns = [], options = {}) => {
+    const maxDepth = options.maxDepth === undefined ? DEFAULT_DEPENDENCY_DEPTH : options.maxDepth;
+    // Ignore patterns are matched from the common folder of the selection, as in extractPaths
+    const rootPath = findCommonBasePath([...new Set(entryPaths.map(entryPath => path.dirname(entryPath)))]);
+    const rootFolder = findWorkspaceFolder(rootPath, options.workspaceFolders);
+    const limits = createLimitTracker(options.limits, options.onLimit);
+    const progress = createProgressCounter(options.onProgress);
+    const resolver = createDependencyResolver({ roots: options.roots });
+
+    // Files imported from another workspace folder are matched from that folder, with its ignore settings
+    const getIgnoreContext = (filePath) => {
+        const folder = findWorkspaceFolder(filePath, options.workspaceFolders);
+        const basePath = folder && folder !== rootFolder ? folder.path : rootPath;
+        return { basePath, ...getGroupSettings({ folder }, ignorePatterns, options) };
+    };
+
+    // Git ignore rules are inherited from the folders above, so they are loaded once per folder
+    const gitignoreRules = new Map();
+    const loadRules = (filePath, gitignoreSettings) => {
+        const directory = path.dirname(filePath);
+        if (!gitignoreRules.has(directory)) {
+            gitignoreRules.set(directory, loadInheritedGitignoreRules(filePath, gitignoreSettings));
+        }
+        return gitignoreRules.get(directory);
+    };
+
+    // Breadth first, so each file is reached through the shortest chain of imports
+    const queue = entryPaths.map(entryPath => ({ filePath: entryPath, depth: 0, importer: null, specifier: null }));
+    const seen = new Set();
+    const fileEntries = [];
+    const unresolved = [];
+    while (queue.length > 0) {
+        throwIfCancelled(options.token);
+        const { filePath, depth, importer, specifier } = queue.shift();
+        if (seen.has(filePath)) continue;
+        seen.add(filePath);
+
+        const ignoreContext = getIgnoreContext(filePath);
+        progress.scanned(path.relative(ignoreContext.basePath, filePath));
+        const fileEntry = await getFileContent(filePath, ignoreContext.basePath, ignoreContext.ignorePatterns, {
+            languages: options.languages,
+            limits,
+            readContent: options.readContent,
+            useGitignore: ignoreContext.gitignore.useGitignore,
+            gitignoreRules: await loadRules(filePath, ignoreContext.gitignore)
+        });
+        progress.read(fileEntry.relativePath);
+        if (fileEntry.ignored) continue;
+
+        if (importer) {
+            fileEntry.dependency = { importer, specifier, depth };
+        } else {
+            fileEntry.selected = true;
+        }
+        fileEntries.push(fileEntry);
+
+        if ((maxDepth > 0 && depth >= maxDepth) || fileEntry.isBinary || fileEntry.error || fileEntry.skipped) continue;
+        for (const item of findImports(fileEntry.content, fileEntry.language)) {
+            const resolved = await resolver.resolve(item, filePath, fileEntry.language);
+            if (!resolved) {
+                unresolved.push({ importer: filePath, specifier: item.specifier });
+                continue;
+            }
+            resolved.forEach(dependency => queue.push({ filePath: dependency, depth: depth + 1, importer: filePath, specifier: item.specifier }));
+        }
+    }
+
+    // The folders are the base, so a single file keeps its file name
+    const groups = groupByRoot(fileEntries.map(entry => entry.path), options.workspaceFolders, path.dirname);
+    const toRelativePath = filePath => getRootRelativePath(groups.find(group => group.paths.includes(filePath)), filePath);
+    const basePath = getCombinedBasePath(groups);
+    const combinedResult = {
+        fileTypes: new Set(),
+        files: new Set(),
+        folderStructure: '',
+        fileEntries,
+        roots: describeRoots(groups)
+    };
+    fileEntries.forEach(entry => {
+        entry.relativePath = toRelativePath(entry.path);
+        if (entry.dependency) entry.dependency.importer = toRelativePath(entry.dependency.importer);
+        combinedResult.files.add(entry.relativePath);
+        const fileType = getFileType(entry.path, entry.language);
+        if (!entry.isBinary && fileType) combinedResult.fileTypes.add(fileType);
+    });
+
+    const extraction = finishExtraction(combinedResult, basePath, options);
+    extraction.unresolved = unresolved.map(item => ({ importer: toRelativePath(item.importer), specifier: item.specifier }));
+    return extraction;
+};
+
+/**
+ * Turns collected file entries into the final extraction: the folder structure, skeletons, secret masking,
+ * the token budget and formatting
+ * @param {Object} combinedResult The combined result object
+ * @param {string} basePath The common base path
+ * @param {Object} options Extraction options, see extractPaths
+ * @returns {Object} The extraction (content, result, basePath, outputFormat, secrets) and the budget report, if a budget was applied
+ */
+const finishExtraction = (combinedResult, basePath, options) => {
+    // The structure describes the files as they were read, before skeletons or the budget change them
+    combinedResult.treeOptions = options.tree || {};
+    combinedResult.folderStructure = renderFolderStructure(combinedResult.fileEntries, combinedResult.treeOptions);
+    if (options.structureOnly) {
+        combinedResult.structureOnly = true;
+        const content = formatOutput(combinedResult, basePath, options.outputFormat);
+        return { content, result: combinedResult, basePath, outputFormat: options.outputFormat, secrets: [], budget: null };
+    }
+
+    if (options.extractionMode === 'skeleton') {
+        combinedResult.fileEntries = combinedResult.fileEntries.map(toSkeletonEntry);
+    }
+
+    // Secrets are masked before the budget is applied, so token counts match the output
+    let secrets = [];
+    if (options.redactSecrets) {
+        const redaction = redactFileEntries(combinedResult.fileEntries);
+        combinedResult.fileEntries = redaction.fileEntries;
+        secrets = redaction.findings;
+    }
+
+    let budget = null;
+    if (options.maxTokens > 0 && options.encoder) {
+        budget = enforceTokenBudget(combinedResult, basePath, options);
+        combinedResult.fileEntries = budget.fileEntries;
+    }
+
+    const content = formatOutput(combinedResult, basePath, options.outputFormat);
+    return { content, result: combinedResult, basePath, outputFormat: options.outputFormat, secrets, budget };
+};
+
+/**
+ * Merges results from traversing directories
+ * @param {Object} combinedResult The result object to merge into
+ * @param {Object} result The result object to merge from
+ */
+const mergeResults = (combinedResult, result) => {
+    result.fileTypes.forEach(type => combinedResult.fileTypes.add(type));
+    result.files.forEach(file => combinedResult.files.add(file));
+    combinedResult.fileEntries.push(...result.fileEntries);
+};
+
+/**
+ * Replaces the content of a file entry with its skeleton.
+ * Files in languages without skeleton support, and selected line ranges, which cannot be parsed on their own,
+ * keep their full content.
+ * @param {Object} entry File entry returned by getFileContent
+ * @returns {Object} The entry with skeleton content, if supported
+ */
+const toSkeletonEntry = (entry) => {
+    if (entry.isBinary || entry.error || entry.skipped || entry.lineRange) {
+        return entry;
+    }
+    const skeleton = createSkeleton(entry.content, entry.path);
+    return skeleton === null ? entry : { ...entry, content: skeleton, skeleton: true };
+};
+
+/**
+ * Applies the token budget to the collected file entries.
+ * The header and folder structure are always kept, so their tokens are reserved up front. Each file is counted
+ * as it is formatted in the output format, and the formatted output is measured again at the end, since tokens
+ * can merge where files meet; if it is still over, the budget is tightened by the excess and applied again.
+ * @param {Object} combinedResult The combined result object
+ * @param {string} basePath The common base path
+ * @param {Object} options Extraction options with maxTokens, encoder and reservedTokens
+ * @returns {Object} Budget result with the kept fileEntries and dropped/truncated reports
+ */
+const enforceTokenBudget = (combinedResult, basePath, options) => {
+    const countTokens = text => encodeText(options.encoder, text).length;
+    const format = (result, fileEntries) => formatOutput({ ...result, fileEntries }, basePath, options.outputFormat);
+    const promptTokens = options.reservedTokens || 0;
+    const reservedTokens = countTokens(format(combinedResult, [])) + promptTokens;
+
+    // The folder structure is reserved once, so a file is measured without it
+    const withoutStructure = { ...combinedResult, folderStructure: '' };
+    const emptyTokens = countTokens(format(withoutStructure, []));
+    const measureEntry = entry => countTokens(format(withoutStructure, [entry])) - emptyTokens;
+
+    let maxTokens = options.maxTokens;
+    for (;;) {
+        const budget = applyTokenBudget(combinedResult.fileEntries, { maxTokens, encoder: options.encoder, reservedTokens, measureEntry });
+        const usedTokens = countTokens(format(combinedResult, budget.fileEntries)) + promptTokens;
+        if (usedTokens <= options.maxTokens || budget.fileEntries.length === 0) {
+            return { ...budget, usedTokens };
+        }
+        maxTokens -= usedTokens - options.maxTokens;
+    }
+};
+
+/**
+ * Describes the files that were dropped or truncated to fit the token budget
+ * @param {Object} budget Result of applyTokenBudget
+ * @returns {string[]} One line per affected file
+ */
+const describeTokenBudget = (budget) => [
+    ...budget.truncated.map(file => `Truncated: ${file.relativePath} (${file.removedTokens} of ${file.originalTokens} tokens removed)`),
+    ...budget.dropped.map(file => `Dropped: ${file.relativePath} (${file.tokens} tokens)`)
+];
+
+module.exports = { extractPaths, extractDocuments, extractWithDependencies, summarizeFileTypes, enforceTokenBudget, describeTokenBudget };
@@ -1,43 +1,79 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { isBinary } = require('istextorbinary');
-const { checkIsIgnored } = require('./ignoreHelper');
+const { checkIsIgnored, checkIsIncluded } = require('./ignoreHelper');
+const { getLanguageForFile, getFileType } = require('./languages');
+const { loadGitignoreRules } = require('./gitignore');
+const { truncateLines } = require('./limits');
+const { FILE_CONCURRENCY, CancelledError, throwIfCancelled, mapConcurrent } = require('./concurrency');
+const { logger } = require('./logger');
 
 /**
- * Traverses a directory recursively and extracts file structure and content
+ * Traverses a directory recursively and extracts the content of its files.
+ * The tree is scanned first; file contents are then read concurrently, in the order they were found.
  * @param {string} dir The directory to traverse
- * @param {number} level Current indentation level for folder structure
  * @param {string} basePath Base path to calculate relative paths from
  * @param {string[]} ignorePatterns Patterns of files/folders to ignore
- * @returns {Object} Object containing folderStructure, fileTypes, files, and fileContents
+ * @param {Object} [options] Traversal options
+ * @param {Object[]} [options.gitignoreRules] Gitignore rules inherited from parent directories
+ * @param {boolean} [options.useGitignore] Whether to read .gitignore files found during traversal
+ * @param {string[]} [options.includePatterns] If not empty, only files matching one of these patterns are extracted
+ * @param {string[]} [options.fileTypes] If given, only files of these types (see getFileType) are extracted
+ * @param {Object} [options.languages] Language registry, from getLanguageRegistry
+ * @param {Object} [options.limits] Limit tracker shared by the whole extraction, from createLimitTracker
+ * @param {Object} [options.progress] Progress counter shared by the whole extraction, from createProgressCounter
+ * @param {Object} [options.token] Cancellation token; cancelling rejects with CancelledError
+ * @returns {Object} Object containing fileTypes, files, and fileEntries
  */
-const traverseDirectory = async (dir, level = 0, basePath = '', ignorePatterns = []) => {
+const traverseDirectory = async (dir, basePath = '', ignorePatterns = [], options = {}) => {
+    const scan = await scanDirectory(dir, basePath, ignorePatterns, options);
+    const fileEntries = await readFileEntries(scan.files, basePath, ignorePatterns, options);
+
+    const fileTypes = new Set();
+    fileEntries.forEach((fileEntry, index) => {
+        const fileType = getFileType(scan.files[index].name, fileEntry.language);
+        if (fileType) fileTypes.add(fileType);
+    });
+
+    return {
+        fileTypes,
+        files: new Set(scan.files.map(file => file.relativePath)),
+        fileEntries
+    };
+};
+
+/**
+ * Walks a directory tree without reading any file, collecting the files to read
+ * @param {string} dir The directory to scan
+ * @param {string} basePath Base path to calculate relative paths from
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Traversal options, see traverseDirectory
+ * @param {Object} [scan] Accumulator shared with the recursive calls
+ * @returns {Promise<{files: Object[]}>} The files in traversal order, each with path, relativePath, name and
+ * the gitignoreRules that apply to it
+ */
+const scanDirectory = async (dir, basePath = '', ignorePatterns = [], options = {}, scan = { files: [] }) => {
+    throwIfCancelled(options.token);
     try {
         const entries = await fs.readdir(dir, { withFileTypes: true });
-        let fileTypes = new Set(), files = new Set();
-        let folderStructure = '', fileContents = '';
-
         const relativeDirPath = path.relative(basePath, dir);
-        
+
         // Skip this directory if it matches an ignore pattern
         if (relativeDirPath && checkIsIgnored(
             relativeDirPath,
             path.basename(dir),
             true,
-            ignorePatterns
+            ignorePatterns,
+            { absolutePath: dir, gitignoreRules: options.gitignoreRules }
         )) {
-            console.log(`Ignoring directory: ${relativeDirPath}`);
-            return { folderStructure, fileTypes, files, fileContents };
+            logger.log(`Ignoring directory: ${relativeDirPath}`);
+            return scan;
         }
 
-        // Add directory to folder structure if it's not the base directory
-        if (relativeDirPath) {
-            const dirParts = relativeDirPath.split(path.sep);
-            const indent = '  '.repeat(level);  // Use the current level for indentation
-
-            folderStructure += `${indent}└── ${dirParts[dirParts.length - 1]}/\n`; // Add only the last part of the path
-            level++;  // Increment level for subdirectories
-        }
+        // Rules of this directory's .gitignore apply to everything below it
+        const childOptions = options.useGitignore
+            ? { ...options, gitignoreRules: [...(options.gitignoreRules || []), ...await loadGitignoreRules(dir)] }
+            : options;
 
         const sortedEntries = entries.sort((a, b) => {
             if (a.isDirectory() && !b.isDirectory()) return -1;
@@ -49,97 +85,170 @@ const traverseDirectory = async (dir, level = 0, basePath = '', ignorePatterns =
             const entry = sortedEntries[i];
             const entryPath = path.join(dir, entry.name);
             const entryRelativePath = path.relative(basePath, entryPath);
-            const indent = '  '.repeat(level);
-            const isLast = i === sortedEntries.length - 1;
-            const prefix = isLast ? '└── ' : '├── ';
 
             // Check if the entry should be ignored
             if (checkIsIgnored(
                 entryRelativePath,
                 entry.name,
                 entry.isDirectory(),
-                ignorePatterns
+                ignorePatterns,
+                { absolutePath: entryPath, gitignoreRules: childOptions.gitignoreRules }
             )) {
-                console.log(`Ignoring: ${entryRelativePath}`);
+                logger.log(`Ignoring: ${entryRelativePath}`);
                 continue;
             }
 
             if (entry.isDirectory()) {
-                const subResult = await traverseDirectory(entryPath, level, basePath, ignorePatterns);
-                mergeResults(fileTypes, files, subResult);
-                folderStructure += subResult.folderStructure;
-                fileContents += subResult.fileContents;
+                await scanDirectory(entryPath, basePath, ignorePatterns, childOptions, scan);
             } else {
-                files.add(entryRelativePath);
-                folderStructure += `${indent}${prefix}${entry.name}\n`;
-
-                const ext = path.extname(entry.name).toLowerCase().slice(1);
-                if (ext) fileTypes.add(ext);
+                if (!checkIsIncluded(entryRelativePath, entry.name, options.includePatterns)
+                    || !hasFileType(entry.name, options.fileTypes, options.languages)) {
+                    continue;
+                }
 
-                fileContents += await getFileContent(entryPath, basePath, ignorePatterns);
+                scan.files.push({ path: entryPath, relativePath: entryRelativePath, name: entry.name, gitignoreRules: childOptions.gitignoreRules });
+                if (options.progress) options.progress.scanned(entryRelativePath);
             }
         }
 
-        return { folderStructure, fileTypes, files, fileContents };
+        return scan;
     } catch (error) {
-        console.error(`Error traversing directory ${dir}:`, error);
-        return { 
-            folderStructure: `Error traversing directory: ${error.message}\n`, 
-            fileTypes: new Set(), 
-            files: new Set(), 
-            fileContents: '' 
-        };
+        if (error instanceof CancelledError) throw error;
+        logger.error(`Error traversing directory ${dir}:`, error);
+        return scan;
     }
 };
 
+/**
+ * Checks if a file is of one of the chosen file types. The type is worked out from the file name alone,
+ * so files are filtered before they are read.
+ * @param {string} fileName Name of the file
+ * @param {string[]} [fileTypes] File types to keep, as returned by getFileType; undefined keeps every file
+ * @param {Object} [languages] Language registry, from getLanguageRegistry
+ * @returns {boolean} True if the file should be extracted
+ */
+const hasFileType = (fileName, fileTypes, languages) => (
+    !fileTypes || fileTypes.includes(getFileType(fileName, getLanguageForFile(fileName, undefined, languages)))
+);
+
+/**
+ * Reads the files found by scanDirectory, at most FILE_CONCURRENCY at a time.
+ * Sizes are checked against the limits in traversal order, so every run skips the same files.
+ * @param {Object[]} files Files returned by scanDirectory
+ * @param {string} basePath Base path to calculate relative paths from
+ * @param {string[]} ignorePatterns Patterns of files to ignore
+ * @param {Object} [options] Traversal options, see traverseDirectory
+ * @returns {Promise<Object[]>} File entries in the order of the files
+ */
+const readFileEntries = async (files, basePath, ignorePatterns = [], options = {}) => {
+    const stats = await mapConcurrent(files, FILE_CONCURRENCY, file => fs.stat(file.path).catch(() => null), options.token);
+
+    const prechecks = [];
+    for (let i = 0; i < files.length; i++) {
+        // Files that cannot be stat'ed are left to getFileContent, which reports the error
+        prechecks.push(stats[i] && {
+            stats: stats[i],
+            skipped: options.limits ? await options.limits.admit(files[i].relativePath, stats[i].size) : null
+        });
+    }
+
+    return mapConcurrent(files, FILE_CONCURRENCY, async (file, index) => {
+        const entry = await getFileContent(file.path, basePath, ignorePatterns, {
+            ...options,
+            gitignoreRules: file.gitignoreRules,
+            precheck: prechecks[index] || undefined
+        });
+        if (options.progress) options.progress.read(file.relativePath);
+        return entry;
+    }, options.token);
+};
+
 /**
  * Gets the content of a file with consideration for ignore patterns
  * @param {string} filePath Path to the file
  * @param {string} basePath Base path to calculate relative paths from
  * @param {string[]} ignorePatterns Patterns of files to ignore
- * @returns {string} File content or ignore indicator
+ * @param {Object} [options] Options with the gitignoreRules that apply to the file, the language registry and the limit
+ * tracker, which is consulted before the file is read unless a precheck ({ stats, skipped }) was done by readFileEntries.
+ * readContent(filePath) may resolve to the text of an editor with unsaved changes, which is used instead of the file on disk.
+ * @returns {Promise<Object>} File entry with relativePath, language, content, modifiedTime, isBinary/ignored/error flags
+ * and, if a limit applied, skipped ({ limit, value, size }) or omittedLines
  */
-const getFileContent = async (filePath, basePath, ignorePatterns = []) => {
+const getFileContent = async (filePath, basePath, ignorePatterns = [], options = {}) => {
+    const relativeFilePath = path.relative(basePath, filePath);
+    const entry = {
+        path: filePath,
+        relativePath: relativeFilePath,
+        language: getLanguageForFile(filePath, undefined, options.languages),
+        content: '',
+        modifiedTime: 0,
+        isBinary: false,
+        ignored: false,
+        error: null
+    };
+
     try {
-        const relativeFilePath = path.relative(basePath, filePath);
         const fileName = path.basename(filePath);
         
         // Check if this file should be ignored
-        if (checkIsIgnored(relativeFilePath, fileName, false, ignorePatterns)) {
-            console.log(`Ignoring file: ${relativeFilePath}`);
-            return `\n--- ${relativeFilePath} [IGNORED BY PATTERN] \n`;
+        if (checkIsIgnored(relativeFilePath, fileName, false, ignorePatterns, {
+            absolutePath: filePath,
+            gitignoreRules: options.gitignoreRules
+        })) {
+            logger.log(`Ignoring file: ${relativeFilePath}`);
+            entry.ignored = true;
+            return entry;
         }
 
-        const buffer = await fs.readFile(filePath);
+        const stats = options.precheck ? options.precheck.stats : await fs.stat(filePath);
+        entry.modifiedTime = stats.mtimeMs;
+
+        // Files over a limit are never read, so a huge file cannot exhaust memory
+        let skipped = null;
+        if (options.precheck) {
+            skipped = options.precheck.skipped;
+        } else if (options.limits) {
+            skipped = await options.limits.admit(relativeFilePath, stats.size);
+        }
+        if (skipped) {
+            logger.log(`Skipping file over the ${skipped.limit} limit: ${relativeFilePath}`);
+            entry.skipped = { limit: skipped.limit, value: skipped.value, size: skipped.size };
+            entry.content = skipped.placeholder;
+            return entry;
+        }
+
+        const unsavedContent = options.readContent ? await options.readContent(filePath) : undefined;
+        const buffer = typeof unsavedContent === 'string' ? null : await fs.readFile(filePath);
 
         // Pass the filePath to isBinary for accurate detection based on file extension
-        if (!isBinary(filePath, buffer)) {
-            let content;
-            try {
-                content = buffer.toString('utf8');
-            } catch (error) {
-                console.warn(`Error decoding file as UTF-8: ${filePath}`, error);
-                content = buffer.toString('latin1');  // Fallback to Latin-1 encoding
+        if (!buffer || !isBinary(filePath, buffer)) {
+            let content = unsavedContent;
+            if (buffer) {
+                try {
+                    content = buffer.toString('utf8');
+                } catch (error) {
+                    logger.warn(`Error decoding file as UTF-8: ${filePath}`, error);
+                    content = buffer.toString('latin1');  // Fallback to Latin-1 encoding
+                }
+            }
+            entry.content = content.trimEnd();
+            if (options.limits && options.limits.maxFileLines > 0) {
+                const shortened = truncateLines(entry.content, options.limits.maxFileLines);
+                entry.content = shortened.content;
+                if (shortened.omittedLines > 0) entry.omittedLines = shortened.omittedLines;
             }
-            return `\n-${relativeFilePath}-\n${content.trimEnd()}\n`;
+            // Scripts without an extension are recognised by their #! line
+            if (!entry.language) entry.language = getLanguageForFile(filePath, entry.content, options.languages);
         } else {
-            return `\n--- ${relativeFilePath} [BINARY FILE] \n`;
+            entry.isBinary = true;
         }
+        return entry;
     } catch (error) {
-        console.error(`Error reading file ${filePath}:`, error);
-        return `\n-${filePath}-\nError reading file: ${error.message}\n`;
+        if (error instanceof CancelledError) throw error;
+        logger.error(`Error reading file ${filePath}:`, error);
+        entry.error = error.message;
+        return entry;
     }
 };
 
-/**
- * Merges file type and file sets from subresults
- * @param {Set} fileTypes Set to merge file types into
- * @param {Set} files Set to merge files into
- * @param {Object} result Result object with fileTypes and files to merge
- */
-const mergeResults = (fileTypes, files, result) => {
-    result.fileTypes.forEach(type => fileTypes.add(type));
-    result.files.forEach(file => files.add(file));
-};
-
-module.exports = { traverseDirectory, getFileContent };
+module.exports = { traverseDirectory, scanDirectory, readFileEntries, getFileContent, hasFileType };
@@ -0,0 +1,156 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { scanDirectory } = require('./fileTraversal');
+const { checkIsIgnored } = require('./ignoreHelper');
+const { loadInheritedGitignoreRules } = require('./gitignore');
+const { FILE_CONCURRENCY, mapConcurrent } = require('./concurrency');
+
+// Rough size of a token in source code, for estimates made before files are read
+const ESTIMATED_BYTES_PER_TOKEN = 4;
+
+/**
+ * Estimates the tokens of a file from its size, without reading it
+ * @param {number} size Size in bytes
+ * @returns {number} The estimated number of tokens
+ */
+const estimateTokensFromSize = (size) => Math.ceil(size / ESTIMATED_BYTES_PER_TOKEN);
+
+/**
+ * Formats a token estimate for people
+ * @param {number} tokens The estimate
+ * @returns {string} e.g. "~1.2k tokens"
+ */
+const formatTokenEstimate = (tokens) => (tokens >= 1000 ? `~${Number((tokens / 1000).toFixed(1))}k tokens` : `~${tokens} tokens`);
+
+/**
+ * Scans a folder into a tree of the files an extraction of it would contain, with their sizes.
+ * Ignore patterns, .gitignore rules and include patterns apply as in extractPaths; folders without
+ * any such file are left out.
+ * @param {string} rootPath Absolute path of the folder
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [options] Scan options
+ * @param {Object} [options.gitignore] Git ignore sources to honour ({ useGitignore, useGitInfoExclude })
+ * @param {string[]} [options.includePatterns] If not empty, only files matching one of these are listed
+ * @param {Object} [options.token] Cancellation token; cancelling rejects with CancelledError
+ * @param {string} [options.basePath] Folder the ignore and include patterns are relative to, when the scanned
+ * folder lies inside a larger tree; defaults to the scanned folder
+ * @returns {Promise<Object>} The root node. Each node has name, path, isDirectory, size, estimatedTokens and
+ * fileCount; folders also have children, folders first and then files, by name.
+ */
+const scanFileTree = async (rootPath, ignorePatterns = [], options = {}) => {
+    const gitignoreSettings = options.gitignore || { useGitignore: false, useGitInfoExclude: false };
+    const scan = await scanDirectory(rootPath, options.basePath || rootPath, ignorePatterns, {
+        includePatterns: options.includePatterns || [],
+        useGitignore: gitignoreSettings.useGitignore,
+        gitignoreRules: await loadInheritedGitignoreRules(rootPath, gitignoreSettings),
+        token: options.token
+    });
+    const sizes = await mapConcurrent(scan.files, FILE_CONCURRENCY, file => fs.stat(file.path).then(stats => stats.size, () => 0), options.token);
+
+    const createFolder = (name, folderPath) => ({ name, path: folderPath, isDirectory: true, size: 0, fileCount: 0, children: new Map() });
+    const root = createFolder(path.basename(rootPath), rootPath);
+    scan.files.forEach((file, index) => {
+        const parts = path.relative(rootPath, file.path).split(path.sep);
+        const folders = [root];
+        parts.slice(0, -1).forEach(part => {
+            const parent = folders[folders.length - 1];
+            if (!parent.children.has(part)) parent.children.set(part, createFolder(part, path.join(parent.path, part)));
+            folders.push(parent.children.get(part));
+        });
+        folders[folders.length - 1].children.set(parts[parts.length - 1], {
+            name: parts[parts.length - 1],
+            path: file.path,
+            isDirectory: false,
+            size: sizes[index],
+            fileCount: 1
+        });
+        folders.forEach(folder => {
+            folder.size += sizes[index];
+            folder.fileCount++;
+        });
+    });
+
+    // The scan lists folders before files, so the children keep that order
+    const finish = (node) => {
+        node.estimatedTokens = estimateTokensFromSize(node.size);
+        if (node.isDirectory) node.children = [...node.children.values()].map(finish);
+        return node;
+    };
+    return finish(root);
+};
+
+/**
+ * Creates a check of whether changed paths are left out of a tree by the ignore patterns or .gitignore rules,
+ * so that changes there need no new scan. Results for folders are kept, so each batch of changes needs its own check.
+ * @param {string} rootPath Absolute path of the folder the tree was scanned from
+ * @param {string[]} ignorePatterns Patterns of files/folders to ignore
+ * @param {Object} [gitignoreSettings] Git ignore sources to honour ({ useGitignore, useGitInfoExclude })
+ * @returns {Function} Takes the absolute path of a file or folder inside the root, which may no longer exist,
+ * and resolves to true if a scan would leave it out
+ */
+const createExclusionCheck = (rootPath, ignorePatterns = [], gitignoreSettings = { useGitignore: false, useGitInfoExclude: false }) => {
+    const folders = new Map();
+
+    const isIgnored = async (itemPath, isDirectory) => {
+        const relativePath = path.relative(rootPath, itemPath);
+        // The patterns are checked first, so folders like node_modules need no .gitignore files read
+        if (checkIsIgnored(relativePath, path.basename(itemPath), isDirectory, ignorePatterns)) return true;
+        const gitignoreRules = await loadInheritedGitignoreRules(itemPath, gitignoreSettings);
+        return checkIsIgnored(relativePath, path.basename(itemPath), isDirectory, [], { absolutePath: itemPath, gitignoreRules });
+    };
+
+    // A folder is left out if it or any folder above it is ignored
+    const isFolderExcluded = (folderPath) => {
+        const relativePath = path.relative(rootPath, folderPath);
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return Promise.resolve(false);
+        if (!folders.has(folderPath)) {
+            folders.set(folderPath, isFolderExcluded(path.dirname(folderPath)).then(excluded => excluded || isIgnored(folderPath, true)));
+        }
+        return folders.get(folderPath);
+    };
+
+    return async (itemPath) => {
+        if (await isFolderExcluded(path.dirname(itemPath))) return true;
+        const isDirectory = await fs.stat(itemPath).then(stats => stats.isDirectory(), () => false);
+        return isIgnored(itemPath, isDirectory);
+    };
+};
+
+/**
+ * Puts a new scan of a folder in place of that folder in a tree, and updates the sizes, token estimates and
+ * file counts of the folders above it. Folders left without files are removed, as scanFileTree leaves them out.
+ * @param {Object} root Root node from scanFileTree
+ * @param {Object} folder Node from scanFileTree run on a folder below the root
+ * @returns {boolean} True if the folder was in the tree and has been replaced
+ */
+const replaceFolder = (root, folder) => {
+    const chain = [root];
+    while (chain[chain.length - 1].path !== folder.path) {
+        const next = (chain[chain.length - 1].children || [])
+            .find(child => child.path === folder.path || folder.path.startsWith(child.path + path.sep));
+        if (!next || !next.isDirectory) return false;
+        chain.push(next);
+    }
+    if (chain.length < 2) return false;
+
+    // The folders above keep their objects, so only the replaced one is swapped
+    const replaced = chain.pop();
+    for (let i = chain.length - 1; i >= 0; i--) {
+        const parent = chain[i];
+        parent.children = parent.children
+            .map(child => (child === replaced ? folder : child))
+            .filter(child => child.fileCount > 0);
+        parent.size = parent.children.reduce((sum, child) => sum + child.size, 0);
+        parent.fileCount = parent.children.reduce((sum, child) => sum + child.fileCount, 0);
+        parent.estimatedTokens = estimateTokensFromSize(parent.size);
+    }
+    return true;
+};
+
+module.exports = {
+    estimateTokensFromSize,
+    formatTokenEstimate,
+    scanFileTree,
+    createExclusionCheck,
+    replaceFolder
+};
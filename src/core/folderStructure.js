@@ -0,0 +1,155 @@
+const path = require('path');
+const { formatSize } = require('./limits');
+const { estimateTokensFromSize, formatTokenEstimate } = require('./fileTree');
+
+// Prefixes of a node that has siblings below it, of the last node, and the continuation of each above it
+const TREE_STYLES = {
+    unicode: { branch: '├── ', last: '└── ', pipe: '│   ', blank: '    ' },
+    ascii: { branch: '|-- ', last: '`-- ', pipe: '|   ', blank: '    ' },
+    indent: { branch: '- ', last: '- ', pipe: '  ', blank: '  ' }
+};
+const DEFAULT_TREE_STYLE = 'unicode';
+
+// What each node can show after its name
+const TREE_METADATA = ['none', 'size', 'lines', 'tokens'];
+
+/**
+ * Reads how the folder structure is rendered from the settings
+ * @param {{get: Function}} config Settings with get(key, defaultValue), such as the syntaxExtractor workspace configuration
+ * @returns {{style: string, maxDepth: number, metadata: string}} The tree options, with defaults for unknown values
+ */
+const getTreeOptions = (config) => {
+    const style = config.get('treeStyle', DEFAULT_TREE_STYLE);
+    const metadata = config.get('treeMetadata', 'none');
+    const maxDepth = parseInt(config.get('treeDepth', 0), 10);
+    return {
+        style: TREE_STYLES[style] ? style : DEFAULT_TREE_STYLE,
+        maxDepth: Number.isFinite(maxDepth) && maxDepth > 0 ? maxDepth : 0,
+        metadata: TREE_METADATA.includes(metadata) ? metadata : 'none'
+    };
+};
+
+/**
+ * Measures the content of a file entry as it was read. Binary files and files that could not be read have no size;
+ * files over a size limit keep their size on disk but have no line count. Entries without content, such as changes
+ * extracted as a diff only or the files of a structure-only extraction, have the size and lines measured for them, if any.
+ * @param {Object} entry File entry
+ * @returns {{size: number|undefined, lines: number|undefined}} Size in bytes and line count
+ */
+const measureEntry = (entry) => {
+    if (entry.skipped) return { size: entry.skipped.size, lines: undefined };
+    if (entry.isBinary || entry.error) return { size: undefined, lines: undefined };
+    if (entry.contentOmitted) return { size: entry.size, lines: entry.lines };
+    return {
+        size: Buffer.byteLength(entry.content),
+        lines: entry.content.split('\n').length + (entry.omittedLines || 0)
+    };
+};
+
+/**
+ * Builds a folder tree from file entries. A file with several entries, such as several selected line ranges,
+ * appears once with their sizes added up.
+ * @param {Object[]} fileEntries File entries with relativePath
+ * @returns {Object[]} The top-level nodes. Each node has name, isDirectory, size, lines and fileCount; folders also
+ * have children. Folders come first, then files, each by name.
+ */
+const buildFolderTree = (fileEntries) => {
+    const createFolder = (name) => ({ name, isDirectory: true, size: 0, lines: 0, fileCount: 0, children: new Map() });
+    const addMeasure = (node, measure) => {
+        if (measure.size !== undefined) node.size = (node.size || 0) + measure.size;
+        if (measure.lines !== undefined) node.lines = (node.lines || 0) + measure.lines;
+    };
+
+    const root = createFolder('');
+    fileEntries.forEach(entry => {
+        const parts = entry.relativePath.split(path.sep);
+        const measure = measureEntry(entry);
+        const folders = [root];
+        parts.slice(0, -1).forEach(part => {
+            const parent = folders[folders.length - 1];
+            if (!parent.children.has(part)) parent.children.set(part, createFolder(part));
+            folders.push(parent.children.get(part));
+        });
+
+        const parent = folders[folders.length - 1];
+        const name = parts[parts.length - 1];
+        const isNew = !parent.children.has(name);
+        if (isNew) parent.children.set(name, { name, isDirectory: false, fileCount: 1 });
+        addMeasure(parent.children.get(name), measure);
+        folders.forEach(folder => {
+            addMeasure(folder, measure);
+            if (isNew) folder.fileCount++;
+        });
+    });
+
+    const finish = (node) => {
+        if (node.isDirectory) {
+            node.children = [...node.children.values()]
+                .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name))
+                .map(finish);
+        }
+        return node;
+    };
+    return finish(root).children;
+};
+
+/**
+ * Describes a node's metadata
+ * @param {Object} node Tree node
+ * @param {string} metadata One of TREE_METADATA
+ * @returns {string|undefined} e.g. "1.2 KB", "120 lines" or "~300 tokens"; undefined if the node has none
+ */
+const describeMetadata = (node, metadata) => {
+    if (metadata === 'size' && node.size !== undefined) return formatSize(node.size);
+    if (metadata === 'lines' && node.lines !== undefined) return `${node.lines} line${node.lines === 1 ? '' : 's'}`;
+    if (metadata === 'tokens' && node.size !== undefined) return formatTokenEstimate(estimateTokensFromSize(node.size));
+    return undefined;
+};
+
+/**
+ * Renders the folder structure of an extraction as text
+ * @param {Object[]} fileEntries File entries with relativePath
+ * @param {Object} [options] Tree options, from getTreeOptions
+ * @param {string} [options.style] 'unicode' (├──), 'ascii' (|--) or 'indent' for an indented list
+ * @param {number} [options.maxDepth] Levels of folders to expand, 0 for all; deeper folders are listed with their file count
+ * @param {string} [options.metadata] One of TREE_METADATA, shown after each file and folder
+ * @returns {string} One line per node, each ending with a newline
+ */
+const renderFolderStructure = (fileEntries, options = {}) => {
+    const style = TREE_STYLES[options.style] || TREE_STYLES[DEFAULT_TREE_STYLE];
+    const maxDepth = options.maxDepth || 0;
+    const metadata = options.metadata || 'none';
+    const lines = [];
+
+    const renderNodes = (nodes, indent, depth) => {
+        nodes.forEach((node, index) => {
+            const isLast = index === nodes.length - 1;
+            const collapsed = node.isDirectory && maxDepth > 0 && depth >= maxDepth;
+            const details = [];
+            if (node.isDirectory && (collapsed || metadata !== 'none')) {
+                details.push(`${node.fileCount} file${node.fileCount === 1 ? '' : 's'}`);
+            }
+            const described = describeMetadata(node, metadata);
+            if (described) details.push(described);
+
+            const name = node.isDirectory ? `${node.name}/` : node.name;
+            const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+            lines.push(`${indent}${isLast ? style.last : style.branch}${name}${suffix}\n`);
+            if (node.isDirectory && !collapsed) {
+                renderNodes(node.children, indent + (isLast ? style.blank : style.pipe), depth + 1);
+            }
+        });
+    };
+
+    renderNodes(buildFolderTree(fileEntries), '', 1);
+    return lines.join('');
+};
+
+module.exports = {
+    TREE_STYLES,
+    TREE_METADATA,
+    getTreeOptions,
+    buildFolderTree,
+    describeMetadata,
+    renderFolderStructure
+};
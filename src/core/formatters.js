@@ -0,0 +1,317 @@
+const { createHeader } = require('./utils');
+const { buildFolderTree } = require('./folderStructure');
+const { estimateTokensFromSize } = require('./fileTree');
+
+const OUTPUT_FORMATS = ['plain', 'markdown', 'xml', 'json'];
+const DEFAULT_OUTPUT_FORMAT = 'plain';
+
+/**
+ * Normalizes an output format name, falling back to the default for unknown values
+ * @param {string} format Requested output format
+ * @returns {string} A supported output format
+ */
+function resolveOutputFormat(format) {
+    const normalized = (format || '').toLowerCase();
+    return OUTPUT_FORMATS.includes(normalized) ? normalized : DEFAULT_OUTPUT_FORMAT;
+}
+
+/**
+ * Converts a path to forward slashes so output is identical across platforms
+ * @param {string} itemPath The path to convert
+ * @returns {string} The path with forward slashes
+ */
+function toPosixPath(itemPath) {
+    return itemPath.replace(/\\/g, '/');
+}
+
+/**
+ * Describes the lines of a file that an entry holds, when a large file is split across parts
+ * @param {{start: number, end: number, total: number}} lineRange First and last line (1-based) and the file's line count
+ * @returns {string} e.g. "1-200 of 540"
+ */
+function describeLineRange(lineRange) {
+    return `${lineRange.start}-${lineRange.end} of ${lineRange.total}`;
+}
+
+/**
+ * Describes why a dependency was extracted
+ * @param {{importer: string, specifier: string}} dependency Relative path of the file that imports it and the import as written
+ * @returns {string} e.g. "src/app.js: ./db"
+ */
+function describeDependency(dependency) {
+    return `${toPosixPath(dependency.importer)}: ${dependency.specifier}`;
+}
+
+/**
+ * Describes where the paths of an extraction are relative to: the base path, or one line per root when the
+ * extraction spans several workspace folders
+ * @param {Object} result Combined extraction result, with roots ({ name, path }) if there are several
+ * @param {string} basePath The common base path
+ * @returns {string} e.g. "api: /work/api" for each root
+ */
+function describeBasePath(result, basePath) {
+    return result.roots ? result.roots.map(root => `${root.name}: ${root.path}`).join('\n') : basePath;
+}
+
+/**
+ * Renders the original layout: file types header, folder tree and -path- delimited files
+ * @param {Object} result Combined extraction result; with structureOnly, the files are left out
+ * @param {string} basePath The common base path
+ * @returns {string} The formatted content
+ */
+function formatPlain(result, basePath) {
+    const headerContent = createHeader(result.fileTypes);
+    const folderStructureOutput = `\n${describeBasePath(result, basePath)}\n${result.folderStructure}`;
+    if (result.structureOnly) {
+        return `${headerContent}\n\nFolder Structure:${folderStructureOutput}`;
+    }
+    const fileContents = result.fileEntries.map(entry => {
+        if (entry.error) {
+            return `\n-${entry.path}-\nError reading file: ${entry.error}\n`;
+        }
+        if (entry.isBinary) {
+            return `\n--- ${entry.relativePath} [BINARY FILE] \n`;
+        }
+        const status = entry.status ? ` [${entry.status.toUpperCase()}]` : '';
+        const range = entry.lineRange ? ` [LINES ${describeLineRange(entry.lineRange)}]` : '';
+        const dependency = entry.dependency ? ` [IMPORTED BY ${describeDependency(entry.dependency)}]` : '';
+        const diff = entry.diff ? `\n-${entry.relativePath}- [DIFF]\n${entry.diff}\n` : '';
+        if (entry.contentOmitted) {
+            return diff || `\n--- ${entry.relativePath}${status} \n`;
+        }
+        return `\n-${entry.relativePath}-${status}${range}${dependency}\n${entry.content}\n${diff}`;
+    }).join('');
+    return `${headerContent}\n\nFolder Structure:${folderStructureOutput}\n\nFile Contents:\n${fileContents}`;
+}
+
+/**
+ * Builds a code fence that is longer than any backtick run inside the content
+ * @param {string} content The content to be fenced
+ * @returns {string} A fence of at least three backticks
+ */
+function getFence(content) {
+    const runs = content.match(/`+/g) || [];
+    const longestRun = runs.reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Renders the extraction as Markdown with language-tagged fenced code blocks
+ * @param {Object} result Combined extraction result
+ * @param {string} basePath The common base path
+ * @returns {string} The formatted content
+ */
+function formatMarkdown(result, basePath) {
+    const sections = [];
+    sections.push(`**${createHeader(result.fileTypes)}**`);
+
+    const tree = `${describeBasePath(result, basePath)}\n${result.folderStructure}`.trimEnd();
+    const treeFence = getFence(tree);
+    sections.push(`## Folder Structure\n\n${treeFence}text\n${tree}\n${treeFence}`);
+    if (result.structureOnly) {
+        return `${sections.join('\n\n')}\n`;
+    }
+
+    sections.push('## File Contents');
+    result.fileEntries.forEach(entry => {
+        const status = entry.status ? ` (${entry.status})` : '';
+        const range = entry.lineRange ? ` (lines ${describeLineRange(entry.lineRange)})` : '';
+        const dependency = entry.dependency ? ` (imported by ${describeDependency(entry.dependency)})` : '';
+        const heading = `### ${toPosixPath(entry.relativePath)}${status}${range}${dependency}`;
+        if (entry.error) {
+            sections.push(`${heading}\n\n_Error reading file: ${entry.error}_`);
+        } else if (entry.isBinary) {
+            sections.push(`${heading}\n\n_Binary file, content omitted._`);
+        } else {
+            const blocks = [];
+            if (!entry.contentOmitted) {
+                const fence = getFence(entry.content);
+                blocks.push(`${fence}${entry.language}\n${entry.content}\n${fence}`);
+            }
+            if (entry.diff) {
+                const diffFence = getFence(entry.diff);
+                blocks.push(`${diffFence}diff\n${entry.diff}\n${diffFence}`);
+            }
+            sections.push([heading, ...blocks].join('\n\n'));
+        }
+    });
+
+    return `${sections.join('\n\n')}\n`;
+}
+
+// Characters outside the XML 1.0 Char production, which cannot appear in a document even as character references
+const INVALID_XML_CHARS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Escapes text for use in XML element content. Characters XML 1.0 does not allow, such as control
+ * characters and unpaired surrogates, are replaced with U+FFFD so the output stays well-formed.
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(INVALID_XML_CHARS, '\uFFFD')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for use in a double-quoted XML attribute value
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeXmlAttribute(text) {
+    return escapeXml(text)
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+/**
+ * Renders the extraction as XML with one <file> element per file
+ * @param {Object} result Combined extraction result
+ * @param {string} basePath The common base path
+ * @returns {string} The formatted content
+ */
+function formatXml(result, basePath) {
+    const part = result.part ? ` part="${result.part.number}" parts="${result.part.total}"` : '';
+    const lines = [`<extraction${part}>`];
+    lines.push(`<file_types>${escapeXml(Array.from(result.fileTypes).sort().join(', '))}</file_types>`);
+    if (result.roots) {
+        lines.push('<roots>');
+        result.roots.forEach(root => lines.push(`<root name="${escapeXmlAttribute(root.name)}" path="${escapeXmlAttribute(toPosixPath(root.path))}" />`));
+        lines.push('</roots>');
+    }
+    lines.push(`<folder_structure base="${escapeXmlAttribute(toPosixPath(basePath))}">`);
+    lines.push(escapeXml(result.folderStructure.trimEnd()));
+    lines.push('</folder_structure>');
+    if (result.structureOnly) {
+        lines.push('</extraction>');
+        return `${lines.join('\n')}\n`;
+    }
+    lines.push('<files>');
+    result.fileEntries.forEach(entry => {
+        const status = entry.status ? ` status="${escapeXmlAttribute(entry.status)}"` : '';
+        const range = entry.lineRange
+            ? ` lines="${entry.lineRange.start}-${entry.lineRange.end}" total_lines="${entry.lineRange.total}"`
+            : '';
+        const dependency = entry.dependency
+            ? ` imported_by="${escapeXmlAttribute(toPosixPath(entry.dependency.importer))}" import="${escapeXmlAttribute(entry.dependency.specifier)}"`
+            : '';
+        const pathAttribute = `path="${escapeXmlAttribute(toPosixPath(entry.relativePath))}"${status}${range}${dependency}`;
+        if (entry.error) {
+            lines.push(`<file ${pathAttribute} error="${escapeXmlAttribute(entry.error)}" />`);
+        } else if (entry.isBinary) {
+            lines.push(`<file ${pathAttribute} binary="true" />`);
+        } else if (!entry.contentOmitted) {
+            lines.push(`<file ${pathAttribute} language="${escapeXmlAttribute(entry.language)}">`);
+            lines.push(escapeXml(entry.content));
+            lines.push('</file>');
+        } else if (!entry.diff) {
+            lines.push(`<file ${pathAttribute} />`);
+        }
+        if (entry.diff) {
+            lines.push(`<diff ${pathAttribute}>`);
+            lines.push(escapeXml(entry.diff));
+            lines.push('</diff>');
+        }
+    });
+    lines.push('</files>');
+    lines.push('</extraction>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds a nested directory tree from file entries
+ * @param {Object[]} fileEntries File entries with relativePath
+ * @param {string} [metadata] 'size', 'lines' or 'tokens' to add that field to each node
+ * @returns {Object[]} Tree nodes with name, type and (for directories) children
+ */
+function buildJsonTree(fileEntries, metadata) {
+    const toJson = node => {
+        const item = { name: node.name, type: node.isDirectory ? 'directory' : 'file' };
+        if (metadata === 'size' && node.size !== undefined) item.size = node.size;
+        if (metadata === 'lines' && node.lines !== undefined) item.lines = node.lines;
+        if (metadata === 'tokens' && node.size !== undefined) item.estimatedTokens = estimateTokensFromSize(node.size);
+        if (node.isDirectory) item.children = node.children.map(toJson);
+        return item;
+    };
+    return buildFolderTree(fileEntries).map(toJson);
+}
+
+/**
+ * Renders the extraction as a JSON document with metadata, tree and files
+ * @param {Object} result Combined extraction result
+ * @param {string} basePath The common base path
+ * @returns {string} The formatted content
+ */
+function formatJson(result, basePath) {
+    const document = {
+        metadata: {
+            basePath: toPosixPath(basePath),
+            ...(result.part ? { part: { number: result.part.number, total: result.part.total } } : {}),
+            ...(result.roots ? { roots: result.roots.map(root => ({ name: root.name, path: toPosixPath(root.path) })) } : {}),
+            fileTypes: Array.from(result.fileTypes).sort(),
+            fileCount: result.fileEntries.length,
+            generatedAt: new Date().toISOString()
+        },
+        tree: buildJsonTree(result.fileEntries, (result.treeOptions || {}).metadata)
+    };
+    if (result.structureOnly) {
+        return JSON.stringify(document, null, 2);
+    }
+
+    document.files = result.fileEntries.map(entry => {
+        const file = { path: toPosixPath(entry.relativePath), language: entry.language };
+        if (entry.status) {
+            file.status = entry.status;
+        }
+        if (entry.lineRange) {
+            file.lines = { ...entry.lineRange };
+        }
+        if (entry.dependency) {
+            file.importedBy = { path: toPosixPath(entry.dependency.importer), import: entry.dependency.specifier, depth: entry.dependency.depth };
+        }
+        if (entry.error) {
+            file.error = entry.error;
+        } else if (entry.isBinary) {
+            file.binary = true;
+        } else if (!entry.contentOmitted) {
+            file.content = entry.content;
+        }
+        if (entry.diff) {
+            file.diff = entry.diff;
+        }
+        return file;
+    });
+    return JSON.stringify(document, null, 2);
+}
+
+const FORMATTERS = {
+    plain: formatPlain,
+    markdown: formatMarkdown,
+    xml: formatXml,
+    json: formatJson
+};
+
+/**
+ * Formats a combined extraction result in the requested output format
+ * @param {Object} result Combined result with fileTypes, folderStructure and fileEntries; when it is one part of
+ * a split extraction, part ({ number, total }) is given as attributes of <extraction> in XML and in the JSON metadata
+ * @param {string} basePath The common base path
+ * @param {string} format One of OUTPUT_FORMATS
+ * @returns {string} The formatted content
+ */
+function formatOutput(result, basePath, format) {
+    return FORMATTERS[resolveOutputFormat(format)](result, basePath);
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    resolveOutputFormat,
+    formatOutput,
+    escapeXml,
+    escapeXmlAttribute,
+    getFence
+};
@@ -0,0 +1,271 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+const STATUS_NAMES = {
+    A: 'added',
+    C: 'copied',
+    D: 'deleted',
+    M: 'modified',
+    R: 'renamed',
+    T: 'modified',
+    U: 'unmerged'
+};
+
+/**
+ * Runs a git command and resolves with its standard output
+ * @param {string[]} args Arguments passed to git
+ * @param {string} cwd Working directory
+ * @returns {Promise<string>} The command output
+ */
+const runGit = (args, cwd) => {
+    return new Promise((resolve, reject) => {
+        // Paths with non-ASCII characters are printed as they are instead of as quoted octal escapes
+        execFile('git', ['-c', 'core.quotePath=false', ...args], { cwd, maxBuffer: GIT_MAX_BUFFER }, (error, stdout, stderr) => {
+            if (error) {
+                const message = (stderr || error.message).trim();
+                reject(new Error(`git ${args[0]} failed: ${message}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+};
+
+/**
+ * Finds the root of the git repository containing a directory
+ * @param {string} cwd A directory inside the repository
+ * @returns {Promise<string>} Absolute path of the repository root
+ */
+const getRepositoryRoot = async (cwd) => {
+    const output = await runGit(['rev-parse', '--show-toplevel'], cwd);
+    return path.resolve(output.trim());
+};
+
+/**
+ * Gets the name of the checked-out branch
+ * @param {string} root Repository root
+ * @returns {Promise<string>} The branch name, or the short commit hash on a detached HEAD
+ */
+const getCurrentBranch = async (root) => {
+    const branch = (await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], root)).trim();
+    if (branch !== 'HEAD') return branch;
+    return (await runGit(['rev-parse', '--short', 'HEAD'], root)).trim();
+};
+
+/**
+ * Gets the checked-out branch of the repository containing a file or folder
+ * @param {string} targetPath Path of a file or folder inside the repository
+ * @returns {Promise<string>} The branch name, or the short commit hash on a detached HEAD
+ */
+const getBranchOfPath = async (targetPath) => {
+    const stats = await fs.stat(targetPath);
+    return getCurrentBranch(stats.isDirectory() ? targetPath : path.dirname(targetPath));
+};
+
+/**
+ * Lists local branches, remote branches and tags
+ * @param {string} root Repository root
+ * @returns {Promise<string[]>} Short ref names
+ */
+const listRefs = async (root) => {
+    const output = await runGit(['for-each-ref', '--format=%(refname:short)', 'refs/heads', 'refs/remotes', 'refs/tags'], root);
+    return output.split('\n').map(ref => ref.trim()).filter(ref => ref && !ref.endsWith('/HEAD'));
+};
+
+/**
+ * Checks that a ref names a commit. Refs typed by the user are passed to git diff, where one starting
+ * with a dash would be read as an option.
+ * @param {string} root Repository root
+ * @param {string} ref Branch, tag or commit
+ * @returns {Promise<string>} The ref
+ * @throws {Error} If the ref does not resolve to a commit
+ */
+const verifyRef = async (root, ref) => {
+    try {
+        await runGit(['rev-parse', '--verify', '--quiet', '--end-of-options', `${ref}^{commit}`], root);
+    } catch (error) {
+        throw new Error(`"${ref}" is not a branch, tag or commit`);
+    }
+    return ref;
+};
+
+/**
+ * Builds the git diff arguments that select the requested changes
+ * @param {string} mode 'working' (working tree vs HEAD), 'staged' (index vs HEAD) or 'ref' (HEAD vs ref)
+ * @param {string} [ref] Branch or commit to compare against in 'ref' mode
+ * @returns {string[]} Diff arguments
+ */
+const getDiffRange = (mode, ref) => {
+    switch (mode) {
+        case 'staged':
+            return ['--cached'];
+        case 'ref':
+            // Three dots compare against the merge base, i.e. only what changed on this side since ref
+            return [`${ref}...HEAD`];
+        default:
+            return ['HEAD'];
+    }
+};
+
+/**
+ * Parses NUL-separated output of git diff --name-status -z
+ * @param {string} output The command output
+ * @returns {Object[]} Changes with status, path and (for renames and copies) oldPath
+ */
+const parseNameStatus = (output) => {
+    const fields = output.split('\0').filter(field => field !== '');
+    const changes = [];
+    for (let i = 0; i < fields.length;) {
+        const code = fields[i][0];
+        if (code === 'R' || code === 'C') {
+            changes.push({ status: STATUS_NAMES[code], oldPath: fields[i + 1], path: fields[i + 2] });
+            i += 3;
+        } else {
+            changes.push({ status: STATUS_NAMES[code] || 'modified', path: fields[i + 1] });
+            i += 2;
+        }
+    }
+    return changes;
+};
+
+/**
+ * Checks whether the repository has at least one commit
+ * @param {string} root Repository root
+ * @returns {Promise<boolean>} True if HEAD points to a commit
+ */
+const hasHead = async (root) => {
+    try {
+        await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], root);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Lists the files changed in the requested mode.
+ * Working tree mode also includes untracked files that are not ignored by git. In 'ref' mode the ref is verified first.
+ * @param {string} root Repository root
+ * @param {string} mode 'working', 'staged' or 'ref'
+ * @param {string} [ref] Branch or commit to compare against in 'ref' mode
+ * @returns {Promise<Object[]>} Changes with repository-relative, forward-slash paths
+ */
+const getChangedFiles = async (root, mode, ref) => {
+    let changes = [];
+    if (mode === 'ref') await verifyRef(root, ref);
+    if (mode === 'ref' || await hasHead(root)) {
+        changes = parseNameStatus(await runGit(['diff', '--name-status', '-z', ...getDiffRange(mode, ref)], root));
+    } else if (mode === 'staged') {
+        // Without a commit every staged file is new
+        const staged = await runGit(['ls-files', '-z', '--cached'], root);
+        changes = staged.split('\0').filter(file => file).map(file => ({ status: 'added', path: file }));
+    }
+
+    if (mode === 'working') {
+        const untracked = await runGit(['ls-files', '-z', '--others', '--exclude-standard'], root);
+        untracked.split('\0').filter(file => file).forEach(file => {
+            if (!changes.some(change => change.path === file)) {
+                changes.push({ status: 'untracked', path: file });
+            }
+        });
+    }
+
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+};
+
+// Characters git writes as backslash escapes inside quoted paths
+const GIT_PATH_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Reads a path as git prints it in diff headers. Paths with special characters such as tabs, newlines or
+ * quotes are double-quoted with C-style escapes; octal escapes are bytes of UTF-8.
+ * @param {string} text The path as printed, possibly quoted
+ * @returns {string} The path
+ */
+const unquoteGitPath = (text) => {
+    if (!text.startsWith('"') || !text.endsWith('"')) return text;
+    const bytes = [];
+    const inner = text.slice(1, -1);
+    for (let i = 0; i < inner.length; i++) {
+        if (inner[i] !== '\\') {
+            bytes.push(...Buffer.from(inner[i]));
+        } else if (/[0-7]{3}/.test(inner.slice(i + 1, i + 4))) {
+            bytes.push(parseInt(inner.slice(i + 1, i + 4), 8));
+            i += 3;
+        } else {
+            bytes.push(GIT_PATH_ESCAPES[inner[i + 1]] ?? inner.charCodeAt(i + 1));
+            i++;
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+};
+
+/**
+ * Finds the path a file diff belongs to: its new path, or its old path when the file was deleted
+ * @param {string} chunk The diff of one file, starting with its "diff --git" header
+ * @returns {string|undefined} Repository-relative, forward-slash path
+ */
+const getDiffPath = (chunk) => {
+    const lines = chunk.split('\n');
+    // Header lines end where the first hunk starts
+    const hunkStart = lines.findIndex(line => line.startsWith('@@'));
+    const header = hunkStart === -1 ? lines : lines.slice(0, hunkStart);
+    const findLine = prefix => {
+        const line = header.find(headerLine => headerLine.startsWith(prefix));
+        // Names with spaces get a tab after them to mark where they end
+        return line === undefined ? undefined : line.slice(prefix.length).replace(/\t$/, '');
+    };
+
+    const renamed = findLine('rename to ') ?? findLine('copy to ');
+    if (renamed !== undefined) return unquoteGitPath(renamed);
+
+    const newPath = findLine('+++ ');
+    if (newPath !== undefined && newPath !== '/dev/null') return unquoteGitPath(newPath).replace(/^b\//, '');
+    const oldPath = findLine('--- ');
+    if (oldPath !== undefined && oldPath !== '/dev/null') return unquoteGitPath(oldPath).replace(/^a\//, '');
+
+    // Binary files and mode changes have no ---/+++ lines; without a rename both sides of the header are the same path
+    const paths = header[0].slice('diff --git '.length);
+    if (paths.startsWith('"')) {
+        const quoted = /^("(?:[^"\\]|\\.)*") /.exec(paths);
+        return quoted ? unquoteGitPath(quoted[1]).replace(/^a\//, '') : undefined;
+    }
+    const length = (paths.length - 'a/ b/'.length) / 2;
+    const filePath = paths.slice('a/'.length, 'a/'.length + length);
+    return paths === `a/${filePath} b/${filePath}` ? filePath : undefined;
+};
+
+/**
+ * Gets the unified diff of the requested changes, split per file
+ * @param {string} root Repository root
+ * @param {string} mode 'working', 'staged' or 'ref'
+ * @param {string} [ref] Branch or commit to compare against in 'ref' mode
+ * @returns {Promise<Map<string, string>>} Diff text keyed by repository-relative, forward-slash path
+ */
+const getFileDiffs = async (root, mode, ref) => {
+    const diffs = new Map();
+    if (mode === 'ref') await verifyRef(root, ref);
+    if (mode !== 'ref' && !await hasHead(root)) return diffs;
+
+    // Fixed prefixes, whatever diff.noprefix or diff.mnemonicPrefix say
+    const output = await runGit(['diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', ...getDiffRange(mode, ref)], root);
+    output.split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git ')).forEach(chunk => {
+        const filePath = getDiffPath(chunk);
+        if (filePath) diffs.set(filePath, chunk.trimEnd());
+    });
+    return diffs;
+};
+
+module.exports = {
+    runGit,
+    getRepositoryRoot,
+    getCurrentBranch,
+    getBranchOfPath,
+    listRefs,
+    verifyRef,
+    getChangedFiles,
+    getFileDiffs
+};
@@ -0,0 +1,251 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Escapes a character for literal use inside a regular expression
+ * @param {string} char The character to escape
+ * @returns {string} The escaped character
+ */
+const escapeRegexChar = (char) => /[.*+?^${}()|[\]\\/]/.test(char) ? `\\${char}` : char;
+
+/**
+ * Converts the glob part of a gitignore pattern into a regular expression source
+ * @param {string} glob Pattern without negation, anchoring slash or trailing slash
+ * @returns {string} Regular expression source matching a whole relative path
+ */
+const globToRegexSource = (glob) => {
+    let source = '';
+    let i = 0;
+    while (i < glob.length) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            const atSegmentStart = i === 0 || glob[i - 1] === '/';
+            const atSegmentEnd = i + 2 === glob.length || glob[i + 2] === '/';
+            if (atSegmentStart && atSegmentEnd) {
+                if (i + 2 === glob.length) {
+                    // Trailing "/**" matches everything inside the directory
+                    source += '.*';
+                    i += 2;
+                } else {
+                    // Leading "**/" or inner "/**/" matches zero or more directories
+                    source += '(?:.*/)?';
+                    i += 3;
+                }
+                continue;
+            }
+            // "**" that is not a whole segment behaves like a regular "*"
+            source += '[^/]*';
+            i += 2;
+            continue;
+        }
+        if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                let range = glob.slice(i + 1, close);
+                if (range.startsWith('!')) range = `^${range.slice(1)}`;
+                source += `[${range.replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            source += escapeRegexChar(glob[i + 1]);
+            i++;
+        } else {
+            source += escapeRegexChar(char);
+        }
+        i++;
+    }
+    return source;
+};
+
+/**
+ * Parses a single gitignore line into a rule
+ * @param {string} line A line of a .gitignore file
+ * @param {string} baseDir Absolute directory the rule is scoped to
+ * @returns {Object|null} The rule, or null for blank lines and comments
+ */
+const parseGitignoreLine = (line, baseDir) => {
+    // Trailing spaces are ignored unless escaped with a backslash
+    let pattern = line.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    let dirOnly = false;
+    if (pattern.endsWith('/')) {
+        dirOnly = true;
+        pattern = pattern.replace(/\/+$/, '');
+    }
+    if (!pattern) return null;
+
+    // A slash at the start or in the middle anchors the pattern to the .gitignore directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\/+/, '');
+
+    const source = globToRegexSource(pattern);
+    const regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+
+    return { pattern: line.trim(), regex, negate, dirOnly, baseDir };
+};
+
+/**
+ * Parses the content of a .gitignore file
+ * @param {string} content Content of the file
+ * @param {string} baseDir Absolute directory containing the file
+ * @returns {Object[]} Parsed rules in file order
+ */
+const parseGitignore = (content, baseDir) => {
+    return content
+        .split('\n')
+        .map(line => parseGitignoreLine(line, baseDir))
+        .filter(rule => rule !== null);
+};
+
+/**
+ * Reads and parses an ignore file, returning no rules if it does not exist
+ * @param {string} filePath Path to the ignore file
+ * @param {string} baseDir Absolute directory the rules are scoped to
+ * @returns {Promise<Object[]>} Parsed rules
+ */
+const loadIgnoreFile = async (filePath, baseDir) => {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return parseGitignore(content, baseDir);
+    } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+            logger.error(`Error reading ignore file ${filePath}:`, error);
+        }
+        return [];
+    }
+};
+
+/**
+ * Loads the rules of the .gitignore file directly inside a directory
+ * @param {string} dir Absolute directory path
+ * @returns {Promise<Object[]>} Parsed rules
+ */
+const loadGitignoreRules = (dir) => loadIgnoreFile(path.join(dir, '.gitignore'), dir);
+
+/**
+ * Finds the root of the git repository containing a path
+ * @param {string} startPath Absolute file or directory path
+ * @returns {Promise<string|null>} The repository root, or null outside a repository
+ */
+const findRepositoryRoot = async (startPath) => {
+    let current = path.resolve(startPath);
+    for (;;) {
+        try {
+            await fs.stat(path.join(current, '.git'));
+            return current;
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (parent === current) return null;
+            current = parent;
+        }
+    }
+};
+
+/**
+ * Loads every rule that applies to an item from outside of it: .git/info/exclude and
+ * the .gitignore files of the repository root and each directory down to the item's parent.
+ * Rules of .gitignore files inside a traversed directory are loaded during traversal.
+ * @param {string} itemPath Absolute path of the selected file or folder
+ * @param {Object} settings Which sources to read
+ * @param {boolean} settings.useGitignore Read .gitignore files
+ * @param {boolean} settings.useGitInfoExclude Read .git/info/exclude
+ * @returns {Promise<Object[]>} Rules ordered from lowest to highest precedence
+ */
+const loadInheritedGitignoreRules = async (itemPath, { useGitignore, useGitInfoExclude }) => {
+    if (!useGitignore && !useGitInfoExclude) return [];
+
+    const resolvedPath = path.resolve(itemPath);
+    const parentDir = path.dirname(resolvedPath);
+    const repositoryRoot = await findRepositoryRoot(resolvedPath);
+    const rules = [];
+
+    if (useGitInfoExclude && repositoryRoot) {
+        rules.push(...await loadIgnoreFile(path.join(repositoryRoot, '.git', 'info', 'exclude'), repositoryRoot));
+    }
+
+    // The repository root's own .gitignore is read by the traversal when the root itself is selected
+    if (useGitignore && resolvedPath !== repositoryRoot) {
+        const topDir = repositoryRoot || parentDir;
+        const relativeParts = path.relative(topDir, parentDir).split(path.sep).filter(part => part);
+        let currentDir = topDir;
+        rules.push(...await loadGitignoreRules(currentDir));
+        for (const part of relativeParts) {
+            currentDir = path.join(currentDir, part);
+            rules.push(...await loadGitignoreRules(currentDir));
+        }
+    }
+
+    return rules;
+};
+
+/**
+ * Applies rules to a single path; the last matching rule wins
+ * @param {string} absolutePath Absolute path of the item
+ * @param {boolean} isDirectory Whether the item is a directory
+ * @param {Object[]} rules Rules ordered from lowest to highest precedence
+ * @returns {boolean} True if the item itself is matched by an ignore rule
+ */
+const matchRules = (absolutePath, isDirectory, rules) => {
+    let ignored = false;
+    rules.forEach(rule => {
+        if (rule.dirOnly && !isDirectory) return;
+        const relativePath = path.relative(rule.baseDir, absolutePath);
+        if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) return;
+        if (rule.regex.test(relativePath.split(path.sep).join('/'))) {
+            ignored = !rule.negate;
+        }
+    });
+    return ignored;
+};
+
+/**
+ * Checks whether an item is ignored by gitignore rules.
+ * As in git, an item inside an ignored directory cannot be re-included by a negation.
+ * @param {string} absolutePath Absolute path of the item
+ * @param {boolean} isDirectory Whether the item is a directory
+ * @param {Object[]} rules Rules ordered from lowest to highest precedence
+ * @returns {boolean} True if the item is ignored
+ */
+const isGitignored = (absolutePath, isDirectory, rules) => {
+    if (!rules || rules.length === 0) return false;
+
+    const resolved = path.resolve(absolutePath);
+    const outermostBase = rules.reduce(
+        (outer, rule) => rule.baseDir.length < outer.length ? rule.baseDir : outer,
+        rules[0].baseDir
+    );
+
+    // Check each ancestor directory below the outermost rule scope first
+    const ancestors = path.relative(outermostBase, path.dirname(resolved)).split(path.sep).filter(part => part);
+    let currentDir = outermostBase;
+    for (const part of ancestors) {
+        if (part === '..') break;
+        currentDir = path.join(currentDir, part);
+        if (matchRules(currentDir, true, rules)) return true;
+    }
+
+    return matchRules(resolved, isDirectory, rules);
+};
+
+module.exports = {
+    parseGitignore,
+    loadGitignoreRules,
+    loadInheritedGitignoreRules,
+    isGitignored
+};
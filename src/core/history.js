@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_HISTORY_SIZE = 20;
+const INDEX_FILE = 'index.json';
+// Ids become file names, so ids coming back from the webview are checked against this
+const ENTRY_ID = /^[\w-]+$/;
+
+/**
+ * Hashes the content of a file entry, so two extractions can be compared without storing every file twice
+ * @param {Object} entry Extracted file entry
+ * @returns {string} SHA-1 of the content and diff
+ */
+const hashFileEntry = (entry) => crypto.createHash('sha1')
+    .update(entry.content || '')
+    .update('\0')
+    .update(entry.diff || '')
+    .digest('hex');
+
+/**
+ * Builds the history entry of an extraction
+ * @param {Object} extraction Extraction returned by extractCode or extractGitChanges
+ * @param {Object} details What to show and how to run it again: label, sourcePaths, ignorePatterns, includePatterns,
+ * prompt, tokenizer, tokenCount and run
+ * @returns {Object} The entry, without id
+ */
+const createHistoryEntry = (extraction, details) => ({
+    timestamp: Date.now(),
+    ...details,
+    outputFormat: extraction.outputFormat,
+    fileCount: extraction.result.fileEntries.length,
+    files: extraction.result.fileEntries.map(entry => ({
+        relativePath: entry.relativePath.split(path.sep).join('/'),
+        hash: hashFileEntry(entry)
+    })),
+    content: extraction.content
+});
+
+/**
+ * Lists the files added, removed and changed between two history entries
+ * @param {Object} older The earlier entry
+ * @param {Object} newer The later entry
+ * @returns {{added: string[], removed: string[], changed: string[]}} Forward-slash relative paths
+ */
+const compareHistoryEntries = (older, newer) => {
+    const olderHashes = new Map(older.files.map(file => [file.relativePath, file.hash]));
+    const newerHashes = new Map(newer.files.map(file => [file.relativePath, file.hash]));
+    return {
+        added: [...newerHashes.keys()].filter(relativePath => !olderHashes.has(relativePath)),
+        removed: [...olderHashes.keys()].filter(relativePath => !newerHashes.has(relativePath)),
+        changed: [...newerHashes.keys()].filter(relativePath => olderHashes.has(relativePath) && olderHashes.get(relativePath) !== newerHashes.get(relativePath))
+    };
+};
+
+/**
+ * Creates the store of past extractions. Each entry is written to its own file, next to an index of the
+ * entries without their content, so the history can be listed without reading every extraction.
+ * @param {string} directory Folder of the history files, created on first write
+ * @returns {Object} The store: list(), get(id), add(entry, maxEntries), remove(id) and clear()
+ */
+const createHistoryStore = (directory) => {
+    const indexPath = path.join(directory, INDEX_FILE);
+    const entryPath = (id) => {
+        if (!ENTRY_ID.test(id)) throw new Error(`Invalid history entry id "${id}"`);
+        return path.join(directory, `${id}.json`);
+    };
+
+    // Changes are queued, so two extractions finishing together do not overwrite each other's index
+    let pending = Promise.resolve();
+    const enqueue = (task) => {
+        const run = pending.then(task);
+        pending = run.catch(() => {});
+        return run;
+    };
+
+    const readIndex = async () => {
+        try {
+            const index = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return [];
+            throw error;
+        }
+    };
+    const writeIndex = (index) => fs.writeFile(indexPath, JSON.stringify(index, null, 2), 'utf8');
+
+    /**
+     * Lists the entries, newest first
+     * @returns {Promise<Object[]>} The entries without their content and files
+     */
+    const list = () => enqueue(readIndex);
+
+    /**
+     * Reads a single entry
+     * @param {string} id The entry id
+     * @returns {Promise<Object|null>} The entry, or null if it no longer exists
+     */
+    const get = async (id) => {
+        try {
+            return JSON.parse(await fs.readFile(entryPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    };
+
+    /**
+     * Adds an entry and drops the oldest ones beyond maxEntries
+     * @param {Object} entry Entry returned by createHistoryEntry
+     * @param {number} [maxEntries] Number of entries to keep
+     * @returns {Promise<Object>} The stored entry, with its id
+     */
+    const add = (entry, maxEntries = DEFAULT_HISTORY_SIZE) => enqueue(async () => {
+        const id = `${new Date(entry.timestamp).toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+        const stored = { id, ...entry };
+        const summary = { ...stored };
+        delete summary.content;
+        delete summary.files;
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(entryPath(id), JSON.stringify(stored), 'utf8');
+        const index = [summary, ...await readIndex()];
+        await writeIndex(index.slice(0, Math.max(1, maxEntries)));
+        await Promise.all(index.slice(Math.max(1, maxEntries)).map(old => fs.rm(entryPath(old.id), { force: true })));
+        return stored;
+    });
+
+    /**
+     * Removes a single entry
+     * @param {string} id The entry id
+     * @returns {Promise<void>}
+     */
+    const remove = (id) => enqueue(async () => {
+        const index = await readIndex();
+        if (!index.some(item => item.id === id)) return;
+        await writeIndex(index.filter(item => item.id !== id));
+        await fs.rm(entryPath(id), { force: true });
+    });
+
+    /**
+     * Removes all entries
+     * @returns {Promise<void>}
+     */
+    const clear = () => enqueue(() => fs.rm(directory, { recursive: true, force: true }));
+
+    return { list, get, add, remove, clear };
+};
+
+module.exports = {
+    DEFAULT_HISTORY_SIZE,
+    createHistoryEntry,
+    compareHistoryEntries,
+    createHistoryStore
+};
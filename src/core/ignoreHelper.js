@@ -1,5 +1,5 @@
-const vscode = require('vscode');
-const path = require('path');
+const { isGitignored } = require('./gitignore');
+const { logger } = require('./logger');
 
 // Handle different versions of minimatch
 let minimatchFn;
@@ -10,9 +10,8 @@ try {
     if (typeof minimatchFn === 'object' && typeof minimatchFn.minimatch === 'function') {
         minimatchFn = minimatchFn.minimatch;
     }
-    console.log('Minimatch import type:', typeof minimatchFn);
 } catch (err) {
-    console.error('Error importing minimatch:', err);
+    logger.error('Error importing minimatch:', err);
     // Fallback - define a simple function that returns false (never matches)
     minimatchFn = () => false;
 }
@@ -40,27 +39,23 @@ const DEFAULT_IGNORE_PATTERNS = [
 /**
  * Gets the effective ignore patterns by combining user-defined and default patterns
  * Takes into account the master enable/disable switch
+ * @param {{get: Function}} config Settings with a get(key, defaultValue) method, such as the
+ * 'syntaxExtractor' workspace configuration or the settings built by the CLI
  * @returns {string[]} An array of effective ignore patterns, or an empty array if ignore processing is disabled
  */
-function getEffectiveIgnorePatterns() {
+function getEffectiveIgnorePatterns(config) {
     try {
-        const config = vscode.workspace.getConfiguration('syntaxExtractor');
-        
         // Check the master enable/disable switch first
         const enableIgnoreProcessing = config.get('enableIgnoreProcessing', true);
         
         // If ignore processing is disabled, return an empty array to bypass all ignore checks
         if (!enableIgnoreProcessing) {
-            console.log('Ignore processing is globally disabled');
+            logger.log('Ignore processing is globally disabled');
             return [];
         }
         
         // Get user-defined patterns
-        const userPatternsString = config.get('ignorePatterns', '');
-        const userPatterns = userPatternsString
-            .split(',')
-            .map(pattern => pattern.trim())
-            .filter(pattern => pattern.length > 0);
+        const userPatterns = parsePatternList(config.get('ignorePatterns', ''));
         
         // Determine if default patterns should be included
         const useDefaultPatterns = config.get('useDefaultIgnorePatterns', true);
@@ -70,15 +65,58 @@ function getEffectiveIgnorePatterns() {
             ? [...DEFAULT_IGNORE_PATTERNS, ...userPatterns]
             : userPatterns;
         
-        console.log('Effective ignore patterns:', effectivePatterns);
+        logger.log('Effective ignore patterns:', effectivePatterns);
         return effectivePatterns;
     } catch (error) {
-        console.error('Error in getEffectiveIgnorePatterns:', error);
+        logger.error('Error in getEffectiveIgnorePatterns:', error);
         // Return empty array as fallback to avoid blocking the main functionality
         return [];
     }
 }
 
+/**
+ * Gets which git ignore files should be honoured, taking the master enable/disable switch into account
+ * @param {{get: Function}} config Settings with a get(key, defaultValue) method
+ * @returns {{useGitignore: boolean, useGitInfoExclude: boolean}} The enabled git ignore sources
+ */
+function getGitignoreSettings(config) {
+    try {
+        const enableIgnoreProcessing = config.get('enableIgnoreProcessing', true);
+        return {
+            useGitignore: enableIgnoreProcessing && config.get('useGitignore', true),
+            useGitInfoExclude: enableIgnoreProcessing && config.get('useGitInfoExclude', true)
+        };
+    } catch (error) {
+        logger.error('Error in getGitignoreSettings:', error);
+        return { useGitignore: false, useGitInfoExclude: false };
+    }
+}
+
+/**
+ * Gets the include patterns: when there are any, only files matching one of them are extracted from selected folders
+ * @param {{get: Function}} config Settings with a get(key, defaultValue) method
+ * @param {string[]} [runPatterns] Include patterns of a single run, e.g. from a profile; they replace the configured ones
+ * @returns {string[]} The patterns, or an empty array to include every file
+ */
+function getEffectiveIncludePatterns(config, runPatterns) {
+    if (runPatterns && runPatterns.length > 0) {
+        return runPatterns;
+    }
+    return parsePatternList(config.get('includePatterns', ''));
+}
+
+/**
+ * Splits a comma-separated pattern setting into a list of trimmed patterns
+ * @param {string|string[]} patterns Comma-separated patterns, or an array of patterns
+ * @returns {string[]} The non-empty patterns
+ */
+function parsePatternList(patterns) {
+    const list = Array.isArray(patterns) ? patterns : String(patterns || '').split(',');
+    return list
+        .map(pattern => String(pattern).trim())
+        .filter(pattern => pattern.length > 0);
+}
+
 /**
  * Normalizes a path for consistent cross-platform matching
  * @param {string} itemPath The path to normalize
@@ -95,10 +133,18 @@ function normalizePath(itemPath) {
  * @param {string} itemName Basename of the file or folder
  * @param {boolean} isDirectory Whether the item is a directory
  * @param {string[]} ignorePatterns Array of glob patterns to check against
+ * @param {Object} [options] Additional ignore sources
+ * @param {string} [options.absolutePath] Absolute path of the item, required for gitignore rules
+ * @param {Object[]} [options.gitignoreRules] Rules parsed from .gitignore files, lowest precedence first
  * @returns {boolean} True if the item should be ignored, false otherwise
  */
-function checkIsIgnored(itemRelativePath, itemName, isDirectory, ignorePatterns) {
+function checkIsIgnored(itemRelativePath, itemName, isDirectory, ignorePatterns, options = {}) {
     try {
+        // Rules from .gitignore files are only available together with the absolute path
+        if (options.absolutePath && isGitignored(options.absolutePath, isDirectory, options.gitignoreRules)) {
+            return true;
+        }
+
         // Early return if no patterns are provided or if the pattern array is empty
         // This also handles the case when ignore processing is globally disabled
         // (getEffectiveIgnorePatterns will return an empty array)
@@ -108,7 +154,7 @@ function checkIsIgnored(itemRelativePath, itemName, isDirectory, ignorePatterns)
 
         // Verify minimatch is available
         if (typeof minimatchFn !== 'function') {
-            console.error('minimatch is not a function, using fallback behavior');
+            logger.error('minimatch is not a function, using fallback behavior');
             return false;
         }
 
@@ -145,7 +191,7 @@ function checkIsIgnored(itemRelativePath, itemName, isDirectory, ignorePatterns)
                     return true;
                 }
             } catch (err) {
-                console.error(`Error matching pattern ${normalizedPattern} against ${normalizedName}:`, err);
+                logger.error(`Error matching pattern ${normalizedPattern} against ${normalizedName}:`, err);
             }
 
             // Check if the full relative path matches the pattern
@@ -157,21 +203,55 @@ function checkIsIgnored(itemRelativePath, itemName, isDirectory, ignorePatterns)
                 // }
                 return result;
             } catch (err) {
-                console.error(`Error matching pattern ${normalizedPattern} against ${pathForDirCheck}:`, err);
+                logger.error(`Error matching pattern ${normalizedPattern} against ${pathForDirCheck}:`, err);
                 return false;
             }
         });
     } catch (error) {
-        console.error('Error in checkIsIgnored:', error);
+        logger.error('Error in checkIsIgnored:', error);
         // Return false as fallback to avoid blocking the main functionality
         // This means we won't ignore files if there's an error
         return false;
     }
 }
 
+/**
+ * Checks if a file matches at least one include pattern.
+ * An empty include list includes every file.
+ * @param {string} itemRelativePath Path relative to common base path
+ * @param {string} itemName Basename of the file
+ * @param {string[]} includePatterns Array of glob patterns a file must match
+ * @returns {boolean} True if the file should be included, false otherwise
+ */
+function checkIsIncluded(itemRelativePath, itemName, includePatterns) {
+    if (!includePatterns || includePatterns.length === 0) {
+        return true;
+    }
+
+    try {
+        const normalizedPath = normalizePath(itemRelativePath);
+        const normalizedName = normalizePath(itemName);
+
+        // Like ignore patterns, a pattern may match either the file name or its relative path
+        return includePatterns.some(pattern => {
+            const normalizedPattern = normalizePath(pattern);
+            return minimatchFn(normalizedName, normalizedPattern, { dot: true })
+                || minimatchFn(normalizedPath, normalizedPattern, { dot: true });
+        });
+    } catch (error) {
+        logger.error('Error in checkIsIncluded:', error);
+        // Include the file on error so a bad pattern never hides everything
+        return true;
+    }
+}
+
 module.exports = {
     DEFAULT_IGNORE_PATTERNS,
     getEffectiveIgnorePatterns,
+    getEffectiveIncludePatterns,
+    getGitignoreSettings,
+    parsePatternList,
     checkIsIgnored,
+    checkIsIncluded,
     normalizePath
 };
\ No newline at end of file
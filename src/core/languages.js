@@ -0,0 +1,223 @@
+const path = require('path');
+const { COMMENT_SYNTAXES, createCommentSyntax } = require('./commentLexer');
+const { logger } = require('./logger');
+
+/*
+ * Built-in languages, keyed by VS Code language identifier.
+ * tag: language tag used in fenced code blocks and file statistics (defaults to the id)
+ * extensions: lower-case file extensions including the dot
+ * filenames: exact file names; * matches any characters, as in Dockerfile.*
+ * interpreters: programs named in a #! line, without version numbers
+ * comments: name of the comment syntax in COMMENT_SYNTAXES, if comments can be removed
+ */
+const BUILT_IN_LANGUAGES = {
+    javascript: { extensions: ['.js', '.mjs', '.cjs'], interpreters: ['node', 'nodejs', 'deno', 'bun'], comments: 'script' },
+    javascriptreact: { tag: 'jsx', extensions: ['.jsx'], comments: 'script' },
+    typescript: { extensions: ['.ts', '.mts', '.cts'], interpreters: ['ts-node', 'tsx'], comments: 'script' },
+    typescriptreact: { tag: 'tsx', extensions: ['.tsx'], comments: 'script' },
+    json: { extensions: ['.json'] },
+    jsonc: { extensions: ['.jsonc'], filenames: ['tsconfig.json', 'jsconfig.json', 'tsconfig.*.json', '.eslintrc.json', 'devcontainer.json'], comments: 'jsonc' },
+    python: { extensions: ['.py', '.pyw', '.pyi'], interpreters: ['python'], comments: 'python' },
+    ruby: { extensions: ['.rb', '.rake', '.gemspec'], filenames: ['Gemfile', 'Rakefile', 'Vagrantfile'], interpreters: ['ruby'], comments: 'ruby' },
+    java: { extensions: ['.java'], comments: 'java' },
+    kotlin: { extensions: ['.kt', '.kts'], comments: 'kotlin' },
+    scala: { extensions: ['.scala', '.sc'], comments: 'scala' },
+    groovy: { extensions: ['.groovy', '.gradle'], filenames: ['Jenkinsfile'], comments: 'groovy' },
+    c: { extensions: ['.c', '.h'], comments: 'c' },
+    cpp: { extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx', '.ino'], comments: 'c' },
+    'objective-c': { tag: 'objectivec', extensions: ['.m'], comments: 'c' },
+    'objective-cpp': { tag: 'objectivec', extensions: ['.mm'], comments: 'c' },
+    csharp: { extensions: ['.cs', '.csx'], comments: 'csharp' },
+    go: { extensions: ['.go'], comments: 'go' },
+    rust: { extensions: ['.rs'], comments: 'rust' },
+    swift: { extensions: ['.swift'], comments: 'swift' },
+    dart: { extensions: ['.dart'], comments: 'dart' },
+    php: { extensions: ['.php', '.phtml'], interpreters: ['php'], comments: 'php' },
+    html: { extensions: ['.html', '.htm', '.xhtml'], comments: 'markup' },
+    xml: { extensions: ['.xml', '.svg', '.xsd', '.xsl', '.xslt', '.plist'], comments: 'markup' },
+    vue: { extensions: ['.vue'], comments: 'markup' },
+    svelte: { extensions: ['.svelte'], comments: 'markup' },
+    astro: { extensions: ['.astro'], comments: 'astro' },
+    css: { extensions: ['.css'], comments: 'css' },
+    scss: { extensions: ['.scss'], comments: 'scss' },
+    less: { extensions: ['.less'], comments: 'scss' },
+    markdown: { extensions: ['.md', '.markdown'] },
+    mdx: { extensions: ['.mdx'], comments: 'mdx' },
+    yaml: { extensions: ['.yml', '.yaml'], comments: 'yaml' },
+    toml: { extensions: ['.toml'], filenames: ['Pipfile'], comments: 'toml' },
+    ini: { extensions: ['.ini', '.cfg'], filenames: ['.editorconfig', '.gitconfig'], comments: 'ini' },
+    properties: { extensions: ['.properties'], comments: 'properties' },
+    ignore: { tag: 'gitignore', filenames: ['.gitignore', '.dockerignore', '.npmignore', '.eslintignore', '.prettierignore'], comments: 'hashLine' },
+    shellscript: {
+        tag: 'bash',
+        extensions: ['.sh', '.bash', '.zsh', '.ksh'],
+        filenames: ['.bashrc', '.bash_profile', '.bash_aliases', '.profile', '.zshrc', '.zprofile', '.zshenv', 'PKGBUILD'],
+        interpreters: ['sh', 'bash', 'zsh', 'ksh', 'dash'],
+        comments: 'shell'
+    },
+    powershell: { extensions: ['.ps1', '.psm1', '.psd1'], interpreters: ['pwsh', 'powershell'], comments: 'powershell' },
+    dockerfile: { extensions: ['.dockerfile'], filenames: ['Dockerfile', 'Dockerfile.*', 'Containerfile'], comments: 'dockerfile' },
+    makefile: { extensions: ['.mk', '.mak'], filenames: ['Makefile', 'makefile', 'GNUmakefile'], interpreters: ['make'], comments: 'makefile' },
+    cmake: { extensions: ['.cmake'], filenames: ['CMakeLists.txt'], comments: 'cmake' },
+    sql: { extensions: ['.sql'], comments: 'sql' },
+    lua: { extensions: ['.lua'], interpreters: ['lua'], comments: 'lua' },
+    haskell: { extensions: ['.hs'], comments: 'haskell' },
+    elm: { extensions: ['.elm'], comments: 'haskell' },
+    elixir: { extensions: ['.ex', '.exs'], interpreters: ['elixir'], comments: 'elixir' },
+    r: { extensions: ['.r'], interpreters: ['rscript'], comments: 'r' },
+    julia: { extensions: ['.jl'], interpreters: ['julia'], comments: 'julia' },
+    clojure: { extensions: ['.clj', '.cljs', '.cljc', '.edn'], comments: 'clojure' },
+    graphql: { extensions: ['.graphql', '.gql'], comments: 'graphql' },
+    terraform: { tag: 'hcl', extensions: ['.tf', '.tfvars', '.hcl'], comments: 'hcl' },
+    proto3: { tag: 'protobuf', extensions: ['.proto'], comments: 'java' },
+    perl: { extensions: ['.pl', '.pm'], interpreters: ['perl'] },
+    bat: { extensions: ['.bat', '.cmd'] },
+    zig: { extensions: ['.zig'] }
+};
+
+/**
+ * Resolves the comment syntax of a language definition
+ * @param {string|Object|undefined} comments Name of a built-in syntax, or a syntax description for createCommentSyntax
+ * @returns {Object|undefined} The comment syntax
+ */
+const resolveCommentSyntax = (comments) => {
+    if (typeof comments === 'string') return COMMENT_SYNTAXES[comments];
+    if (comments && typeof comments === 'object') return createCommentSyntax(comments);
+    return undefined;
+};
+
+/**
+ * Converts a file name pattern with * wildcards to a regular expression
+ * @param {string} pattern File name pattern
+ * @returns {RegExp} The regular expression
+ */
+const toFilenameRegex = (pattern) => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+/**
+ * Creates a language registry from the built-in languages and custom definitions. Custom definitions
+ * add languages or override fields of built-in ones, and take precedence for the extensions, file names
+ * and interpreters they list.
+ * @param {Object} [customLanguages] Definitions keyed by language identifier, as in the languages setting
+ * @returns {Object} The registry
+ */
+const createLanguageRegistry = (customLanguages = {}) => {
+    const registry = { languages: new Map(), extensions: new Map(), filenames: new Map(), filenamePatterns: [], interpreters: new Map() };
+    const asList = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string' && item) : []);
+
+    const register = (id, definition) => {
+        // Overrides update the language in place, so associations made earlier pick them up
+        const language = registry.languages.get(id) || { id, tag: id, commentSyntax: undefined };
+        if (definition.tag) language.tag = definition.tag;
+        if (definition.comments !== undefined) language.commentSyntax = resolveCommentSyntax(definition.comments);
+        registry.languages.set(id, language);
+        asList(definition.extensions).forEach(ext => {
+            registry.extensions.set((ext.startsWith('.') ? ext : `.${ext}`).toLowerCase(), language);
+        });
+        asList(definition.filenames).forEach(name => {
+            if (name.includes('*')) registry.filenamePatterns.unshift({ regex: toFilenameRegex(name), language });
+            else registry.filenames.set(name, language);
+        });
+        asList(definition.interpreters).forEach(interpreter => registry.interpreters.set(interpreter.toLowerCase(), language));
+    };
+
+    Object.entries(BUILT_IN_LANGUAGES).forEach(([id, definition]) => register(id, definition));
+    Object.entries(customLanguages || {}).forEach(([id, definition]) => {
+        if (!definition || typeof definition !== 'object') {
+            logger.warn(`Ignoring invalid definition of language ${id}`);
+            return;
+        }
+        if (typeof definition.comments === 'string' && !COMMENT_SYNTAXES[definition.comments]) {
+            logger.warn(`Unknown comment syntax "${definition.comments}" for language ${id}`);
+        }
+        register(id, definition);
+    });
+
+    return registry;
+};
+
+const DEFAULT_REGISTRY = createLanguageRegistry();
+
+/**
+ * Creates the language registry for the languages setting
+ * @param {{get: Function}} config Settings with get(key, defaultValue), such as the syntaxExtractor workspace configuration
+ * @returns {Object} The registry
+ */
+const getLanguageRegistry = (config) => {
+    const customLanguages = config.get('languages', {});
+    if (!customLanguages || typeof customLanguages !== 'object' || Object.keys(customLanguages).length === 0) {
+        return DEFAULT_REGISTRY;
+    }
+    return createLanguageRegistry(customLanguages);
+};
+
+/**
+ * Reads the interpreter from a #! line, e.g. python from #!/usr/bin/env python3
+ * @param {string} content File content
+ * @returns {string|null} The interpreter without version number, in lower case
+ */
+const getInterpreter = (content) => {
+    if (!content || !content.startsWith('#!')) return null;
+    const words = content.slice(2, content.indexOf('\n') === -1 ? undefined : content.indexOf('\n')).trim().split(/\s+/);
+    let program = path.posix.basename(words[0] || '');
+    if (program === 'env') program = words.slice(1).find(word => !word.startsWith('-') && !word.includes('=')) || '';
+    return program.toLowerCase().replace(/[\d.]+$/, '') || null;
+};
+
+/**
+ * Finds the language of a file: by VS Code language identifier, file name, extension and finally #! line
+ * @param {string} filePath Path or name of the file
+ * @param {Object} [options] Lookup options
+ * @param {string} [options.languageId] Language identifier of an open editor
+ * @param {string} [options.content] File content, used to read a #! line
+ * @param {Object} [options.registry] Language registry, from getLanguageRegistry
+ * @returns {Object|null} The language ({ id, tag, commentSyntax }), or null if unknown
+ */
+const findLanguage = (filePath, options = {}) => {
+    const registry = options.registry || DEFAULT_REGISTRY;
+    if (options.languageId && registry.languages.has(options.languageId)) {
+        return registry.languages.get(options.languageId);
+    }
+
+    const fileName = path.basename(filePath);
+    if (registry.filenames.has(fileName)) return registry.filenames.get(fileName);
+    const pattern = registry.filenamePatterns.find(item => item.regex.test(fileName));
+    if (pattern) return pattern.language;
+
+    const ext = path.extname(fileName).toLowerCase();
+    if (ext && registry.extensions.has(ext)) return registry.extensions.get(ext);
+
+    const interpreter = getInterpreter(options.content);
+    return (interpreter && registry.interpreters.get(interpreter)) || null;
+};
+
+/**
+ * Infers the language tag of a file
+ * @param {string} filePath Path or name of the file
+ * @param {string} [content] File content, used to read a #! line
+ * @param {Object} [registry] Language registry, from getLanguageRegistry
+ * @returns {string} The language tag, or an empty string if unknown
+ */
+function getLanguageForFile(filePath, content, registry) {
+    const language = findLanguage(filePath, { content, registry });
+    return language ? language.tag : '';
+}
+
+/**
+ * Gets the type a file is counted as in the file type statistics: its extension, or its language tag
+ * for files without one, such as Dockerfile or Makefile
+ * @param {string} filePath Path or name of the file
+ * @param {string} [language] Language tag of the file
+ * @returns {string} The file type, or an empty string if unknown
+ */
+const getFileType = (filePath, language) => {
+    return path.extname(filePath).slice(1).toLowerCase() || language || '';
+};
+
+module.exports = {
+    BUILT_IN_LANGUAGES,
+    createLanguageRegistry,
+    getLanguageRegistry,
+    findLanguage,
+    getLanguageForFile,
+    getFileType
+};
@@ -0,0 +1,137 @@
+const { CancelledError } = require('./concurrency');
+
+// Limits that keep huge files and folders out of an extraction; 0 disables a limit
+const DEFAULT_LIMITS = {
+    maxFileSize: 1024 * 1024,
+    maxFileLines: 0,
+    maxFiles: 0,
+    maxTotalSize: 0
+};
+
+const LIMIT_DESCRIPTIONS = {
+    maxFileSize: (limit) => `larger than the ${formatSize(limit)} per-file limit`,
+    maxFiles: (limit) => `the extraction reached its limit of ${limit} files`,
+    maxTotalSize: (limit) => `the extraction reached its ${formatSize(limit)} total size limit`
+};
+
+/**
+ * Reads the extraction limits from the settings
+ * @param {{get: Function}} config Settings with get(key, defaultValue), such as the syntaxExtractor workspace configuration
+ * @returns {{maxFileSize: number, maxFileLines: number, maxFiles: number, maxTotalSize: number}} The limits, 0 where disabled
+ */
+const getExtractionLimits = (config) => Object.fromEntries(Object.entries(DEFAULT_LIMITS).map(([key, defaultValue]) => {
+    const value = parseInt(config.get(key, defaultValue), 10);
+    return [key, Number.isFinite(value) && value > 0 ? value : 0];
+}));
+
+/**
+ * Formats a number of bytes for people, e.g. 40.2 MB
+ * @param {number} bytes The size
+ * @returns {string} The formatted size
+ */
+const formatSize = (bytes) => {
+    const units = ['bytes', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return unit === 0 ? `${size} ${units[0]}` : `${Number(size.toFixed(1))} ${units[unit]}`;
+};
+
+/**
+ * Creates the tracker that admits files into an extraction before they are read. The first time a limit is
+ * hit, onLimit decides whether to continue past it, skip the files over it or cancel; the answer holds for
+ * the rest of the run.
+ * @param {Object} [limits] Limits, from getExtractionLimits
+ * @param {Function} [onLimit] Called with { limit, value, relativePath, size }; resolves to 'continue', 'skip' or
+ * 'cancel'. Without it, files over a limit are skipped.
+ * @returns {{maxFileLines: number, admit: Function}} The line limit and admit(relativePath, size), which resolves to
+ * null if the file may be read, or to { limit, value, size, placeholder } if it is skipped, and rejects with
+ * CancelledError if the user cancels
+ */
+const createLimitTracker = (limits = {}, onLimit) => {
+    const decisions = new Map();
+    let fileCount = 0;
+    let totalSize = 0;
+
+    // Concurrent reads share one pending decision, so the user is asked once per limit
+    const decide = (limit, details) => {
+        if (!decisions.has(limit)) {
+            decisions.set(limit, Promise.resolve(onLimit ? onLimit({ limit, value: limits[limit], ...details }) : 'skip'));
+        }
+        return decisions.get(limit).then(decision => {
+            if (decision !== 'continue' && decision !== 'skip') throw new CancelledError('Extraction cancelled at a limit');
+            return decision;
+        });
+    };
+
+    const admit = async (relativePath, size) => {
+        const exceeded = [
+            ['maxFiles', fileCount >= limits.maxFiles],
+            ['maxTotalSize', totalSize + size > limits.maxTotalSize],
+            ['maxFileSize', size > limits.maxFileSize]
+        ].filter(([limit, isOver]) => limits[limit] > 0 && isOver);
+
+        for (const [limit] of exceeded) {
+            if (await decide(limit, { relativePath, size }) === 'skip') {
+                const value = limits[limit];
+                return { limit, value, size, placeholder: `[Skipped: ${formatSize(size)}, ${LIMIT_DESCRIPTIONS[limit](value)}]` };
+            }
+        }
+        fileCount++;
+        totalSize += size;
+        return null;
+    };
+
+    return { maxFileLines: limits.maxFileLines || 0, admit };
+};
+
+/**
+ * Shortens text to its first and last lines, replacing the middle with a marker
+ * @param {string} content The text
+ * @param {number} maxLines Number of lines to keep, 0 or less to keep all
+ * @returns {{content: string, omittedLines: number}} The shortened text and the number of lines left out
+ */
+const truncateLines = (content, maxLines) => {
+    const lines = content.split('\n');
+    if (!maxLines || maxLines <= 0 || lines.length <= maxLines) {
+        return { content, omittedLines: 0 };
+    }
+
+    const head = Math.ceil(maxLines / 2);
+    const tail = maxLines - head;
+    const omittedLines = lines.length - maxLines;
+    return {
+        content: [
+            ...lines.slice(0, head),
+            `[... ${omittedLines} lines omitted ...]`,
+            ...lines.slice(lines.length - tail)
+        ].join('\n'),
+        omittedLines
+    };
+};
+
+/**
+ * Describes the files that were skipped or shortened because of the extraction limits
+ * @param {Object[]} fileEntries Extracted file entries
+ * @returns {string[]} One line per affected file
+ */
+const describeLimitedFiles = (fileEntries) => [
+    ...fileEntries
+        .filter(entry => entry.skipped)
+        .map(entry => `Skipped: ${entry.relativePath} (${formatSize(entry.skipped.size)}, ${LIMIT_DESCRIPTIONS[entry.skipped.limit](entry.skipped.value)})`),
+    ...fileEntries
+        .filter(entry => entry.omittedLines)
+        .map(entry => `Shortened: ${entry.relativePath} (${entry.omittedLines} lines omitted)`)
+];
+
+module.exports = {
+    DEFAULT_LIMITS,
+    getExtractionLimits,
+    formatSize,
+    createLimitTracker,
+    truncateLines,
+    describeLimitedFiles
+};
@@ -0,0 +1,22 @@
+// Where the core modules report progress, warnings and errors; the console unless replaced with setLogger
+let target = console;
+
+/**
+ * Logger shared by the core modules. It forwards to the current target, so modules that captured it
+ * when they were loaded follow a later setLogger.
+ */
+const logger = {
+    log: (...args) => target.log(...args),
+    warn: (...args) => target.warn(...args),
+    error: (...args) => target.error(...args)
+};
+
+/**
+ * Replaces where the core modules log to, e.g. so the CLI can keep stdout for the extracted content
+ * @param {{log: Function, warn: Function, error: Function}} [newTarget] The new target; the console if omitted
+ */
+const setLogger = (newTarget) => {
+    target = newTarget || console;
+};
+
+module.exports = { logger, setLogger };
@@ -0,0 +1,118 @@
+const path = require('path');
+
+// Templates available without any settings; templates in the settings with the same name replace them
+const BUILT_IN_TEMPLATES = [
+    {
+        name: 'review',
+        before: 'Review the following code from the {{gitBranch}} branch. Point out bugs, unclear naming, missing error handling and anything that deviates from the conventions of the rest of the code.',
+        after: 'List your findings by file, most important first, and suggest a concrete fix for each.'
+    },
+    {
+        name: 'explain',
+        before: 'Explain how the following code works. The extraction contains these files:\n{{files}}',
+        after: 'Start with an overview of how the files fit together, then walk through the main flow step by step.'
+    },
+    {
+        name: 'write tests',
+        before: 'Write unit tests for the following {{fileTypes}} code.',
+        after: 'Follow the test framework and layout the project already uses, and cover edge cases and error paths as well as the expected behaviour.'
+    },
+    {
+        name: 'find bug',
+        before: 'Help me find a bug in the following code. This is where it shows up:\n{{selection}}',
+        after: 'Name the most likely causes first, explain how each would produce the problem and how to confirm it.'
+    }
+];
+
+const TEMPLATE_VARIABLES = {
+    files: 'Relative paths of the extracted files, one per line',
+    fileTypes: 'File types of the extraction, e.g. js, css',
+    tokenCount: 'Number of tokens of the extracted content',
+    folderStructure: 'Folder tree of the extraction',
+    gitBranch: 'Checked-out branch of the extracted repository',
+    selection: 'Text selected in the active editor'
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Merges lists of prompt templates; a template replaces earlier ones with the same name.
+ * Entries without a name are skipped.
+ * @param {...Object[]} lists Template lists ({ name, before, after }), lowest precedence first
+ * @returns {Object[]} The merged templates, with before and after always set
+ */
+const mergePromptTemplates = (...lists) => {
+    const templates = new Map();
+    lists.forEach(list => (Array.isArray(list) ? list : [])
+        .filter(template => template && typeof template.name === 'string' && template.name.trim())
+        .forEach(template => templates.set(template.name.trim(), {
+            ...template,
+            name: template.name.trim(),
+            before: typeof template.before === 'string' ? template.before : '',
+            after: typeof template.after === 'string' ? template.after : ''
+        })));
+    return [...templates.values()];
+};
+
+/**
+ * Finds the variables a template uses, so expensive ones such as gitBranch are only looked up when needed
+ * @param {{before: string, after: string}} template The template
+ * @returns {Set<string>} Names of the known variables in the template
+ */
+const getUsedVariables = (template) => new Set(
+    [...`${template.before}\n${template.after}`.matchAll(VARIABLE_PATTERN)]
+        .map(match => match[1])
+        .filter(name => TEMPLATE_VARIABLES[name])
+);
+
+/**
+ * Gets the variables that come straight from an extraction
+ * @param {Object} [extraction] Extraction returned by extractCode or extractGitChanges
+ * @returns {{files: string, fileTypes: string, folderStructure: string}} The values, empty without an extraction
+ */
+const getExtractionVariables = (extraction) => {
+    if (!extraction) {
+        return { files: '', fileTypes: '', folderStructure: '' };
+    }
+    return {
+        // A single selected file is its own base path, so its relative path is empty
+        files: [...new Set(extraction.result.fileEntries.map(entry => (entry.relativePath || path.basename(entry.path)).split(path.sep).join('/')))].join('\n'),
+        fileTypes: [...extraction.result.fileTypes].join(', '),
+        folderStructure: extraction.result.folderStructure.trimEnd()
+    };
+};
+
+/**
+ * Fills in the placeholders of a template. Known variables without a value become empty;
+ * unknown placeholders are left as they are.
+ * @param {{before: string, after: string}} template The template
+ * @param {Object} variables Values by variable name
+ * @returns {{before: string, after: string}} The filled-in text before and after the code
+ */
+const renderPromptTemplate = (template, variables) => {
+    const fill = (text) => (text || '').replace(VARIABLE_PATTERN, (placeholder, name) => {
+        if (!TEMPLATE_VARIABLES[name]) return placeholder;
+        return variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+    });
+    return { before: fill(template.before), after: fill(template.after) };
+};
+
+/**
+ * Puts the text of a prompt before and after the extracted content
+ * @param {{before: string, after: string}} prompt The filled-in prompt
+ * @param {string} content The extracted content
+ * @returns {string} The text for the clipboard
+ */
+const assemblePrompt = (prompt, content) => [prompt.before, content, prompt.after]
+    .filter((part, index) => index === 1 || (part && part.trim()))
+    .join('\n\n');
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    TEMPLATE_VARIABLES,
+    mergePromptTemplates,
+    getUsedVariables,
+    getExtractionVariables,
+    renderPromptTemplate,
+    assemblePrompt
+};
@@ -0,0 +1,237 @@
+const path = require('path');
+
+// Quoted strings at least this long are checked for high entropy
+const MIN_ENTROPY_STRING_LENGTH = 32;
+// Longer strings are usually embedded data (images, fonts) rather than credentials
+const MAX_ENTROPY_STRING_LENGTH = 256;
+// Bits per character above which a base64-like string is treated as random
+const ENTROPY_THRESHOLD = 4.5;
+
+// Env files that document variables rather than hold real values
+const ENV_TEMPLATE_SUFFIXES = ['.example', '.sample', '.template', '.dist'];
+
+/**
+ * Detectors, applied in order; a range matched by an earlier detector is not matched again.
+ * A detector with a group only masks that capture group, keeping the surrounding key or quotes;
+ * the group must be the last non-empty part of the match.
+ */
+const SECRET_DETECTORS = [
+    {
+        type: 'private-key',
+        label: 'PEM private key',
+        regex: /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END \1PRIVATE KEY\2-----/g
+    },
+    {
+        type: 'aws-access-key',
+        label: 'AWS access key ID',
+        regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g
+    },
+    {
+        type: 'aws-secret-key',
+        label: 'AWS secret access key',
+        regex: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+        group: 1
+    },
+    {
+        type: 'gcp-api-key',
+        label: 'Google Cloud API key',
+        regex: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g
+    },
+    {
+        type: 'github-token',
+        label: 'GitHub token',
+        regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g
+    },
+    {
+        type: 'stripe-key',
+        label: 'Stripe secret key',
+        regex: /\b(?:sk|rk)_(?:live|test)_[0-9A-Za-z]{16,}\b|\bwhsec_[0-9A-Za-z]{24,}\b/g
+    },
+    {
+        type: 'slack-token',
+        label: 'Slack token',
+        regex: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/g
+    },
+    {
+        type: 'jwt',
+        label: 'JSON Web Token',
+        regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g
+    },
+    {
+        type: 'secret-assignment',
+        label: 'Hard-coded secret',
+        regex: /[A-Za-z0-9_]*(?:secret|token|passw(?:or)?d|api_?key|private_?key|credential)[A-Za-z0-9_]*["']?\s*[:=]\s*(["'])([^"'\s]{8,})\1/gi,
+        group: 2,
+        // Values made of letters only are usually identifiers, such as { maxTokens: 'maxTokens' }
+        test: (value) => /[^A-Za-z_-]/.test(value)
+    },
+    {
+        type: 'high-entropy-string',
+        label: 'High-entropy string',
+        regex: /(["'`])([A-Za-z0-9+/=_-]+)\1/g,
+        group: 2,
+        test: (value) => isHighEntropy(value)
+    }
+];
+
+/**
+ * Calculates the Shannon entropy of a string
+ * @param {string} value The string
+ * @returns {number} Entropy in bits per character
+ */
+const getShannonEntropy = (value) => {
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    counts.forEach(count => {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    });
+    return entropy;
+};
+
+/**
+ * Decides whether a string looks like a random credential
+ * @param {string} value The string
+ * @returns {boolean} True if the string is long, mixes letters and digits and has high entropy
+ */
+const isHighEntropy = (value) => {
+    if (value.length < MIN_ENTROPY_STRING_LENGTH || value.length > MAX_ENTROPY_STRING_LENGTH) return false;
+    // Subresource integrity hashes in lock files are not secrets
+    if (/^sha\d+-/.test(value)) return false;
+    if (!/[0-9]/.test(value) || !/[a-z]/.test(value) || !/[A-Z]/.test(value)) return false;
+    return getShannonEntropy(value) >= ENTROPY_THRESHOLD;
+};
+
+/**
+ * Checks whether a file holds environment variables, like .env, .env.local or production.env
+ * @param {string} filePath Path of the file
+ * @returns {boolean} True for env-like files, except documented templates such as .env.example
+ */
+const isEnvFile = (filePath) => {
+    const name = path.basename(filePath).toLowerCase();
+    if (ENV_TEMPLATE_SUFFIXES.some(suffix => name.endsWith(suffix))) return false;
+    return name === '.env' || name.startsWith('.env.') || name.endsWith('.env') || name === '.envrc';
+};
+
+/**
+ * Finds the range of a captured value, which is the last occurrence of it in the match
+ * @param {RegExpExecArray} match The match
+ * @param {string} value The captured value
+ * @returns {{start: number, end: number}} Offsets of the value in the searched text
+ */
+const getGroupRange = (match, value) => {
+    const start = match.index + match[0].lastIndexOf(value);
+    return { start, end: start + value.length };
+};
+
+/**
+ * Finds the values of KEY=value assignments in an env-like file
+ * @param {string} content File content
+ * @returns {Object[]} Matched ranges of the values
+ */
+const findEnvAssignments = (content) => {
+    const matches = [];
+    const regex = /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.]*[ \t]*=[ \t]*(.*?)[ \t]*$/gm;
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+        const value = match[1].replace(/^(["'])(.*)\1$/, '$2');
+        if (value && !value.startsWith('#')) {
+            matches.push({ ...getGroupRange(match, match[1]), type: 'env-value', label: 'Environment variable value' });
+        }
+    }
+    return matches;
+};
+
+/**
+ * Finds the ranges matched by the secret detectors
+ * @param {string} content File content
+ * @returns {Object[]} Matched ranges with the detector type and label
+ */
+const findDetectorMatches = (content) => {
+    const matches = [];
+    SECRET_DETECTORS.forEach(detector => {
+        detector.regex.lastIndex = 0;
+        let match;
+        while ((match = detector.regex.exec(content)) !== null) {
+            const value = detector.group ? match[detector.group] : match[0];
+            if (detector.test && !detector.test(value)) continue;
+            matches.push({ ...getGroupRange(match, value), type: detector.type, label: detector.label });
+        }
+    });
+    return matches;
+};
+
+/**
+ * Masks secrets in text with [REDACTED:type] placeholders
+ * @param {string} content The text to scan
+ * @param {string} filePath Path of the file the text belongs to, used to recognise env files
+ * @returns {{content: string, findings: Object[]}} The masked text and one finding (type, label, line) per secret
+ */
+const redactSecrets = (content, filePath) => {
+    if (!content) return { content, findings: [] };
+
+    const candidates = isEnvFile(filePath)
+        ? [...findEnvAssignments(content), ...findDetectorMatches(content)]
+        : findDetectorMatches(content);
+
+    // Keep the first match of overlapping ones, so specific detectors win over generic ones
+    const accepted = [];
+    candidates.forEach(candidate => {
+        if (!accepted.some(other => candidate.start < other.end && other.start < candidate.end)) {
+            accepted.push(candidate);
+        }
+    });
+    accepted.sort((a, b) => a.start - b.start);
+
+    let redacted = '';
+    let position = 0;
+    const findings = accepted.map(match => {
+        redacted += content.slice(position, match.start) + `[REDACTED:${match.type}]`;
+        position = match.end;
+        return {
+            type: match.type,
+            label: match.label,
+            line: content.slice(0, match.start).split('\n').length
+        };
+    });
+    redacted += content.slice(position);
+
+    return { content: redacted, findings };
+};
+
+/**
+ * Masks secrets in the content and diff of file entries
+ * @param {Object[]} fileEntries File entries returned by getFileContent
+ * @returns {{fileEntries: Object[], findings: Object[]}} The masked entries and the findings, each with the file's relativePath
+ */
+const redactFileEntries = (fileEntries) => {
+    const findings = [];
+    const redactedEntries = fileEntries.map(entry => {
+        if (entry.isBinary || entry.error) return entry;
+
+        const content = redactSecrets(entry.content, entry.path);
+        const diff = entry.diff ? redactSecrets(entry.diff, entry.path) : null;
+        const entryFindings = [...content.findings, ...(diff ? diff.findings : [])];
+        if (entryFindings.length === 0) return entry;
+
+        findings.push(...entryFindings.map(finding => ({ ...finding, relativePath: entry.relativePath })));
+        return diff
+            ? { ...entry, content: content.content, diff: diff.content, redactedSecrets: entryFindings.length }
+            : { ...entry, content: content.content, redactedSecrets: entryFindings.length };
+    });
+    return { fileEntries: redactedEntries, findings };
+};
+
+/**
+ * Describes secret findings, one line each
+ * @param {Object[]} findings Findings returned by redactFileEntries
+ * @returns {string[]} Lines such as "config/app.js:12 GitHub token"
+ */
+const describeSecretFindings = (findings) => findings.map(finding => `${finding.relativePath}:${finding.line} ${finding.label}`);
+
+module.exports = {
+    redactSecrets,
+    redactFileEntries,
+    describeSecretFindings
+};
@@ -0,0 +1,395 @@
+const path = require('path');
+const { logger } = require('./logger');
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const PYTHON_EXTENSIONS = ['.py', '.pyi'];
+
+// Number of characters before a brace that are inspected to find a function signature
+const SIGNATURE_LOOKBEHIND = 4000;
+
+// Keywords whose parenthesised clause is followed by a block that is not a function body
+const CONTROL_KEYWORDS = ['if', 'for', 'while', 'switch', 'catch', 'with'];
+
+// Keywords after which a slash starts a regular expression rather than a division
+const REGEX_PREFIX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * Skips a quoted string literal
+ * @param {string} text Source text
+ * @param {number} index Index of the opening quote
+ * @returns {number} Index just after the closing quote
+ */
+const skipString = (text, index) => {
+    const quote = text[index];
+    let i = index + 1;
+    while (i < text.length && text[i] !== quote && text[i] !== '\n') {
+        i += text[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+};
+
+/**
+ * Skips a template literal, including nested ${...} expressions
+ * @param {string} text Source text
+ * @param {number} index Index of the opening backtick
+ * @returns {number} Index just after the closing backtick
+ */
+const skipTemplate = (text, index) => {
+    let i = index + 1;
+    while (i < text.length && text[i] !== '`') {
+        if (text[i] === '\\') {
+            i += 2;
+        } else if (text[i] === '$' && text[i + 1] === '{') {
+            i = skipBlock(text, i + 1);
+        } else {
+            i++;
+        }
+    }
+    return i + 1;
+};
+
+/**
+ * Skips a regular expression literal, including character classes
+ * @param {string} text Source text
+ * @param {number} index Index of the opening slash
+ * @returns {number} Index just after the flags
+ */
+const skipRegex = (text, index) => {
+    let i = index + 1;
+    let inClass = false;
+    while (i < text.length && text[i] !== '\n') {
+        const char = text[i];
+        if (char === '\\') {
+            i += 2;
+            continue;
+        }
+        if (char === '[') inClass = true;
+        else if (char === ']') inClass = false;
+        else if (char === '/' && !inClass) break;
+        i++;
+    }
+    i++;
+    while (i < text.length && /[a-z]/i.test(text[i])) i++;
+    return i;
+};
+
+/**
+ * Decides whether a slash at the given position starts a regular expression
+ * @param {string} text Source text
+ * @param {number} index Index of the slash
+ * @returns {boolean} True if the slash opens a regex literal
+ */
+const isRegexStart = (text, index) => {
+    let i = index - 1;
+    while (i >= 0 && /\s/.test(text[i])) i--;
+    if (i < 0) return true;
+    if ('(,=:[!&|?{};+-*%<>~^'.includes(text[i])) return true;
+    const word = /([A-Za-z_$][\w$]*)$/.exec(text.slice(Math.max(0, i - 20), i + 1));
+    return !!word && REGEX_PREFIX_KEYWORDS.includes(word[1]);
+};
+
+/**
+ * Returns the index after a literal or comment starting at index, or -1 if none starts there
+ * @param {string} text Source text
+ * @param {number} index Current index
+ * @returns {number} Index after the literal or comment, or -1
+ */
+const skipLiteralOrComment = (text, index) => {
+    const char = text[index];
+    const next = text[index + 1];
+    if (char === '"' || char === "'") return skipString(text, index);
+    if (char === '`') return skipTemplate(text, index);
+    if (char === '/' && next === '/') {
+        const end = text.indexOf('\n', index);
+        return end === -1 ? text.length : end;
+    }
+    if (char === '/' && next === '*') {
+        const end = text.indexOf('*/', index + 2);
+        return end === -1 ? text.length : end + 2;
+    }
+    if (char === '/' && isRegexStart(text, index)) return skipRegex(text, index);
+    return -1;
+};
+
+/**
+ * Skips a brace-delimited block
+ * @param {string} text Source text
+ * @param {number} index Index of the opening brace
+ * @returns {number} Index just after the matching closing brace
+ */
+function skipBlock(text, index) {
+    let depth = 0;
+    let i = index;
+    while (i < text.length) {
+        const skipped = skipLiteralOrComment(text, i);
+        if (skipped !== -1) {
+            i = skipped;
+            continue;
+        }
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}' && --depth === 0) return i + 1;
+        i++;
+    }
+    return text.length;
+}
+
+/**
+ * Finds the index of the parenthesis matching the closing one at the given index
+ * @param {string} code Code with literals and comments already handled by the caller
+ * @param {number} closeIndex Index of the closing parenthesis
+ * @returns {number} Index of the opening parenthesis, or -1
+ */
+const findOpeningParen = (code, closeIndex) => {
+    let depth = 0;
+    for (let i = closeIndex; i >= 0; i--) {
+        if (code[i] === ')') depth++;
+        else if (code[i] === '(' && --depth === 0) return i;
+    }
+    return -1;
+};
+
+/**
+ * Decides whether the brace that follows the emitted code opens a function body
+ * @param {string} code Code emitted so far, with literals kept verbatim
+ * @returns {boolean} True if the next block is a function or method body
+ */
+const opensFunctionBody = (code) => {
+    const trimmed = code.trimEnd();
+    if (trimmed.endsWith('=>')) return true;
+
+    // Allow a TypeScript return type annotation between the parameter list and the body
+    const match = /\)(\s*:\s*[^;{}()=]*(?:\([^;{}]*\)[^;{}()=]*)*)?$/.exec(trimmed);
+    if (!match) return false;
+
+    const closeIndex = match.index;
+    const openIndex = findOpeningParen(trimmed, closeIndex);
+    if (openIndex === -1) return false;
+
+    const keyword = /([A-Za-z_$][\w$]*)\s*$/.exec(trimmed.slice(0, openIndex));
+    return !keyword || !CONTROL_KEYWORDS.includes(keyword[1]);
+};
+
+/**
+ * Builds a skeleton of JavaScript/TypeScript source by eliding function bodies
+ * @param {string} content Source text
+ * @returns {string} The source with every function and method body replaced by { ... }
+ */
+const createScriptSkeleton = (content) => {
+    let output = '';
+    let i = 0;
+    while (i < content.length) {
+        const skipped = skipLiteralOrComment(content, i);
+        if (skipped !== -1) {
+            output += content.slice(i, skipped);
+            i = skipped;
+            continue;
+        }
+        // Only the tail of the output is needed to recognise a signature
+        if (content[i] === '{' && opensFunctionBody(output.slice(-SIGNATURE_LOOKBEHIND))) {
+            output += '{ ... }';
+            i = skipBlock(content, i);
+            continue;
+        }
+        output += content[i];
+        i++;
+    }
+    return output;
+};
+
+/**
+ * Returns the indentation width of a line
+ * @param {string} line The line
+ * @returns {number} Number of leading whitespace characters
+ */
+const getIndent = (line) => line.length - line.trimStart().length;
+
+/**
+ * Finds the colon that ends a def signature, which may span several lines
+ * @param {string[]} lines Source lines
+ * @param {number} start Index of the line containing the def keyword
+ * @returns {Object|null} Line index and column of the colon, or null if none was found
+ */
+const findSignatureColon = (lines, start) => {
+    let depth = 0;
+    for (let lineIndex = start; lineIndex < lines.length; lineIndex++) {
+        const line = lines[lineIndex];
+        let quote = null;
+        for (let column = 0; column < line.length; column++) {
+            const char = line[column];
+            if (quote) {
+                if (char === '\\') column++;
+                else if (char === quote) quote = null;
+            } else if (char === '#') {
+                break;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === ':' && depth === 0) {
+                return { lineIndex, column };
+            }
+        }
+    }
+    return null;
+};
+
+// Scan state at the start of a statement: no open string, bracket or backslash continuation
+const PYTHON_STATEMENT_START = { quote: null, depth: 0, continued: false };
+
+/**
+ * Tracks the strings and brackets of Python source line by line, so lines inside a multi-line string or an
+ * open bracket, whose indentation means nothing, can be told apart from lines that start a statement
+ * @param {{quote: string|null, depth: number, continued: boolean}} state Scan state at the start of the line
+ * @param {string} line The line
+ * @returns {{quote: string|null, depth: number, continued: boolean}} Scan state at the start of the next line
+ */
+const scanPythonLine = (state, line) => {
+    let { quote, depth } = state;
+    let column = 0;
+    let comment = false;
+    while (column < line.length) {
+        const char = line[column];
+        if (quote) {
+            if (char === '\\') {
+                column += 2;
+            } else if (line.startsWith(quote, column)) {
+                column += quote.length;
+                quote = null;
+            } else {
+                column++;
+            }
+            continue;
+        }
+        if (char === '#') {
+            comment = true;
+            break;
+        }
+        if (char === '"' || char === "'") {
+            quote = line.startsWith(char.repeat(3), column) ? char.repeat(3) : char;
+            column += quote.length;
+            continue;
+        }
+        if ('([{'.includes(char)) depth++;
+        else if (')]}'.includes(char)) depth = Math.max(0, depth - 1);
+        column++;
+    }
+
+    // A line ending in a backslash continues on the next; otherwise single-quoted strings end with the line
+    const continued = !comment && line.endsWith('\\');
+    if (quote && quote.length === 1 && !continued) quote = null;
+    return { quote, depth, continued: continued && !quote };
+};
+
+/**
+ * Tells whether a line scanned from this state starts a statement
+ * @param {{quote: string|null, depth: number, continued: boolean}} state Scan state at the start of the line
+ * @returns {boolean} True outside strings, brackets and continued lines
+ */
+const startsPythonStatement = (state) => !state.quote && state.depth === 0 && !state.continued;
+
+/**
+ * Builds a skeleton of Python source by eliding function bodies while keeping their docstrings
+ * @param {string} content Source text
+ * @returns {string} The source with every def body replaced by ...
+ */
+const createPythonSkeleton = (content) => {
+    const lines = content.split('\n');
+    const output = [];
+    let state = PYTHON_STATEMENT_START;
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        // Lines inside multi-line strings and brackets are copied untouched
+        if (!startsPythonStatement(state) || !/^\s*(async\s+)?def\s/.test(line)) {
+            output.push(line);
+            state = scanPythonLine(state, line);
+            i++;
+            continue;
+        }
+
+        // Find where the signature ends; it may span several lines
+        const defIndent = getIndent(line);
+        const colon = findSignatureColon(lines, i);
+        if (!colon) {
+            output.push(line);
+            state = scanPythonLine(state, line);
+            i++;
+            continue;
+        }
+        const signatureEnd = colon.lineIndex;
+        const lastSignatureLine = lines[signatureEnd];
+        const inlineBody = lastSignatureLine.slice(colon.column + 1).trim();
+        const signatureState = lines.slice(i, signatureEnd + 1).reduce(scanPythonLine, state);
+
+        // One-line definitions such as "def f(): return 1"
+        if (inlineBody && !inlineBody.startsWith('#')) {
+            output.push(...lines.slice(i, signatureEnd));
+            output.push(lastSignatureLine.slice(0, colon.column + 1) + ' ...');
+            state = signatureState;
+            i = signatureEnd + 1;
+            continue;
+        }
+        output.push(...lines.slice(i, signatureEnd + 1));
+
+        // The body is every following line that is blank or indented deeper than the def, plus the lines
+        // that continue a string or bracket opened in it, whatever their indentation
+        let bodyState = signatureState;
+        let bodyEnd = signatureEnd + 1;
+        while (bodyEnd < lines.length) {
+            const bodyLine = lines[bodyEnd];
+            if (startsPythonStatement(bodyState) && bodyLine.trim() !== '' && getIndent(bodyLine) <= defIndent) break;
+            bodyState = scanPythonLine(bodyState, bodyLine);
+            bodyEnd++;
+        }
+        while (bodyEnd > signatureEnd + 1 && lines[bodyEnd - 1].trim() === '') bodyEnd--;
+        state = PYTHON_STATEMENT_START;
+
+        const body = lines.slice(signatureEnd + 1, bodyEnd);
+        const firstStatement = body.findIndex(bodyLine => bodyLine.trim() !== '');
+        if (firstStatement === -1) {
+            i = bodyEnd;
+            continue;
+        }
+        const bodyIndent = ' '.repeat(getIndent(body[firstStatement]));
+
+        // Keep the docstring when it is the first statement of the body
+        const docstring = /^\s*[rRuU]?("""|''')/.exec(body[firstStatement]);
+        if (docstring) {
+            const quote = docstring[1];
+            let docEnd = firstStatement;
+            const afterOpening = body[firstStatement].slice(docstring[0].length);
+            if (!afterOpening.includes(quote)) {
+                docEnd++;
+                while (docEnd < body.length && !body[docEnd].includes(quote)) docEnd++;
+            }
+            output.push(...body.slice(firstStatement, docEnd + 1));
+        }
+        output.push(`${bodyIndent}...`);
+        i = bodyEnd;
+    }
+
+    return output.join('\n');
+};
+
+/**
+ * Creates a skeleton of a source file: imports, declarations, signatures and doc comments with bodies elided
+ * @param {string} content The file content
+ * @param {string} filePath Path of the file, used to pick the language
+ * @returns {string|null} The skeleton, or null if the language is not supported
+ */
+const createSkeleton = (content, filePath) => {
+    const ext = path.extname(filePath).toLowerCase();
+    try {
+        if (SCRIPT_EXTENSIONS.includes(ext)) return createScriptSkeleton(content);
+        if (PYTHON_EXTENSIONS.includes(ext)) return createPythonSkeleton(content);
+    } catch (error) {
+        logger.error(`Error creating skeleton for ${filePath}:`, error);
+    }
+    return null;
+};
+
+module.exports = { createSkeleton };
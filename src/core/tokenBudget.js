@@ -0,0 +1,115 @@
+const { encodeText } = require('./tokenizer');
+
+// Files are never truncated to fewer tokens than this; below it they are dropped instead
+const MIN_TRUNCATED_TOKENS = 64;
+
+// Rough per-file cost of the path header/markers the formatters wrap around each file, when no measureEntry is given
+const PER_FILE_OVERHEAD_TOKENS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gives recently modified files a discount so they rank ahead of older files of similar size
+ * @param {number} modifiedTime Last modification time in milliseconds
+ * @param {number} now Current time in milliseconds
+ * @returns {number} Divisor applied to the file's token count when ranking
+ */
+const getRecencyFactor = (modifiedTime, now) => {
+    if (!modifiedTime) return 1;
+    const age = now - modifiedTime;
+    if (age < DAY_MS) return 4;
+    if (age < 7 * DAY_MS) return 2;
+    return 1;
+};
+
+/**
+ * Truncates text to roughly the given number of tokens, cutting at a line boundary when possible
+ * @param {Object} encoder Tiktoken encoder instance
+ * @param {number[]} tokens The encoded text
+ * @param {number} maxTokens Number of tokens to keep
+ * @returns {string} The truncated text
+ */
+const truncateToTokens = (encoder, tokens, maxTokens) => {
+    const decoded = new TextDecoder().decode(encoder.decode(tokens.slice(0, maxTokens)));
+    const lastNewline = decoded.lastIndexOf('\n');
+    // Prefer a clean line break unless that would throw away most of the kept text
+    return lastNewline > decoded.length / 2 ? decoded.slice(0, lastNewline) : decoded;
+};
+
+/**
+ * Enforces a token budget on extracted file entries.
+ * Selected files are kept first, then files ranked by size (recently modified files get a discount).
+ * Files that do not fit are truncated with a [truncated N tokens] marker, or dropped when too little budget is left.
+ * @param {Object[]} fileEntries Entries returned by getFileContent
+ * @param {Object} options Budget options
+ * @param {number} options.maxTokens Total token budget, 0 or less disables the budget
+ * @param {Object} options.encoder Tiktoken encoder instance
+ * @param {number} [options.reservedTokens] Tokens already used by the prompt, header and folder structure
+ * @param {Function} [options.measureEntry] Counts the tokens an entry adds to the output, e.g. as formatted in the
+ * output format; by default its content plus a rough allowance for the path header
+ * @returns {Object} The kept fileEntries (original order) plus dropped and truncated reports
+ */
+const applyTokenBudget = (fileEntries, { maxTokens, encoder, reservedTokens = 0, measureEntry }) => {
+    if (!maxTokens || maxTokens <= 0 || !encoder) {
+        return { fileEntries, dropped: [], truncated: [], usedTokens: 0 };
+    }
+
+    const measure = measureEntry || (entry => (entry.isBinary || entry.error ? 0 : encodeText(encoder, entry.content).length) + PER_FILE_OVERHEAD_TOKENS);
+    const now = Date.now();
+    const candidates = fileEntries.map((entry, index) => {
+        const tokens = entry.isBinary || entry.error ? [] : encodeText(encoder, entry.content);
+        return { entry, index, tokens, cost: measure(entry) };
+    });
+
+    const ranked = [...candidates].sort((a, b) => {
+        if (!!a.entry.selected !== !!b.entry.selected) return a.entry.selected ? -1 : 1;
+        const rankA = a.cost / getRecencyFactor(a.entry.modifiedTime, now);
+        const rankB = b.cost / getRecencyFactor(b.entry.modifiedTime, now);
+        return rankA - rankB || a.index - b.index;
+    });
+
+    let remaining = maxTokens - reservedTokens;
+    const kept = new Map();
+    const dropped = [];
+    const truncated = [];
+
+    ranked.forEach(candidate => {
+        const { entry, tokens, cost } = candidate;
+        if (cost <= remaining) {
+            kept.set(candidate.index, entry);
+            remaining -= cost;
+            return;
+        }
+
+        // Escaping and the marker make the truncated entry cost more than the tokens kept, so keep fewer until it fits
+        let available = remaining - (cost - tokens.length);
+        while (tokens.length > 0 && available >= MIN_TRUNCATED_TOKENS) {
+            const content = truncateToTokens(encoder, tokens, available);
+            const removedTokens = tokens.length - encodeText(encoder, content).length;
+            const truncatedEntry = { ...entry, content: `${content}\n[truncated ${removedTokens} tokens]`, truncated: true };
+            const truncatedCost = measure(truncatedEntry);
+            if (truncatedCost <= remaining) {
+                kept.set(candidate.index, truncatedEntry);
+                truncated.push({ relativePath: entry.relativePath, originalTokens: tokens.length, removedTokens });
+                remaining -= truncatedCost;
+                return;
+            }
+            available -= truncatedCost - remaining;
+        }
+
+        dropped.push({ relativePath: entry.relativePath, tokens: tokens.length });
+    });
+
+    const keptEntries = [...kept.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, entry]) => entry);
+
+    return {
+        fileEntries: keptEntries,
+        dropped,
+        truncated,
+        usedTokens: maxTokens - remaining
+    };
+};
+
+module.exports = { applyTokenBudget };
@@ -0,0 +1,123 @@
+const tiktoken = require('tiktoken');
+
+// Encodings bundled with tiktoken, with the models that use them
+const TOKENIZERS = {
+    o200k_base: 'GPT-4o, GPT-4.1, o1, o3 and later OpenAI models',
+    cl100k_base: 'GPT-4, GPT-3.5 Turbo and the OpenAI embedding models',
+    p50k_base: 'Codex and text-davinci-002/003',
+    r50k_base: 'GPT-3 models such as davinci'
+};
+
+const DEFAULT_TOKENIZER = 'cl100k_base';
+
+// Input prices in US dollars per million tokens; overridden or extended by the modelPricing setting
+const DEFAULT_MODEL_PRICING = {
+    'gpt-4o': { tokenizer: 'o200k_base', inputPerMillion: 2.5 },
+    'gpt-4o-mini': { tokenizer: 'o200k_base', inputPerMillion: 0.15 },
+    'gpt-4-turbo': { tokenizer: 'cl100k_base', inputPerMillion: 10 },
+    'gpt-3.5-turbo': { tokenizer: 'cl100k_base', inputPerMillion: 0.5 }
+};
+
+// Encoders are expensive to create and hold native memory, so every caller shares one per encoding
+const encoders = new Map();
+
+/**
+ * Gets the shared encoder of an encoding, creating it on first use
+ * @param {string} [name] Encoding name, one of TOKENIZERS
+ * @returns {Object} Tiktoken encoder instance; freed by freeEncoders, never by the caller
+ */
+const getEncoder = (name = DEFAULT_TOKENIZER) => {
+    if (!TOKENIZERS[name]) {
+        throw new Error(`Unknown tokenizer "${name}", expected one of ${Object.keys(TOKENIZERS).join(', ')}`);
+    }
+    if (!encoders.has(name)) {
+        encoders.set(name, tiktoken.get_encoding(name));
+    }
+    return encoders.get(name);
+};
+
+/**
+ * Frees all shared encoders; they are created again when next needed
+ */
+const freeEncoders = () => {
+    encoders.forEach(encoder => encoder.free());
+    encoders.clear();
+};
+
+/**
+ * Encodes a text. Special tokens such as <|endoftext|> are encoded as the plain text they are in a file,
+ * where a bare encoder.encode would throw on them.
+ * @param {Object} encoder Tiktoken encoder instance
+ * @param {string} text The text
+ * @returns {Uint32Array} The tokens
+ */
+const encodeText = (encoder, text) => encoder.encode(text, [], []);
+
+/**
+ * Counts the tokens of a text
+ * @param {string} text The text
+ * @param {string} [name] Encoding name, one of TOKENIZERS
+ * @returns {number} The number of tokens
+ */
+const countTokens = (text, name = DEFAULT_TOKENIZER) => encodeText(getEncoder(name), text).length;
+
+/**
+ * Reads the tokenizer, the encodings to compare it with and the model prices from the settings.
+ * Unknown encodings and malformed prices are skipped.
+ * @param {{get: Function}} config Settings with get(key, defaultValue), such as the syntaxExtractor workspace configuration
+ * @returns {{tokenizer: string, compare: string[], pricing: Object[]}} The tokenizer, the other encodings to count
+ * with and the models ({ model, tokenizer, inputPerMillion }) to estimate costs for
+ */
+const getTokenizerSettings = (config) => {
+    const tokenizer = config.get('tokenizer', DEFAULT_TOKENIZER);
+    const compare = config.get('compareTokenizers', []);
+    const pricing = { ...DEFAULT_MODEL_PRICING, ...config.get('modelPricing', {}) };
+
+    return {
+        tokenizer: TOKENIZERS[tokenizer] ? tokenizer : DEFAULT_TOKENIZER,
+        compare: [...new Set(Array.isArray(compare) ? compare : [])].filter(name => TOKENIZERS[name]),
+        pricing: Object.entries(pricing)
+            .filter(([, price]) => price && TOKENIZERS[price.tokenizer] && typeof price.inputPerMillion === 'number')
+            .map(([model, price]) => ({ model, tokenizer: price.tokenizer, inputPerMillion: price.inputPerMillion }))
+    };
+};
+
+/**
+ * Counts a text with the configured tokenizer, the encodings it is compared with and the encodings
+ * of the priced models, encoding it once per encoding
+ * @param {string} text The text
+ * @param {{tokenizer: string, compare: string[], pricing: Object[]}} settings Result of getTokenizerSettings
+ * @returns {{tokenCount: number, comparisons: Object[], costs: Object[]}} The token count, the counts of the
+ * compared encodings ({ tokenizer, tokens }) and the estimated input cost per model ({ model, tokenizer, tokens, cost })
+ */
+const estimateTokens = (text, settings) => {
+    const counts = new Map();
+    const count = (name) => {
+        if (!counts.has(name)) counts.set(name, countTokens(text, name));
+        return counts.get(name);
+    };
+
+    return {
+        tokenCount: count(settings.tokenizer),
+        comparisons: settings.compare
+            .filter(name => name !== settings.tokenizer)
+            .map(name => ({ tokenizer: name, tokens: count(name) })),
+        costs: settings.pricing.map(price => ({
+            model: price.model,
+            tokenizer: price.tokenizer,
+            tokens: count(price.tokenizer),
+            cost: count(price.tokenizer) / 1000000 * price.inputPerMillion
+        }))
+    };
+};
+
+module.exports = {
+    TOKENIZERS,
+    DEFAULT_TOKENIZER,
+    getEncoder,
+    freeEncoders,
+    encodeText,
+    countTokens,
+    getTokenizerSettings,
+    estimateTokens
+};
@@ -3,7 +3,7 @@ const path = require('path');
 /**
  * Finds the common base path among a list of paths
  * @param {string[]} paths Array of file/directory paths
- * @returns {string} The common base path
+ * @returns {string} The common base path; the file system root if that is all they share, and empty across drives
  */
 function findCommonBasePath(paths) {
     if (paths.length === 0) return '';
@@ -22,6 +22,12 @@ function findCommonBasePath(paths) {
         }
     }
 
+    // Paths that only share the file system root would otherwise give '' or 'C:', which path.relative
+    // resolves against the current directory
+    const root = path.parse(paths[0]).root;
+    if (commonBaseParts.join(path.sep).length < root.length) {
+        return paths.every(p => path.parse(p).root === root) ? root : '';
+    }
     return commonBaseParts.join(path.sep);
 }
 
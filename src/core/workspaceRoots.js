@@ -0,0 +1,85 @@
+const path = require('path');
+const { findCommonBasePath } = require('./utils');
+
+/**
+ * Finds the workspace folder a path belongs to; with nested folders, the innermost one
+ * @param {string} itemPath Absolute path
+ * @param {Object[]} [workspaceFolders] Workspace folders ({ name, path })
+ * @returns {Object|undefined} The folder, or undefined if the path is outside all of them
+ */
+const findWorkspaceFolder = (itemPath, workspaceFolders = []) => workspaceFolders
+    .filter(folder => itemPath === folder.path || itemPath.startsWith(folder.path.endsWith(path.sep) ? folder.path : folder.path + path.sep))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+
+/**
+ * Groups paths by the workspace folder they belong to. Paths outside every workspace folder are grouped by
+ * file system root, so paths on different drives end up in different groups.
+ * With a single group, its base path is the common base of the paths, as for any extraction. With several,
+ * each group's base path is its workspace folder, and the group gets a name to label its files in the output.
+ * @param {string[]} paths Absolute paths
+ * @param {Object[]} [workspaceFolders] Workspace folders ({ name, path }), optionally with the ignorePatterns,
+ * includePatterns and gitignore settings of that folder
+ * @param {Function} [baseOf] Maps a path to the path its group's base is computed from, e.g. its folder
+ * @returns {Object[]} The groups ({ name, basePath, folder, paths }) in the order their first path was given;
+ * name is only set when there are several groups
+ */
+const groupByRoot = (paths, workspaceFolders = [], baseOf = itemPath => itemPath) => {
+    const groups = new Map();
+    paths.forEach(itemPath => {
+        const folder = findWorkspaceFolder(itemPath, workspaceFolders);
+        const key = folder ? folder.path : path.parse(itemPath).root;
+        if (!groups.has(key)) groups.set(key, { folder, paths: [] });
+        groups.get(key).paths.push(itemPath);
+    });
+
+    const commonBase = group => findCommonBasePath([...new Set(group.paths.map(baseOf))]);
+    if (groups.size <= 1) {
+        return [...groups.values()].map(group => ({ ...group, basePath: commonBase(group) }));
+    }
+
+    // Folders may share a name, and a name must not add levels to the paths it labels
+    const usedNames = new Set();
+    return [...groups.values()].map(group => {
+        const basePath = group.folder ? group.folder.path : commonBase(group);
+        const baseName = (group.folder ? group.folder.name : path.basename(basePath) || basePath).replace(/[\\/:]+/g, '-');
+        let name = baseName;
+        for (let i = 2; usedNames.has(name); i++) name = `${baseName} (${i})`;
+        usedNames.add(name);
+        return { ...group, name, basePath };
+    });
+};
+
+/**
+ * Gets the path of a file as shown in the output: relative to its group's base path and, when there are several
+ * groups, below the group's name
+ * @param {Object} group Group from groupByRoot
+ * @param {string} itemPath Absolute path inside the group
+ * @returns {string} The relative path
+ */
+const getRootRelativePath = (group, itemPath) => {
+    const relativePath = path.relative(group.basePath, itemPath);
+    return group.name ? path.join(group.name, relativePath) : relativePath;
+};
+
+/**
+ * Describes the roots of an extraction that spans several groups
+ * @param {Object[]} groups Groups from groupByRoot
+ * @returns {Object[]|undefined} The roots ({ name, path }), or undefined for a single group
+ */
+const describeRoots = (groups) => (groups.length > 1 ? groups.map(group => ({ name: group.name, path: group.basePath })) : undefined);
+
+/**
+ * Gets the base path of an extraction: the group's base path, or the common base of all groups' base paths,
+ * which may be a file system root or, across drives, empty
+ * @param {Object[]} groups Groups from groupByRoot
+ * @returns {string} The base path
+ */
+const getCombinedBasePath = (groups) => (groups.length === 1 ? groups[0].basePath : findCommonBasePath(groups.map(group => group.basePath)));
+
+module.exports = {
+    findWorkspaceFolder,
+    groupByRoot,
+    getRootRelativePath,
+    describeRoots,
+    getCombinedBasePath
+};
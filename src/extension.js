@@ -1,15 +1,40 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
-const tiktoken = require('tiktoken');
 
-const { extractCode } = require('./commands/codeExtractor');
-const { removeComments } = require('./commands/commentRemover');
-const { getEffectiveIgnorePatterns } = require('./core/ignoreHelper');
+const { extractCode, excludeFromExtraction } = require('./commands/codeExtractor');
+const { removeComments, registerCommentPreviewProvider } = require('./commands/commentRemover');
+const { extractGitChanges } = require('./commands/gitExtractor');
+const { EDITOR_SOURCES, readUnsavedContent, extractEditors, pickExtractionSource } = require('./commands/editorExtractor');
+const { pickProfile, saveProfile, editProfile, deleteProfile, getProfileUris } = require('./commands/profiles');
+const { createFileTree } = require('./commands/fileTree');
+const { getHistoryStore, recordExtraction, registerHistoryDiffProvider, showHistoryDiff } = require('./commands/history');
+const { registerSelectionTracker, renderPrompt, getPromptTemplates, savePromptTemplate, deletePromptTemplate } = require('./commands/promptTemplates');
+const { assemblePrompt } = require('./core/promptTemplates');
+const { DEFAULT_DEPENDENCY_DEPTH } = require('./core/dependencies');
+const { getTreeOptions } = require('./core/folderStructure');
+const { summarizeFileTypes } = require('./core/extraction');
+const { CancelledError, describeProgress } = require('./core/concurrency');
+const { withProgress } = require('./services/vscodeServices');
+const { getEffectiveIgnorePatterns, getEffectiveIncludePatterns, getGitignoreSettings } = require('./core/ignoreHelper');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } = require('./core/formatters');
+const { getPreservationRules } = require('./core/commentPreservation');
+const { getLanguageRegistry } = require('./core/languages');
+const { getExtractionLimits } = require('./core/limits');
+const { splitIntoParts } = require('./core/chunking');
+const { TOKENIZERS, getEncoder, freeEncoders, encodeText, getTokenizerSettings, estimateTokens } = require('./core/tokenizer');
 
 let currentPanel = undefined;
+let fileTree = null;
 let clipboardListener = undefined;
-let encoder = null;
+let lastExtraction = null;
+// Parts of the last extraction when it is split, and the prompt they were built with
+let lastParts = [];
+let lastPartsPrompt = { before: '', after: '' };
+// Clipboard writes from prompt edits finish out of order when a prompt uses {{gitBranch}}; only the latest one is kept
+let promptEdits = 0;
+// Text behind the token count shown in the webview, counted again when the tokenizer settings change
+let countedText = '';
 
 /**
  * Activates the extension
@@ -18,11 +43,38 @@ let encoder = null;
 function activate(context) {
     console.log('Syntax Extractor is now active!');
 
-    encoder = tiktoken.get_encoding("cl100k_base");
-
     registerCommands(context);
+    context.subscriptions.push(registerCommentPreviewProvider());
+    context.subscriptions.push(registerHistoryDiffProvider(context));
+    context.subscriptions.push(registerSelectionTracker());
     setupTreeView(context);
     setupClipboardListener();
+    context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(handleConfigurationChange));
+}
+
+/**
+ * Recounts the tokens shown in the webview when the tokenizer, the compared encodings or the prices change,
+ * splits the last extraction again when the tokenizer or the part settings change, and refreshes the
+ * template selector when the prompt templates change
+ * @param {vscode.ConfigurationChangeEvent} event The configuration change
+ */
+function handleConfigurationChange(event) {
+    const affects = keys => keys.some(key => event.affectsConfiguration(`syntaxExtractor.${key}`));
+    if (!currentPanel) {
+        return;
+    }
+
+    if (affects(['tokenizer', 'partTokens', 'partPrompt', 'partStructure']) && lastExtraction) {
+        updateExtractionParts(lastExtraction, lastPartsPrompt);
+        sendPartsToWebview();
+    }
+    if (affects(['tokenizer', 'compareTokenizers', 'modelPricing'])) {
+        sendTokenStats(countedText);
+        sendBreakdownToWebview();
+    }
+    if (affects(['promptTemplates'])) {
+        sendMessageToWebview('updateTemplates', { templates: getPromptTemplates() });
+    }
 }
 
 /**
@@ -32,6 +84,28 @@ function activate(context) {
 function registerCommands(context) {
     const commands = [
         { id: 'codeExtractor.extractCode', handler: (uri, uris) => handleExtractCode(context, uri, uris) },
+        { id: 'codeExtractor.extractCodeAs', handler: (uri, uris) => handleExtractCodeAs(context, uri, uris) },
+        { id: 'codeExtractor.extractCodeWithBudget', handler: (uri, uris) => handleExtractCodeWithBudget(context, uri, uris) },
+        { id: 'codeExtractor.extractCodeInParts', handler: (uri, uris) => handleExtractCodeInParts(context, uri, uris) },
+        { id: 'codeExtractor.extractCodeByFileType', handler: (uri, uris) => handleExtractCodeByFileType(context, uri, uris) },
+        { id: 'codeExtractor.extractWithDependencies', handler: (uri, uris) => handleExtractWithDependencies(context, uri, uris) },
+        { id: 'codeExtractor.extractSkeleton', handler: (uri, uris) => handleExtractCode(context, uri, uris, { extractionMode: 'skeleton' }) },
+        { id: 'codeExtractor.extractStructure', handler: (uri, uris) => handleExtractCode(context, uri, uris, { structureOnly: true }) },
+        { id: 'codeExtractor.extractOpenEditors', handler: () => handleExtractEditors(context, 'openEditors') },
+        { id: 'codeExtractor.extractTabGroup', handler: () => handleExtractEditors(context, 'tabGroup') },
+        { id: 'codeExtractor.extractSelection', handler: () => handleExtractEditors(context, 'selection') },
+        { id: 'codeExtractor.extractSearchResults', handler: () => handleExtractEditors(context, 'searchResults') },
+        { id: 'codeExtractor.extractWorkingTreeChanges', handler: () => handleExtractGitChanges(context, 'working') },
+        { id: 'codeExtractor.extractStagedChanges', handler: () => handleExtractGitChanges(context, 'staged') },
+        { id: 'codeExtractor.extractChangesSinceRef', handler: () => handleExtractGitChanges(context, 'ref') },
+        { id: 'codeExtractor.saveProfile', handler: (uri, uris) => handleSaveProfile(context, uri, uris) },
+        { id: 'codeExtractor.runProfile', handler: () => handleRunProfile(context) },
+        { id: 'codeExtractor.editProfile', handler: () => editProfile(context) },
+        { id: 'codeExtractor.deleteProfile', handler: () => deleteProfile(context) },
+        { id: 'codeExtractor.extractChecked', handler: () => handleExtractChecked(context) },
+        { id: 'codeExtractor.copyCheckedPaths', handler: () => handleCopyCheckedPaths() },
+        { id: 'codeExtractor.clearChecked', handler: () => fileTree && fileTree.clearChecked() },
+        { id: 'codeExtractor.refreshFileTree', handler: () => fileTree && fileTree.refresh() },
         { id: 'syntaxExtractor.openExplorer', handler: () => handleOpenExplorer(context) },
         { id: 'codeExtractor.removeComments', handler: (uri, uris) => handleRemoveComments(uri, uris) }
     ];
@@ -43,37 +117,695 @@ function registerCommands(context) {
 }
 
 /**
- * Handles the Extract Code Structure command
+ * Handles the Extract Code Structure command. Without an explorer selection, e.g. from the command palette,
+ * it asks whether to extract the open editors, the selection, the search results or the workspace.
  * @param {vscode.ExtensionContext} context The extension context
  * @param {vscode.Uri} uri Single selected URI
  * @param {vscode.Uri[]} uris Multiple selected URIs
+ * @param {Object} [overrides] Per-run overrides of the extraction settings
  */
-async function handleExtractCode(context, uri, uris) {
-    if (!uris || uris.length === 0) {
-        uris = uri ? [uri] : [];
+async function handleExtractCode(context, uri, uris, overrides = {}) {
+    // Editor title menus pass the editor's URI with an object instead of a selection
+    if (!Array.isArray(uris) || uris.length === 0) {
+        uris = uri instanceof vscode.Uri ? [uri] : [];
     }
 
     if (uris.length === 0) {
-        vscode.window.showWarningMessage('No folders selected for extraction.');
+        const source = await pickExtractionSource();
+        if (source === 'workspace') {
+            uris = vscode.workspace.workspaceFolders.map(folder => folder.uri);
+        } else if (source) {
+            await handleExtractEditors(context, source, overrides);
+            return;
+        } else {
+            return;
+        }
+    }
+
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const { ignorePatterns, options } = getExtractionOptions(context, config, overrides);
+    const extraction = await extractCode(uris, ignorePatterns, options);
+    if (!extraction) {
         return;
     }
 
-    // Get ignore patterns from settings
-    const ignorePatterns = getEffectiveIgnorePatterns();
+    extraction.sourcePaths = uris.map(selected => selected.fsPath);
+    const names = uris.map(selected => path.basename(selected.fsPath)).join(', ');
+    const label = overrides.followImports ? `${names} with dependencies` : names;
+    await completeExtraction(context, extraction, overrides, {
+        label: overrides.structureOnly ? `${label} (structure only)` : label,
+        sourcePaths: extraction.sourcePaths,
+        ignorePatterns,
+        includePatterns: options.includePatterns,
+        run: { type: 'paths', overrides }
+    });
+}
+
+/**
+ * Handles the commands extracting open editors, the current tab group, the selection or the search results
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} source One of EDITOR_SOURCES
+ * @param {Object} [overrides] Per-run overrides of the extraction settings
+ */
+async function handleExtractEditors(context, source, overrides = {}) {
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const { ignorePatterns, options } = getExtractionOptions(context, config, overrides);
+    const extraction = await extractEditors(source, ignorePatterns, options);
+    if (!extraction) {
+        return;
+    }
+
+    extraction.sourcePaths = [...new Set(extraction.result.fileEntries.map(entry => entry.path))];
+    await completeExtraction(context, extraction, overrides, {
+        label: overrides.structureOnly ? `${EDITOR_SOURCES[source].label} (structure only)` : EDITOR_SOURCES[source].label,
+        sourcePaths: extraction.sourcePaths,
+        ignorePatterns,
+        includePatterns: [],
+        run: { type: 'editors', source, overrides }
+    });
+}
+
+/**
+ * Reads the extraction settings, with the overrides of this run
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.WorkspaceConfiguration} config The 'syntaxExtractor' configuration
+ * @param {Object} overrides Per-run overrides of the extraction settings
+ * @returns {{ignorePatterns: string[], options: Object}} Ignore patterns and options for the extraction
+ */
+function getExtractionOptions(context, config, overrides) {
+    // Get ignore patterns from settings, plus any added by a profile
+    const ignorePatterns = [...getEffectiveIgnorePatterns(config), ...(overrides.ignorePatterns || [])];
     console.log('Using ignore patterns for extraction:', ignorePatterns);
 
-    const initialPromptMessage = context.globalState.get('initialPromptMessage', '');
-    const extractedContent = await extractCode(uris, ignorePatterns);
-    const combinedContent = initialPromptMessage + '\n\n' + extractedContent;
+    return {
+        ignorePatterns,
+        options: {
+            outputFormat: overrides.outputFormat || config.get('outputFormat', DEFAULT_OUTPUT_FORMAT),
+            extractionMode: overrides.extractionMode || config.get('extractionMode', 'full'),
+            structureOnly: Boolean(overrides.structureOnly),
+            tree: getTreeOptions(config),
+            ...getBudgetOptions(context, config, overrides),
+            gitignore: getGitignoreSettings(config),
+            includePatterns: getEffectiveIncludePatterns(config, overrides.includePatterns),
+            fileTypes: overrides.fileTypes,
+            languages: getLanguageRegistry(config),
+            limits: getExtractionLimits(config),
+            followImports: Boolean(overrides.followImports),
+            maxDepth: config.get('dependencyDepth', DEFAULT_DEPENDENCY_DEPTH),
+            roots: (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath),
+            workspaceFolders: getWorkspaceFolderSettings(overrides),
+            // Files open with unsaved changes are extracted as they are in the editor
+            readContent: readUnsavedContent,
+            ...getSecretScanningOptions(config)
+        }
+    };
+}
 
-    // Update the clipboard with the combined content
-    await vscode.env.clipboard.writeText(combinedContent);
+/**
+ * Reads the token budget of an extraction, with the tokens its prompt takes reserved
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.WorkspaceConfiguration} config The 'syntaxExtractor' configuration
+ * @param {Object} overrides Per-run overrides of the extraction settings
+ * @returns {{maxTokens: number, encoder: Object, reservedTokens: number}} Budget options for the extraction
+ */
+function getBudgetOptions(context, config, overrides) {
+    // Placeholders are only filled in once the files are known, so their names stand in for them in the budget
+    const promptTemplate = getPromptTemplate(context, overrides);
+    const promptText = `${promptTemplate.before}\n\n${promptTemplate.after}`.trim();
+    return {
+        maxTokens: overrides.maxTokens !== undefined ? overrides.maxTokens : config.get('maxTokens', 0),
+        encoder: getEncoder(getTokenizerSettings(config).tokenizer),
+        reservedTokens: promptText ? countTokens(promptText) : 0
+    };
+}
 
-    // Update the webview
-    updateOrCreateWebview(context, extractedContent);
+/**
+ * Reads the ignore settings of each workspace folder, which may differ in a multi-root workspace
+ * @param {Object} overrides Per-run overrides of the extraction settings
+ * @returns {Object[]} The folders ({ name, path, ignorePatterns, includePatterns, gitignore })
+ */
+function getWorkspaceFolderSettings(overrides) {
+    return (vscode.workspace.workspaceFolders || []).map(folder => {
+        const folderConfig = vscode.workspace.getConfiguration('syntaxExtractor', folder.uri);
+        return {
+            name: folder.name,
+            path: folder.uri.fsPath,
+            ignorePatterns: [...getEffectiveIgnorePatterns(folderConfig), ...(overrides.ignorePatterns || [])],
+            includePatterns: getEffectiveIncludePatterns(folderConfig, overrides.includePatterns),
+            gitignore: getGitignoreSettings(folderConfig)
+        };
+    });
+}
+
+/**
+ * Publishes a finished extraction, adds it to the history and tells the user where it went
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} extraction The extraction
+ * @param {Object} overrides Per-run overrides of the extraction settings
+ * @param {Object} details History details, see addToHistory
+ */
+async function completeExtraction(context, extraction, overrides, details) {
+    if (overrides.prompt !== undefined) {
+        extraction.prompt = overrides.prompt;
+    }
+    if (overrides.partTokens !== undefined) {
+        extraction.partTokens = overrides.partTokens;
+    }
+    lastExtraction = extraction;
+    const prompt = await publishExtraction(context, extraction);
+    await addToHistory(context, extraction, prompt, details);
 
     // Show a success message
-    vscode.window.showInformationMessage('Content extracted and copied to clipboard!');
+    if (lastParts.length > 1) {
+        vscode.window.showInformationMessage(`Content extracted in ${lastParts.length} parts; part 1 copied to clipboard. Copy the others from the Syntax Extractor view.`);
+    } else {
+        vscode.window.showInformationMessage('Content extracted and copied to clipboard!');
+    }
+}
+
+/**
+ * Reads how detected secrets should be handled
+ * @param {vscode.WorkspaceConfiguration} config The 'syntaxExtractor' configuration
+ * @returns {{redactSecrets: boolean, confirmSecrets: boolean}} Extraction options for secret scanning
+ */
+function getSecretScanningOptions(config) {
+    const secretScanning = config.get('secretScanning', 'redact');
+    return {
+        redactSecrets: secretScanning !== 'off',
+        confirmSecrets: secretScanning === 'confirm'
+    };
+}
+
+/**
+ * Copies an extraction (with its prompt) to the clipboard and shows it in the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} extraction Extraction returned by extractCode
+ * @returns {Promise<{before: string, after: string}>} The filled-in prompt
+ */
+async function publishExtraction(context, extraction) {
+    const prompt = await getExtractionPrompt(context, extraction);
+
+    // Update the clipboard with the combined content, or with the first part if it is split
+    const parts = updateExtractionParts(extraction, prompt);
+    await vscode.env.clipboard.writeText(parts.length > 1 ? parts[0].content : assemblePrompt(prompt, extraction.content));
+
+    // Update the webview
+    updateOrCreateWebview(context, extraction.content);
+    return prompt;
+}
+
+/**
+ * Gets the prompt template of an extraction: the prompt of the profile it was run from, or the prompt in the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {{prompt: string}} [source] Extraction or per-run overrides, with the profile prompt if any
+ * @returns {{before: string, after: string}} Template text before and after the code
+ */
+function getPromptTemplate(context, source) {
+    if (source && source.prompt !== undefined) {
+        return { before: source.prompt, after: '' };
+    }
+    return {
+        before: context.globalState.get('initialPromptMessage', ''),
+        after: context.globalState.get('promptAfterMessage', '')
+    };
+}
+
+/**
+ * Gets the prompt placed around an extraction, with the template variables filled in
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} [extraction] Extraction returned by extractCode
+ * @returns {Promise<{before: string, after: string}>} The text before and after the code
+ */
+function getExtractionPrompt(context, extraction) {
+    return renderPrompt(getPromptTemplate(context, extraction), extraction, countTokens);
+}
+
+/**
+ * Copies text edited in the webview to the clipboard, with the prompt of the webview around it
+ * @param {{before: string, after: string}} template Template text before and after the code
+ * @param {string} content The clipboard text of the webview
+ */
+async function copyWithPrompt(template, content) {
+    const edit = ++promptEdits;
+    const prompt = await renderPrompt(template, lastExtraction, countTokens);
+    if (edit === promptEdits) {
+        await vscode.env.clipboard.writeText(assemblePrompt(prompt, content));
+    }
+}
+
+/**
+ * Splits an extraction into parts if it is larger than the part token limit
+ * @param {Object} extraction Extraction returned by extractCode
+ * @param {{before: string, after: string}} prompt Filled-in prompt placed around the first and last, or every part
+ * @returns {Object[]} The parts ({ content, tokens, files }), or an empty array if the extraction is not split
+ */
+function updateExtractionParts(extraction, prompt) {
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const partTokens = extraction.partTokens !== undefined ? extraction.partTokens : config.get('partTokens', 0);
+    lastParts = [];
+    lastPartsPrompt = prompt;
+    if (partTokens <= 0) {
+        return lastParts;
+    }
+
+    try {
+        const parts = splitIntoParts(extraction.result, extraction.basePath, extraction.outputFormat, {
+            maxTokens: partTokens,
+            encoder: getEncoder(getTokenizerSettings(config).tokenizer),
+            prompt: prompt.before,
+            promptAfter: prompt.after,
+            promptMode: config.get('partPrompt', 'first'),
+            structureMode: config.get('partStructure', 'every')
+        });
+        if (parts.length > 1) {
+            lastParts = parts;
+        }
+    } catch (error) {
+        console.error('Error splitting extraction:', error);
+        vscode.window.showErrorMessage(`Could not split the extraction into parts: ${error.message}`);
+    }
+    return lastParts;
+}
+
+/**
+ * Copies one part of the last extraction to the clipboard. The parts are rebuilt first if the prompt has changed.
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {number} index Index of the part
+ */
+async function copyExtractionPart(context, index) {
+    const prompt = lastExtraction ? await getExtractionPrompt(context, lastExtraction) : lastPartsPrompt;
+    if (lastExtraction && (prompt.before !== lastPartsPrompt.before || prompt.after !== lastPartsPrompt.after)) {
+        updateExtractionParts(lastExtraction, prompt);
+        sendPartsToWebview();
+    }
+
+    const part = lastParts[index];
+    if (!part) {
+        return;
+    }
+    await vscode.env.clipboard.writeText(part.content);
+    vscode.window.showInformationMessage(`Part ${index + 1}/${lastParts.length} copied to clipboard.`);
+}
+
+/**
+ * Handles the Extract Code Structure As... command, asking for the output format of this run
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleExtractCodeAs(context, uri, uris) {
+    const configuredFormat = vscode.workspace.getConfiguration('syntaxExtractor').get('outputFormat', DEFAULT_OUTPUT_FORMAT);
+    const picked = await vscode.window.showQuickPick(
+        OUTPUT_FORMATS.map(format => ({
+            label: format,
+            description: format === configuredFormat ? '(default)' : ''
+        })),
+        { placeHolder: 'Select the output format for this extraction' }
+    );
+
+    if (!picked) {
+        return;
+    }
+
+    await handleExtractCode(context, uri, uris, { outputFormat: picked.label });
+}
+
+/**
+ * Handles the Extract Code Structure With Token Budget... command, asking for the budget of this run
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleExtractCodeWithBudget(context, uri, uris) {
+    const maxTokens = await pickTokenCount(
+        vscode.workspace.getConfiguration('syntaxExtractor').get('maxTokens', 0),
+        'Select the token budget for this extraction',
+        'Maximum number of tokens for this extraction'
+    );
+    if (maxTokens === undefined) {
+        return;
+    }
+
+    await handleExtractCode(context, uri, uris, { maxTokens });
+}
+
+/**
+ * Handles the Extract Code Structure in Parts... command, asking for the token limit of each part
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleExtractCodeInParts(context, uri, uris) {
+    const partTokens = await pickTokenCount(
+        vscode.workspace.getConfiguration('syntaxExtractor').get('partTokens', 0),
+        'Select the context window to split this extraction for',
+        'Maximum number of tokens per part'
+    );
+    if (partTokens === undefined) {
+        return;
+    }
+
+    await handleExtractCode(context, uri, uris, { partTokens });
+}
+
+/**
+ * Handles the Extract Code Structure by File Type... command, asking which of the file types found
+ * under the selection to extract. Without an explorer selection it asks what to extract, as Extract Code Structure does.
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleExtractCodeByFileType(context, uri, uris) {
+    if (!Array.isArray(uris) || uris.length === 0) {
+        uris = uri instanceof vscode.Uri ? [uri] : [];
+    }
+    if (uris.length === 0) {
+        // Editors, the selection and search results are picked file by file, so only the workspace is filtered by type
+        const source = await pickExtractionSource();
+        if (source === 'workspace') {
+            uris = vscode.workspace.workspaceFolders.map(folder => folder.uri);
+        } else if (source) {
+            await handleExtractEditors(context, source);
+            return;
+        } else {
+            return;
+        }
+    }
+
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    let summaries;
+    try {
+        summaries = await withProgress('Finding file types', (report, token) => summarizeFileTypes(uris.map(selected => selected.fsPath), getEffectiveIgnorePatterns(config), {
+            gitignore: getGitignoreSettings(config),
+            includePatterns: getEffectiveIncludePatterns(config),
+            languages: getLanguageRegistry(config),
+            workspaceFolders: getWorkspaceFolderSettings({}),
+            onProgress: progress => report(describeProgress(progress)),
+            token
+        }));
+    } catch (error) {
+        if (!(error instanceof CancelledError)) {
+            console.error('Error finding file types:', error);
+            vscode.window.showErrorMessage(`Could not list the file types: ${error.message}`);
+        }
+        return;
+    }
+    if (summaries.length === 0) {
+        vscode.window.showInformationMessage('No files to extract in the selection.');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        summaries.map(summary => ({
+            label: summary.fileType || '(no extension)',
+            description: `${summary.count} file${summary.count === 1 ? '' : 's'}, ~${summary.estimatedTokens.toLocaleString()} tokens`,
+            picked: true,
+            fileType: summary.fileType
+        })),
+        { canPickMany: true, placeHolder: 'Select the file types to extract' }
+    );
+    if (!picked || picked.length === 0) {
+        return;
+    }
+
+    // Ticking every type is the same as not filtering, so the run also picks up types added later
+    const fileTypes = picked.length === summaries.length ? undefined : picked.map(item => item.fileType);
+    await handleExtractCode(context, uri, uris, { fileTypes });
+}
+
+/**
+ * Handles the Extract with Dependencies command: the selected files, or the file of the active editor,
+ * plus the local files they import
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleExtractWithDependencies(context, uri, uris) {
+    if (!Array.isArray(uris) || uris.length === 0) {
+        uris = uri instanceof vscode.Uri ? [uri] : [];
+    }
+    const editor = vscode.window.activeTextEditor;
+    if (uris.length === 0 && editor && editor.document.uri.scheme === 'file') {
+        uris = [editor.document.uri];
+    }
+
+    const files = uris.filter(selected => fs.existsSync(selected.fsPath) && fs.statSync(selected.fsPath).isFile());
+    if (files.length === 0) {
+        vscode.window.showWarningMessage('Select the files to start from; dependencies are followed from files, not folders.');
+        return;
+    }
+    if (files.length < uris.length) {
+        vscode.window.showWarningMessage(`${uris.length - files.length} selected folder(s) left out; dependencies are followed from files.`);
+    }
+
+    await handleExtractCode(context, undefined, files, { followImports: true });
+}
+
+/**
+ * Asks for a number of tokens from common context window sizes, no limit or a custom value
+ * @param {number} configured The configured value, marked as the default
+ * @param {string} placeHolder Placeholder of the quick pick
+ * @param {string} prompt Prompt of the input box for a custom value
+ * @returns {Promise<number|undefined>} The number of tokens, 0 for no limit, or undefined if cancelled
+ */
+async function pickTokenCount(configured, placeHolder, prompt) {
+    const presets = [8000, 16000, 32000, 64000, 128000, 200000];
+    const items = [
+        ...presets.map(tokens => ({
+            label: `${tokens.toLocaleString()} tokens`,
+            description: tokens === configured ? '(default)' : '',
+            tokens
+        })),
+        { label: 'No limit', description: configured === 0 ? '(default)' : '', tokens: 0 },
+        { label: 'Custom...', tokens: undefined }
+    ];
+
+    const picked = await vscode.window.showQuickPick(items, { placeHolder });
+    if (!picked) {
+        return undefined;
+    }
+    if (picked.tokens !== undefined) {
+        return picked.tokens;
+    }
+
+    const input = await vscode.window.showInputBox({
+        prompt,
+        value: configured > 0 ? String(configured) : '',
+        validateInput: value => /^\d+$/.test(value.trim()) ? null : 'Enter a whole number of tokens'
+    });
+    return input === undefined ? undefined : parseInt(input.trim(), 10);
+}
+
+/**
+ * Handles the Save Selection as Extraction Profile command. Without a selection, the paths
+ * of the last extraction are saved.
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {vscode.Uri} uri Single selected URI
+ * @param {vscode.Uri[]} uris Multiple selected URIs
+ */
+async function handleSaveProfile(context, uri, uris) {
+    if (!uris || uris.length === 0) {
+        uris = uri ? [uri] : [];
+    }
+    if (uris.length === 0 && lastExtraction && lastExtraction.sourcePaths) {
+        uris = lastExtraction.sourcePaths.map(fsPath => vscode.Uri.file(fsPath));
+    }
+
+    await saveProfile(context, uris, context.globalState.get('initialPromptMessage', ''));
+}
+
+/**
+ * Handles the Run Extraction Profile command
+ * @param {vscode.ExtensionContext} context The extension context
+ */
+async function handleRunProfile(context) {
+    const profile = await pickProfile(context, 'Select the profile to extract');
+    if (!profile) {
+        return;
+    }
+
+    await handleExtractCode(context, undefined, getProfileUris(profile), {
+        outputFormat: profile.outputFormat || undefined,
+        ignorePatterns: profile.ignorePatterns,
+        includePatterns: profile.includePatterns,
+        prompt: profile.prompt
+    });
+}
+
+/**
+ * Handles the git extraction commands
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} mode 'working', 'staged' or 'ref'
+ * @param {{folderPath: string, ref: string}} [target] Repository folder and ref of a past extraction; asked for if omitted
+ */
+async function handleExtractGitChanges(context, mode, target = {}) {
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const ignorePatterns = getEffectiveIgnorePatterns(config);
+    const extraction = await extractGitChanges(mode, ignorePatterns, {
+        outputFormat: config.get('outputFormat', DEFAULT_OUTPUT_FORMAT),
+        diffMode: config.get('gitDiffMode', 'content'),
+        languages: getLanguageRegistry(config),
+        limits: getExtractionLimits(config),
+        tree: getTreeOptions(config),
+        ...getBudgetOptions(context, config, {}),
+        ...getSecretScanningOptions(config),
+        ...target
+    });
+    if (!extraction) {
+        return;
+    }
+
+    lastExtraction = extraction;
+    const prompt = await publishExtraction(context, extraction);
+    await addToHistory(context, extraction, prompt, {
+        label: `${path.basename(extraction.basePath)}: ${extraction.description}`,
+        sourcePaths: [extraction.basePath],
+        ignorePatterns,
+        includePatterns: [],
+        run: { type: 'git', ...extraction.git }
+    });
+}
+
+/**
+ * Adds an extraction to the history and refreshes the history list in the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} extraction Extraction returned by extractCode or extractGitChanges
+ * @param {{before: string, after: string}} prompt The filled-in prompt it was copied with
+ * @param {Object} details Label, source paths, patterns and how to run the extraction again
+ */
+async function addToHistory(context, extraction, prompt, details) {
+    const stored = await recordExtraction(context, extraction, {
+        prompt: prompt.before,
+        promptAfter: prompt.after,
+        tokenizer: getTokenizerSettings(vscode.workspace.getConfiguration('syntaxExtractor')).tokenizer,
+        tokenCount: countTokens(extraction.content),
+        ...details
+    });
+    if (stored) {
+        await sendHistoryToWebview(context);
+    }
+}
+
+/**
+ * Sends the list of past extractions to the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ */
+async function sendHistoryToWebview(context) {
+    if (!currentPanel) {
+        return;
+    }
+    try {
+        sendMessageToWebview('updateHistory', { entries: await getHistoryStore(context).list() });
+    } catch (error) {
+        console.error('Error reading extraction history:', error);
+    }
+}
+
+/**
+ * Reads a history entry, telling the user if it is gone
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} id The entry id
+ * @returns {Promise<Object|null>} The entry
+ */
+async function getHistoryEntry(context, id) {
+    try {
+        const entry = await getHistoryStore(context).get(id);
+        if (!entry) {
+            vscode.window.showWarningMessage('This extraction is no longer in the history.');
+            await sendHistoryToWebview(context);
+        }
+        return entry;
+    } catch (error) {
+        console.error('Error reading extraction history:', error);
+        vscode.window.showErrorMessage(`Could not read the extraction history: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Copies a past extraction (with its prompt) to the clipboard and shows it in the webview again
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} id The entry id
+ */
+async function restoreHistoryEntry(context, id) {
+    const entry = await getHistoryEntry(context, id);
+    if (!entry) {
+        return;
+    }
+
+    // The breakdown, parts and file exclusion work on the files of a live extraction, which the history does not keep
+    lastExtraction = null;
+    lastParts = [];
+    await vscode.env.clipboard.writeText(assemblePrompt({ before: entry.prompt || '', after: entry.promptAfter || '' }, entry.content));
+    updateOrCreateWebview(context, entry.content);
+    vscode.window.showInformationMessage(`Extraction of ${new Date(entry.timestamp).toLocaleString()} copied to clipboard.`);
+}
+
+/**
+ * Runs a past extraction again against the current files, with the same paths and options
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} id The entry id
+ */
+async function rerunHistoryEntry(context, id) {
+    const entry = await getHistoryEntry(context, id);
+    if (!entry) {
+        return;
+    }
+
+    if (entry.run.type === 'git') {
+        await handleExtractGitChanges(context, entry.run.mode, { folderPath: entry.run.folderPath, ref: entry.run.ref });
+        return;
+    }
+    // Editors and selections are extracted as they are now, not as they were
+    if (entry.run.type === 'editors') {
+        await handleExtractEditors(context, entry.run.source, entry.run.overrides);
+        return;
+    }
+
+    const existing = entry.sourcePaths.filter(sourcePath => fs.existsSync(sourcePath));
+    if (existing.length < entry.sourcePaths.length) {
+        vscode.window.showWarningMessage(`${entry.sourcePaths.length - existing.length} of the extracted paths no longer exist and are left out.`);
+    }
+    await handleExtractCode(context, undefined, existing.map(sourcePath => vscode.Uri.file(sourcePath)), entry.run.overrides);
+}
+
+/**
+ * Opens a diff of two past extractions and lists the files that changed in between in the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string[]} ids Ids of the two entries
+ */
+async function compareHistoryEntries(context, ids) {
+    try {
+        const comparison = await showHistoryDiff(context, ids);
+        if (comparison) {
+            sendMessageToWebview('historyComparison', comparison);
+        }
+    } catch (error) {
+        console.error('Error comparing extractions:', error);
+        vscode.window.showErrorMessage(`Could not compare the extractions: ${error.message}`);
+    }
+}
+
+/**
+ * Removes one past extraction, or all of them after confirmation
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} [id] The entry id; all entries if omitted
+ */
+async function deleteHistory(context, id) {
+    if (!id) {
+        const confirmed = await vscode.window.showWarningMessage('Clear the extraction history?', { modal: true }, 'Clear');
+        if (confirmed !== 'Clear') {
+            return;
+        }
+    }
+
+    try {
+        await (id ? getHistoryStore(context).remove(id) : getHistoryStore(context).clear());
+    } catch (error) {
+        console.error('Error deleting extraction history:', error);
+        vscode.window.showErrorMessage(`Could not delete from the extraction history: ${error.message}`);
+    }
+    await sendHistoryToWebview(context);
 }
 
 /**
@@ -94,22 +826,28 @@ async function handleRemoveComments(uri, uris) {
         return;
     }
 
-    const proceed = await vscode.window.showWarningMessage(
-        'This will permanently remove comments from the selected files. Are you sure you want to continue?',
-        'Yes', 'No'
-    );
+    console.log('Starting comment removal for:', uris.map(u => u.fsPath));
 
-    if (proceed === 'Yes') {
-        console.log('Starting comment removal for:', uris.map(u => u.fsPath));
-        
-        // Get ignore patterns from settings
-        const ignorePatterns = getEffectiveIgnorePatterns();
-        console.log('Using ignore patterns for comment removal:', ignorePatterns);
-        
-        await removeComments(uris, ignorePatterns);
-    } else {
-        console.log('Comment removal cancelled by user');
+    // Get ignore patterns from settings
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const ignorePatterns = getEffectiveIgnorePatterns(config);
+    console.log('Using ignore patterns for comment removal:', ignorePatterns);
+
+    let preservation;
+    try {
+        preservation = getPreservationRules(config);
+    } catch (error) {
+        vscode.window.showErrorMessage(error.message);
+        return;
     }
+
+    await removeComments(uris, ignorePatterns, {
+        gitignore: getGitignoreSettings(config),
+        includePatterns: getEffectiveIncludePatterns(config),
+        preservation,
+        languages: getLanguageRegistry(config),
+        tokenizer: getTokenizerSettings(config).tokenizer
+    });
 }
 
 function handleOpenExplorer(context) {
@@ -117,21 +855,38 @@ function handleOpenExplorer(context) {
     showWebview(context);
 }
 
+/**
+ * Creates the file picker in the Syntax Extractor view
+ * @param {vscode.ExtensionContext} context The extension context
+ */
 function setupTreeView(context) {
-    const emptyTreeDataProvider = {
-        getTreeItem: () => null,
-        getChildren: () => []
-    };
+    fileTree = createFileTree(context);
+}
 
-    const treeView = vscode.window.createTreeView('emptyView', { treeDataProvider: emptyTreeDataProvider });
+/**
+ * Handles the Extract Checked command of the file picker
+ * @param {vscode.ExtensionContext} context The extension context
+ */
+async function handleExtractChecked(context) {
+    const uris = fileTree ? fileTree.getCheckedUris() : [];
+    if (uris.length === 0) {
+        vscode.window.showWarningMessage('Check the files and folders to extract in the Syntax Extractor view first.');
+        return;
+    }
 
-    treeView.onDidChangeVisibility(e => {
-        if (e.visible) {
-            vscode.commands.executeCommand('syntaxExtractor.openExplorer');
-        }
-    });
+    await handleExtractCode(context, undefined, uris);
+}
 
-    context.subscriptions.push(treeView);
+/**
+ * Handles the Copy Checked Paths command of the file picker
+ */
+async function handleCopyCheckedPaths() {
+    const count = fileTree ? await fileTree.copyCheckedPaths() : 0;
+    if (count === 0) {
+        vscode.window.showWarningMessage('Nothing is checked in the Syntax Extractor view.');
+        return;
+    }
+    vscode.window.showInformationMessage(`Copied ${count} path${count === 1 ? '' : 's'} to the clipboard.`);
 }
 
 function updateOrCreateWebview(context, content) {
@@ -148,17 +903,99 @@ function updateWebviewContent(content) {
         console.log('Updated existing webview with new content');
         
         // Calculate and update token count for clipboard content only
-        const tokenCount = countTokens(content);
-        sendMessageToWebview('updateTokenCount', { tokenCount });
+        sendTokenStats(content);
+        sendBreakdownToWebview();
+        sendPartsToWebview();
+    }
+}
+
+/**
+ * Sends the token count and number of files of each part of the last extraction to the webview
+ */
+function sendPartsToWebview() {
+    sendMessageToWebview('updateParts', {
+        parts: lastParts.map(part => ({ tokens: part.tokens, files: part.files.length }))
+    });
+}
+
+/**
+ * Sends the per-file token and character counts of the last extraction to the webview, or clears them
+ * when a past extraction is shown
+ */
+function sendBreakdownToWebview() {
+    // A structure-only extraction holds no file contents, so there is nothing to break down
+    const files = lastExtraction && !lastExtraction.result.structureOnly
+        ? lastExtraction.result.fileEntries.map(entry => ({
+            relativePath: entry.relativePath.split(path.sep).join('/'),
+            fsPath: entry.path,
+            tokens: entry.isBinary || entry.error ? 0 : countTokens(entry.content),
+            chars: entry.content.length
+        }))
+        : [];
+    sendMessageToWebview('updateBreakdown', { files });
+}
+
+/**
+ * Drops a file or folder from the last extraction and republishes it without re-running the traversal
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {string} relativePath Forward-slash path of the file or folder, relative to the base path
+ */
+async function excludeFromLastExtraction(context, relativePath) {
+    if (!lastExtraction) {
+        return;
+    }
+
+    lastExtraction = excludeFromExtraction(lastExtraction, relativePath.split('/').join(path.sep));
+    await publishExtraction(context, lastExtraction);
+}
+
+/**
+ * Opens a file listed in the breakdown of the last extraction
+ * @param {string} fsPath Absolute path of the file
+ */
+function openExtractedFile(fsPath) {
+    const isExtracted = lastExtraction && lastExtraction.result.fileEntries.some(entry => entry.path === fsPath);
+    if (!isExtracted) {
+        return;
     }
+    vscode.commands.executeCommand('vscode.open', vscode.Uri.file(fsPath), { preview: true });
 }
 
+/**
+ * Counts the tokens of a text with the configured tokenizer
+ * @param {string} text The text
+ * @returns {number} The number of tokens
+ */
 function countTokens(text) {
-    if (!encoder) {
-        console.error('Tiktoken encoder not initialized');
-        return text.split(/\s+/).length;
+    const { tokenizer } = getTokenizerSettings(vscode.workspace.getConfiguration('syntaxExtractor'));
+    return encodeText(getEncoder(tokenizer), text).length;
+}
+
+/**
+ * Sends the token count of a text to the webview, with its counts in the compared encodings and
+ * the estimated input cost per model
+ * @param {string} text The text
+ */
+function sendTokenStats(text) {
+    countedText = text;
+    const settings = getTokenizerSettings(vscode.workspace.getConfiguration('syntaxExtractor'));
+    sendMessageToWebview('updateTokenCount', { tokenizer: settings.tokenizer, ...estimateTokens(text, settings) });
+}
+
+/**
+ * Switches the tokenizer from the webview selector, in the scope where it is currently set
+ * @param {string} tokenizer Encoding name, one of TOKENIZERS
+ */
+async function selectTokenizer(tokenizer) {
+    if (!TOKENIZERS[tokenizer]) {
+        return;
     }
-    return encoder.encode(text).length;
+    const config = vscode.workspace.getConfiguration('syntaxExtractor');
+    const inspected = config.inspect('tokenizer');
+    const target = inspected && inspected.workspaceValue !== undefined
+        ? vscode.ConfigurationTarget.Workspace
+        : vscode.ConfigurationTarget.Global;
+    await config.update('tokenizer', tokenizer, target);
 }
 
 function showWebview(context, callback) {
@@ -203,43 +1040,112 @@ function getWebviewOptions(context) {
 }
 
 function setupWebviewMessageHandling(context, callback) {
-    currentPanel.webview.onDidReceiveMessage(message => {
-        switch (message.command) {
-            case 'webviewReady': {
-                console.log('Webview is ready');
-                const savedClipboardHeight = context.globalState.get('clipboardTextareaHeight', 200);
-                const savedInitialPromptHeight = context.globalState.get('initialPromptTextareaHeight', 100);
-                const savedInitialPromptMessage = context.globalState.get('initialPromptMessage', '');
-                sendMessageToWebview('initializeWebview', { 
-                    clipboardHeight: savedClipboardHeight,
-                    initialPromptHeight: savedInitialPromptHeight,
-                    initialPromptMessage: savedInitialPromptMessage
-                });
-                if (callback) callback();
-                break;
-            }
-            case 'contentChanged': {
-                const combinedText = message.initialPromptMessage + '\n\n' + message.clipboardContent;
-                const tokenCount = countTokens(message.clipboardContent);
-                sendMessageToWebview('updateTokenCount', { tokenCount });
-                // Save the initial prompt message
-                context.globalState.update('initialPromptMessage', message.initialPromptMessage);
-                // Update clipboard with combined content
-                vscode.env.clipboard.writeText(combinedText);
-                break;
-            }
-            case 'textareaResized': {
-                if (message.id === 'clipboardDataBox') {
-                    context.globalState.update('clipboardTextareaHeight', message.height);
-                } else if (message.id === 'initialPromptMessageBox') {
-                    context.globalState.update('initialPromptTextareaHeight', message.height);
-                }
-                break;
-            }
+    // A failing handler is reported to the user instead of becoming an unhandled rejection
+    currentPanel.webview.onDidReceiveMessage(async message => {
+        try {
+            await handleWebviewMessage(context, message, callback);
+        } catch (error) {
+            console.error(`Error handling the webview message ${message.command}:`, error);
+            vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
         }
     });
 }
 
+/**
+ * Acts on a message from the webview
+ * @param {vscode.ExtensionContext} context The extension context
+ * @param {Object} message The message, with its command
+ * @param {Function} [callback] Called once the webview is ready
+ * @returns {Promise<void>}
+ */
+async function handleWebviewMessage(context, message, callback) {
+    switch (message.command) {
+        case 'webviewReady': {
+            console.log('Webview is ready');
+            const savedClipboardHeight = context.globalState.get('clipboardTextareaHeight', 200);
+            const savedInitialPromptHeight = context.globalState.get('initialPromptTextareaHeight', 100);
+            const savedInitialPromptMessage = context.globalState.get('initialPromptMessage', '');
+            const savedPromptAfterHeight = context.globalState.get('promptAfterTextareaHeight', 60);
+            sendMessageToWebview('initializeWebview', { 
+                clipboardHeight: savedClipboardHeight,
+                initialPromptHeight: savedInitialPromptHeight,
+                initialPromptMessage: savedInitialPromptMessage,
+                promptAfterHeight: savedPromptAfterHeight,
+                promptAfterMessage: context.globalState.get('promptAfterMessage', ''),
+                templates: getPromptTemplates(),
+                tokenizers: TOKENIZERS,
+                tokenizer: getTokenizerSettings(vscode.workspace.getConfiguration('syntaxExtractor')).tokenizer
+            });
+            await sendHistoryToWebview(context);
+            if (callback) callback();
+            break;
+        }
+        case 'contentChanged': {
+            sendTokenStats(message.clipboardContent);
+            // Save the prompt before and after the code
+            context.globalState.update('initialPromptMessage', message.initialPromptMessage);
+            context.globalState.update('promptAfterMessage', message.promptAfterMessage);
+            // Update clipboard with combined content
+            await copyWithPrompt({ before: message.initialPromptMessage, after: message.promptAfterMessage }, message.clipboardContent);
+            break;
+        }
+        case 'saveTemplate': {
+            await savePromptTemplate({ before: message.before, after: message.after }, message.name);
+            break;
+        }
+        case 'deleteTemplate': {
+            await deletePromptTemplate(message.name);
+            break;
+        }
+        case 'selectTokenizer': {
+            await selectTokenizer(message.tokenizer);
+            break;
+        }
+        case 'copyPart': {
+            await copyExtractionPart(context, message.index);
+            break;
+        }
+        case 'restoreHistoryEntry': {
+            await restoreHistoryEntry(context, message.id);
+            break;
+        }
+        case 'rerunHistoryEntry': {
+            await rerunHistoryEntry(context, message.id);
+            break;
+        }
+        case 'compareHistoryEntries': {
+            await compareHistoryEntries(context, message.ids);
+            break;
+        }
+        case 'deleteHistoryEntry': {
+            await deleteHistory(context, message.id);
+            break;
+        }
+        case 'clearHistory': {
+            await deleteHistory(context);
+            break;
+        }
+        case 'openFile': {
+            await openExtractedFile(message.fsPath);
+            break;
+        }
+        case 'excludeFromExtraction': {
+            await excludeFromLastExtraction(context, message.relativePath);
+            break;
+        }
+        case 'textareaResized': {
+            if (message.id === 'clipboardDataBox') {
+                context.globalState.update('clipboardTextareaHeight', message.height);
+            } else if (message.id === 'initialPromptMessageBox') {
+                context.globalState.update('initialPromptTextareaHeight', message.height);
+            } else if (message.id === 'promptAfterMessageBox') {
+                context.globalState.update('promptAfterTextareaHeight', message.height);
+            }
+            break;
+        }
+    }
+}
+
 function sendMessageToWebview(command, data) {
     if (currentPanel) {
         currentPanel.webview.postMessage({ command, ...data });
@@ -292,9 +1198,7 @@ function deactivate() {
     if (clipboardListener) {
         clipboardListener.dispose();
     }
-    if (encoder) {
-        encoder.free();
-    }
+    freeEncoders();
 }
 
 module.exports = { activate, deactivate };
\ No newline at end of file
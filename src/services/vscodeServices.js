@@ -1,7 +1,50 @@
 const vscode = require('vscode');
 
+let outputChannel = null;
+
+// Progress messages are shown at most this often, however fast files are read
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Writes a report to the Syntax Extractor output channel and reveals it
+ * @param {string} title Heading of the report
+ * @param {string[]} lines Report lines
+ */
+const showReport = (title, lines) => {
+    if (!outputChannel) {
+        outputChannel = vscode.window.createOutputChannel('Syntax Extractor');
+    }
+    outputChannel.appendLine(`${title} (${new Date().toLocaleString()})`);
+    lines.forEach(line => outputChannel.appendLine(`  ${line}`));
+    outputChannel.appendLine('');
+    outputChannel.show(true);
+};
+
+/**
+ * Runs a task with a cancellable progress notification
+ * @param {string} title Title of the notification
+ * @param {Function} task Called with report(message) and a cancellation token; returns a promise
+ * @returns {Thenable<unknown>} The result of the task
+ */
+const withProgress = (title, task) => vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title, cancellable: true },
+    (progress, token) => {
+        let lastReport = 0;
+        const report = (message) => {
+            const now = Date.now();
+            if (now - lastReport < PROGRESS_INTERVAL_MS) return;
+            lastReport = now;
+            progress.report({ message });
+        };
+        return task(report, token);
+    }
+);
+
 module.exports = {
     writeToClipboard: (content) => vscode.env.clipboard.writeText(content),
     showInfoMessage: (message) => vscode.window.showInformationMessage(message),
-    showErrorMessage: (message) => vscode.window.showErrorMessage(message)
-};
\ No newline at end of file
+    showWarningMessage: (message, ...items) => vscode.window.showWarningMessage(message, ...items),
+    showErrorMessage: (message) => vscode.window.showErrorMessage(message),
+    showReport,
+    withProgress
+};
@@ -0,0 +1,19 @@
+const path = require('path');
+const Mocha = require('mocha');
+const glob = require('glob');
+
+/**
+ * Runs the tests in test/suite. They cover the core modules, which do not depend on VS Code,
+ * so they run in plain Node without downloading an editor.
+ */
+function main() {
+    const mocha = new Mocha({ ui: 'bdd', color: true, timeout: 10000 });
+    const testsRoot = path.resolve(__dirname, 'suite');
+    glob.sync('**/*.test.js', { cwd: testsRoot }).forEach(file => mocha.addFile(path.resolve(testsRoot, file)));
+
+    mocha.run(failures => {
+        process.exitCode = failures > 0 ? 1 : 0;
+    });
+}
+
+main();
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const path = require('path');
+const { splitIntoParts } = require('../../src/core/chunking');
+const { getEncoder } = require('../../src/core/tokenizer');
+
+const createResult = (count, lines) => {
+    const fileEntries = Array.from({ length: count }, (_, index) => ({
+        path: path.join('/project', `file${index}.js`),
+        relativePath: `file${index}.js`,
+        language: 'javascript',
+        content: Array.from({ length: lines }, (__, line) => `const value${line} = "<${index}:${line}>";`).join('\n'),
+        isBinary: false,
+        error: null
+    }));
+    return {
+        fileTypes: new Set(['js']),
+        files: new Set(fileEntries.map(entry => entry.relativePath)),
+        folderStructure: fileEntries.map(entry => `├── ${entry.relativePath}\n`).join(''),
+        fileEntries
+    };
+};
+
+const split = (result, outputFormat, options = {}) => splitIntoParts(result, '/project', outputFormat, { maxTokens: 600, encoder: getEncoder(), ...options });
+
+describe('chunking', () => {
+    it('returns the whole extraction as one part when it fits', () => {
+        const parts = split(createResult(2, 3), 'plain', { prompt: 'Review this.' });
+        assert.strictEqual(parts.length, 1);
+        assert.ok(parts[0].content.startsWith('Review this.\n\nFile types: js'));
+        assert.deepStrictEqual(parts[0].files, ['file0.js', 'file1.js']);
+    });
+
+    it('keeps every part within the limit and every file in some part', () => {
+        const result = createResult(12, 20);
+        const parts = split(result, 'markdown');
+        assert.ok(parts.length > 1);
+        parts.forEach(part => assert.ok(part.tokens <= 600, `${part.tokens} tokens`));
+        assert.deepStrictEqual([...new Set(parts.flatMap(part => part.files))], result.fileEntries.map(entry => entry.relativePath));
+    });
+
+    it('puts a Part i/N line above plain text and Markdown parts', () => {
+        const parts = split(createResult(12, 20), 'plain', { prompt: 'Review this.', promptMode: 'every' });
+        parts.forEach((part, index) => assert.ok(part.content.startsWith(`Part ${index + 1}/${parts.length}\n\nReview this.\n\nFile types: js`)));
+    });
+
+    it('keeps JSON parts parseable, with the part in the metadata', () => {
+        const parts = split(createResult(12, 20), 'json');
+        assert.ok(parts.length > 1);
+        parts.forEach((part, index) => {
+            const document = JSON.parse(part.content);
+            assert.deepStrictEqual(document.metadata.part, { number: index + 1, total: parts.length });
+        });
+    });
+
+    it('keeps XML parts well-formed, with the part as attributes', () => {
+        const parts = split(createResult(12, 20), 'xml');
+        assert.ok(parts.length > 1);
+        parts.forEach((part, index) => {
+            assert.ok(part.content.startsWith(`<extraction part="${index + 1}" parts="${parts.length}">\n`));
+            assert.ok(part.content.trimEnd().endsWith('</extraction>'));
+        });
+    });
+
+    it('splits a file too large for one part by lines', () => {
+        const parts = split(createResult(1, 200), 'plain', { structureMode: 'first' });
+        assert.ok(parts.length > 1);
+        assert.ok(parts[0].content.includes('-file0.js- [LINES 1-'));
+        assert.ok(parts[1].content.includes('(see part 1)'));
+        parts.forEach(part => assert.ok(part.tokens <= 600, `${part.tokens} tokens`));
+    });
+});
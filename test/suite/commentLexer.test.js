@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { findComments, stripComments, createCommentSyntax, COMMENT_SYNTAXES } = require('../../src/core/commentLexer');
+
+const { script, python, markup, shell } = COMMENT_SYNTAXES;
+
+describe('commentLexer', () => {
+    describe('script', () => {
+        it('removes line and block comments and drops lines left empty', () => {
+            const source = '// header\nconst a = 1; // trailing\n/* block\n   comment */\nconst b = a/**/+1;\n';
+            assert.strictEqual(stripComments(source, script), 'const a = 1;\nconst b = a +1;\n');
+        });
+
+        it('leaves comment markers inside strings, templates and regexes', () => {
+            const source = 'const url = "http://x"; const t = `/* ${a /* c */} */`; const r = /\\/\\/ x/g;';
+            assert.strictEqual(stripComments(source, script), 'const url = "http://x"; const t = `/* ${a } */`; const r = /\\/\\/ x/g;');
+        });
+
+        it('keeps CRLF line endings', () => {
+            assert.strictEqual(stripComments('a(); // x\r\nb();\r\n', script), 'a();\r\nb();\r\n');
+        });
+    });
+
+    describe('jsx', () => {
+        it('treats // and /* in element text as text', () => {
+            assert.strictEqual(stripComments('const a = <div>http://x // y</div>; // c', script), 'const a = <div>http://x // y</div>;');
+            assert.strictEqual(stripComments('const f = <>a /* b */ c</>;', script), 'const f = <>a /* b */ c</>;');
+        });
+
+        it('finds comments in tags and expressions', () => {
+            const source = 'return (\n  <List /* props */ items={items /* all */}>\n    {/* note */}\n    <Item.Row key="a//b" />\n  </List>\n);';
+            assert.strictEqual(stripComments(source, script), 'return (\n  <List  items={items }>\n    { }\n    <Item.Row key="a//b" />\n  </List>\n);');
+        });
+
+        it('still finds comments after comparisons and TypeScript generics', () => {
+            assert.strictEqual(stripComments('if (a < b) c(); // x', script), 'if (a < b) c();');
+            assert.strictEqual(stripComments('const f = <T,>(x: T) => x; // x', script), 'const f = <T,>(x: T) => x;');
+            assert.strictEqual(stripComments('const y = <any>x; // x\nconst z = 1; // z', script), 'const y = <any>x;\nconst z = 1;');
+        });
+    });
+
+    describe('markup', () => {
+        it('removes HTML comments without leaving a space between tags', () => {
+            assert.strictEqual(stripComments('<b>a</b><!-- c --><i>b</i>', markup), '<b>a</b><i>b</i>');
+        });
+
+        it('scans embedded scripts and styles but not other script types', () => {
+            const source = '<script>let a = 1; // x</script><style>a { color: red; /* x */ }</style><script type="text/template">// keep</script>';
+            assert.strictEqual(stripComments(source, markup), '<script>let a = 1; </script><style>a { color: red;  }</style><script type="text/template">// keep</script>');
+        });
+    });
+
+    describe('other syntaxes', () => {
+        it('keeps shell #s that do not start a word', () => {
+            assert.strictEqual(stripComments('echo ${#arr} a#b # comment\n', shell), 'echo ${#arr} a#b\n');
+        });
+
+        it('removes Python docstrings only when asked', () => {
+            const source = 'def f():\n    """Doc."""\n    return 1  # one\n';
+            assert.strictEqual(stripComments(source, python), 'def f():\n    """Doc."""\n    return 1\n');
+            assert.strictEqual(stripComments(source, python, { removeDocstrings: true }), 'def f():\n    return 1\n');
+        });
+
+        it('builds syntaxes from settings', () => {
+            const syntax = createCommentSyntax({ lineComments: ['%'], strings: ['"'] });
+            assert.deepStrictEqual(findComments('x = "%"; % note', syntax).map(comment => comment.start), [9]);
+        });
+    });
+});
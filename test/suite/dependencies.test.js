@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findImports, createDependencyResolver } = require('../../src/core/dependencies');
+
+const specifiers = (content, language) => findImports(content, language).map(item => item.specifier);
+
+describe('dependencies', () => {
+    describe('findImports', () => {
+        it('finds imports, re-exports, requires and dynamic imports in file order', () => {
+            const source = [
+                'import React from "react";',
+                'import type { User } from \'./types\';',
+                'export * from "./api";',
+                'const db = require(\'./db\');',
+                'const page = await import(`./pages/home`);'
+            ].join('\n');
+            assert.deepStrictEqual(specifiers(source, 'javascript'), ['react', './types', './api', './db', './pages/home']);
+        });
+
+        it('skips imports in comments', () => {
+            const source = '// import a from "./a";\n/* require("./b") */\nimport c from "./c";';
+            assert.deepStrictEqual(specifiers(source, 'typescript'), ['./c']);
+        });
+
+        it('skips import-like text in strings and templates', () => {
+            const source = [
+                'const example = "import x from \'./x\'";',
+                'const snippet = `const y = require("./y");`;',
+                'const help = \'see import("./z")\';',
+                'const real = require("./real");'
+            ].join('\n');
+            assert.deepStrictEqual(specifiers(source, 'javascript'), ['./real']);
+        });
+
+        it('reads the scripts of single-file components', () => {
+            const source = '<template><p>import a from "./a"</p></template>\n<script>\nimport B from "./B.vue";\n</script>';
+            assert.deepStrictEqual(specifiers(source, 'vue'), ['./B.vue']);
+        });
+
+        it('finds Python imports and skips those in comments and strings', () => {
+            const source = [
+                'import os, sys as system',
+                'from . import utils',
+                'from ..models import (User,',
+                '    Group)  # trailing',
+                '# import hidden',
+                'USAGE = """',
+                'import not_a_module',
+                'from fake import thing',
+                '"""'
+            ].join('\n');
+            assert.deepStrictEqual(findImports(source, 'python').map(item => [item.specifier, item.level]), [
+                ['import os', 0],
+                ['import sys', 0],
+                ['from . import utils', 1],
+                ['from ..models import User, Group', 2]
+            ]);
+        });
+
+        it('returns nothing for languages without import support', () => {
+            assert.deepStrictEqual(findImports('use std::io;', 'rust'), []);
+        });
+    });
+
+    describe('createDependencyResolver', () => {
+        let root;
+
+        before(() => {
+            root = fs.mkdtempSync(path.join(os.tmpdir(), 'dependencies-'));
+            fs.mkdirSync(path.join(root, 'src', 'lib'), { recursive: true });
+            fs.mkdirSync(path.join(root, 'pkg'), { recursive: true });
+            fs.writeFileSync(path.join(root, 'src', 'app.ts'), '');
+            fs.writeFileSync(path.join(root, 'src', 'util.ts'), '');
+            fs.writeFileSync(path.join(root, 'src', 'lib', 'index.js'), '');
+            fs.writeFileSync(path.join(root, 'pkg', '__init__.py'), '');
+            fs.writeFileSync(path.join(root, 'pkg', 'models.py'), '');
+            fs.writeFileSync(path.join(root, 'pkg', 'main.py'), '');
+        });
+
+        after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+        it('resolves relative script imports to files and folders', async () => {
+            const { resolve } = createDependencyResolver();
+            const fromFile = path.join(root, 'src', 'app.ts');
+            assert.deepStrictEqual(await resolve({ specifier: './util.js', statement: 'import' }, fromFile, 'typescript'), [path.join(root, 'src', 'util.ts')]);
+            assert.deepStrictEqual(await resolve({ specifier: './lib', statement: 'import' }, fromFile, 'typescript'), [path.join(root, 'src', 'lib', 'index.js')]);
+            assert.strictEqual(await resolve({ specifier: './missing', statement: 'import' }, fromFile, 'typescript'), null);
+        });
+
+        it('resolves relative Python imports', async () => {
+            const { resolve } = createDependencyResolver();
+            const [item] = findImports('from .models import User', 'python');
+            assert.deepStrictEqual(await resolve(item, path.join(root, 'pkg', 'main.py'), 'python'), [path.join(root, 'pkg', 'models.py')]);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLogger } = require('../../src/core/logger');
+const { extractPaths } = require('../../src/core/extraction');
+
+const SILENT = { log: () => {}, warn: () => {}, error: () => {} };
+
+describe('extraction', () => {
+    let root;
+
+    before(() => {
+        setLogger(SILENT);
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-'));
+        fs.mkdirSync(path.join(root, 'src'));
+        fs.writeFileSync(path.join(root, 'src', 'a.js'), 'const a = 1;\n');
+    });
+
+    after(() => {
+        setLogger();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describe('extractPaths', () => {
+        it('names a single selected file in every format', async () => {
+            const filePath = path.join(root, 'src', 'a.js');
+            const plain = await extractPaths([filePath], [], { outputFormat: 'plain' });
+            assert.strictEqual(plain.basePath, path.join(root, 'src'));
+            assert.ok(plain.content.includes('└── a.js\n'));
+            assert.ok(plain.content.includes('-a.js-\nconst a = 1;'));
+
+            const markdown = await extractPaths([filePath], [], { outputFormat: 'markdown' });
+            assert.ok(markdown.content.includes('### a.js\n'));
+
+            const json = JSON.parse((await extractPaths([filePath], [], { outputFormat: 'json' })).content);
+            assert.deepStrictEqual(json.files.map(file => file.path), ['a.js']);
+        });
+
+        it('lists the structure without reading files or asking about limits', async () => {
+            const asked = [];
+            const extraction = await extractPaths([root], [], {
+                outputFormat: 'plain',
+                structureOnly: true,
+                limits: { maxFileSize: 1, maxFiles: 0, maxTotalSize: 0, maxFileLines: 0 },
+                onLimit: limit => {
+                    asked.push(limit);
+                    return 'cancel';
+                }
+            });
+            assert.deepStrictEqual(asked, []);
+            assert.ok(extraction.content.endsWith('└── src/\n    └── a.js\n'));
+            assert.ok(extraction.result.fileEntries.every(entry => entry.contentOmitted && entry.size === undefined));
+
+            const lines = await extractPaths([root], [], { outputFormat: 'plain', structureOnly: true, tree: { metadata: 'lines' } });
+            assert.ok(lines.content.includes('└── a.js (1 line)\n'));
+        });
+
+        it('keeps files with the same path in two workspace folders apart', async () => {
+            const other = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-other-'));
+            try {
+                fs.mkdirSync(path.join(other, 'src'));
+                fs.writeFileSync(path.join(other, 'src', 'a.js'), 'const b = 2;\n');
+                const workspaceFolders = [{ name: 'one', path: root }, { name: 'two', path: other }];
+                const extraction = await extractPaths([path.join(root, 'src'), path.join(other, 'src')], [], { outputFormat: 'plain', workspaceFolders });
+                const expected = [path.join('one', 'src', 'a.js'), path.join('two', 'src', 'a.js')];
+                assert.deepStrictEqual([...extraction.result.files], expected);
+                assert.deepStrictEqual(extraction.result.fileEntries.map(entry => entry.relativePath), expected);
+            } finally {
+                fs.rmSync(other, { recursive: true, force: true });
+            }
+        });
+
+        it('keeps a selected folder as the base', async () => {
+            const extraction = await extractPaths([path.join(root, 'src')], [], { outputFormat: 'plain' });
+            assert.strictEqual(extraction.basePath, path.join(root, 'src'));
+            assert.deepStrictEqual(extraction.result.fileEntries.map(entry => entry.relativePath), ['a.js']);
+        });
+    });
+});
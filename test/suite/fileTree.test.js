@@ -0,0 +1,80 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scanFileTree, createExclusionCheck, replaceFolder } = require('../../src/core/fileTree');
+const { setLogger } = require('../../src/core/logger');
+
+const GITIGNORE = { useGitignore: true, useGitInfoExclude: false };
+
+describe('fileTree', () => {
+    let root;
+
+    const write = (relativePath, content) => {
+        fs.mkdirSync(path.dirname(path.join(root, relativePath)), { recursive: true });
+        fs.writeFileSync(path.join(root, relativePath), content);
+    };
+
+    const names = (node) => (node.children ? { [node.name]: node.children.map(names) } : node.name);
+
+    // The scans log every ignored path
+    before(() => setLogger({ log: () => {}, warn: () => {}, error: () => {} }));
+    after(() => setLogger());
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-tree-'));
+        fs.mkdirSync(path.join(root, '.git'));
+        write('.gitignore', 'dist/\n*.log\n');
+        write('src/app.js', 'const app = 1;\n');
+        write('src/lib/util.js', 'const util = 22;\n');
+        write('dist/app.js', 'built\n');
+        write('node_modules/pkg/index.js', 'module.exports = 1;\n');
+    });
+
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    it('leaves out ignored and git-ignored files and folders without files', async () => {
+        const tree = await scanFileTree(root, ['node_modules'], { gitignore: GITIGNORE });
+        assert.deepStrictEqual(tree.children.map(names), [{ src: [{ lib: ['util.js'] }, 'app.js'] }, '.gitignore']);
+        assert.strictEqual(tree.fileCount, 3);
+    });
+
+    it('applies patterns relative to the base path when scanning a folder inside it', async () => {
+        write('src/lib/build/out.js', 'x');
+        const folder = await scanFileTree(path.join(root, 'src', 'lib'), ['src/lib/build'], { basePath: root });
+        assert.deepStrictEqual(names(folder), { lib: ['util.js'] });
+        assert.strictEqual(folder.path, path.join(root, 'src', 'lib'));
+    });
+
+    it('replaces a rescanned folder and updates the totals above it', async () => {
+        const tree = await scanFileTree(root, ['node_modules'], { gitignore: GITIGNORE });
+        write('src/lib/more.js', 'const more = 333;\n');
+        const lib = await scanFileTree(path.join(root, 'src', 'lib'), ['node_modules'], { gitignore: GITIGNORE, basePath: root });
+        assert.strictEqual(replaceFolder(tree, lib), true);
+        const src = tree.children[0];
+        assert.deepStrictEqual(names(src), { src: [{ lib: ['more.js', 'util.js'] }, 'app.js'] });
+        assert.strictEqual(src.fileCount, 3);
+        assert.strictEqual(tree.size, src.size + tree.children[1].size);
+        assert.strictEqual(tree.fileCount, 4);
+    });
+
+    it('removes a folder left without files', async () => {
+        const tree = await scanFileTree(root, ['node_modules'], { gitignore: GITIGNORE });
+        fs.rmSync(path.join(root, 'src', 'lib'), { recursive: true });
+        const lib = await scanFileTree(path.join(root, 'src'), ['node_modules'], { gitignore: GITIGNORE, basePath: root });
+        assert.strictEqual(replaceFolder(tree, lib), true);
+        assert.deepStrictEqual(names(tree.children[0]), { src: ['app.js'] });
+        assert.strictEqual(tree.fileCount, 2);
+        assert.strictEqual(replaceFolder(tree, { ...lib, path: path.join(root, 'missing') }), false);
+    });
+
+    it('tells which changed paths a scan would leave out', async () => {
+        const isExcluded = createExclusionCheck(root, ['node_modules'], GITIGNORE);
+        assert.strictEqual(await isExcluded(path.join(root, 'node_modules', 'pkg', 'new.js')), true);
+        assert.strictEqual(await isExcluded(path.join(root, 'dist', 'chunk.js')), true);
+        assert.strictEqual(await isExcluded(path.join(root, 'dist')), true);
+        assert.strictEqual(await isExcluded(path.join(root, 'src', 'debug.log')), true);
+        assert.strictEqual(await isExcluded(path.join(root, 'src', 'lib', 'deleted.js')), false);
+        assert.strictEqual(await isExcluded(path.join(root, 'src', 'new')), false);
+    });
+});
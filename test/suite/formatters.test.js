@@ -0,0 +1,80 @@
+const assert = require('assert');
+const path = require('path');
+const { formatOutput, resolveOutputFormat, escapeXml, getFence } = require('../../src/core/formatters');
+
+const createResult = (fileEntries) => ({
+    fileTypes: new Set(['js']),
+    files: new Set(fileEntries.map(entry => entry.relativePath)),
+    folderStructure: '└── app.js\n',
+    fileEntries
+});
+
+const entry = (relativePath, content, extra = {}) => ({
+    path: path.join('/project', relativePath),
+    relativePath,
+    language: 'javascript',
+    content,
+    isBinary: false,
+    error: null,
+    ...extra
+});
+
+describe('formatters', () => {
+    describe('resolveOutputFormat', () => {
+        it('falls back to plain for unknown formats', () => {
+            assert.strictEqual(resolveOutputFormat('XML'), 'xml');
+            assert.strictEqual(resolveOutputFormat('yaml'), 'plain');
+            assert.strictEqual(resolveOutputFormat(undefined), 'plain');
+        });
+    });
+
+    describe('plain', () => {
+        it('keeps the original layout', () => {
+            const output = formatOutput(createResult([entry('app.js', 'const a = 1;')]), '/project', 'plain');
+            assert.strictEqual(output, 'File types: js\n\nFolder Structure:\n/project\n└── app.js\n\n\nFile Contents:\n\n-app.js-\nconst a = 1;\n');
+        });
+    });
+
+    describe('markdown', () => {
+        it('uses a fence longer than any backtick run in the content', () => {
+            const output = formatOutput(createResult([entry('app.js', 'const s = ```;')]), '/project', 'markdown');
+            assert.ok(output.includes('````javascript\nconst s = ```;\n````'));
+        });
+
+        it('builds fences of at least three backticks', () => {
+            assert.strictEqual(getFence('no backticks'), '```');
+            assert.strictEqual(getFence('a ````` b'), '``````');
+        });
+    });
+
+    describe('xml', () => {
+        it('escapes markup in content and attributes', () => {
+            const output = formatOutput(createResult([entry('a&b.js', 'if (a < b && c > d) {}')]), '/project', 'xml');
+            assert.ok(output.includes('<file path="a&amp;b.js" language="javascript">'));
+            assert.ok(output.includes('if (a &lt; b &amp;&amp; c &gt; d) {}'));
+        });
+
+        it('replaces characters XML 1.0 does not allow', () => {
+            assert.strictEqual(escapeXml('a\x01b\x1Fc\uFFFEd'), 'a\uFFFDb\uFFFDc\uFFFDd');
+            assert.strictEqual(escapeXml('tab\tnewline\ncarriage\r'), 'tab\tnewline\ncarriage\r');
+            assert.strictEqual(escapeXml('lone \uD800 surrogate, pair 😀'), 'lone \uFFFD surrogate, pair 😀');
+        });
+
+        it('produces no invalid characters for binary-looking content', () => {
+            const output = formatOutput(createResult([entry('app.js', 'start\x00\x01\x08\x0B\x0Cend')]), '/project', 'xml');
+            const invalid = [...output].filter(char => char.charCodeAt(0) < 0x20 && !'\t\n\r'.includes(char));
+            assert.deepStrictEqual(invalid, []);
+        });
+    });
+
+    describe('json', () => {
+        it('produces parseable output with the tree and files', () => {
+            const output = formatOutput(createResult([entry(path.join('src', 'app.js'), 'const a = "\x01";')]), '/project', 'json');
+            const document = JSON.parse(output);
+            assert.deepStrictEqual(document.metadata.fileTypes, ['js']);
+            assert.deepStrictEqual(document.tree, [{ name: 'src', type: 'directory', children: [{ name: 'app.js', type: 'file' }] }]);
+            assert.strictEqual(document.files[0].path, 'src/app.js');
+            assert.strictEqual(document.files[0].content, 'const a = "\x01";');
+        });
+    });
+});
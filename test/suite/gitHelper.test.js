@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyRef, getChangedFiles, getFileDiffs } = require('../../src/core/gitHelper');
+
+describe('gitHelper', () => {
+    let root;
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: root });
+    const write = (file, content) => fs.writeFileSync(path.join(root, file), content);
+
+    before(() => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'git-helper-')));
+        git('init', '-q');
+        write('plain.txt', 'one\n');
+        write('with space.txt', 'one\n');
+        write('ä.txt', 'one\n');
+        write('ä "quoted".txt', 'one\n');
+        write('removed.txt', 'one\n');
+        write('old name.txt', 'a\nb\nc\nd\ne\n');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'initial');
+
+        write('plain.txt', 'two\n');
+        write('with space.txt', 'two\n');
+        write('ä.txt', 'two\n');
+        write('ä "quoted".txt', 'two\n');
+        fs.unlinkSync(path.join(root, 'removed.txt'));
+        git('mv', 'old name.txt', 'new name.txt');
+        git('add', '-A');
+    });
+
+    after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    it('keys each diff on the path of its change', async () => {
+        const changes = await getChangedFiles(root, 'staged');
+        const diffs = await getFileDiffs(root, 'staged');
+        assert.deepStrictEqual(changes.map(change => change.path).sort(), [...diffs.keys()].sort());
+        assert.deepStrictEqual([...diffs.keys()].sort(), ['new name.txt', 'plain.txt', 'removed.txt', 'with space.txt', 'ä "quoted".txt', 'ä.txt']);
+    });
+
+    it('splits the diff per file', async () => {
+        const diffs = await getFileDiffs(root, 'staged');
+        assert.match(diffs.get('with space.txt'), /^-one\n\+two$/m);
+        assert.match(diffs.get('ä.txt'), /^-one\n\+two$/m);
+        assert.match(diffs.get('ä "quoted".txt'), /^-one\n\+two$/m);
+        assert.match(diffs.get('removed.txt'), /^\+\+\+ \/dev\/null$/m);
+        assert.match(diffs.get('new name.txt'), /^rename to new name\.txt$/m);
+        assert.ok(!diffs.get('plain.txt').includes('with space.txt'));
+    });
+
+    it('refuses refs that do not name a commit before running git diff', async () => {
+        assert.strictEqual(await verifyRef(root, 'HEAD'), 'HEAD');
+        const output = path.join(root, 'written.txt');
+        await assert.rejects(getChangedFiles(root, 'ref', `--output=${output}`), /is not a branch, tag or commit/);
+        await assert.rejects(getFileDiffs(root, 'ref', `--output=${output}`), /is not a branch, tag or commit/);
+        await assert.rejects(getFileDiffs(root, 'ref', 'no-such-branch'), /is not a branch, tag or commit/);
+        assert.strictEqual(fs.existsSync(output), false);
+    });
+});
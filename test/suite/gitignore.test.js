@@ -0,0 +1,87 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseGitignore, loadInheritedGitignoreRules, isGitignored } = require('../../src/core/gitignore');
+
+const root = path.resolve('/repo');
+const at = (...parts) => path.join(root, ...parts);
+
+describe('gitignore', () => {
+    describe('isGitignored', () => {
+        it('matches unanchored patterns at any depth', () => {
+            const rules = parseGitignore('*.log\nbuild/\n', root);
+            assert.strictEqual(isGitignored(at('debug.log'), false, rules), true);
+            assert.strictEqual(isGitignored(at('src', 'deep', 'trace.log'), false, rules), true);
+            assert.strictEqual(isGitignored(at('src', 'build'), true, rules), true);
+            assert.strictEqual(isGitignored(at('src', 'build'), false, rules), false);
+            assert.strictEqual(isGitignored(at('src', 'app.js'), false, rules), false);
+        });
+
+        it('anchors patterns with a leading or inner slash', () => {
+            const rules = parseGitignore('/dist\ndocs/*.html\n', root);
+            assert.strictEqual(isGitignored(at('dist'), true, rules), true);
+            assert.strictEqual(isGitignored(at('src', 'dist'), true, rules), false);
+            assert.strictEqual(isGitignored(at('docs', 'index.html'), false, rules), true);
+            assert.strictEqual(isGitignored(at('docs', 'api', 'index.html'), false, rules), false);
+        });
+
+        it('supports ** across directories', () => {
+            const rules = parseGitignore('**/cache/**\nlogs/**/*.txt\n', root);
+            assert.strictEqual(isGitignored(at('a', 'cache', 'b', 'c.js'), false, rules), true);
+            assert.strictEqual(isGitignored(at('logs', 'today.txt'), false, rules), true);
+            assert.strictEqual(isGitignored(at('logs', '2024', 'jan', 'today.txt'), false, rules), true);
+        });
+
+        it('lets the last matching rule win, except inside an ignored directory', () => {
+            const rules = parseGitignore('*.log\n!keep.log\nvendor/\n!vendor/lib.js\n', root);
+            assert.strictEqual(isGitignored(at('keep.log'), false, rules), false);
+            assert.strictEqual(isGitignored(at('other.log'), false, rules), true);
+            assert.strictEqual(isGitignored(at('vendor', 'lib.js'), false, rules), true);
+        });
+
+        it('skips comments and honours escapes and trailing spaces', () => {
+            const rules = parseGitignore('# comment\n\\#hash\n\\!bang\ntrailing   \n', root);
+            assert.strictEqual(rules.length, 3);
+            assert.strictEqual(isGitignored(at('#hash'), false, rules), true);
+            assert.strictEqual(isGitignored(at('!bang'), false, rules), true);
+            assert.strictEqual(isGitignored(at('trailing'), false, rules), true);
+        });
+
+        it('scopes rules to the directory of their file', () => {
+            const rules = parseGitignore('*.tmp\n', at('packages', 'a'));
+            assert.strictEqual(isGitignored(at('packages', 'a', 'x.tmp'), false, rules), true);
+            assert.strictEqual(isGitignored(at('packages', 'b', 'x.tmp'), false, rules), false);
+        });
+    });
+
+    describe('loadInheritedGitignoreRules', () => {
+        let repository;
+
+        before(() => {
+            repository = fs.mkdtempSync(path.join(os.tmpdir(), 'gitignore-'));
+            fs.mkdirSync(path.join(repository, '.git', 'info'), { recursive: true });
+            fs.mkdirSync(path.join(repository, 'src', 'lib'), { recursive: true });
+            fs.writeFileSync(path.join(repository, '.git', 'info', 'exclude'), 'secret.txt\n');
+            fs.writeFileSync(path.join(repository, '.gitignore'), '*.log\n');
+            fs.writeFileSync(path.join(repository, 'src', '.gitignore'), '!important.log\n');
+        });
+
+        after(() => fs.rmSync(repository, { recursive: true, force: true }));
+
+        it('reads the exclude file and every .gitignore above the item', async () => {
+            const rules = await loadInheritedGitignoreRules(path.join(repository, 'src', 'lib'), { useGitignore: true, useGitInfoExclude: true });
+            assert.deepStrictEqual(rules.map(rule => rule.pattern), ['secret.txt', '*.log', '!important.log']);
+            assert.strictEqual(isGitignored(path.join(repository, 'src', 'lib', 'debug.log'), false, rules), true);
+            assert.strictEqual(isGitignored(path.join(repository, 'src', 'lib', 'important.log'), false, rules), false);
+            assert.strictEqual(isGitignored(path.join(repository, 'src', 'lib', 'secret.txt'), false, rules), true);
+        });
+
+        it('reads only the enabled sources', async () => {
+            const itemPath = path.join(repository, 'src', 'lib');
+            assert.deepStrictEqual(await loadInheritedGitignoreRules(itemPath, { useGitignore: false, useGitInfoExclude: false }), []);
+            const rules = await loadInheritedGitignoreRules(itemPath, { useGitignore: false, useGitInfoExclude: true });
+            assert.deepStrictEqual(rules.map(rule => rule.pattern), ['secret.txt']);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger, setLogger } = require('../../src/core/logger');
+const { extractPaths } = require('../../src/core/extraction');
+
+const CLI = path.resolve(__dirname, '..', '..', 'src', 'cli.js');
+
+describe('logger', () => {
+    let folder;
+
+    before(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+        fs.writeFileSync(path.join(folder, 'app.js'), 'const a = 1;\n');
+    });
+
+    after(() => {
+        setLogger();
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('sends the core modules\' progress to the current target', async () => {
+        const messages = [];
+        setLogger({ log: (...args) => messages.push(args.join(' ')), warn: () => {}, error: () => {} });
+        await extractPaths([folder], []);
+        setLogger();
+        assert.ok(messages.some(message => message.startsWith('True base path determined:')));
+    });
+
+    it('falls back to the console', () => {
+        setLogger();
+        const original = console.log;
+        const messages = [];
+        console.log = (...args) => messages.push(args.join(' '));
+        try {
+            logger.log('hello', 'world');
+        } finally {
+            console.log = original;
+        }
+        assert.deepStrictEqual(messages, ['hello world']);
+    });
+
+    it('keeps the CLI\'s stdout for the content and progress on stderr with --verbose', () => {
+        const stdout = execFileSync(process.execPath, [CLI, 'extract', folder], { encoding: 'utf8' });
+        assert.ok(stdout.startsWith('File types: js\n'));
+
+        const verbose = spawnSync(process.execPath, [CLI, 'extract', folder, '--verbose'], { encoding: 'utf8' });
+        assert.strictEqual(verbose.status, 0);
+        assert.ok(verbose.stdout.startsWith('File types: js\n'));
+        assert.ok(verbose.stderr.includes('True base path determined:'));
+    });
+});
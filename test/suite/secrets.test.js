@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { redactSecrets, redactFileEntries, describeSecretFindings } = require('../../src/core/secrets');
+
+// Built from parts so the fixtures themselves do not look like leaked credentials
+const GITHUB_TOKEN = 'ghp_' + 'a1B2c3D4'.repeat(5);
+const AWS_ACCESS_KEY = 'AKIA' + 'IOSFODNN7EXAMPLE';
+const PRIVATE_KEY = ['-----BEGIN RSA PRIVATE', 'KEY-----\nMIIEowIBAAKCAQEA\n-----END RSA PRIVATE', 'KEY-----'].join(' ');
+
+describe('secrets', () => {
+    describe('redactSecrets', () => {
+        it('masks known token formats and reports their lines', () => {
+            const content = `const a = 1;\nconst token = "${GITHUB_TOKEN}";\nconst key = '${AWS_ACCESS_KEY}';\n`;
+            const { content: redacted, findings } = redactSecrets(content, 'app.js');
+            assert.strictEqual(redacted, 'const a = 1;\nconst token = "[REDACTED:github-token]";\nconst key = \'[REDACTED:aws-access-key]\';\n');
+            assert.deepStrictEqual(findings.map(finding => [finding.type, finding.line]), [['github-token', 2], ['aws-access-key', 3]]);
+        });
+
+        it('masks whole private key blocks', () => {
+            const { content, findings } = redactSecrets(`key = """\n${PRIVATE_KEY}\n"""`, 'keys.py');
+            assert.strictEqual(content, 'key = """\n[REDACTED:private-key]\n"""');
+            assert.strictEqual(findings.length, 1);
+        });
+
+        it('keeps the key of hard-coded secrets and skips identifier-like values', () => {
+            const { content } = redactSecrets('password: "hunter2!x"\nconst settings = { maxTokens: \'maxTokens\' };', 'config.js');
+            assert.strictEqual(content, 'password: "[REDACTED:secret-assignment]"\nconst settings = { maxTokens: \'maxTokens\' };');
+        });
+
+        it('masks high-entropy strings but not hashes or plain words', () => {
+            const random = 'q8Zr3LmX0vTn7BwK2yHs5PdJ9cFg4AeU';
+            const integrity = 'sha512-' + random;
+            const { content } = redactSecrets(`a = "${random}"\nb = "${integrity}"\nc = "a perfectly ordinary sentence here"`, 'data.js');
+            assert.strictEqual(content, `a = "[REDACTED:high-entropy-string]"\nb = "${integrity}"\nc = "a perfectly ordinary sentence here"`);
+        });
+
+        it('masks every value in env files, but not in documented templates', () => {
+            const env = 'export DATABASE_URL="postgres://localhost/app"\n# comment\nDEBUG=\nPORT=3000\n';
+            assert.strictEqual(redactSecrets(env, '/project/.env.local').content,
+                'export DATABASE_URL=[REDACTED:env-value]\n# comment\nDEBUG=\nPORT=[REDACTED:env-value]\n');
+            assert.strictEqual(redactSecrets(env, '/project/.env.example').content, env);
+        });
+    });
+
+    describe('redactFileEntries', () => {
+        it('masks contents and diffs and leaves binary files alone', () => {
+            const entries = [
+                { path: '/p/a.js', relativePath: 'a.js', content: `t = "${GITHUB_TOKEN}"`, diff: `+t = "${GITHUB_TOKEN}"` },
+                { path: '/p/b.png', relativePath: 'b.png', content: GITHUB_TOKEN, isBinary: true },
+                { path: '/p/c.js', relativePath: 'c.js', content: 'const c = 3;' }
+            ];
+            const { fileEntries, findings } = redactFileEntries(entries);
+            assert.strictEqual(fileEntries[0].content, 't = "[REDACTED:github-token]"');
+            assert.strictEqual(fileEntries[0].diff, '+t = "[REDACTED:github-token]"');
+            assert.strictEqual(fileEntries[0].redactedSecrets, 2);
+            assert.strictEqual(fileEntries[1], entries[1]);
+            assert.strictEqual(fileEntries[2], entries[2]);
+            assert.deepStrictEqual(describeSecretFindings(findings), ['a.js:1 GitHub token', 'a.js:1 GitHub token']);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { createSkeleton } = require('../../src/core/skeleton');
+
+const python = (...lines) => lines.join('\n');
+
+describe('skeleton', () => {
+    describe('python', () => {
+        it('elides def bodies and keeps docstrings', () => {
+            const source = python(
+                'import os',
+                '',
+                'def load(path):',
+                '    """Loads a file."""',
+                '    with open(path) as file:',
+                '        return file.read()',
+                '',
+                'class Store:',
+                '    async def save(self, data):',
+                '        await self.write(data)'
+            );
+            assert.strictEqual(createSkeleton(source, 'app.py'), python(
+                'import os',
+                '',
+                'def load(path):',
+                '    """Loads a file."""',
+                '    ...',
+                '',
+                'class Store:',
+                '    async def save(self, data):',
+                '        ...'
+            ));
+        });
+
+        it('keeps multi-line strings with unindented lines inside the body', () => {
+            const source = python(
+                'def usage():',
+                '    text = """',
+                'Usage: tool [options]',
+                '"""',
+                '    return text',
+                '',
+                'def main():',
+                '    print(usage())'
+            );
+            assert.strictEqual(createSkeleton(source, 'app.py'), python(
+                'def usage():',
+                '    ...',
+                '',
+                'def main():',
+                '    ...'
+            ));
+        });
+
+        it('keeps brackets with unindented lines inside the body', () => {
+            const source = python(
+                'def values():',
+                '    return [',
+                '1, 2,',
+                ']',
+                '',
+                'def other():',
+                '    return 3'
+            );
+            assert.strictEqual(createSkeleton(source, 'app.py'), python(
+                'def values():',
+                '    ...',
+                '',
+                'def other():',
+                '    ...'
+            ));
+        });
+
+        it('leaves defs inside module-level strings alone', () => {
+            const source = python(
+                'EXAMPLE = """',
+                'def example():',
+                '    return 1',
+                '"""',
+                '',
+                'def real():',
+                '    return 2'
+            );
+            assert.strictEqual(createSkeleton(source, 'app.py'), python(
+                'EXAMPLE = """',
+                'def example():',
+                '    return 1',
+                '"""',
+                '',
+                'def real():',
+                '    ...'
+            ));
+        });
+    });
+
+    describe('scripts', () => {
+        it('elides function bodies and keeps signatures', () => {
+            const skeleton = createSkeleton('function add(a, b) {\n    return a + b;\n}\n', 'math.js');
+            assert.strictEqual(skeleton, 'function add(a, b) { ... }\n');
+        });
+    });
+
+    it('returns null for unsupported languages', () => {
+        assert.strictEqual(createSkeleton('fn main() {}', 'main.rs'), null);
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyTokenBudget } = require('../../src/core/tokenBudget');
+const { extractPaths } = require('../../src/core/extraction');
+const { OUTPUT_FORMATS } = require('../../src/core/formatters');
+const { getEncoder, countTokens, encodeText } = require('../../src/core/tokenizer');
+const { setLogger } = require('../../src/core/logger');
+
+// Quotes, backslashes and markup grow when escaped for JSON and XML, so the content alone undercounts them
+const createSource = (index, lines) => Array.from({ length: lines }, (_, line) =>
+    `const value${index}_${line} = "a \\"quoted\\" <tag attr='x'> & \\\\path\\\\to\\\\file";`).join('\n');
+
+describe('tokenBudget', () => {
+    let folder;
+
+    before(() => {
+        // The extraction's progress logs would end up in the test report
+        setLogger({ log: () => {}, warn: () => {}, error: () => {} });
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'token-budget-'));
+        for (let index = 0; index < 12; index++) {
+            fs.writeFileSync(path.join(folder, `file${index}.js`), createSource(index, 10 + index * 8));
+        }
+    });
+
+    after(() => {
+        setLogger();
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    OUTPUT_FORMATS.forEach(outputFormat => {
+        it(`keeps the ${outputFormat} output within the budget`, async () => {
+            const encoder = getEncoder();
+            const extraction = await extractPaths([folder], [], { outputFormat, maxTokens: 3000, encoder, reservedTokens: 100 });
+            const usedTokens = countTokens(extraction.content) + 100;
+            assert.ok(usedTokens <= 3000, `${usedTokens} tokens`);
+            assert.strictEqual(extraction.budget.usedTokens, usedTokens);
+            assert.ok(extraction.budget.dropped.length + extraction.budget.truncated.length > 0);
+            assert.ok(extraction.result.fileEntries.length > 0);
+        });
+    });
+
+    it('counts the truncation marker against the budget', () => {
+        const encoder = getEncoder();
+        const content = Array.from({ length: 400 }, (_, line) => `line ${line}`).join('\n');
+        const budget = applyTokenBudget([{ relativePath: 'a.txt', content }], { maxTokens: 200, encoder });
+        assert.strictEqual(budget.truncated.length, 1);
+        const kept = budget.fileEntries[0].content;
+        assert.match(kept, /\n\[truncated \d+ tokens\]$/);
+        assert.ok(encodeText(encoder, kept).length + 8 <= 200);
+    });
+
+    it('counts special tokens in file content as plain text', () => {
+        const encoder = getEncoder();
+        const content = 'before <|endoftext|> after';
+        assert.strictEqual(countTokens(content), encodeText(encoder, content).length);
+        const budget = applyTokenBudget([{ relativePath: 'a.txt', content }], { maxTokens: 1000, encoder });
+        assert.deepStrictEqual(budget.fileEntries.map(entry => entry.content), [content]);
+    });
+});